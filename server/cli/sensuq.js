@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const EXIT_OK = 0;
+const EXIT_TESTS_FAILED = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: sensuq <command> [options]
+
+Commands:
+  crawl --config <id> [--wait]          Start a crawl for a test configuration (one test run
+      [--role <name>]                   per credential profile, or only the given one)
+  wait --run <id>                       Wait until a test run is ready for execution
+  run --run <id> [--tests <ids>]        Execute test cases and wait for the results
+      [--type <test_type>] [--name <execution name>] [--junit <file>] [--ctrf <file>]
+  ci --config <id> [--junit <file>]     Crawl, wait, run all generated tests of every
+      [--ctrf <file>] [--type <test_type>] [--role <name>]
+                                        role's test run (reports get a -<role> suffix)
+  token create --name <name>            Create an API token (logs in with
+      --email <email> --password <pw>   email/password once)
+
+Options:
+  --api <url>        API base URL (env SENSUQ_API_URL, default http://localhost:3001/api)
+  --token <token>    API token (env SENSUQ_API_TOKEN)
+  --timeout <min>    Give up waiting after this many minutes (default 60)
+  --interval <sec>   Polling interval in seconds (default 10)
+
+Exit codes: 0 all tests passed, 1 test failures, 2 usage or infrastructure error`;
+
+class CliError extends Error {}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.substring(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      options[key] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      options[key] = argv[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+
+  return { positional, options };
+}
+
+function requireOption(options, name) {
+  if (options[name] === undefined || options[name] === true) {
+    throw new CliError(`Missing required option --${name}`);
+  }
+  return options[name];
+}
+
+function log(message) {
+  console.error(`[sensuq] ${message}`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createClient(options, token) {
+  const baseURL = (options.api || process.env.SENSUQ_API_URL || 'http://localhost:3001/api').replace(/\/+$/, '');
+  const client = axios.create({ baseURL, timeout: 60000 });
+
+  if (token) {
+    client.defaults.headers.common.Authorization = `Bearer ${token}`;
+  }
+
+  client.interceptors.response.use(
+    response => response,
+    error => {
+      const detail = error.response?.data?.error || error.message;
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      return Promise.reject(new CliError(`${error.config?.method?.toUpperCase()} ${error.config?.url} failed${status}: ${detail}`));
+    }
+  );
+
+  return client;
+}
+
+function authenticatedClient(options) {
+  const token = options.token || process.env.SENSUQ_API_TOKEN;
+  if (!token) {
+    throw new CliError('An API token is required. Pass --token or set SENSUQ_API_TOKEN (create one with "sensuq token create").');
+  }
+  return createClient(options, token);
+}
+
+function getWaitSettings(options) {
+  return {
+    deadline: Date.now() + (parseFloat(options.timeout) || 60) * 60 * 1000,
+    interval: (parseFloat(options.interval) || 10) * 1000
+  };
+}
+
+/**
+ * Start a crawl: one test run per credential profile, or one for --role
+ * @returns {Promise<Array<{testRunId: number, role: string|null}>>}
+ */
+async function startCrawl(client, options) {
+  const testConfigId = parseInt(requireOption(options, 'config'));
+  const roles = typeof options.role === 'string' ? [options.role] : undefined;
+  const response = await client.post('/crawler/start', { testConfigId, roles });
+  const runs = response.data.runs || [{ testRunId: response.data.testRunId, role: null }];
+  runs.forEach(run => log(`Crawl started: test run ${run.testRunId}${run.role ? ` as ${run.role}` : ''}`));
+  return runs;
+}
+
+/**
+ * Report file of one test run: with several runs, the role is added before the extension
+ * (results/junit.xml -> results/junit-admin.xml)
+ */
+function getReportFile(file, run, runCount) {
+  if (!file || file === true || runCount === 1) return file;
+  const suffix = String(run.role || `run-${run.testRunId}`).replace(/[^a-zA-Z0-9_-]+/g, '-');
+  const extension = path.extname(file);
+  return `${file.slice(0, file.length - extension.length)}-${suffix}${extension}`;
+}
+
+async function waitForRun(client, testRunId, options) {
+  const { deadline, interval } = getWaitSettings(options);
+  let lastStatus = null;
+
+  while (Date.now() < deadline) {
+    const { data: run } = await client.get(`/crawler/status/${testRunId}`);
+
+    if (run.status !== lastStatus) {
+      log(`Test run ${testRunId} is ${run.status}`);
+      lastStatus = run.status;
+    }
+
+    if (run.status === 'ready_for_execution' || run.status === 'completed') {
+      return run;
+    }
+    if (run.status === 'failed' || run.status === 'cancelled') {
+      throw new CliError(`Test run ${testRunId} ${run.status}${run.error_message ? `: ${run.error_message}` : ''}`);
+    }
+
+    await sleep(interval);
+  }
+
+  throw new CliError(`Timed out waiting for test run ${testRunId} to be ready for execution`);
+}
+
+async function selectTestCases(client, testRunId, options) {
+  const { data: run } = await client.get(`/tests/runs/${testRunId}`);
+  let testCases = run.testCases || [];
+
+  if (options.tests && options.tests !== true) {
+    const ids = String(options.tests).split(',').map(id => parseInt(id.trim())).filter(Boolean);
+    const unknown = ids.filter(id => !testCases.some(testCase => testCase.id === id));
+    if (unknown.length > 0) {
+      throw new CliError(`Test cases not found in run ${testRunId}: ${unknown.join(', ')}`);
+    }
+    testCases = testCases.filter(testCase => ids.includes(testCase.id));
+  }
+
+  if (options.type && options.type !== true) {
+    testCases = testCases.filter(testCase => testCase.test_type === options.type);
+  }
+
+  if (testCases.length === 0) {
+    throw new CliError(`No test cases to execute in test run ${testRunId}`);
+  }
+
+  return testCases.map(testCase => testCase.id);
+}
+
+async function executeTests(client, testRunId, options) {
+  const selectedTestCaseIds = await selectTestCases(client, testRunId, options);
+  const executionName = options.name && options.name !== true ? options.name : `CLI Execution - ${new Date().toISOString()}`;
+
+  const { data } = await client.post(`/crawler/execute/${testRunId}`, { selectedTestCaseIds, executionName });
+  log(`Execution ${data.executionId} started with ${selectedTestCaseIds.length} test cases`);
+
+  const { deadline, interval } = getWaitSettings(options);
+  while (Date.now() < deadline) {
+    const { data: execution } = await client.get(`/tests/executions/${data.executionId}`);
+
+    if (execution.status !== 'running' && execution.status !== 'pending') {
+      return execution;
+    }
+
+    const done = (execution.testCaseResults || []).length;
+    log(`Execution ${data.executionId}: ${done}/${selectedTestCaseIds.length} test cases finished`);
+    await sleep(interval);
+  }
+
+  throw new CliError(`Timed out waiting for execution ${data.executionId} to finish`);
+}
+
+async function reportExecution(client, execution, options) {
+  const results = execution.testCaseResults || [];
+  const count = status => results.filter(result => result.status === status).length;
+
+  for (const result of results) {
+    console.log(`${result.status.toUpperCase().padEnd(7)} ${result.test_name}`);
+    if (result.status === 'failed' && result.error_details) {
+      console.log(`        ${result.error_details.split('\n')[0]}`);
+    }
+  }
+
+  console.log(`\n${results.length} tests: ${count('passed')} passed, ${count('failed')} failed, ${count('flaky')} flaky, ${count('skipped')} skipped`);
+
+  if (options.junit && options.junit !== true) {
+    const outputPath = path.resolve(options.junit);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    const { data: xml } = await client.get(`/reports/executions/${execution.id}/junit`, { responseType: 'text' });
+    fs.writeFileSync(outputPath, xml);
+    log(`JUnit report written to ${outputPath}`);
+  }
+
+  if (options.ctrf && options.ctrf !== true) {
+    const outputPath = path.resolve(options.ctrf);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    const { data: report } = await client.get(`/reports/executions/${execution.id}/ctrf`);
+    fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+    log(`CTRF report written to ${outputPath}`);
+  }
+
+  if (execution.status === 'failed') {
+    log(`Execution ${execution.id} failed`);
+    return EXIT_TESTS_FAILED;
+  }
+
+  return count('failed') > 0 ? EXIT_TESTS_FAILED : EXIT_OK;
+}
+
+async function createToken(options) {
+  const email = requireOption(options, 'email');
+  const password = requireOption(options, 'password');
+  const name = requireOption(options, 'name');
+
+  const { data: login } = await createClient(options).post('/auth/login', { email, password });
+  const { data: token } = await createClient(options, login.token).post('/auth/tokens', { name });
+
+  log(`API token "${token.name}" created. Store it now; it will not be shown again.`);
+  console.log(token.token);
+  return EXIT_OK;
+}
+
+async function main(argv) {
+  const { positional, options } = parseArgs(argv);
+  const [command, subcommand] = positional;
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  switch (command) {
+    case 'crawl': {
+      const client = authenticatedClient(options);
+      const runs = await startCrawl(client, options);
+      if (options.wait) {
+        for (const run of runs) {
+          await waitForRun(client, run.testRunId, options);
+        }
+      }
+      runs.forEach(run => console.log(run.testRunId));
+      return EXIT_OK;
+    }
+    case 'wait': {
+      const client = authenticatedClient(options);
+      await waitForRun(client, requireOption(options, 'run'), options);
+      return EXIT_OK;
+    }
+    case 'run': {
+      const client = authenticatedClient(options);
+      const execution = await executeTests(client, requireOption(options, 'run'), options);
+      return reportExecution(client, execution, options);
+    }
+    case 'ci': {
+      const client = authenticatedClient(options);
+      const runs = await startCrawl(client, options);
+
+      // Every role's run is executed and reported; the worst outcome decides the exit code
+      let exitCode = EXIT_OK;
+      for (const run of runs) {
+        if (runs.length > 1) {
+          console.log(`\nTest run ${run.testRunId}${run.role ? ` (${run.role})` : ''}`);
+        }
+        try {
+          await waitForRun(client, run.testRunId, options);
+          const execution = await executeTests(client, run.testRunId, options);
+          const code = await reportExecution(client, execution, {
+            ...options,
+            junit: getReportFile(options.junit, run, runs.length),
+            ctrf: getReportFile(options.ctrf, run, runs.length)
+          });
+          exitCode = Math.max(exitCode, code);
+        } catch (error) {
+          if (!(error instanceof CliError)) throw error;
+          log(error.message);
+          exitCode = EXIT_ERROR;
+        }
+      }
+      return exitCode;
+    }
+    case 'token':
+      if (subcommand === 'create') {
+        return createToken(options);
+      }
+      throw new CliError(`Unknown token command "${subcommand || ''}"`);
+    case undefined:
+    case 'help':
+      console.log(USAGE);
+      return command ? EXIT_OK : EXIT_ERROR;
+    default:
+      throw new CliError(`Unknown command "${command}"`);
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    log(error instanceof CliError ? error.message : error.stack);
+    if (error instanceof CliError && /Missing required option|Unknown/.test(error.message)) {
+      console.error(`\n${USAGE}`);
+    }
+    process.exit(EXIT_ERROR);
+  });
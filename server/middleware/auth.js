@@ -1,5 +1,32 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { isApiToken, hashApiToken } = require('../utils/apiTokens');
+
+async function authenticateApiToken(token, req, res, next) {
+  try {
+    const result = await pool.query(`
+      SELECT u.id, u.email, u.role, t.id as token_id
+      FROM api_tokens t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.token_hash = $1 AND t.revoked_at IS NULL
+    `, [hashApiToken(token)]);
+
+    if (result.rows.length === 0) {
+      return res.status(403).json({ error: 'Invalid or revoked API token' });
+    }
+
+    const { token_id, ...user } = result.rows[0];
+    pool.query('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [token_id])
+      .catch(error => console.error('Error updating API token usage:', error));
+
+    req.user = user;
+    req.apiTokenId = token_id;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(500).json({ error: 'Authentication error' });
+  }
+}
 
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -9,6 +36,10 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (isApiToken(token)) {
+    return authenticateApiToken(token, req, res, next);
+  }
+
   jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
@@ -36,4 +67,12 @@ function requireAdmin(req, res, next) {
   next();
 }
 
-module.exports = { authenticateToken, requireAdmin };
\ No newline at end of file
+// API tokens cannot manage API tokens, so a leaked token can be contained by revoking it
+function requireSession(req, res, next) {
+  if (req.apiTokenId) {
+    return res.status(403).json({ error: 'API tokens must be managed from a login session' });
+  }
+  next();
+}
+
+module.exports = { authenticateToken, requireAdmin, requireSession };
\ No newline at end of file
@@ -0,0 +1,28 @@
+/*
+  # Cross-Browser Execution Matrix
+
+  ## Overview
+  Test configurations can now declare which browsers (and optional device
+  emulation profiles) the test executor should run every selected test case in.
+
+  ## Changes Made
+
+  ### test_configs table
+  - Added `browser_matrix` - JSONB array of `{ browser, device }` entries
+    - `browser`: one of `chromium`, `firefox`, `webkit`
+    - `device`: optional Playwright device descriptor name (e.g. `iPhone 13`)
+  - Defaults to Chromium only, matching previous behaviour
+
+  ### test_case_executions table
+  - `browser_results` keeps one entry per matrix entry:
+    `{ browser, engine, device, status, executionTime, errorDetails, screenshots, selfHealed }`
+*/
+
+ALTER TABLE test_configs
+ADD COLUMN IF NOT EXISTS browser_matrix JSONB DEFAULT '[{"browser": "chromium"}]'::jsonb;
+
+UPDATE test_configs
+SET browser_matrix = '[{"browser": "chromium"}]'::jsonb
+WHERE browser_matrix IS NULL;
+
+COMMENT ON COLUMN test_configs.browser_matrix IS 'Browsers and device profiles the test executor runs each test case in';
@@ -0,0 +1,20 @@
+/*
+  # Expected vs Actual Values for Test Steps
+
+  1. Changes
+    - Add `expected_value` to test_step_results - the value an assertion step expected
+    - Add `actual_value` to test_step_results - the value observed on the page
+
+  2. Purpose
+    - Assertion steps (assertText, assertCount, assertUrl, ...) now verify real page state
+    - Failed assertions show exactly what was expected and what was found
+*/
+
+ALTER TABLE test_step_results
+ADD COLUMN IF NOT EXISTS expected_value TEXT;
+
+ALTER TABLE test_step_results
+ADD COLUMN IF NOT EXISTS actual_value TEXT;
+
+COMMENT ON COLUMN test_step_results.expected_value IS 'Expected value for assertion steps';
+COMMENT ON COLUMN test_step_results.actual_value IS 'Observed value for assertion steps';
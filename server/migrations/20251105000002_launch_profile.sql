@@ -0,0 +1,26 @@
+/*
+  # Browser Launch Profile
+
+  ## Overview
+  The crawler, browser pool and test executor previously hardcoded a headed
+  Chromium with a 1920x1080 viewport and a Windows Chrome user agent. Test
+  configurations now carry a launch profile that all three honor.
+
+  ## Changes Made
+
+  ### test_configs table
+  - Added `launch_profile` - JSONB object:
+    - `headless`: run browsers without a display
+    - `viewport`: `{ width, height }`
+    - `locale`: e.g. `en-US`
+    - `timezoneId`: IANA timezone, e.g. `Europe/Berlin`
+    - `userAgent`: user agent string
+    - `colorScheme`: `light`, `dark` or `no-preference`
+    - `extraHTTPHeaders`: object of header names to values
+  - NULL means the server defaults (headed unless BROWSER_HEADLESS=true)
+*/
+
+ALTER TABLE test_configs
+ADD COLUMN IF NOT EXISTS launch_profile JSONB;
+
+COMMENT ON COLUMN test_configs.launch_profile IS 'Browser launch and context options shared by crawler, browser pool and test executor';
@@ -0,0 +1,31 @@
+/*
+  # API Tokens
+
+  ## Overview
+  The `sensuq` CLI runs in CI pipelines where the interactive email/password
+  login flow does not fit. Users can create long-lived API tokens that are
+  accepted anywhere a login JWT is.
+
+  ## Changes Made
+
+  ### api_tokens table
+  - `user_id` - owner; requests made with the token act as this user
+  - `name` - label shown when listing tokens
+  - `token_prefix` - first characters of the token, for identification
+  - `token_hash` - SHA-256 of the token; the token itself is never stored
+  - `last_used_at` - updated on each authenticated request
+  - `revoked_at` - set when the token is revoked
+*/
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    token_prefix VARCHAR(20) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
@@ -0,0 +1,42 @@
+/*
+  # Execution-Scoped Step Results
+
+  ## Overview
+  Step results were keyed on (test_case_id, step_index), so every execution and
+  every browser overwrote the previous row. Execution reports (JUnit, CTRF) need
+  the steps of a specific execution for each browser in the matrix.
+
+  ## Changes Made
+
+  ### test_step_results table
+  - Added `test_execution_id` - execution the step ran in (NULL for older rows)
+  - Added `browser` - browser matrix label, e.g. `webkit (iPhone 13)`
+  - Replaced unique constraint `unique_test_step` with
+    `unique_execution_test_step` on (test_case_id, test_execution_id, browser, step_index)
+    (added only once: migrations re-run, and 20251105000013 replaces it with
+    `unique_execution_iteration_test_step`, which rows of dataset iterations would violate)
+*/
+
+ALTER TABLE test_step_results
+ADD COLUMN IF NOT EXISTS test_execution_id INTEGER REFERENCES test_executions(id) ON DELETE CASCADE;
+
+ALTER TABLE test_step_results
+ADD COLUMN IF NOT EXISTS browser VARCHAR(100) NOT NULL DEFAULT '';
+
+ALTER TABLE test_step_results DROP CONSTRAINT IF EXISTS unique_test_step;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'test_step_results'::regclass
+      AND conname IN ('unique_execution_test_step', 'unique_execution_iteration_test_step')
+  ) THEN
+    ALTER TABLE test_step_results
+    ADD CONSTRAINT unique_execution_test_step UNIQUE (test_case_id, test_execution_id, browser, step_index);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_test_step_results_test_execution_id ON test_step_results(test_execution_id);
+
+COMMENT ON COLUMN test_step_results.browser IS 'Browser matrix label the step ran in';
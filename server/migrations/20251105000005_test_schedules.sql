@@ -0,0 +1,54 @@
+/*
+  # Scheduled Crawls and Executions
+
+  ## Overview
+  Cron-style schedules attached to a test configuration. A schedule either starts
+  a new crawl of the configuration or executes a saved selection of test cases
+  from one of its test runs.
+
+  ## Changes Made
+
+  ### test_schedules table
+  - `schedule_type` - `crawl` or `execution`
+  - `test_run_id` - source test run for `execution` schedules
+  - `test_case_ids` - saved test case selection; empty means all test cases of the run
+  - `cron_expression` - 5-field cron expression evaluated in server local time
+  - `enabled` - disabled schedules never fire
+  - `next_run_at` / `last_run_at` - maintained by the scheduler
+
+  ### schedule_runs table
+  - One row per time a schedule fired
+  - `status` - `started`, `skipped` (previous run still active) or `failed`
+  - `test_run_id` / `test_execution_id` - what the schedule started
+*/
+
+CREATE TABLE IF NOT EXISTS test_schedules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    test_config_id INTEGER NOT NULL REFERENCES test_configs(id) ON DELETE CASCADE,
+    schedule_type VARCHAR(20) NOT NULL CHECK (schedule_type IN ('crawl', 'execution')),
+    test_run_id INTEGER REFERENCES test_runs(id) ON DELETE CASCADE,
+    test_case_ids JSONB DEFAULT '[]',
+    cron_expression VARCHAR(100) NOT NULL,
+    enabled BOOLEAN DEFAULT true,
+    next_run_at TIMESTAMP,
+    last_run_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT execution_schedule_has_run CHECK (schedule_type = 'crawl' OR test_run_id IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS schedule_runs (
+    id SERIAL PRIMARY KEY,
+    schedule_id INTEGER NOT NULL REFERENCES test_schedules(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('started', 'skipped', 'failed')),
+    test_run_id INTEGER REFERENCES test_runs(id) ON DELETE SET NULL,
+    test_execution_id INTEGER REFERENCES test_executions(id) ON DELETE SET NULL,
+    message TEXT,
+    fired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_test_schedules_due ON test_schedules(next_run_at) WHERE enabled = true;
+CREATE INDEX IF NOT EXISTS idx_test_schedules_test_config_id ON test_schedules(test_config_id);
+CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule_id ON schedule_runs(schedule_id);
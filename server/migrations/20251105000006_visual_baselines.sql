@@ -0,0 +1,75 @@
+/*
+  # Visual Regression Baselines
+
+  ## Overview
+  Visual regression tests emit `screenshot` and `compareScreenshot` steps. The
+  executor now compares screenshots against an approved baseline per test
+  configuration, page and browser, and saves a diff image with the execution.
+
+  ## Changes Made
+
+  ### test_configs table
+  - Added `visual_settings` - JSONB object:
+    - `threshold`: per-pixel color distance (0-1) below which pixels count as equal
+    - `maxDiffRatio`: share of differing pixels (0-1) a comparison may have and still pass
+    - `ignoreRegions`: list of `{ selector }` or `{ x, y, width, height }` regions excluded from the diff
+  - NULL means the defaults (threshold 0.1, maxDiffRatio 0.001, no ignore regions)
+
+  ### visual_baselines table
+  - One approved baseline per (test_config_id, page_key, browser, name)
+  - `page_key` - page path and query, so baselines survive re-crawls and host changes
+  - `browser` - browser matrix label; each engine and device has its own baseline
+  - `name` - baseline name from the step, for pages with several snapshots
+  - `image_data` - base64 PNG, like test_case_executions.screenshots
+
+  ### visual_comparisons table
+  - One row per compareScreenshot step of an execution and browser
+  - `status` - `passed`, `failed`, `new` (no baseline yet; the screenshot became the baseline)
+    or `approved` (the actual screenshot was approved as the new baseline)
+  - `actual_image` / `diff_image` - base64 PNGs; the diff marks changed pixels in red
+*/
+
+ALTER TABLE test_configs
+ADD COLUMN IF NOT EXISTS visual_settings JSONB;
+
+COMMENT ON COLUMN test_configs.visual_settings IS 'Visual regression threshold, allowed diff ratio and ignore regions';
+
+CREATE TABLE IF NOT EXISTS visual_baselines (
+    id SERIAL PRIMARY KEY,
+    test_config_id INTEGER NOT NULL REFERENCES test_configs(id) ON DELETE CASCADE,
+    page_key TEXT NOT NULL,
+    browser VARCHAR(100) NOT NULL DEFAULT '',
+    name VARCHAR(255) NOT NULL DEFAULT 'default',
+    image_data TEXT NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    source_execution_id INTEGER REFERENCES test_executions(id) ON DELETE SET NULL,
+    approved_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_visual_baseline UNIQUE (test_config_id, page_key, browser, name)
+);
+
+CREATE TABLE IF NOT EXISTS visual_comparisons (
+    id SERIAL PRIMARY KEY,
+    test_execution_id INTEGER NOT NULL REFERENCES test_executions(id) ON DELETE CASCADE,
+    test_case_id INTEGER NOT NULL REFERENCES test_cases(id) ON DELETE CASCADE,
+    baseline_id INTEGER REFERENCES visual_baselines(id) ON DELETE SET NULL,
+    step_index INTEGER NOT NULL,
+    page_key TEXT NOT NULL,
+    browser VARCHAR(100) NOT NULL DEFAULT '',
+    name VARCHAR(255) NOT NULL DEFAULT 'default',
+    status VARCHAR(20) NOT NULL CHECK (status IN ('passed', 'failed', 'new', 'approved')),
+    diff_pixels INTEGER DEFAULT 0,
+    diff_ratio DECIMAL(8,6) DEFAULT 0,
+    threshold DECIMAL(4,3),
+    max_diff_ratio DECIMAL(8,6),
+    size_mismatch BOOLEAN DEFAULT false,
+    actual_image TEXT NOT NULL,
+    diff_image TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_visual_baselines_test_config_id ON visual_baselines(test_config_id);
+CREATE INDEX IF NOT EXISTS idx_visual_comparisons_test_execution_id ON visual_comparisons(test_execution_id);
+CREATE INDEX IF NOT EXISTS idx_visual_comparisons_test_case_id ON visual_comparisons(test_case_id);
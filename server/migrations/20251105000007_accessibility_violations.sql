@@ -0,0 +1,41 @@
+/*
+  # Accessibility Audits
+
+  ## Overview
+  When a test configuration has `include_accessibility`, the crawler runs an
+  axe-core WCAG 2.x A/AA audit on every page it visits and adds an accessibility
+  test case per page. Test executions audit the final page state of each test
+  case, and `auditAccessibility` steps fail on serious or critical violations.
+
+  ## Changes Made
+
+  ### accessibility_violations table
+  - One row per violated axe rule, page and audit
+  - Crawl audits set `test_run_id` and `page_id`
+  - Execution audits also set `test_execution_id`, `test_case_id` and `browser`
+  - `rule_id` - axe rule (e.g. `color-contrast`), `impact` - minor, moderate, serious or critical
+  - `wcag_tags` - WCAG criteria tags of the rule (e.g. `["wcag2aa", "wcag143"]`)
+  - `nodes` - offending elements: `[{ selector, html, failureSummary }]`
+*/
+
+CREATE TABLE IF NOT EXISTS accessibility_violations (
+    id SERIAL PRIMARY KEY,
+    test_run_id INTEGER NOT NULL REFERENCES test_runs(id) ON DELETE CASCADE,
+    page_id INTEGER REFERENCES discovered_pages(id) ON DELETE CASCADE,
+    test_execution_id INTEGER REFERENCES test_executions(id) ON DELETE CASCADE,
+    test_case_id INTEGER REFERENCES test_cases(id) ON DELETE CASCADE,
+    browser VARCHAR(100) NOT NULL DEFAULT '',
+    page_url TEXT NOT NULL,
+    rule_id VARCHAR(100) NOT NULL,
+    impact VARCHAR(20) CHECK (impact IN ('minor', 'moderate', 'serious', 'critical')),
+    description TEXT,
+    help TEXT,
+    help_url TEXT,
+    wcag_tags JSONB DEFAULT '[]',
+    nodes JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_accessibility_violations_test_run_id ON accessibility_violations(test_run_id);
+CREATE INDEX IF NOT EXISTS idx_accessibility_violations_page_id ON accessibility_violations(page_id);
+CREATE INDEX IF NOT EXISTS idx_accessibility_violations_test_execution_id ON accessibility_violations(test_execution_id);
@@ -0,0 +1,60 @@
+/*
+  # Performance Metrics and Budgets
+
+  ## Overview
+  When a test configuration has `include_performance`, the crawler records
+  performance metrics for every page it visits and test executions record them
+  for every test case and browser. A test fails when its metrics exceed one of
+  the configuration's budgets.
+
+  ## Changes Made
+
+  ### test_configs table
+  - Added `performance_budgets` - JSONB object of maximums, all optional:
+    `ttfb`, `domContentLoaded`, `loadTime`, `fcp`, `lcp`, `tbt`, `inp` (ms),
+    `cls` (score), `requestCount` and `transferSize` (bytes)
+  - NULL or `{}` means no budgets
+
+  ### performance_metrics table
+  - One row per crawled page, or per test case and browser of an execution
+  - `page_key` - page path and query (as for visual baselines), for trends across runs
+  - Navigation timing: `ttfb`, `dom_content_loaded`, `load_time` (ms from navigation start)
+  - Web Vitals: `fcp`, `lcp`, `cls`, `tbt` (long tasks after FCP), `inp` (longest interaction);
+    NULL when the browser does not report them
+  - `request_count`, `transfer_size` (bytes) and `resource_counts` (per initiator type)
+  - `budget_violations` - `[{ metric, value, budget, message }]` for exceeded budgets
+*/
+
+ALTER TABLE test_configs
+ADD COLUMN IF NOT EXISTS performance_budgets JSONB;
+
+COMMENT ON COLUMN test_configs.performance_budgets IS 'Maximum values per performance metric; exceeding one fails the test';
+
+CREATE TABLE IF NOT EXISTS performance_metrics (
+    id SERIAL PRIMARY KEY,
+    test_run_id INTEGER NOT NULL REFERENCES test_runs(id) ON DELETE CASCADE,
+    test_config_id INTEGER NOT NULL REFERENCES test_configs(id) ON DELETE CASCADE,
+    page_id INTEGER REFERENCES discovered_pages(id) ON DELETE CASCADE,
+    test_execution_id INTEGER REFERENCES test_executions(id) ON DELETE CASCADE,
+    test_case_id INTEGER REFERENCES test_cases(id) ON DELETE CASCADE,
+    browser VARCHAR(100) NOT NULL DEFAULT '',
+    page_url TEXT NOT NULL,
+    page_key TEXT NOT NULL,
+    ttfb INTEGER,
+    dom_content_loaded INTEGER,
+    load_time INTEGER,
+    fcp INTEGER,
+    lcp INTEGER,
+    cls DECIMAL(8,4),
+    tbt INTEGER,
+    inp INTEGER,
+    request_count INTEGER,
+    transfer_size BIGINT,
+    resource_counts JSONB DEFAULT '{}',
+    budget_violations JSONB DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_performance_metrics_test_run_id ON performance_metrics(test_run_id);
+CREATE INDEX IF NOT EXISTS idx_performance_metrics_test_execution_id ON performance_metrics(test_execution_id);
+CREATE INDEX IF NOT EXISTS idx_performance_metrics_config_page ON performance_metrics(test_config_id, page_key, created_at);
@@ -0,0 +1,35 @@
+/*
+  # Console and Network Diagnostics of Test Executions
+
+  ## Overview
+  Test executions now record uncaught JavaScript exceptions, `console.error`
+  output and failed requests (4xx/5xx responses and network errors) of every
+  test case, attributed to the step that was running. Optional rules of the
+  test configuration fail a test on them.
+
+  ## Changes Made
+
+  ### test_configs table
+  - Added `diagnostic_rules` - JSONB object:
+    - `failOnPageError`: fail tests on uncaught exceptions
+    - `failOnConsoleError`: fail tests on `console.error` output
+    - `failingRequests`: list of `{ url, method? }`; a matching request that fails fails the test.
+      `url` matches anywhere in the request URL, `*` matches any characters
+  - NULL means no rules (diagnostics are recorded but never fail a test)
+
+  ### test_case_executions table
+  - Added `diagnostics` - JSONB list of entries like `screenshots`:
+    `{ browser, step, type, message, url?, method?, status?, stack?, timestamp }`
+    - `type` - `exception`, `console`, `response` (4xx/5xx) or `requestFailed`
+    - `step` - step index, or `setup` (prerequisites and page load), `self-healing` or `cleanup`
+*/
+
+ALTER TABLE test_configs
+ADD COLUMN IF NOT EXISTS diagnostic_rules JSONB;
+
+COMMENT ON COLUMN test_configs.diagnostic_rules IS 'Rules that fail tests on uncaught exceptions, console errors or failing requests';
+
+ALTER TABLE test_case_executions
+ADD COLUMN IF NOT EXISTS diagnostics JSONB DEFAULT '[]';
+
+COMMENT ON COLUMN test_case_executions.diagnostics IS 'Console errors, uncaught exceptions and failed requests per browser and step';
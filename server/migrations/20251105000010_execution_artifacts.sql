@@ -0,0 +1,42 @@
+/*
+  # Trace and Video Recordings of Test Executions
+
+  ## Overview
+  Test executions can record a Playwright trace and/or a video of every test
+  case and browser. Recordings are files on disk (`ARTIFACTS_DIR`, default
+  `server/artifacts`); the database keeps a reference row per file.
+
+  ## Changes Made
+
+  ### test_configs table
+  - Added `recording_settings` - JSONB object `{ trace, video }`, each one of:
+    - `off` - never record
+    - `on` - keep the recording of every test case
+    - `retain-on-failure` - keep recordings of failed test cases only
+  - NULL means both `off`
+
+  ### execution_artifacts table
+  - One row per kept recording of a test case in one browser
+  - `artifact_type` - `trace` (zip for the Playwright trace viewer) or `video` (webm)
+  - `storage_path` - file path relative to the artifact directory
+*/
+
+ALTER TABLE test_configs
+ADD COLUMN IF NOT EXISTS recording_settings JSONB;
+
+COMMENT ON COLUMN test_configs.recording_settings IS 'Trace and video recording modes for test executions';
+
+CREATE TABLE IF NOT EXISTS execution_artifacts (
+    id SERIAL PRIMARY KEY,
+    test_execution_id INTEGER NOT NULL REFERENCES test_executions(id) ON DELETE CASCADE,
+    test_case_id INTEGER NOT NULL REFERENCES test_cases(id) ON DELETE CASCADE,
+    browser VARCHAR(100) NOT NULL DEFAULT '',
+    artifact_type VARCHAR(20) NOT NULL CHECK (artifact_type IN ('trace', 'video')),
+    storage_path TEXT NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_execution_artifacts_test_execution_id ON execution_artifacts(test_execution_id);
@@ -0,0 +1,40 @@
+/*
+  # Artifact Store for Screenshots
+
+  ## Overview
+  Screenshots were stored inline as base64 in `discovered_pages.screenshot_data`
+  and `test_case_executions.screenshots`, which bloated the database and slowed
+  down test run queries. They now live in the artifact store (local filesystem
+  or an S3-compatible bucket, see `ARTIFACT_STORE`) under the SHA-256 of their
+  content, so identical screenshots are stored once.
+
+  Existing rows are moved with `npm run migrate-screenshots`.
+
+  ## Changes Made
+
+  ### artifact_blobs table
+  - One row per stored content: `hash` (SHA-256 hex), `storage_key` in the store,
+    `content_type` and `size_bytes`
+
+  ### discovered_pages table
+  - Added `screenshot_hash` - stored screenshot; `screenshot_data` stays NULL for new pages
+
+  ### test_case_executions table
+  - `screenshots` entries reference their image with `hash` instead of inline base64 `data`
+
+  ### execution_artifacts table
+  - `storage_path` is now the key of the trace or video in the artifact store
+*/
+
+CREATE TABLE IF NOT EXISTS artifact_blobs (
+    hash VARCHAR(64) PRIMARY KEY,
+    storage_key TEXT NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE discovered_pages
+ADD COLUMN IF NOT EXISTS screenshot_hash VARCHAR(64) REFERENCES artifact_blobs(hash);
+
+COMMENT ON COLUMN discovered_pages.screenshot_hash IS 'SHA-256 of the screenshot in the artifact store';
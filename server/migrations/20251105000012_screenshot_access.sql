@@ -0,0 +1,22 @@
+/*
+  # Screenshot Access Control
+
+  ## Overview
+  Screenshot endpoints now require the owner of the test run, or a time-limited
+  signed URL. Checking who may read a stored screenshot looks up the test case
+  executions that reference its hash.
+
+  ## Changes Made
+
+  ### test_case_executions table
+  - Added a GIN index on `screenshots` for `@>` lookups by screenshot hash
+
+  ### discovered_pages table
+  - Added an index on `screenshot_hash`
+*/
+
+CREATE INDEX IF NOT EXISTS idx_test_case_executions_screenshots
+ON test_case_executions USING GIN (screenshots jsonb_path_ops);
+
+CREATE INDEX IF NOT EXISTS idx_discovered_pages_screenshot_hash
+ON discovered_pages(screenshot_hash);
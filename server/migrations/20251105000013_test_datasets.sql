@@ -0,0 +1,66 @@
+/*
+  # Data-Driven Test Cases
+
+  ## Overview
+  A test case can have a parameter dataset (uploaded as CSV or JSON). Its steps
+  reference dataset columns with `{{column}}` placeholders, and executions run
+  the test case once per row. Each run of a row is an iteration with its own
+  result, step results and recordings.
+
+  ## Changes Made
+
+  ### test_datasets table
+  - One dataset per test case: `columns` (JSONB array of names) and `rows`
+    (JSONB array of objects mapping every column to a string)
+  - `source_format` - `csv` or `json`, the format it was uploaded in
+
+  ### test_case_executions table
+  - Added `iteration` - dataset row number starting at 1; 0 for test cases without a dataset
+  - Added `iteration_data` - values of the dataset row
+
+  ### test_step_results table
+  - Added `iteration`, and replaced unique constraint `unique_execution_test_step`
+    with `unique_execution_iteration_test_step` on
+    (test_case_id, test_execution_id, browser, iteration, step_index)
+
+  ### execution_artifacts table
+  - Added `iteration` - dataset row the recording belongs to
+*/
+
+CREATE TABLE IF NOT EXISTS test_datasets (
+    id SERIAL PRIMARY KEY,
+    test_case_id INTEGER NOT NULL UNIQUE REFERENCES test_cases(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    source_format VARCHAR(10) NOT NULL CHECK (source_format IN ('csv', 'json')),
+    columns JSONB NOT NULL DEFAULT '[]',
+    rows JSONB NOT NULL DEFAULT '[]',
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE test_case_executions
+ADD COLUMN IF NOT EXISTS iteration INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE test_case_executions
+ADD COLUMN IF NOT EXISTS iteration_data JSONB;
+
+ALTER TABLE test_step_results
+ADD COLUMN IF NOT EXISTS iteration INTEGER NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'test_step_results'::regclass AND conname = 'unique_execution_iteration_test_step'
+  ) THEN
+    ALTER TABLE test_step_results DROP CONSTRAINT IF EXISTS unique_execution_test_step;
+    ALTER TABLE test_step_results
+    ADD CONSTRAINT unique_execution_iteration_test_step UNIQUE (test_case_id, test_execution_id, browser, iteration, step_index);
+  END IF;
+END $$;
+
+ALTER TABLE execution_artifacts
+ADD COLUMN IF NOT EXISTS iteration INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN test_case_executions.iteration IS 'Dataset row number (from 1), 0 without a dataset';
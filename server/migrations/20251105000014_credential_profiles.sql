@@ -0,0 +1,35 @@
+/*
+  # Credential Profiles and Role-Based Crawling
+
+  ## Overview
+  A test configuration can hold several named credential sets (e.g. admin,
+  editor, viewer). Starting a crawl runs one test run per chosen role, each
+  signing in with that role's credentials, so the pages and test cases it
+  discovers are tagged with the role. Test steps use `{auth_username}` /
+  `{auth_password}` for the credentials of their own role, or
+  `{auth.<role>.username}` / `{auth.<role>.password}` for a specific profile.
+
+  ## Changes Made
+
+  ### test_configs table
+  - No schema change: `credentials` is now encrypted
+    `{ "profiles": [{ "name", "username", "password" }] }`. Credentials saved as
+    a single `{ "username", "password" }` read as one profile named `default`.
+
+  ### test_runs table
+  - Added `role` - credential profile the crawl signed in as; NULL without credentials
+
+  ### discovered_pages table
+  - Added `role` - role the page was discovered as
+
+  ### test_cases table
+  - Added `role` - role the test case was generated for; executions sign in as it
+*/
+
+ALTER TABLE test_runs ADD COLUMN IF NOT EXISTS role VARCHAR(50);
+
+ALTER TABLE discovered_pages ADD COLUMN IF NOT EXISTS role VARCHAR(50);
+
+ALTER TABLE test_cases ADD COLUMN IF NOT EXISTS role VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_test_runs_config_role ON test_runs(test_config_id, role);
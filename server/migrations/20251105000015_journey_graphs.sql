@@ -0,0 +1,30 @@
+/*
+  # Journey Graphs
+
+  ## Overview
+  When a crawl finishes, the journey graph of its test run (the site map built by
+  JourneyMapper from crawl paths) is persisted, so the test run view can show it
+  as a graph: pages as nodes, interactions as edges.
+
+  ## Changes Made
+
+  ### journey_graphs table
+  - One graph per test run, rebuilt when the run is crawled again
+  - `nodes` - pages (real and virtual) with page id, visits, depth, importance score
+    and `stepPath`, the steps that reach the page from the base URL
+  - `edges` - source/target page URLs, how often the crawl followed them and sample interactions
+  - `entry_points`, `goal_pages` - URLs of pages without incoming / outgoing edges
+  - `cycles` - navigation loops, each a list of URLs
+  - `statistics` - page counts, average edges, max depth, most visited pages
+*/
+
+CREATE TABLE IF NOT EXISTS journey_graphs (
+    test_run_id INTEGER PRIMARY KEY REFERENCES test_runs(id) ON DELETE CASCADE,
+    nodes JSONB NOT NULL DEFAULT '[]',
+    edges JSONB NOT NULL DEFAULT '[]',
+    entry_points JSONB NOT NULL DEFAULT '[]',
+    goal_pages JSONB NOT NULL DEFAULT '[]',
+    cycles JSONB NOT NULL DEFAULT '[]',
+    statistics JSONB NOT NULL DEFAULT '{}',
+    built_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,37 @@
+/*
+  # Incremental Crawl
+
+  ## Overview
+  A test configuration can re-crawl incrementally: the crawl is seeded from the
+  previous finished run of the configuration (and role). Known pages are re-visited
+  and fingerprinted; pages whose DOM or screenshot did not change keep the previous
+  run's interactive elements, interaction scenarios and test cases instead of
+  going through vision analysis and scenario generation again.
+
+  ## Changes Made
+
+  ### test_configs table
+  - Added `incremental_crawl` - reuse the previous run's knowledge for unchanged pages
+
+  ### test_runs table
+  - Added `base_test_run_id` - run an incremental crawl was seeded from
+
+  ### discovered_pages table
+  - Added `dom_hash` - SHA-256 of the page source without scripts, styles and comments
+  - Added `reused_from_page_id` - page of the base run whose analysis and test cases were carried forward
+*/
+
+ALTER TABLE test_configs
+ADD COLUMN IF NOT EXISTS incremental_crawl BOOLEAN DEFAULT false;
+
+ALTER TABLE test_runs
+ADD COLUMN IF NOT EXISTS base_test_run_id INTEGER REFERENCES test_runs(id) ON DELETE SET NULL;
+
+ALTER TABLE discovered_pages
+ADD COLUMN IF NOT EXISTS dom_hash VARCHAR(64);
+
+ALTER TABLE discovered_pages
+ADD COLUMN IF NOT EXISTS reused_from_page_id INTEGER REFERENCES discovered_pages(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN discovered_pages.dom_hash IS 'SHA-256 of the normalized page source, compared by incremental crawls';
+COMMENT ON COLUMN discovered_pages.reused_from_page_id IS 'Unchanged page of the base run whose analysis was reused';
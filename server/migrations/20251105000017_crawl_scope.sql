@@ -0,0 +1,23 @@
+/*
+  # Crawl Scope
+
+  ## Overview
+  Besides max depth and max pages, a test configuration can limit which URLs the
+  crawler visits and which elements it never clicks. The rules apply to link
+  discovery and to interaction scenarios.
+
+  ## Changes Made
+
+  ### test_configs table
+  - Added `crawl_scope` - JSONB with
+    - `includePatterns`, `excludePatterns` - URL globs or `/regex/` patterns
+    - `allowedDomains`, `allowSubdomains` - hosts the crawl may visit (the target URL's host when empty)
+    - `ignoreQueryParams` - query parameters (names or globs) removed from discovered URLs
+    - `neverClick` - `{ selector }` or `{ text }` rules for elements that are never clicked
+      (logout, delete account, pay, ...); NULL applies the default logout/delete-account rules
+*/
+
+ALTER TABLE test_configs
+ADD COLUMN IF NOT EXISTS crawl_scope JSONB;
+
+COMMENT ON COLUMN test_configs.crawl_scope IS 'URL include/exclude patterns, allowed domains, ignored query parameters and never-click rules';
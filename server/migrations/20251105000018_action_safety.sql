@@ -0,0 +1,53 @@
+/*
+  # Destructive-Action Safety
+
+  ## Overview
+  Before the crawler clicks an element, during link discovery or while executing an
+  interaction scenario, the action is classified (keyword heuristics, then the LLM
+  for actions the heuristics can't decide). Destructive actions (delete, deactivate,
+  ...) and irreversible ones (pay, send, publish, ...) are not performed unless the
+  configuration runs in sandbox mode. Every action the crawler does not perform,
+  including never-click rule matches, is logged to the test run.
+
+  ## Changes Made
+
+  ### test_configs table
+  - Added `safety_mode`
+    - `approval` (default) - blocked actions wait for approval; approved actions are
+      performed by later crawls of the configuration
+    - `skip` - blocked actions are skipped
+    - `sandbox` - everything is performed (disposable test environments)
+
+  ### crawl_blocked_actions table
+  - One row per action the crawler did not perform
+  - `source` - `link_discovery` or `scenario`
+  - `classification` - `destructive`, `irreversible` or `never_click`
+  - `classified_by` - `heuristic`, `llm` or `rule` (never-click rule)
+  - `status` - `skipped`, `pending_approval`, `approved` or `rejected`
+*/
+
+ALTER TABLE test_configs
+ADD COLUMN IF NOT EXISTS safety_mode VARCHAR(20) NOT NULL DEFAULT 'approval'
+CHECK (safety_mode IN ('approval', 'skip', 'sandbox'));
+
+CREATE TABLE IF NOT EXISTS crawl_blocked_actions (
+    id SERIAL PRIMARY KEY,
+    test_run_id INTEGER NOT NULL REFERENCES test_runs(id) ON DELETE CASCADE,
+    page_id INTEGER REFERENCES discovered_pages(id) ON DELETE SET NULL,
+    page_url TEXT NOT NULL,
+    selector TEXT,
+    element_text TEXT,
+    element_type VARCHAR(50),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('link_discovery', 'scenario')),
+    classification VARCHAR(20) NOT NULL CHECK (classification IN ('destructive', 'irreversible', 'never_click')),
+    reason TEXT,
+    classified_by VARCHAR(20) NOT NULL CHECK (classified_by IN ('heuristic', 'llm', 'rule')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('skipped', 'pending_approval', 'approved', 'rejected')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP,
+    reviewed_by INTEGER REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_crawl_blocked_actions_test_run ON crawl_blocked_actions(test_run_id);
+
+COMMENT ON COLUMN test_configs.safety_mode IS 'approval, skip or sandbox: how the crawler handles destructive and irreversible actions';
@@ -0,0 +1,36 @@
+/*
+  # Visual Regression Images in the Artifact Store
+
+  ## Overview
+  Baseline, actual and diff images of visual regression were stored inline as
+  base64, like screenshots before the artifact store. They now live in the
+  artifact store under the SHA-256 of their content; the database keeps the hash.
+
+  Existing rows are moved with `npm run migrate-screenshots`.
+
+  ## Changes Made
+
+  ### visual_baselines table
+  - Added `image_hash` - stored baseline image; `image_data` stays NULL for new baselines
+
+  ### visual_comparisons table
+  - Added `actual_image_hash`, `diff_image_hash` - stored actual and diff images;
+    `actual_image` and `diff_image` stay NULL for new comparisons
+*/
+
+ALTER TABLE visual_baselines
+ADD COLUMN IF NOT EXISTS image_hash VARCHAR(64) REFERENCES artifact_blobs(hash);
+
+ALTER TABLE visual_baselines ALTER COLUMN image_data DROP NOT NULL;
+
+ALTER TABLE visual_comparisons
+ADD COLUMN IF NOT EXISTS actual_image_hash VARCHAR(64) REFERENCES artifact_blobs(hash);
+
+ALTER TABLE visual_comparisons
+ADD COLUMN IF NOT EXISTS diff_image_hash VARCHAR(64) REFERENCES artifact_blobs(hash);
+
+ALTER TABLE visual_comparisons ALTER COLUMN actual_image DROP NOT NULL;
+
+COMMENT ON COLUMN visual_baselines.image_hash IS 'SHA-256 of the baseline image in the artifact store';
+COMMENT ON COLUMN visual_comparisons.actual_image_hash IS 'SHA-256 of the actual screenshot in the artifact store';
+COMMENT ON COLUMN visual_comparisons.diff_image_hash IS 'SHA-256 of the diff image in the artifact store';
@@ -0,0 +1,63 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { openArtifact } = require('../services/executionArtifacts');
+
+const router = express.Router();
+
+// Trace and video recordings of an execution
+router.get('/executions/:executionId', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ea.id, ea.test_case_id, ea.iteration, ea.browser, ea.artifact_type, ea.file_name, ea.content_type, ea.size_bytes, ea.created_at
+      FROM execution_artifacts ea
+      JOIN test_executions te ON ea.test_execution_id = te.id
+      JOIN test_runs tr ON te.test_run_id = tr.id
+      JOIN test_configs tc ON tr.test_config_id = tc.id
+      WHERE ea.test_execution_id = $1 AND tc.created_by = $2
+      ORDER BY ea.test_case_id, ea.iteration, ea.browser, ea.artifact_type
+    `, [req.params.executionId, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching execution artifacts:', error);
+    res.status(500).json({ error: 'Failed to fetch execution artifacts' });
+  }
+});
+
+// Download a recording (traces open with `npx playwright show-trace <file>` or trace.playwright.dev)
+router.get('/:id/download', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ea.*
+      FROM execution_artifacts ea
+      JOIN test_executions te ON ea.test_execution_id = te.id
+      JOIN test_runs tr ON te.test_run_id = tr.id
+      JOIN test_configs tc ON tr.test_config_id = tc.id
+      WHERE ea.id = $1 AND tc.created_by = $2
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    const artifact = result.rows[0];
+    const file = await openArtifact(artifact);
+    if (!file) {
+      return res.status(404).json({ error: 'Artifact file not found' });
+    }
+
+    res.setHeader('Content-Type', artifact.content_type);
+    res.setHeader('Content-Disposition', `attachment; filename="${artifact.file_name}"`);
+    if (file.size) res.setHeader('Content-Length', file.size);
+    file.stream.on('error', error => {
+      console.error('Error streaming artifact:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading artifact:', error);
+    res.status(500).json({ error: 'Failed to download artifact' });
+  }
+});
+
+module.exports = router;
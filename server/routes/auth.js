@@ -2,6 +2,8 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { generateApiToken } = require('../utils/apiTokens');
 
 const router = express.Router();
 
@@ -85,4 +87,66 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// List API tokens for the current user
+router.get('/tokens', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, token_prefix, last_used_at, revoked_at, created_at
+      FROM api_tokens
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `, [req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
+  }
+});
+
+// Create an API token for CLI/CI use. The token is only returned once.
+router.post('/tokens', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Token name is required' });
+    }
+
+    const { token, prefix, hash } = generateApiToken();
+
+    const result = await pool.query(`
+      INSERT INTO api_tokens (user_id, name, token_prefix, token_hash)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, name, token_prefix, created_at
+    `, [req.user.id, String(name).trim(), prefix, hash]);
+
+    res.status(201).json({ ...result.rows[0], token });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+// Revoke an API token
+router.delete('/tokens/:id', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE api_tokens
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ message: 'API token revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,17 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { encrypt, decrypt } = require('../utils/encryption');
+const { encrypt } = require('../utils/encryption');
 const { requireAdmin } = require('../middleware/auth');
+const { devices } = require('playwright');
+const { SUPPORTED_BROWSERS, normalizeBrowserMatrix } = require('../utils/browserMatrix');
+const { COLOR_SCHEMES, normalizeLaunchProfile } = require('../utils/launchProfile');
+const { normalizeVisualSettings } = require('../utils/visualSettings');
+const { normalizePerformanceBudgets } = require('../utils/performanceBudgets');
+const { normalizeDiagnosticRules } = require('../utils/pageDiagnostics');
+const { normalizeRecordingSettings } = require('../utils/recordingSettings');
+const { normalizeCredentialProfiles, decryptCredentialProfiles } = require('../utils/credentialProfiles');
+const { normalizeCrawlScope } = require('../utils/crawlScope');
+const { normalizeSafetyMode } = require('../utils/actionSafety');
 
 const router = express.Router();
 
@@ -90,6 +100,20 @@ router.delete('/llm/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// Get browsers and device profiles available for the execution matrix
+router.get('/browsers', async (req, res) => {
+  try {
+    res.json({
+      browsers: SUPPORTED_BROWSERS,
+      devices: Object.keys(devices).filter(name => !name.endsWith(' landscape')),
+      colorSchemes: COLOR_SCHEMES
+    });
+  } catch (error) {
+    console.error('Error fetching browser options:', error);
+    res.status(500).json({ error: 'Failed to fetch browser options' });
+  }
+});
+
 // Get test configurations
 router.get('/test', async (req, res) => {
   try {
@@ -101,10 +125,15 @@ router.get('/test', async (req, res) => {
       ORDER BY tc.created_at DESC
     `, [req.user.id]);
 
-    const configs = result.rows.map(config => ({
-      ...config,
-      credentials: config.credentials ? JSON.parse(decrypt(config.credentials)) : null
-    }));
+    const configs = result.rows.map(config => {
+      let profiles = [];
+      try {
+        profiles = decryptCredentialProfiles(config.credentials);
+      } catch (error) {
+        console.error(`Error decrypting credentials of test config ${config.id}:`, error);
+      }
+      return { ...config, credentials: profiles.length > 0 ? { profiles } : null };
+    });
 
     res.json(configs);
   } catch (error) {
@@ -116,13 +145,38 @@ router.get('/test', async (req, res) => {
 // Create test configuration
 router.post('/test', async (req, res) => {
   try {
-    const { name, targetUrl, businessContext, credentials, maxDepth, maxPages, includeAccessibility, includePerformance, llmConfigId, testGenerationDepth } = req.body;
+    const { name, targetUrl, businessContext, credentials, maxDepth, maxPages, includeAccessibility, includePerformance, llmConfigId, testGenerationDepth, browserMatrix, launchProfile, visualSettings, performanceBudgets, diagnosticRules, recordingSettings, incrementalCrawl, crawlScope, safetyMode } = req.body;
 
     if (!name || !targetUrl) {
       return res.status(400).json({ error: 'Name and target URL are required' });
     }
 
-    const encryptedCredentials = credentials ? encrypt(JSON.stringify(credentials)) : null;
+    let validatedBrowserMatrix;
+    let validatedLaunchProfile;
+    let validatedVisualSettings;
+    let validatedPerformanceBudgets;
+    let validatedDiagnosticRules;
+    let validatedRecordingSettings;
+    let validatedCrawlScope;
+    let validatedSafetyMode;
+    let credentialProfiles;
+    try {
+      validatedBrowserMatrix = normalizeBrowserMatrix(browserMatrix);
+      validatedLaunchProfile = normalizeLaunchProfile(launchProfile);
+      validatedVisualSettings = normalizeVisualSettings(visualSettings);
+      validatedPerformanceBudgets = normalizePerformanceBudgets(performanceBudgets);
+      validatedDiagnosticRules = normalizeDiagnosticRules(diagnosticRules);
+      validatedRecordingSettings = normalizeRecordingSettings(recordingSettings);
+      validatedCrawlScope = normalizeCrawlScope(crawlScope);
+      validatedSafetyMode = normalizeSafetyMode(safetyMode);
+      credentialProfiles = normalizeCredentialProfiles(credentials);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const encryptedCredentials = credentialProfiles.length > 0
+      ? encrypt(JSON.stringify({ profiles: credentialProfiles }))
+      : null;
 
     // Validate and convert numeric fields
     const validatedMaxDepth = maxDepth && maxDepth !== '' ? parseInt(maxDepth) : 3;
@@ -132,11 +186,17 @@ router.post('/test', async (req, res) => {
 
     const result = await pool.query(`
       INSERT INTO test_configs (name, target_url, business_context, credentials, max_depth, max_pages, 
-                               include_accessibility, include_performance, llm_config_id, created_by, test_generation_depth)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                               include_accessibility, include_performance, llm_config_id, created_by, test_generation_depth,
+                               browser_matrix, launch_profile, visual_settings, performance_budgets, diagnostic_rules,
+                               recording_settings, incremental_crawl, crawl_scope, safety_mode)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
       RETURNING *
     `, [name, targetUrl, businessContext, encryptedCredentials, validatedMaxDepth, validatedMaxPages, 
-        includeAccessibility !== false, includePerformance !== false, validatedLlmConfigId, req.user.id, validatedTestGenerationDepth]);
+        includeAccessibility !== false, includePerformance !== false, validatedLlmConfigId, req.user.id, validatedTestGenerationDepth,
+        JSON.stringify(validatedBrowserMatrix), JSON.stringify(validatedLaunchProfile), JSON.stringify(validatedVisualSettings),
+        JSON.stringify(validatedPerformanceBudgets), JSON.stringify(validatedDiagnosticRules),
+        JSON.stringify(validatedRecordingSettings), incrementalCrawl === true, JSON.stringify(validatedCrawlScope),
+        validatedSafetyMode]);
 
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -149,13 +209,38 @@ router.post('/test', async (req, res) => {
 router.put('/test/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, targetUrl, businessContext, credentials, maxDepth, maxPages, includeAccessibility, includePerformance, llmConfigId, testGenerationDepth } = req.body;
+    const { name, targetUrl, businessContext, credentials, maxDepth, maxPages, includeAccessibility, includePerformance, llmConfigId, testGenerationDepth, browserMatrix, launchProfile, visualSettings, performanceBudgets, diagnosticRules, recordingSettings, incrementalCrawl, crawlScope, safetyMode } = req.body;
 
     if (!name || !targetUrl) {
       return res.status(400).json({ error: 'Name and target URL are required' });
     }
 
-    const encryptedCredentials = credentials ? encrypt(JSON.stringify(credentials)) : null;
+    let validatedBrowserMatrix;
+    let validatedLaunchProfile;
+    let validatedVisualSettings;
+    let validatedPerformanceBudgets;
+    let validatedDiagnosticRules;
+    let validatedRecordingSettings;
+    let validatedCrawlScope;
+    let validatedSafetyMode;
+    let credentialProfiles;
+    try {
+      validatedBrowserMatrix = normalizeBrowserMatrix(browserMatrix);
+      validatedLaunchProfile = normalizeLaunchProfile(launchProfile);
+      validatedVisualSettings = normalizeVisualSettings(visualSettings);
+      validatedPerformanceBudgets = normalizePerformanceBudgets(performanceBudgets);
+      validatedDiagnosticRules = normalizeDiagnosticRules(diagnosticRules);
+      validatedRecordingSettings = normalizeRecordingSettings(recordingSettings);
+      validatedCrawlScope = normalizeCrawlScope(crawlScope);
+      validatedSafetyMode = normalizeSafetyMode(safetyMode);
+      credentialProfiles = normalizeCredentialProfiles(credentials);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const encryptedCredentials = credentialProfiles.length > 0
+      ? encrypt(JSON.stringify({ profiles: credentialProfiles }))
+      : null;
 
     const validatedMaxDepth = maxDepth && maxDepth !== '' ? parseInt(maxDepth) : 3;
     const validatedMaxPages = maxPages && maxPages !== '' ? parseInt(maxPages) : 50;
@@ -166,12 +251,17 @@ router.put('/test/:id', async (req, res) => {
       UPDATE test_configs
       SET name = $1, target_url = $2, business_context = $3, credentials = $4, max_depth = $5,
           max_pages = $6, include_accessibility = $7, include_performance = $8, llm_config_id = $9,
-          test_generation_depth = $10, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $11 AND created_by = $12
+          test_generation_depth = $10, browser_matrix = $11, launch_profile = $12, visual_settings = $13,
+          performance_budgets = $14, diagnostic_rules = $15, recording_settings = $16, incremental_crawl = $17,
+          crawl_scope = $18, safety_mode = $19, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $20 AND created_by = $21
       RETURNING *
     `, [name, targetUrl, businessContext, encryptedCredentials, validatedMaxDepth, validatedMaxPages,
         includeAccessibility !== false, includePerformance !== false, validatedLlmConfigId,
-        validatedTestGenerationDepth, id, req.user.id]);
+        validatedTestGenerationDepth, JSON.stringify(validatedBrowserMatrix), JSON.stringify(validatedLaunchProfile),
+        JSON.stringify(validatedVisualSettings), JSON.stringify(validatedPerformanceBudgets),
+        JSON.stringify(validatedDiagnosticRules), JSON.stringify(validatedRecordingSettings), incrementalCrawl === true,
+        JSON.stringify(validatedCrawlScope), validatedSafetyMode, id, req.user.id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Test configuration not found' });
@@ -1,90 +1,40 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { AutonomousCrawler } = require('../services/autonomousCrawler');
-const { decrypt } = require('../utils/encryption');
+const { loadCrawlerSettings, startCrawls, resumeCrawl } = require('../services/crawlerLauncher');
 
 const router = express.Router();
 
 // Start crawling
 router.post('/start', async (req, res) => {
   try {
-    const { testConfigId } = req.body;
+    const { testConfigId, roles = [] } = req.body;
 
     if (!testConfigId) {
       return res.status(400).json({ error: 'Test configuration ID is required' });
     }
 
-    // Get test configuration
-    const configResult = await pool.query(`
-      SELECT tc.*, lc.api_key, lc.api_url, lc.provider, lc.model_name
-      FROM test_configs tc
-      LEFT JOIN llm_configs lc ON tc.llm_config_id = lc.id
-      WHERE tc.id = $1 AND tc.created_by = $2
-    `, [testConfigId, req.user.id]);
+    if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string')) {
+      return res.status(400).json({ error: 'Roles must be a list of credential profile names' });
+    }
+
+    const settings = await loadCrawlerSettings(testConfigId, req.user.id);
 
-    if (configResult.rows.length === 0) {
+    if (!settings) {
       return res.status(404).json({ error: 'Test configuration not found' });
     }
 
-    let auth_username = null;
-    let auth_password = null;
-
-    if (configResult.rows[0].credentials) {
-      try {
-        const decryptedCreds = decrypt(configResult.rows[0].credentials);
-        if (decryptedCreds) {
-          const creds = JSON.parse(decryptedCreds);
-          auth_username = creds.username || creds.email;
-          auth_password = creds.password;
-        }
-      } catch (error) {
-        console.error('Error decrypting credentials:', error);
-      }
+    const unknownRoles = roles.filter(role => !settings.roles.includes(role));
+    if (unknownRoles.length > 0) {
+      return res.status(400).json({ error: `Unknown credential profiles: ${unknownRoles.join(', ')}` });
     }
 
-    const testConfig = {
-      target_url: configResult.rows[0].target_url,
-      max_depth: configResult.rows[0].max_depth || 3,
-      max_pages: configResult.rows[0].max_pages || 50,
-      credentials: configResult.rows[0].credentials,
-      auth_username,
-      auth_password
-    };
-
-    const llmConfig = {
-      provider: configResult.rows[0].provider,
-      api_key: configResult.rows[0].api_key,
-      api_url: configResult.rows[0].api_url,
-      model_name: configResult.rows[0].model_name
-    };
-
-    // Create test run
-    const runResult = await pool.query(`
-      INSERT INTO test_runs (test_config_id, status, created_by)
-      VALUES ($1, 'running', $2)
-      RETURNING id
-    `, [testConfigId, req.user.id]);
-
-    const testRunId = runResult.rows[0].id;
-
-    // Start autonomous crawler
-    const crawler = new AutonomousCrawler(testRunId, testConfig, llmConfig, req.io);
-    global.activeCrawlers.set(testRunId, crawler);
-
-    // Start crawling in background
-    crawler.start().catch(error => {
-      console.error(`Crawler error for test run ${testRunId}:`, error);
-      pool.query(`
-        UPDATE test_runs
-        SET status = 'failed', error_message = $1, end_time = CURRENT_TIMESTAMP
-        WHERE id = $2
-      `, [error.message, testRunId]);
-      global.activeCrawlers.delete(testRunId);
-    });
+    // One test run per role (every credential profile when none are chosen), crawled in background
+    const runs = await startCrawls(testConfigId, { createdBy: req.user.id, ownerId: req.user.id, roles }, req.io);
 
     res.json({ 
-      message: 'Crawling started successfully',
-      testRunId: testRunId
+      message: runs.length > 1 ? `Crawling started for ${runs.length} roles` : 'Crawling started successfully',
+      testRunId: runs[0].testRunId,
+      runs
     });
   } catch (error) {
     console.error('Error starting crawler:', error);
@@ -148,11 +98,30 @@ router.post('/resume/:testRunId', async (req, res) => {
     const crawler = global.activeCrawlers.get(parseInt(testRunId));
     if (crawler) {
       await crawler.resume();
-      res.json({ message: 'Crawling resumed successfully' });
-    } else {
-      // Crawler not in memory, need to restart it
-      res.status(400).json({ error: 'Crawler session has expired. Please start a new crawl.' });
+      return res.json({ message: 'Crawling resumed successfully' });
     }
+
+    // Crawler not in memory (e.g. after a server restart): rehydrate it from the persisted queue
+    const runResult = await pool.query(`
+      SELECT status, test_config_id, role, base_test_run_id FROM test_runs
+      WHERE id = $1 AND created_by = $2
+    `, [testRunId, req.user.id]);
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Test run not found' });
+    }
+
+    const { status, test_config_id, role, base_test_run_id } = runResult.rows[0];
+    if (status !== 'paused' && status !== 'running') {
+      return res.status(400).json({ error: `Cannot resume a test run with status "${status}"` });
+    }
+
+    const resumed = await resumeCrawl(parseInt(testRunId), test_config_id, req.io, role, base_test_run_id);
+    if (!resumed) {
+      return res.status(400).json({ error: 'Test configuration no longer exists. Please start a new crawl.' });
+    }
+
+    res.json({ message: 'Crawling resumed successfully' });
   } catch (error) {
     console.error('Error resuming crawler:', error);
     res.status(500).json({ error: 'Failed to resume crawling' });
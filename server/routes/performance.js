@@ -0,0 +1,89 @@
+const express = require('express');
+const { pool } = require('../config/database');
+
+const router = express.Router();
+
+const METRIC_COLUMNS = `pm.ttfb, pm.dom_content_loaded, pm.load_time, pm.fcp, pm.lcp, pm.cls, pm.tbt, pm.inp,
+       pm.request_count, pm.transfer_size, pm.resource_counts, pm.budget_violations`;
+
+// Pages of a test configuration with recorded metrics
+router.get('/pages', async (req, res) => {
+  try {
+    const { testConfigId } = req.query;
+    if (!testConfigId) {
+      return res.status(400).json({ error: 'testConfigId is required' });
+    }
+
+    const result = await pool.query(`
+      SELECT pm.page_key, COUNT(*)::int as samples, MAX(pm.created_at) as last_measured_at,
+             COUNT(*) FILTER (WHERE jsonb_array_length(pm.budget_violations) > 0)::int as over_budget
+      FROM performance_metrics pm
+      JOIN test_configs tc ON pm.test_config_id = tc.id
+      WHERE pm.test_config_id = $1 AND tc.created_by = $2
+      GROUP BY pm.page_key
+      ORDER BY pm.page_key
+    `, [testConfigId, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching performance pages:', error);
+    res.status(500).json({ error: 'Failed to fetch performance pages' });
+  }
+});
+
+// Metrics of one page over time (latest 200 measurements, oldest first)
+router.get('/trend', async (req, res) => {
+  try {
+    const { testConfigId, pageKey, browser } = req.query;
+    if (!testConfigId || !pageKey) {
+      return res.status(400).json({ error: 'testConfigId and pageKey are required' });
+    }
+
+    const params = [testConfigId, pageKey, req.user.id];
+    if (browser) params.push(browser);
+
+    const result = await pool.query(`
+      SELECT * FROM (
+        SELECT pm.id, pm.test_run_id, pm.test_execution_id, pm.test_case_id, pm.browser, pm.page_url, pm.created_at,
+               ${METRIC_COLUMNS}
+        FROM performance_metrics pm
+        JOIN test_configs tc ON pm.test_config_id = tc.id
+        WHERE pm.test_config_id = $1 AND pm.page_key = $2 AND tc.created_by = $3
+          ${browser ? 'AND pm.browser = $4' : ''}
+        ORDER BY pm.created_at DESC
+        LIMIT 200
+      ) latest
+      ORDER BY created_at
+    `, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching performance trend:', error);
+    res.status(500).json({ error: 'Failed to fetch performance trend' });
+  }
+});
+
+// Metrics of a test run: recorded while crawling, or by one execution with ?executionId=
+router.get('/runs/:testRunId', async (req, res) => {
+  try {
+    const { testRunId } = req.params;
+    const { executionId } = req.query;
+
+    const result = await pool.query(`
+      SELECT pm.id, pm.page_id, pm.test_execution_id, pm.test_case_id, pm.browser, pm.page_url, pm.page_key, pm.created_at,
+             ${METRIC_COLUMNS}
+      FROM performance_metrics pm
+      JOIN test_runs tr ON pm.test_run_id = tr.id
+      WHERE pm.test_run_id = $1 AND tr.created_by = $2
+        AND ${executionId ? 'pm.test_execution_id = $3' : 'pm.test_execution_id IS NULL'}
+      ORDER BY pm.page_key, pm.test_case_id, pm.browser
+    `, executionId ? [testRunId, req.user.id, executionId] : [testRunId, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching performance metrics:', error);
+    res.status(500).json({ error: 'Failed to fetch performance metrics' });
+  }
+});
+
+module.exports = router;
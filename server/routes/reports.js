@@ -1,9 +1,96 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { generatePDFReport, generateJSONReport } = require('../services/reportGenerator');
+const {
+  generatePDFReport,
+  generateJSONReport,
+  generateJUnitReport,
+  generateCTRFReport,
+  generateHTMLReport
+} = require('../services/reportGenerator');
+const { generatePlaywrightProject } = require('../services/playwrightProjectExporter');
+const { createZip } = require('../utils/zipWriter');
+const { inlineScreenshots, readBlobBase64 } = require('../services/artifactStore');
 
 const router = express.Router();
 
+/**
+ * Accessibility violations the crawl of a test run found, per page
+ */
+async function loadCrawlAccessibilityViolations(testRunId) {
+  const result = await pool.query(`
+    SELECT * FROM accessibility_violations
+    WHERE test_run_id = $1 AND test_execution_id IS NULL
+    ORDER BY page_id, id
+  `, [testRunId]);
+  return result.rows;
+}
+
+/**
+ * Load an execution with its test case results and step results, scoped to the user
+ * @param {boolean} includeScreenshots - Also load step screenshots as base64 from the artifact store (large)
+ * @returns {Promise<object|null>} - { execution, testCaseResults, stepResults, accessibilityViolations } or null if not found
+ */
+async function loadExecutionReportData(executionId, userId, includeScreenshots = false) {
+  const executionResult = await pool.query(`
+    SELECT te.*, tc.name as config_name, tc.target_url
+    FROM test_executions te
+    JOIN test_runs tr ON te.test_run_id = tr.id
+    JOIN test_configs tc ON tr.test_config_id = tc.id
+    WHERE te.id = $1 AND tr.created_by = $2
+  `, [executionId, userId]);
+
+  if (executionResult.rows.length === 0) {
+    return null;
+  }
+
+  const testCaseResults = await pool.query(`
+    SELECT tce.id, tce.test_execution_id, tce.test_case_id, tce.status, tce.start_time, tce.end_time,
+           tce.execution_time, tce.browser_results, tce.error_details, tce.self_healed, tce.retry_count,
+           tce.iteration, tce.iteration_data,
+           ${includeScreenshots ? 'tce.screenshots,' : ''}
+           tc.test_name, tc.test_description, tc.test_type, tc.expected_result, tc.test_steps,
+           dp.url as page_url, dp.screen_name as page_name
+    FROM test_case_executions tce
+    JOIN test_cases tc ON tce.test_case_id = tc.id
+    LEFT JOIN discovered_pages dp ON tc.page_id = dp.id
+    WHERE tce.test_execution_id = $1
+    ORDER BY tce.executed_at, tce.iteration
+  `, [executionId]);
+
+  // Each dataset row of a data-driven test case is its own test in the reports
+  for (const result of testCaseResults.rows) {
+    if (result.iteration) {
+      result.test_name = `${result.test_name} [row ${result.iteration}]`;
+    }
+  }
+
+  const stepResults = await pool.query(`
+    SELECT * FROM test_step_results
+    WHERE test_execution_id = $1
+    ORDER BY test_case_id, iteration, browser, step_index
+  `, [executionId]);
+
+  const accessibilityViolations = await pool.query(`
+    SELECT * FROM accessibility_violations
+    WHERE test_execution_id = $1
+    ORDER BY test_case_id, browser, id
+  `, [executionId]);
+
+  if (includeScreenshots) {
+    for (const result of testCaseResults.rows) {
+      const screenshots = typeof result.screenshots === 'string' ? JSON.parse(result.screenshots) : result.screenshots;
+      result.screenshots = await inlineScreenshots(screenshots);
+    }
+  }
+
+  return {
+    execution: executionResult.rows[0],
+    testCaseResults: testCaseResults.rows,
+    stepResults: stepResults.rows,
+    accessibilityViolations: accessibilityViolations.rows
+  };
+}
+
 // Generate and download PDF report
 router.get('/pdf/:testRunId', async (req, res) => {
   try {
@@ -30,7 +117,9 @@ router.get('/pdf/:testRunId', async (req, res) => {
       ORDER BY executed_at
     `, [testRunId]);
 
-    const pdfBuffer = await generatePDFReport(testRun, casesResult.rows);
+    const accessibilityViolations = await loadCrawlAccessibilityViolations(testRunId);
+
+    const pdfBuffer = await generatePDFReport(testRun, casesResult.rows, accessibilityViolations);
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="test-report-${testRunId}.pdf"`);
@@ -67,6 +156,13 @@ router.get('/json/:testRunId', async (req, res) => {
       ORDER BY discovered_at
     `, [testRunId]);
 
+    // The JSON report embeds page screenshots
+    for (const page of pagesResult.rows) {
+      if (!page.screenshot_data && page.screenshot_hash) {
+        page.screenshot_data = await readBlobBase64(page.screenshot_hash);
+      }
+    }
+
     // Get test cases
     const casesResult = await pool.query(`
       SELECT * FROM test_cases 
@@ -74,7 +170,9 @@ router.get('/json/:testRunId', async (req, res) => {
       ORDER BY executed_at
     `, [testRunId]);
 
-    const jsonReport = generateJSONReport(testRun, pagesResult.rows, casesResult.rows);
+    const accessibilityViolations = await loadCrawlAccessibilityViolations(testRunId);
+
+    const jsonReport = generateJSONReport(testRun, pagesResult.rows, casesResult.rows, accessibilityViolations);
 
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="test-report-${testRunId}.json"`);
@@ -85,4 +183,122 @@ router.get('/json/:testRunId', async (req, res) => {
   }
 });
 
+// Generate and download JUnit XML report for a test execution
+router.get('/executions/:executionId/junit', async (req, res) => {
+  try {
+    const { executionId } = req.params;
+
+    const data = await loadExecutionReportData(executionId, req.user.id);
+    if (!data) {
+      return res.status(404).json({ error: 'Test execution not found' });
+    }
+
+    const xml = generateJUnitReport(data.execution, data.testCaseResults, data.stepResults);
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Disposition', `attachment; filename="junit-execution-${executionId}.xml"`);
+    res.send(xml);
+  } catch (error) {
+    console.error('Error generating JUnit report:', error);
+    res.status(500).json({ error: 'Failed to generate JUnit report' });
+  }
+});
+
+// Generate and download CTRF JSON report for a test execution
+router.get('/executions/:executionId/ctrf', async (req, res) => {
+  try {
+    const { executionId } = req.params;
+
+    const data = await loadExecutionReportData(executionId, req.user.id);
+    if (!data) {
+      return res.status(404).json({ error: 'Test execution not found' });
+    }
+
+    const report = generateCTRFReport(data.execution, data.testCaseResults, data.stepResults);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="ctrf-execution-${executionId}.json"`);
+    res.json(report);
+  } catch (error) {
+    console.error('Error generating CTRF report:', error);
+    res.status(500).json({ error: 'Failed to generate CTRF report' });
+  }
+});
+
+// Generate and download a self-contained HTML report for a test execution
+router.get('/executions/:executionId/html', async (req, res) => {
+  try {
+    const { executionId } = req.params;
+
+    const data = await loadExecutionReportData(executionId, req.user.id, true);
+    if (!data) {
+      return res.status(404).json({ error: 'Test execution not found' });
+    }
+
+    const html = generateHTMLReport(data.execution, data.testCaseResults, data.stepResults, data.accessibilityViolations);
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="execution-report-${executionId}.html"`);
+    res.send(html);
+  } catch (error) {
+    console.error('Error generating HTML report:', error);
+    res.status(500).json({ error: 'Failed to generate HTML report' });
+  }
+});
+
+// Export generated tests as a runnable Playwright Test project (zip)
+router.get('/playwright/:testRunId', async (req, res) => {
+  try {
+    const { testRunId } = req.params;
+
+    // Get test run data with browser settings for playwright.config.ts
+    const runResult = await pool.query(`
+      SELECT tr.*, tc.name as config_name, tc.target_url, tc.browser_matrix, tc.launch_profile
+      FROM test_runs tr
+      JOIN test_configs tc ON tr.test_config_id = tc.id
+      WHERE tr.id = $1 AND tr.created_by = $2
+    `, [testRunId, req.user.id]);
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Test run not found' });
+    }
+
+    const testRun = runResult.rows[0];
+
+    const pagesResult = await pool.query(`
+      SELECT id, url, title, screen_name FROM discovered_pages
+      WHERE test_run_id = $1
+      ORDER BY discovered_at
+    `, [testRunId]);
+
+    const flowsResult = await pool.query(`
+      SELECT id, flow_name, entry_page_url FROM user_flows
+      WHERE test_run_id = $1
+      ORDER BY id
+    `, [testRunId]);
+
+    const casesResult = await pool.query(`
+      SELECT tc.*, td.rows as dataset_rows
+      FROM test_cases tc
+      LEFT JOIN test_datasets td ON td.test_case_id = tc.id
+      WHERE tc.test_run_id = $1
+      ORDER BY tc.id
+    `, [testRunId]);
+
+    if (casesResult.rows.length === 0) {
+      return res.status(400).json({ error: 'No test cases have been generated for this test run' });
+    }
+
+    const files = generatePlaywrightProject(testRun, pagesResult.rows, casesResult.rows, flowsResult.rows);
+    const zipBuffer = createZip(files.map(file => ({ ...file, path: `sensuq-tests-${testRunId}/${file.path}` })));
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="playwright-tests-${testRunId}.zip"`);
+    res.send(zipBuffer);
+  } catch (error) {
+    console.error('Error exporting Playwright project:', error);
+    res.status(500).json({ error: 'Failed to export Playwright project' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
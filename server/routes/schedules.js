@@ -0,0 +1,253 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { getNextRun } = require('../utils/cronExpression');
+
+const router = express.Router();
+
+/**
+ * Validate a schedule payload against the user's configurations and runs
+ * @returns {Promise<object>} - Normalized schedule fields
+ * @throws {Error} - With a message suitable for a 400 response
+ */
+async function validateSchedule(body, userId) {
+  const { name, testConfigId, scheduleType, testRunId, testCaseIds, cronExpression } = body;
+
+  if (!name || !String(name).trim()) {
+    throw new Error('Schedule name is required');
+  }
+  if (!['crawl', 'execution'].includes(scheduleType)) {
+    throw new Error('Schedule type must be "crawl" or "execution"');
+  }
+
+  const configResult = await pool.query(
+    'SELECT id FROM test_configs WHERE id = $1 AND created_by = $2',
+    [testConfigId, userId]
+  );
+  if (configResult.rows.length === 0) {
+    throw new Error('Test configuration not found');
+  }
+
+  let nextRunAt;
+  try {
+    nextRunAt = getNextRun(cronExpression);
+  } catch (error) {
+    throw new Error(`Invalid cron expression: ${error.message}`);
+  }
+
+  let runId = null;
+  let caseIds = [];
+
+  if (scheduleType === 'execution') {
+    const runResult = await pool.query(
+      'SELECT id FROM test_runs WHERE id = $1 AND test_config_id = $2 AND created_by = $3',
+      [testRunId, testConfigId, userId]
+    );
+    if (runResult.rows.length === 0) {
+      throw new Error('Execution schedules need a test run of this configuration');
+    }
+    runId = runResult.rows[0].id;
+
+    caseIds = Array.isArray(testCaseIds) ? testCaseIds.map(id => parseInt(id)).filter(Boolean) : [];
+    if (caseIds.length > 0) {
+      const casesResult = await pool.query(
+        'SELECT COUNT(*) as count FROM test_cases WHERE test_run_id = $1 AND id = ANY($2)',
+        [runId, caseIds]
+      );
+      if (parseInt(casesResult.rows[0].count) !== caseIds.length) {
+        throw new Error('Some selected test cases do not belong to this test run');
+      }
+    }
+  }
+
+  return {
+    name: String(name).trim(),
+    testConfigId: configResult.rows[0].id,
+    scheduleType,
+    testRunId: runId,
+    testCaseIds: caseIds,
+    cronExpression: cronExpression.trim(),
+    nextRunAt
+  };
+}
+
+// List schedules with their latest fired run
+router.get('/', async (req, res) => {
+  try {
+    const { testConfigId } = req.query;
+    const params = [req.user.id];
+    let configFilter = '';
+    if (testConfigId) {
+      params.push(testConfigId);
+      configFilter = 'AND s.test_config_id = $2';
+    }
+
+    const result = await pool.query(`
+      SELECT s.*, tc.name as config_name,
+             lr.status as last_run_status, lr.message as last_run_message
+      FROM test_schedules s
+      JOIN test_configs tc ON s.test_config_id = tc.id
+      LEFT JOIN LATERAL (
+        SELECT status, message FROM schedule_runs
+        WHERE schedule_id = s.id
+        ORDER BY fired_at DESC
+        LIMIT 1
+      ) lr ON true
+      WHERE s.created_by = $1 ${configFilter}
+      ORDER BY s.created_at DESC
+    `, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({ error: 'Failed to fetch schedules' });
+  }
+});
+
+// Create schedule
+router.post('/', async (req, res) => {
+  try {
+    let schedule;
+    try {
+      schedule = await validateSchedule(req.body, req.user.id);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const enabled = req.body.enabled !== false;
+
+    const result = await pool.query(`
+      INSERT INTO test_schedules (name, test_config_id, schedule_type, test_run_id, test_case_ids,
+                                  cron_expression, enabled, next_run_at, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [schedule.name, schedule.testConfigId, schedule.scheduleType, schedule.testRunId,
+        JSON.stringify(schedule.testCaseIds), schedule.cronExpression, enabled, schedule.nextRunAt, req.user.id]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+// Update schedule
+router.put('/:id', async (req, res) => {
+  try {
+    let schedule;
+    try {
+      schedule = await validateSchedule(req.body, req.user.id);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const result = await pool.query(`
+      UPDATE test_schedules
+      SET name = $1, test_config_id = $2, schedule_type = $3, test_run_id = $4, test_case_ids = $5,
+          cron_expression = $6, enabled = $7, next_run_at = $8, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $9 AND created_by = $10
+      RETURNING *
+    `, [schedule.name, schedule.testConfigId, schedule.scheduleType, schedule.testRunId,
+        JSON.stringify(schedule.testCaseIds), schedule.cronExpression, req.body.enabled !== false,
+        schedule.nextRunAt, req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Enable or disable a schedule
+router.patch('/:id/enabled', async (req, res) => {
+  try {
+    const enabled = req.body.enabled === true;
+
+    const existing = await pool.query(
+      'SELECT cron_expression FROM test_schedules WHERE id = $1 AND created_by = $2',
+      [req.params.id, req.user.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    // Re-enabling computes a fresh next run so missed runs are not fired at once
+    const nextRunAt = enabled ? getNextRun(existing.rows[0].cron_expression) : null;
+
+    const result = await pool.query(`
+      UPDATE test_schedules
+      SET enabled = $1, next_run_at = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `, [enabled, nextRunAt, req.params.id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error toggling schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Fire a schedule immediately
+router.post('/:id/run', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM test_schedules WHERE id = $1 AND created_by = $2',
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const run = await global.scheduler.fire(result.rows[0]);
+    res.json(run);
+  } catch (error) {
+    console.error('Error running schedule:', error);
+    res.status(500).json({ error: 'Failed to run schedule' });
+  }
+});
+
+// History of fired runs
+router.get('/:id/history', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT sr.*, te.status as execution_status, tr.status as test_run_status
+      FROM schedule_runs sr
+      JOIN test_schedules s ON sr.schedule_id = s.id
+      LEFT JOIN test_executions te ON sr.test_execution_id = te.id
+      LEFT JOIN test_runs tr ON sr.test_run_id = tr.id
+      WHERE sr.schedule_id = $1 AND s.created_by = $2
+      ORDER BY sr.fired_at DESC
+      LIMIT 50
+    `, [req.params.id, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching schedule history:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule history' });
+  }
+});
+
+// Delete schedule
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM test_schedules WHERE id = $1 AND created_by = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+module.exports = router;
@@ -1,108 +1,186 @@
+const crypto = require('crypto');
 const express = require('express');
 const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { getArtifactStore, getBlob } = require('../services/artifactStore');
+const { signSharePath, verifySignedPath } = require('../utils/signedUrls');
 
 const router = express.Router();
 
-// Serve screenshots from database as base64 data URLs
-router.get('/page/:pageId', async (req, res) => {
+const IMAGE_CONTENT_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg' };
+
+// Blobs are addressed by their content hash, so a URL's content never changes
+const IMMUTABLE_CACHE = 'private, max-age=31536000, immutable';
+
+/**
+ * Screenshots are served to the owner of their test run (Authorization header),
+ * or to anyone with a valid signed URL (<img> tags and shared links)
+ */
+function authenticateScreenshotRequest(req, res, next) {
+  if (req.query.signature === undefined) {
+    return authenticateToken(req, res, next);
+  }
+
+  if (!verifySignedPath(`/screenshots${req.path}`, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'Invalid or expired screenshot link' });
+  }
+  req.signedUrl = true;
+  next();
+}
+
+/**
+ * Whether the user owns a test run that references a stored screenshot
+ */
+async function canAccessBlob(hash, userId) {
+  const result = await pool.query(`
+    SELECT 1
+    FROM discovered_pages dp
+    JOIN test_runs tr ON dp.test_run_id = tr.id
+    WHERE dp.screenshot_hash = $1 AND tr.created_by = $2
+    UNION ALL
+    SELECT 1
+    FROM test_case_executions tce
+    JOIN test_executions te ON tce.test_execution_id = te.id
+    JOIN test_runs tr ON te.test_run_id = tr.id
+    WHERE tce.screenshots @> jsonb_build_array(jsonb_build_object('hash', $1::text)) AND tr.created_by = $2
+    LIMIT 1
+  `, [hash, userId]);
+  return result.rows.length > 0;
+}
+
+router.use(authenticateScreenshotRequest);
+
+/**
+ * Answer conditional requests for a hash-addressed image
+ * @returns {boolean} - Whether a 304 was sent
+ */
+function sendNotModified(req, res, hash) {
+  res.setHeader('ETag', `"${hash}"`);
+  res.setHeader('Cache-Control', IMMUTABLE_CACHE);
+  if (req.headers['if-none-match'] === `"${hash}"`) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Stream a blob from the artifact store
+ */
+async function sendBlob(req, res, hash) {
+  const blob = await getBlob(hash);
+  if (!blob) {
+    return res.status(404).json({ error: 'Screenshot not found' });
+  }
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  if (sendNotModified(req, res, hash)) return;
+
+  const file = await getArtifactStore().getStream(blob.storage_key);
+  if (!file) {
+    return res.status(404).json({ error: 'Screenshot file not found' });
+  }
+
+  res.setHeader('Content-Type', blob.content_type);
+  res.setHeader('Content-Length', file.size || blob.size_bytes);
+  file.stream.on('error', error => {
+    console.error('Error streaming screenshot:', error);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+}
+
+/**
+ * Send a page's screenshot: from the artifact store, or inline base64 of pages
+ * not yet moved by the screenshot migration
+ */
+async function sendPageScreenshot(req, res, page) {
+  if (page.screenshot_hash) {
+    return sendBlob(req, res, page.screenshot_hash);
+  }
+
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  const image = Buffer.from(page.screenshot_data, 'base64');
+  const hash = crypto.createHash('sha256').update(image).digest('hex');
+  if (sendNotModified(req, res, hash)) return;
+
+  res.setHeader('Content-Type', IMAGE_CONTENT_TYPES[(page.image_format || 'png').toLowerCase()] || 'image/png');
+  res.setHeader('Content-Length', image.length);
+  res.end(image);
+}
+
+// Create a signed link to share one screenshot outside the app: { pageId } or { hash }, optional expiresIn (seconds)
+router.post('/share', async (req, res) => {
   try {
-    const { pageId } = req.params;
-    
-    console.log(`🔍 Attempting to serve screenshot for page ID: ${pageId}`);
-    
-    // Get screenshot data from database
-    const result = await pool.query(`
-      SELECT screenshot_data, image_size, image_format, url, title
-      FROM discovered_pages 
-      WHERE id = $1 AND screenshot_data IS NOT NULL AND screenshot_data != ''
-    `, [pageId]);
-    
-    console.log(`📊 Database query result: ${result.rows.length} rows found`);
-    
-    if (result.rows.length === 0) {
-      // Check if page exists but without screenshot
-      const pageCheck = await pool.query(`
-        SELECT id, url, title, screenshot_data IS NOT NULL as has_screenshot_data,
-               LENGTH(screenshot_data) as screenshot_length, image_size, image_format
-        FROM discovered_pages 
-        WHERE id = $1
-      `, [pageId]);
-      
-      if (pageCheck.rows.length === 0) {
-        console.log(`❌ Page not found: ${pageId}`);
-        return res.status(404).json({ error: 'Page not found' });
-      } else {
-        const page = pageCheck.rows[0];
-        console.log(`📄 Page found but no valid screenshot data:`);
-        console.log(`  Page ID: ${pageId}`);
-        console.log(`  URL: ${page.url}`);
-        console.log(`  Has screenshot data: ${page.has_screenshot_data}`);
-        console.log(`  Screenshot length: ${page.screenshot_length || 0}`);
-        console.log(`  Image size: ${page.image_size || 0}`);
-        console.log(`  Image format: ${page.image_format || 'none'}`);
-        
-        return res.status(404).json({ 
-          error: 'Screenshot not found',
-          pageExists: true,
-          url: page.url,
-          debug: {
-            hasScreenshotData: page.has_screenshot_data,
-            screenshotLength: page.screenshot_length,
-            imageSize: page.image_size,
-            imageFormat: page.image_format
-          }
-        });
+    if (req.signedUrl) {
+      return res.status(403).json({ error: 'Sharing requires authentication' });
+    }
+
+    const { pageId, hash, expiresIn } = req.body;
+    let path;
+    if (pageId) {
+      const result = await pool.query(`
+        SELECT dp.id
+        FROM discovered_pages dp
+        JOIN test_runs tr ON dp.test_run_id = tr.id
+        WHERE dp.id = $1 AND tr.created_by = $2
+      `, [pageId, req.user.id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Screenshot not found' });
       }
+      path = `/screenshots/page/${pageId}`;
+    } else if (hash) {
+      if (!(await getBlob(hash)) || !(await canAccessBlob(hash, req.user.id))) {
+        return res.status(404).json({ error: 'Screenshot not found' });
+      }
+      path = `/screenshots/blobs/${hash}`;
+    } else {
+      return res.status(400).json({ error: 'pageId or hash is required' });
+    }
+
+    let link;
+    try {
+      link = signSharePath(path, expiresIn);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
-    
-    const page = result.rows[0];
-    const { screenshot_data, image_size, image_format, url, title } = page;
-    
-    console.log(`✅ Found screenshot data for page ${pageId}:`);
-    console.log(`  Image size: ${image_size} bytes`);
-    console.log(`  Image format: ${image_format}`);
-    console.log(`  Base64 data length: ${screenshot_data ? screenshot_data.length : 0}`);
-    console.log(`  URL: ${url}`);
-    
-    // Additional validation of screenshot data
-    if (!screenshot_data || screenshot_data.length === 0) {
-      console.log(`❌ Screenshot data is empty for page ${pageId}`);
-      return res.status(404).json({ 
-        error: 'Screenshot data is empty',
-        pageId: pageId,
-        url: url
-      });
+    res.json(link);
+  } catch (error) {
+    console.error('Error sharing screenshot:', error);
+    res.status(500).json({ error: 'Failed to share screenshot' });
+  }
+});
+
+// Stored screenshot by content hash (test case execution screenshots)
+router.get('/blobs/:hash', async (req, res) => {
+  try {
+    if (!req.signedUrl && !(await canAccessBlob(req.params.hash, req.user.id))) {
+      return res.status(404).json({ error: 'Screenshot not found' });
     }
-    
-    // Validate image format for security
-    const allowedFormats = ['png', 'jpg', 'jpeg'];
-    const format = (image_format || 'png').toLowerCase();
-    
-    if (!allowedFormats.includes(format)) {
-      console.log(`❌ Invalid image format: ${format}`);
-      return res.status(400).json({ error: 'Invalid image format' });
+    await sendBlob(req, res, req.params.hash);
+  } catch (error) {
+    console.error('Error serving screenshot blob:', error);
+    res.status(500).json({ error: 'Failed to serve screenshot' });
+  }
+});
+
+// Screenshot of a discovered page
+router.get('/page/:pageId', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT dp.id, dp.screenshot_hash, dp.screenshot_data, dp.image_format
+      FROM discovered_pages dp
+      JOIN test_runs tr ON dp.test_run_id = tr.id
+      WHERE dp.id = $1 AND ($2::integer IS NULL OR tr.created_by = $2)
+        AND (dp.screenshot_hash IS NOT NULL OR (dp.screenshot_data IS NOT NULL AND dp.screenshot_data != ''))
+    `, [req.params.pageId, req.signedUrl ? null : req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Screenshot not found' });
     }
-    
-    // Determine MIME type
-    const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
-    
-    console.log(`🚀 Serving screenshot for page ${pageId}:`);
-    console.log(`  MIME type: ${mimeType}`);
-    console.log(`  Data URL length: ${screenshot_data.length + mimeType.length + 13}`); // +13 for "data:;base64,"
-    
-    // Return as JSON with base64 data URL and metadata
-    res.json({
-      dataUrl: `data:${mimeType};base64,${screenshot_data}`,
-      pageId: pageId,
-      url: url,
-      title: title,
-      size: image_size,
-      format: image_format
-    });
-    
+
+    await sendPageScreenshot(req, res, result.rows[0]);
   } catch (error) {
-    console.error('❌ Error serving screenshot:', error);
-    console.error('Error stack:', error.stack);
+    console.error('Error serving screenshot:', error);
     res.status(500).json({ error: 'Failed to serve screenshot' });
   }
 });
@@ -110,46 +188,31 @@ router.get('/page/:pageId', async (req, res) => {
 // Legacy endpoint for backward compatibility (by filename)
 router.get('/:filename', async (req, res) => {
   try {
-    const { filename } = req.params;
-    
     // Extract page info from filename pattern: testRunId_timestamp.png
-    const match = filename.match(/^(\d+)_(\d+)\.(\w+)$/);
+    const match = req.params.filename.match(/^(\d+)_(\d+)\.(\w+)$/);
     if (!match) {
       return res.status(400).json({ error: 'Invalid filename format' });
     }
-    
-    const [, testRunId, timestamp] = match;
-    
-    // Try to find the screenshot by test run and approximate timestamp
+
     const result = await pool.query(`
-      SELECT id, screenshot_data, image_size, image_format, url, title
-      FROM discovered_pages 
-      WHERE test_run_id = $1 AND screenshot_data IS NOT NULL
-      ORDER BY discovered_at ASC
+      SELECT dp.id, dp.screenshot_hash, dp.screenshot_data, dp.image_format
+      FROM discovered_pages dp
+      JOIN test_runs tr ON dp.test_run_id = tr.id
+      WHERE dp.test_run_id = $1 AND ($2::integer IS NULL OR tr.created_by = $2)
+        AND (dp.screenshot_hash IS NOT NULL OR dp.screenshot_data IS NOT NULL)
+      ORDER BY dp.discovered_at ASC
       LIMIT 1
-    `, [testRunId]);
-    
+    `, [match[1], req.signedUrl ? null : req.user.id]);
+
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Screenshot not found' });
     }
-    
-    const page = result.rows[0];
-    const format = (page.image_format || 'png').toLowerCase();
-    const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
-    
-    res.json({
-      dataUrl: `data:${mimeType};base64,${page.screenshot_data}`,
-      pageId: page.id,
-      url: page.url,
-      title: page.title,
-      size: page.image_size,
-      format: page.image_format
-    });
-    
+
+    await sendPageScreenshot(req, res, result.rows[0]);
   } catch (error) {
     console.error('Error serving legacy screenshot:', error);
     res.status(500).json({ error: 'Failed to serve screenshot' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
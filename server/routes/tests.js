@@ -1,5 +1,10 @@
 const express = require('express');
 const { pool } = require('../config/database');
+const { describeStepActions } = require('../utils/stepActions');
+const { signEmbedPath } = require('../utils/signedUrls');
+const { parseDataset, findPlaceholders } = require('../utils/testDatasets');
+const { buildJourneyGraphForRun, saveJourneyGraph, loadJourneyGraph } = require('../services/journeyGraph');
+const { diffTestRuns } = require('../services/crawlDiff');
 
 const router = express.Router();
 
@@ -52,16 +57,28 @@ router.get('/runs/:id', async (req, res) => {
         tc.*,
         dp.url as page_url,
         dp.title as page_title,
-        dp.screen_name as page_name
+        dp.screen_name as page_name,
+        td.name as dataset_name,
+        td.columns as dataset_columns,
+        jsonb_array_length(td.rows) as dataset_row_count
       FROM test_cases tc
       LEFT JOIN discovered_pages dp ON tc.page_id = dp.id
+      LEFT JOIN test_datasets td ON td.test_case_id = tc.id
       WHERE tc.test_run_id = $1
       ORDER BY dp.screen_name, dp.url, tc.executed_at
     `, [id]);
 
+    // Screenshots load through signed URLs, since <img> tags send no Authorization header
+    const discoveredPages = pagesResult.rows.map(page => ({
+      ...page,
+      screenshot_url: page.screenshot_hash || page.screenshot_data
+        ? signEmbedPath(`/screenshots/page/${page.id}`)
+        : null
+    }));
+
     res.json({
       ...testRun,
-      discoveredPages: pagesResult.rows,
+      discoveredPages,
       testCases: casesResult.rows
     });
   } catch (error) {
@@ -70,18 +87,194 @@ router.get('/runs/:id', async (req, res) => {
   }
 });
 
+// Accessibility violations of a test run: found while crawling, or by one execution with ?executionId=
+router.get('/runs/:id/accessibility', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { executionId } = req.query;
+
+    const result = await pool.query(`
+      SELECT av.*
+      FROM accessibility_violations av
+      JOIN test_runs tr ON av.test_run_id = tr.id
+      WHERE av.test_run_id = $1 AND tr.created_by = $2
+        AND ${executionId ? 'av.test_execution_id = $3' : 'av.test_execution_id IS NULL'}
+      ORDER BY av.page_url, av.test_case_id, av.browser, av.id
+    `, executionId ? [id, req.user.id, executionId] : [id, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching accessibility violations:', error);
+    res.status(500).json({ error: 'Failed to fetch accessibility violations' });
+  }
+});
+
+// Journey graph of a test run: pages as nodes, interactions as edges
+router.get('/runs/:id/graph', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const runResult = await pool.query(
+      'SELECT status FROM test_runs WHERE id = $1 AND created_by = $2',
+      [id, req.user.id]
+    );
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Test run not found' });
+    }
+
+    // Crawls still in progress (and runs crawled before graphs were saved) get a graph built from their crawl data
+    const crawling = ['running', 'paused'].includes(runResult.rows[0].status);
+    let graph = crawling ? null : await loadJourneyGraph(id);
+    if (!graph) {
+      graph = await buildJourneyGraphForRun(id);
+      if (!crawling) {
+        await saveJourneyGraph(id, graph);
+      }
+    }
+
+    const pagesResult = await pool.query(`
+      SELECT id FROM discovered_pages
+      WHERE test_run_id = $1 AND (screenshot_hash IS NOT NULL OR screenshot_data IS NOT NULL)
+    `, [id]);
+    const pagesWithScreenshots = new Set(pagesResult.rows.map(page => page.id));
+
+    res.json({
+      ...graph,
+      nodes: graph.nodes.map(node => ({
+        ...node,
+        screenshotUrl: pagesWithScreenshots.has(node.pageId) ? signEmbedPath(`/screenshots/page/${node.pageId}`) : null
+      })),
+      live: crawling
+    });
+  } catch (error) {
+    console.error('Error fetching journey graph:', error);
+    res.status(500).json({ error: 'Failed to fetch journey graph' });
+  }
+});
+
+// Compare a test run's crawl with an earlier run of the same configuration
+router.get('/runs/:id/compare/:baseId', async (req, res) => {
+  try {
+    const { id, baseId } = req.params;
+
+    const runsResult = await pool.query(`
+      SELECT id, test_config_id, status, role, start_time, total_pages_discovered
+      FROM test_runs
+      WHERE id = ANY($1::integer[]) AND created_by = $2
+    `, [[id, baseId], req.user.id]);
+
+    const run = runsResult.rows.find(row => String(row.id) === String(id));
+    const baseRun = runsResult.rows.find(row => String(row.id) === String(baseId));
+
+    if (!run || !baseRun) {
+      return res.status(404).json({ error: 'Test run not found' });
+    }
+
+    if (run.id === baseRun.id) {
+      return res.status(400).json({ error: 'Choose a different test run to compare with' });
+    }
+
+    if (run.test_config_id !== baseRun.test_config_id) {
+      return res.status(400).json({ error: 'Only test runs of the same configuration can be compared' });
+    }
+
+    const diff = await diffTestRuns(baseRun.id, run.id);
+
+    res.json({ base: baseRun, compare: run, ...diff });
+  } catch (error) {
+    console.error('Error comparing test runs:', error);
+    res.status(500).json({ error: 'Failed to compare test runs' });
+  }
+});
+
+// Actions the crawler did not perform: never-click rule matches, destructive and irreversible actions
+router.get('/runs/:id/blocked-actions', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT cba.*
+      FROM crawl_blocked_actions cba
+      JOIN test_runs tr ON cba.test_run_id = tr.id
+      WHERE cba.test_run_id = $1 AND tr.created_by = $2
+      ORDER BY cba.created_at, cba.id
+    `, [req.params.id, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching blocked actions:', error);
+    res.status(500).json({ error: 'Failed to fetch blocked actions' });
+  }
+});
+
+// Approve or reject a blocked action: { status: 'approved' | 'rejected' }. Approved
+// actions are performed by later crawls of the configuration.
+router.put('/runs/:id/blocked-actions/:actionId', async (req, res) => {
+  try {
+    const { id, actionId } = req.params;
+    const { status } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be approved or rejected' });
+    }
+
+    const actionResult = await pool.query(`
+      SELECT cba.id, cba.status
+      FROM crawl_blocked_actions cba
+      JOIN test_runs tr ON cba.test_run_id = tr.id
+      WHERE cba.id = $1 AND cba.test_run_id = $2 AND tr.created_by = $3
+    `, [actionId, id, req.user.id]);
+
+    if (actionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Blocked action not found' });
+    }
+
+    // Never-click matches and actions of skip-mode crawls are skipped, not up for approval
+    if (actionResult.rows[0].status === 'skipped') {
+      return res.status(400).json({ error: 'Skipped actions cannot be reviewed' });
+    }
+
+    const result = await pool.query(`
+      UPDATE crawl_blocked_actions
+      SET status = $1, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = $2
+      WHERE id = $3
+      RETURNING *
+    `, [status, req.user.id, actionId]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error reviewing blocked action:', error);
+    res.status(500).json({ error: 'Failed to review blocked action' });
+  }
+});
+
+// Step actions accepted in test cases, with the JSON schema of each
+router.get('/step-actions', (req, res) => {
+  res.json(describeStepActions());
+});
+
 // Get step results for a test case
 router.get('/cases/:id/steps', async (req, res) => {
   try {
     const { id } = req.params;
+    const { executionId, iteration } = req.query;
 
-    const result = await pool.query(`
+    // With an execution, return its steps for every browser (and dataset iteration, unless
+    // ?iteration= picks one); otherwise the latest result per step
+    const result = executionId ? await pool.query(`
       SELECT tsr.*
       FROM test_step_results tsr
       JOIN test_cases tc ON tsr.test_case_id = tc.id
       JOIN test_runs tr ON tc.test_run_id = tr.id
+      WHERE tsr.test_case_id = $1 AND tr.created_by = $2 AND tsr.test_execution_id = $3
+        AND ($4::integer IS NULL OR tsr.iteration = $4)
+      ORDER BY tsr.iteration, tsr.browser, tsr.step_index
+    `, [id, req.user.id, executionId, iteration === undefined ? null : iteration]) : await pool.query(`
+      SELECT DISTINCT ON (tsr.step_index) tsr.*
+      FROM test_step_results tsr
+      JOIN test_cases tc ON tsr.test_case_id = tc.id
+      JOIN test_runs tr ON tc.test_run_id = tr.id
       WHERE tsr.test_case_id = $1 AND tr.created_by = $2
-      ORDER BY tsr.step_index
+      ORDER BY tsr.step_index, tsr.executed_at DESC
     `, [id, req.user.id]);
 
     res.json(result.rows);
@@ -91,6 +284,100 @@ router.get('/cases/:id/steps', async (req, res) => {
   }
 });
 
+/**
+ * Test case of the user, with its steps
+ */
+async function findUserTestCase(testCaseId, userId) {
+  const result = await pool.query(`
+    SELECT tc.id, tc.test_steps
+    FROM test_cases tc
+    JOIN test_runs tr ON tc.test_run_id = tr.id
+    WHERE tc.id = $1 AND tr.created_by = $2
+  `, [testCaseId, userId]);
+  return result.rows[0] || null;
+}
+
+// Parameter dataset of a data-driven test case
+router.get('/cases/:id/dataset', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT td.*
+      FROM test_datasets td
+      JOIN test_cases tc ON td.test_case_id = tc.id
+      JOIN test_runs tr ON tc.test_run_id = tr.id
+      WHERE td.test_case_id = $1 AND tr.created_by = $2
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching dataset:', error);
+    res.status(500).json({ error: 'Failed to fetch dataset' });
+  }
+});
+
+// Upload (or replace) a test case's dataset: { name, format: 'csv' | 'json', content }
+router.put('/cases/:id/dataset', async (req, res) => {
+  try {
+    const { name, format, content } = req.body;
+
+    const testCase = await findUserTestCase(req.params.id, req.user.id);
+    if (!testCase) {
+      return res.status(404).json({ error: 'Test case not found' });
+    }
+
+    let dataset;
+    try {
+      dataset = parseDataset(content, format);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid dataset: ${error.message}` });
+    }
+
+    const missingColumns = findPlaceholders(testCase.test_steps || []).filter(column => !dataset.columns.includes(column));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        error: `Test steps use placeholders that are not dataset columns: ${missingColumns.join(', ')}`
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO test_datasets (test_case_id, name, source_format, columns, rows, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (test_case_id) DO UPDATE SET
+        name = EXCLUDED.name,
+        source_format = EXCLUDED.source_format,
+        columns = EXCLUDED.columns,
+        rows = EXCLUDED.rows,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [testCase.id, name || `dataset.${format}`, format, JSON.stringify(dataset.columns), JSON.stringify(dataset.rows), req.user.id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error saving dataset:', error);
+    res.status(500).json({ error: 'Failed to save dataset' });
+  }
+});
+
+// Remove a test case's dataset; it runs once with its steps as they are
+router.delete('/cases/:id/dataset', async (req, res) => {
+  try {
+    const testCase = await findUserTestCase(req.params.id, req.user.id);
+    if (!testCase) {
+      return res.status(404).json({ error: 'Test case not found' });
+    }
+
+    await pool.query('DELETE FROM test_datasets WHERE test_case_id = $1', [testCase.id]);
+    res.json({ message: 'Dataset removed' });
+  } catch (error) {
+    console.error('Error removing dataset:', error);
+    res.status(500).json({ error: 'Failed to remove dataset' });
+  }
+});
+
 // Get dashboard statistics
 router.get('/dashboard/stats', async (req, res) => {
   try {
@@ -151,8 +438,8 @@ router.get('/executions/:id', async (req, res) => {
       FROM test_executions te
       JOIN test_runs tr ON te.test_run_id = tr.id
       JOIN test_configs tc ON tr.test_config_id = tc.id
-      WHERE te.id = $1
-    `, [id]);
+      WHERE te.id = $1 AND tr.created_by = $2
+    `, [id, req.user.id]);
 
     if (executionResult.rows.length === 0) {
       return res.status(404).json({ error: 'Test execution not found' });
@@ -162,11 +449,13 @@ router.get('/executions/:id', async (req, res) => {
 
     // Get test case execution results
     const testCaseResults = await pool.query(`
-      SELECT tce.*, tc.test_name, tc.test_description, tc.test_type, tc.expected_result, tc.test_steps
+      SELECT tce.*, tc.test_name, tc.test_description, tc.test_type, tc.expected_result, tc.test_steps,
+             dp.url as page_url, dp.screen_name as page_name
       FROM test_case_executions tce
       JOIN test_cases tc ON tce.test_case_id = tc.id
+      LEFT JOIN discovered_pages dp ON tc.page_id = dp.id
       WHERE tce.test_execution_id = $1
-      ORDER BY tce.executed_at
+      ORDER BY tce.executed_at, tce.iteration
     `, [id]);
 
     // Format actual results to show simple success/error messages
@@ -208,9 +497,14 @@ router.get('/executions/:id', async (req, res) => {
         }
       }
 
+      const screenshots = (result.screenshots || []).map(screenshot => (
+        screenshot.hash ? { ...screenshot, url: signEmbedPath(`/screenshots/blobs/${screenshot.hash}`) } : screenshot
+      ));
+
       return {
         ...result,
-        actual_result: formattedActualResult
+        actual_result: formattedActualResult,
+        screenshots
       };
     });
 
@@ -0,0 +1,127 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { approveComparison, loadImage } = require('../services/visualRegression');
+
+const router = express.Router();
+
+// Visual comparisons of an execution (without images)
+router.get('/executions/:executionId/comparisons', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT vc.id, vc.test_case_id, vc.baseline_id, vc.step_index, vc.page_key, vc.browser, vc.name, vc.status,
+             vc.diff_pixels, vc.diff_ratio, vc.threshold, vc.max_diff_ratio, vc.size_mismatch, vc.created_at,
+             (vc.diff_image_hash IS NOT NULL OR vc.diff_image IS NOT NULL) as has_diff
+      FROM visual_comparisons vc
+      JOIN test_executions te ON vc.test_execution_id = te.id
+      JOIN test_runs tr ON te.test_run_id = tr.id
+      JOIN test_configs tc ON tr.test_config_id = tc.id
+      WHERE vc.test_execution_id = $1 AND tc.created_by = $2
+      ORDER BY vc.test_case_id, vc.browser, vc.step_index
+    `, [req.params.executionId, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching visual comparisons:', error);
+    res.status(500).json({ error: 'Failed to fetch visual comparisons' });
+  }
+});
+
+// Baseline, actual and diff images of a comparison (base64 PNG)
+router.get('/comparisons/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT vc.*, vb.image_hash as baseline_image_hash, vb.image_data as baseline_image, vb.updated_at as baseline_updated_at
+      FROM visual_comparisons vc
+      JOIN test_executions te ON vc.test_execution_id = te.id
+      JOIN test_runs tr ON te.test_run_id = tr.id
+      JOIN test_configs tc ON tr.test_config_id = tc.id
+      LEFT JOIN visual_baselines vb ON vc.baseline_id = vb.id
+      WHERE vc.id = $1 AND tc.created_by = $2
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Visual comparison not found' });
+    }
+
+    // Images are returned as base64, read from the artifact store (or inline rows of earlier versions)
+    const comparison = result.rows[0];
+    const [baselineImage, actualImage, diffImage] = await Promise.all([
+      loadImage(comparison.baseline_image_hash, comparison.baseline_image),
+      loadImage(comparison.actual_image_hash, comparison.actual_image),
+      loadImage(comparison.diff_image_hash, comparison.diff_image)
+    ]);
+
+    res.json({
+      ...comparison,
+      baseline_image: baselineImage ? baselineImage.toString('base64') : null,
+      actual_image: actualImage ? actualImage.toString('base64') : null,
+      diff_image: diffImage ? diffImage.toString('base64') : null
+    });
+  } catch (error) {
+    console.error('Error fetching visual comparison:', error);
+    res.status(500).json({ error: 'Failed to fetch visual comparison' });
+  }
+});
+
+// Approve the comparison's screenshot as the new baseline
+router.post('/comparisons/:id/approve', async (req, res) => {
+  try {
+    const baseline = await approveComparison(req.params.id, req.user.id);
+
+    if (!baseline) {
+      return res.status(404).json({ error: 'Visual comparison not found' });
+    }
+
+    res.json({ message: 'Baseline updated successfully', baseline });
+  } catch (error) {
+    console.error('Error approving visual baseline:', error);
+    res.status(500).json({ error: 'Failed to approve baseline' });
+  }
+});
+
+// Baselines of a test configuration (without images)
+router.get('/baselines', async (req, res) => {
+  try {
+    const { testConfigId } = req.query;
+    if (!testConfigId) {
+      return res.status(400).json({ error: 'testConfigId is required' });
+    }
+
+    const result = await pool.query(`
+      SELECT vb.id, vb.test_config_id, vb.page_key, vb.browser, vb.name, vb.width, vb.height,
+             vb.source_execution_id, vb.approved_by, vb.created_at, vb.updated_at
+      FROM visual_baselines vb
+      JOIN test_configs tc ON vb.test_config_id = tc.id
+      WHERE vb.test_config_id = $1 AND tc.created_by = $2
+      ORDER BY vb.page_key, vb.browser, vb.name
+    `, [testConfigId, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching visual baselines:', error);
+    res.status(500).json({ error: 'Failed to fetch visual baselines' });
+  }
+});
+
+// Delete a baseline; the next comparison records a new one
+router.delete('/baselines/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      DELETE FROM visual_baselines vb
+      USING test_configs tc
+      WHERE vb.id = $1 AND vb.test_config_id = tc.id AND tc.created_by = $2
+      RETURNING vb.id
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Visual baseline not found' });
+    }
+
+    res.json({ message: 'Baseline deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting visual baseline:', error);
+    res.status(500).json({ error: 'Failed to delete baseline' });
+  }
+});
+
+module.exports = router;
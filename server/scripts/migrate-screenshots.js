@@ -0,0 +1,158 @@
+const { pool } = require('../config/database');
+const { saveScreenshot } = require('../services/artifactStore');
+
+const BATCH_SIZE = 50;
+
+/**
+ * Move inline base64 screenshots of discovered pages into the artifact store
+ */
+async function migratePageScreenshots() {
+  let migrated = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  while (true) {
+    const result = await pool.query(`
+      SELECT id, screenshot_data, image_format
+      FROM discovered_pages
+      WHERE id > $1 AND screenshot_hash IS NULL AND screenshot_data IS NOT NULL AND screenshot_data != ''
+      ORDER BY id
+      LIMIT $2
+    `, [lastId, BATCH_SIZE]);
+
+    if (result.rows.length === 0) break;
+
+    for (const page of result.rows) {
+      lastId = page.id;
+      const hash = await saveScreenshot(page.screenshot_data, (page.image_format || 'png').toLowerCase());
+      if (!hash) {
+        failed++;
+        continue;
+      }
+      await pool.query(
+        'UPDATE discovered_pages SET screenshot_hash = $1, screenshot_data = NULL WHERE id = $2',
+        [hash, page.id]
+      );
+      migrated++;
+    }
+
+    console.log(`  ...${migrated} page screenshots moved`);
+  }
+
+  console.log(`✓ Discovered pages: ${migrated} screenshots moved, ${failed} failed`);
+}
+
+/**
+ * Replace inline base64 `data` of test case execution screenshots with a `hash`
+ */
+async function migrateExecutionScreenshots() {
+  let migrated = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  while (true) {
+    const result = await pool.query(`
+      SELECT id, screenshots
+      FROM test_case_executions
+      WHERE id > $1 AND screenshots::text LIKE '%"data"%'
+      ORDER BY id
+      LIMIT $2
+    `, [lastId, BATCH_SIZE]);
+
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      lastId = row.id;
+      const screenshots = typeof row.screenshots === 'string' ? JSON.parse(row.screenshots) : row.screenshots;
+      if (!Array.isArray(screenshots)) continue;
+
+      let changed = false;
+      for (const screenshot of screenshots) {
+        if (!screenshot.data) continue;
+        const hash = await saveScreenshot(screenshot.data);
+        if (!hash) {
+          failed++;
+          continue;
+        }
+        screenshot.hash = hash;
+        delete screenshot.data;
+        changed = true;
+        migrated++;
+      }
+
+      if (changed) {
+        await pool.query('UPDATE test_case_executions SET screenshots = $1 WHERE id = $2', [JSON.stringify(screenshots), row.id]);
+      }
+    }
+
+    console.log(`  ...${migrated} execution screenshots moved`);
+  }
+
+  console.log(`✓ Test case executions: ${migrated} screenshots moved, ${failed} failed`);
+}
+
+/**
+ * Move inline base64 images of a visual regression table into the artifact store
+ * @param {string} table - visual_baselines or visual_comparisons
+ * @param {Array<[string, string]>} columns - [base64 column, hash column] pairs
+ */
+async function migrateVisualImages(table, columns) {
+  let migrated = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  const pending = columns.map(([dataColumn, hashColumn]) => `(${hashColumn} IS NULL AND ${dataColumn} IS NOT NULL)`).join(' OR ');
+
+  while (true) {
+    const result = await pool.query(`
+      SELECT id, ${columns.flat().join(', ')}
+      FROM ${table}
+      WHERE id > $1 AND (${pending})
+      ORDER BY id
+      LIMIT $2
+    `, [lastId, BATCH_SIZE]);
+
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      lastId = row.id;
+      for (const [dataColumn, hashColumn] of columns) {
+        if (row[hashColumn] || !row[dataColumn]) continue;
+        const hash = await saveScreenshot(row[dataColumn]);
+        if (!hash) {
+          failed++;
+          continue;
+        }
+        await pool.query(
+          `UPDATE ${table} SET ${hashColumn} = $1, ${dataColumn} = NULL WHERE id = $2`,
+          [hash, row.id]
+        );
+        migrated++;
+      }
+    }
+
+    console.log(`  ...${migrated} ${table} images moved`);
+  }
+
+  console.log(`✓ ${table}: ${migrated} images moved, ${failed} failed`);
+}
+
+async function migrateScreenshots() {
+  try {
+    console.log('Moving screenshots from the database into the artifact store...');
+
+    await migratePageScreenshots();
+    await migrateExecutionScreenshots();
+    await migrateVisualImages('visual_baselines', [['image_data', 'image_hash']]);
+    await migrateVisualImages('visual_comparisons', [['actual_image', 'actual_image_hash'], ['diff_image', 'diff_image_hash']]);
+
+    console.log('\n✅ Screenshot migration completed! Run VACUUM FULL on discovered_pages, test_case_executions, visual_baselines and visual_comparisons to reclaim disk space.');
+  } catch (error) {
+    console.error('❌ Error migrating screenshots:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateScreenshots();
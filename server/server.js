@@ -12,6 +12,10 @@ const authRoutes = require('./routes/auth');
 const testRoutes = require('./routes/tests');
 const configRoutes = require('./routes/config');
 const reportRoutes = require('./routes/reports');
+const scheduleRoutes = require('./routes/schedules');
+const visualRoutes = require('./routes/visual');
+const performanceRoutes = require('./routes/performance');
+const artifactRoutes = require('./routes/artifacts');
 const { authenticateToken } = require('./middleware/auth');
 const logger = require('./utils/logger');
 
@@ -72,8 +76,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/tests', authenticateToken, testRoutes);
 app.use('/api/config', authenticateToken, configRoutes);
 app.use('/api/reports', authenticateToken, reportRoutes);
+app.use('/api/schedules', authenticateToken, scheduleRoutes);
+app.use('/api/visual', authenticateToken, visualRoutes);
+app.use('/api/performance', authenticateToken, performanceRoutes);
+app.use('/api/artifacts', authenticateToken, artifactRoutes);
 
-// Screenshot routes (no auth required, returns base64 data)
+// Screenshot routes authenticate themselves: a bearer token, or a signed URL for <img> tags and shared links
 const screenshotRoutes = require('./routes/screenshots');
 app.use('/api/screenshots', screenshotRoutes);
 
@@ -105,6 +113,8 @@ const activeCrawlers = new Map();
 
 // Import crawler routes after activeCrawlers is defined
 const crawlerRoutes = require('./routes/crawler');
+const { resumeInterruptedCrawls } = require('./services/crawlerLauncher');
+const { Scheduler } = require('./services/scheduler');
 
 io.on('connection', (socket) => {
   logger.info(`Client connected: ${socket.id}`);
@@ -127,6 +137,9 @@ io.on('connection', (socket) => {
 // Make activeCrawlers available globally
 global.activeCrawlers = activeCrawlers;
 
+// Cron schedules for crawls and executions; started once the server is listening
+global.scheduler = new Scheduler(io);
+
 // Import crawler routes after activeCrawlers is defined
 app.use('/api/crawler', authenticateToken, crawlerRoutes);
 
@@ -147,6 +160,15 @@ async function startServer() {
       console.log(`🌐 Frontend should connect to: http://localhost:${PORT}`);
       console.log('📊 Database: PostgreSQL connected');
       console.log('🔌 WebSocket: Ready for real-time updates');
+
+      // Pick up crawls orphaned in 'running' by a restart or crash
+      resumeInterruptedCrawls(io)
+        .then(count => {
+          if (count > 0) console.log(`♻️ Resumed ${count} interrupted crawl(s)`);
+        })
+        .catch(error => logger.error(`Failed to resume interrupted crawls: ${error.message}`));
+
+      global.scheduler.start();
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
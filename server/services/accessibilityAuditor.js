@@ -0,0 +1,44 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const { runAccessibilityAudit } = require('../utils/accessibilityAudit');
+
+/**
+ * Record the violations of one audit in accessibility_violations
+ * @param {object} options
+ * @param {number} options.testRunId
+ * @param {number} options.pageId - Discovered page (crawl audits)
+ * @param {number} options.executionId - Test execution (execution audits)
+ * @param {number} options.testCaseId - Test case whose page state was audited
+ * @param {string} options.browser - Browser matrix label
+ * @param {string} options.pageUrl
+ * @param {Array} options.violations - From runAccessibilityAudit
+ */
+async function saveAccessibilityViolations({ testRunId, pageId = null, executionId = null, testCaseId = null, browser = '', pageUrl, violations }) {
+  for (const violation of violations) {
+    await pool.query(`
+      INSERT INTO accessibility_violations (test_run_id, page_id, test_execution_id, test_case_id, browser, page_url,
+                                            rule_id, impact, description, help, help_url, wcag_tags, nodes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    `, [testRunId, pageId, executionId, testCaseId, browser, pageUrl,
+        violation.rule, violation.impact, violation.description, violation.help, violation.helpUrl,
+        JSON.stringify(violation.tags || []), JSON.stringify(violation.nodes || [])]);
+  }
+}
+
+/**
+ * Audit a page and record its violations
+ * @returns {Promise<Array|null>} - Violations, or null if the audit could not run
+ */
+async function auditAndSave(page, target) {
+  try {
+    const violations = await runAccessibilityAudit(page);
+    await saveAccessibilityViolations({ ...target, pageUrl: target.pageUrl || page.url(), violations });
+    logger.info(`♿ Accessibility audit of ${target.pageUrl || page.url()}: ${violations.length} violation(s)`);
+    return violations;
+  } catch (error) {
+    logger.warn(`Accessibility audit failed for ${target.pageUrl || page.url()}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = { saveAccessibilityViolations, auditAndSave };
@@ -0,0 +1,122 @@
+const logger = require('../utils/logger');
+const promptLoader = require('../utils/promptLoader');
+const { pool } = require('../config/database');
+const { extractJSON } = require('../utils/jsonExtractor');
+const { normalizePageUrl } = require('../utils/urlNormalization');
+const { classifyActionHeuristically } = require('../utils/actionSafety');
+const { LLMClient } = require('./llmClient');
+
+const LLM_CLASSIFICATIONS = ['safe', 'destructive', 'irreversible'];
+
+/**
+ * Tags crawler actions as safe, destructive or irreversible before they run.
+ * Keyword heuristics decide most actions; the ones they can't (submit, confirm,
+ * save, ...) are asked to the LLM, once per page and element. Without an LLM
+ * verdict they are treated as destructive, so the crawler does not perform them.
+ */
+class ActionSafetyClassifier {
+  constructor(llmConfig) {
+    this.llm = new LLMClient(llmConfig);
+    this.cache = new Map();
+  }
+
+  /**
+   * Classify an action
+   * @param {object} action - { pageUrl, text, selector, elementType, href, inputType, formMethod }
+   * @returns {Promise<object>} - { classification, reason, classifiedBy } with
+   *   classification safe, destructive or irreversible and classifiedBy heuristic or llm
+   */
+  async classify(action) {
+    const verdict = classifyActionHeuristically(action);
+    if (verdict.classification !== 'uncertain') {
+      return { ...verdict, classifiedBy: 'heuristic' };
+    }
+
+    if (!this.llm.isConfigured()) {
+      logger.warn(`No LLM to classify "${action.text}" (${verdict.reason}), treating it as destructive`);
+      return { classification: 'destructive', reason: `${verdict.reason}; no LLM configured to classify it`, classifiedBy: 'heuristic' };
+    }
+
+    const key = actionKey(action.pageUrl, action.selector, action.text);
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.classifyWithLLM(action, verdict));
+    }
+    return this.cache.get(key);
+  }
+
+  async classifyWithLLM(action, verdict) {
+    const prompt = promptLoader.renderPrompt('action-safety-classification.txt', {
+      pageUrl: action.pageUrl,
+      elementType: action.elementType || 'unknown',
+      text: action.text || '(no text)',
+      selector: action.selector || '(none)',
+      href: action.href || '',
+      formMethod: action.formMethod || ''
+    });
+
+    try {
+      const response = await this.llm.chat({ prompt, maxTokens: 300, temperature: 0 });
+      const result = extractJSON(response);
+      if (!LLM_CLASSIFICATIONS.includes(result.classification)) {
+        throw new Error(`unknown classification "${result.classification}"`);
+      }
+
+      logger.info(`  🛡️ LLM classified "${action.text}" as ${result.classification}: ${result.reason}`);
+      return { classification: result.classification, reason: result.reason || verdict.reason, classifiedBy: 'llm' };
+    } catch (error) {
+      logger.warn(`Action safety classification failed for "${action.text}", treating it as destructive: ${error.message}`);
+      return { classification: 'destructive', reason: `${verdict.reason}; LLM classification failed (${error.message})`, classifiedBy: 'heuristic' };
+    }
+  }
+}
+
+/**
+ * Identify an action across crawls: the page it is on, its selector and its text
+ */
+function actionKey(pageUrl, selector, text) {
+  return `${normalizePageUrl(pageUrl || '')}|${selector || ''}|${(text || '').toLowerCase().replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * Log an action the crawler did not perform
+ * @param {number} testRunId
+ * @param {object} action - { pageUrl, pageId, selector, text, elementType, source,
+ *   classification, reason, classifiedBy, status }
+ */
+async function recordBlockedAction(testRunId, action) {
+  await pool.query(`
+    INSERT INTO crawl_blocked_actions
+      (test_run_id, page_id, page_url, selector, element_text, element_type, source,
+       classification, reason, classified_by, status)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [
+    testRunId,
+    action.pageId || null,
+    action.pageUrl,
+    action.selector || null,
+    action.text || null,
+    action.elementType || null,
+    action.source,
+    action.classification,
+    action.reason,
+    action.classifiedBy,
+    action.status
+  ]);
+}
+
+/**
+ * Actions approved in earlier runs of a test configuration
+ * @returns {Promise<Set<string>>} - Their actionKey()s
+ */
+async function loadApprovedActionKeys(testConfigId) {
+  const result = await pool.query(`
+    SELECT cba.page_url, cba.selector, cba.element_text
+    FROM crawl_blocked_actions cba
+    JOIN test_runs tr ON tr.id = cba.test_run_id
+    WHERE tr.test_config_id = $1 AND cba.status = 'approved'
+  `, [testConfigId]);
+
+  return new Set(result.rows.map(row => actionKey(row.page_url, row.selector, row.element_text)));
+}
+
+module.exports = { ActionSafetyClassifier, actionKey, recordBlockedAction, loadApprovedActionKeys };
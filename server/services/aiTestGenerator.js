@@ -1,29 +1,18 @@
-const axios = require('axios');
-const { decrypt } = require('../utils/encryption');
 const logger = require('../utils/logger');
 const promptLoader = require('../utils/promptLoader');
 const { extractJSON } = require('../utils/jsonExtractor');
+const { LLMClient } = require('./llmClient');
 
 class AITestGenerator {
   constructor(config) {
     this.config = config;
+    this.llm = new LLMClient(config);
 
-    if (config.api_key) {
-      this.apiKey = decrypt(config.api_key);
-      if (!this.apiKey) {
-        logger.error('Failed to decrypt LLM API key - decryption returned null');
-      } else {
-        logger.info(`LLM API key decrypted successfully (length: ${this.apiKey.length})`);
-      }
-    } else {
-      this.apiKey = null;
+    if (!this.llm.apiKey && this.llm.adapter.requiresApiKey) {
       logger.warn('No LLM API key provided in config');
     }
 
-    this.apiUrl = config.api_url || 'https://api.openai.com/v1/chat/completions';
-    this.modelName = config.model_name || 'gpt-3.5-turbo';
-
-    logger.info(`AITestGenerator initialized: provider=${config.provider}, model=${this.modelName}, apiUrl=${this.apiUrl}, hasApiKey=${!!this.apiKey}`);
+    logger.info(`AITestGenerator initialized: ${this.llm.describe()}`);
   }
 
   async generateTestCases(pageData) {
@@ -135,58 +124,19 @@ class AITestGenerator {
   }
 
   async callLLM(prompt, screenshotBase64 = null) {
-    if (!this.apiKey) {
-      logger.error('Cannot call LLM: API key is not set');
-      throw new Error('LLM API key not configured');
+    if (!this.llm.isConfigured()) {
+      const reason = this.llm.getConfigurationError();
+      logger.error(`Cannot call LLM: ${reason}`);
+      throw new Error(reason);
     }
 
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${this.apiKey}`
-    };
-
-    let userContent;
-    if (screenshotBase64) {
-      userContent = [
-        {
-          type: 'text',
-          text: prompt
-        },
-        {
-          type: 'image_url',
-          image_url: {
-            url: `data:image/png;base64,${screenshotBase64}`
-          }
-        }
-      ];
-    } else {
-      userContent = prompt;
-    }
-
-    const payload = {
-      model: this.modelName,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert QA engineer and web automation specialist. You understand modern web applications and can suggest intelligent interactions to discover content and navigate complex user interfaces.'
-        },
-        {
-          role: 'user',
-          content: userContent
-        }
-      ],
-      max_tokens: this.config.max_tokens || 4000,
-      temperature: this.config.temperature || 0.7
-    };
-
     try {
-      logger.info(`Calling LLM API: ${this.apiUrl} with model ${this.modelName}${screenshotBase64 ? ' (with screenshot)' : ''}`);
-      const response = await axios.post(this.apiUrl, payload, {
-        headers,
-        timeout: 180000
+      logger.info(`Calling LLM API: ${this.llm.apiUrl} with model ${this.llm.modelName}${screenshotBase64 ? ' (with screenshot)' : ''}`);
+      return await this.llm.chat({
+        system: 'You are an expert QA engineer and web automation specialist. You understand modern web applications and can suggest intelligent interactions to discover content and navigate complex user interfaces.',
+        prompt,
+        images: [screenshotBase64]
       });
-
-      return response.data.choices[0].message.content;
     } catch (error) {
       logger.error(`LLM API call failed: ${error.message}`);
       if (error.response) {
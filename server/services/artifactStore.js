@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Binary artifacts (screenshots, traces, videos) live outside Postgres in an
+ * artifact store, selected with ARTIFACT_STORE:
+ * - filesystem (default): files under ARTIFACTS_DIR (default server/artifacts)
+ * - s3: an S3-compatible bucket (AWS S3, MinIO, ...)
+ * Every store exposes the same interface: put, putFile, exists, getStream, getBuffer, delete.
+ */
+class FilesystemArtifactStore {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Artifact key is outside the artifact directory: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename, so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tempPath, body);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async putFile(key, sourcePath) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, filePath);
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @returns {Promise<object|null>} - { stream, size }, or null if the artifact does not exist
+   */
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    try {
+      const { size } = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async getBuffer(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+class S3ArtifactStore {
+  /**
+   * @param {object} options
+   * @param {string} options.bucket
+   * @param {string} options.endpoint - Custom endpoint, e.g. http://localhost:9000 for MinIO
+   * @param {string} options.region
+   * @param {boolean} options.forcePathStyle - Path-style URLs (required by MinIO)
+   * @param {string} options.prefix - Key prefix inside the bucket
+   */
+  constructor({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 artifact store');
+    }
+    // Loaded on demand, so filesystem deployments never initialize the AWS SDK
+    this.s3 = require('@aws-sdk/client-s3');
+    this.bucket = bucket;
+    this.prefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+    this.client = new this.s3.S3Client({
+      region: region || 'us-east-1',
+      ...(endpoint ? { endpoint } : {}),
+      forcePathStyle: !!forcePathStyle,
+      ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+    });
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.client.send(new this.s3.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+      Body: body,
+      ...(contentType ? { ContentType: contentType } : {})
+    }));
+  }
+
+  async putFile(key, sourcePath, options = {}) {
+    const { size } = await fs.promises.stat(sourcePath);
+    await this.client.send(new this.s3.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+      ...(options.contentType ? { ContentType: options.contentType } : {})
+    }));
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new this.s3.HeadObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async getStream(key) {
+    try {
+      const response = await this.client.send(new this.s3.GetObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+      return { stream: response.Body, size: response.ContentLength };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async getBuffer(key) {
+    const object = await this.getStream(key);
+    if (!object) return null;
+    return Buffer.from(await object.stream.transformToByteArray());
+  }
+
+  async delete(key) {
+    await this.client.send(new this.s3.DeleteObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+  }
+}
+
+let store = null;
+
+/**
+ * The configured artifact store (created on first use)
+ */
+function getArtifactStore() {
+  if (!store) {
+    const type = (process.env.ARTIFACT_STORE || 'filesystem').toLowerCase();
+    if (type === 's3') {
+      store = new S3ArtifactStore({
+        bucket: process.env.S3_BUCKET,
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        prefix: process.env.S3_PREFIX
+      });
+    } else if (type === 'filesystem') {
+      store = new FilesystemArtifactStore(process.env.ARTIFACTS_DIR || path.join(__dirname, '..', 'artifacts'));
+    } else {
+      throw new Error(`Unknown ARTIFACT_STORE: ${type} (use filesystem or s3)`);
+    }
+  }
+  return store;
+}
+
+const IMAGE_CONTENT_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg' };
+
+/**
+ * Store a blob under the SHA-256 of its content. Identical content (e.g. the same
+ * page captured in every execution) is stored once.
+ * @param {Buffer} buffer - Content
+ * @param {string} contentType - MIME type
+ * @returns {Promise<string>} - The content hash, referenced from the database
+ */
+async function putBlob(buffer, contentType) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const storageKey = `blobs/${hash.slice(0, 2)}/${hash}`;
+
+  // Rows are only written after the content is stored
+  const existing = await pool.query('SELECT hash FROM artifact_blobs WHERE hash = $1', [hash]);
+  if (existing.rows.length === 0) {
+    await getArtifactStore().put(storageKey, buffer, { contentType });
+    await pool.query(`
+      INSERT INTO artifact_blobs (hash, storage_key, content_type, size_bytes)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (hash) DO NOTHING
+    `, [hash, storageKey, contentType, buffer.length]);
+  }
+
+  return hash;
+}
+
+/**
+ * Store a screenshot
+ * @param {Buffer|string} screenshot - PNG buffer, or its base64 encoding
+ * @param {string} format - Image format
+ * @returns {Promise<string|null>} - Content hash, or null if there is no screenshot or it could not be stored
+ */
+async function saveScreenshot(screenshot, format = 'png') {
+  if (!screenshot || screenshot.length === 0) return null;
+
+  try {
+    const buffer = Buffer.isBuffer(screenshot) ? screenshot : Buffer.from(screenshot, 'base64');
+    return await putBlob(buffer, IMAGE_CONTENT_TYPES[format] || 'image/png');
+  } catch (error) {
+    logger.error(`Failed to store screenshot: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Look up a blob by its content hash
+ * @returns {Promise<object|null>} - artifact_blobs row
+ */
+async function getBlob(hash) {
+  if (!/^[a-f0-9]{64}$/.test(hash)) return null;
+  const result = await pool.query('SELECT * FROM artifact_blobs WHERE hash = $1', [hash]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Base64 content of a blob, for self-contained reports
+ */
+async function readBlobBase64(hash) {
+  const blob = await getBlob(hash);
+  if (!blob) return null;
+  const buffer = await getArtifactStore().getBuffer(blob.storage_key);
+  return buffer ? buffer.toString('base64') : null;
+}
+
+/**
+ * Add base64 `data` to screenshot entries that reference a stored blob, for
+ * self-contained reports. Entries with inline data (not yet migrated) are kept.
+ * @param {Array} screenshots - [{ hash } | { data }]
+ * @returns {Promise<Array>}
+ */
+async function inlineScreenshots(screenshots) {
+  const cache = new Map();
+  const inlined = [];
+  for (const screenshot of screenshots || []) {
+    if (screenshot.data || !screenshot.hash) {
+      inlined.push(screenshot);
+      continue;
+    }
+    if (!cache.has(screenshot.hash)) {
+      cache.set(screenshot.hash, await readBlobBase64(screenshot.hash));
+    }
+    inlined.push({ ...screenshot, data: cache.get(screenshot.hash) });
+  }
+  return inlined;
+}
+
+module.exports = {
+  FilesystemArtifactStore,
+  S3ArtifactStore,
+  getArtifactStore,
+  putBlob,
+  saveScreenshot,
+  getBlob,
+  readBlobBase64,
+  inlineScreenshots
+};
@@ -7,10 +7,21 @@ const IntelligentInteractionPlanner = require('./intelligentInteractionPlanner')
 const IntelligentTestAdapter = require('./intelligentTestAdapter');
 const SPAStateDetector = require('./spaStateDetector');
 const BrowserPoolManager = require('./browserPoolManager');
+const { normalizeLaunchProfile, getLaunchOptions, getContextOptions, DEFAULT_LAUNCH_PROFILE } = require('../utils/launchProfile');
 const PathNavigator = require('./pathNavigator');
+const { validateSteps } = require('../utils/stepActions');
+const { auditAndSave } = require('./accessibilityAuditor');
+const { saveScreenshot } = require('./artifactStore');
+const { PerformanceMonitor } = require('./performanceMonitor');
+const { hashPageSource, hashScreenshot, loadCrawlBaseline, findBaselinePage, isPageUnchanged, carryForwardPage } = require('./crawlBaseline');
+const { normalizePerformanceBudgets, DEFAULT_PERFORMANCE_BUDGETS } = require('../utils/performanceBudgets');
 const { pool } = require('../config/database');
 const { generatePageName } = require('../utils/pageNameGenerator');
-const { decrypt } = require('../utils/encryption');
+const { SmartCrawlingStrategy } = require('./smartCrawlingStrategy');
+const { removeQueryParams } = require('../utils/urlNormalization');
+const { matchNeverClickRule, describeNeverClickRule } = require('../utils/crawlScope');
+const { normalizeSafetyMode, DEFAULT_SAFETY_MODE } = require('../utils/actionSafety');
+const { ActionSafetyClassifier, actionKey, recordBlockedAction, loadApprovedActionKeys } = require('./actionSafetyClassifier');
 
 /**
  * Autonomous crawler that uses vision LLM to identify and interact with elements
@@ -32,6 +43,39 @@ class AutonomousCrawler {
     this.testAdapter = new IntelligentTestAdapter(llmConfig);
     this.stateDetector = new SPAStateDetector();
 
+    try {
+      this.launchProfile = normalizeLaunchProfile(testConfig.launch_profile);
+    } catch (error) {
+      logger.warn(`Invalid launch profile, using defaults: ${error.message}`);
+      this.launchProfile = DEFAULT_LAUNCH_PROFILE;
+    }
+
+    // URL include/exclude rules, allowed domains and never-click rules of the configuration
+    this.crawlStrategy = new SmartCrawlingStrategy(testConfig, testConfig.target_url);
+    this.crawlScope = this.crawlStrategy.scope;
+
+    // Destructive and irreversible actions are skipped or wait for approval unless in sandbox mode
+    try {
+      this.safetyMode = normalizeSafetyMode(testConfig.safety_mode);
+    } catch (error) {
+      logger.warn(`Invalid safety mode, using ${DEFAULT_SAFETY_MODE}: ${error.message}`);
+      this.safetyMode = DEFAULT_SAFETY_MODE;
+    }
+    this.safetyClassifier = new ActionSafetyClassifier(llmConfig);
+    this.approvedActions = new Set();
+    this.blockedActions = new Set();
+
+    this.performanceMonitor = null;
+    if (testConfig.include_performance) {
+      let performanceBudgets = DEFAULT_PERFORMANCE_BUDGETS;
+      try {
+        performanceBudgets = normalizePerformanceBudgets(testConfig.performance_budgets);
+      } catch (error) {
+        logger.warn(`Invalid performance budgets, recording metrics without budgets: ${error.message}`);
+      }
+      this.performanceMonitor = new PerformanceMonitor(testRunId, testConfig.id, performanceBudgets);
+    }
+
     this.browser = null;
     this.context = null;
     this.page = null;
@@ -46,6 +90,10 @@ class AutonomousCrawler {
     this.pathSequence = 0;
     this.virtualPageCounter = 0;
 
+    // Incremental crawls: the base run's pages, loaded in start()
+    this.baseline = null;
+    this.pagesReused = 0;
+
     const maxConcurrentBrowsers = this.testConfig.max_concurrent_browsers || 3;
     this.maxParallelCrawls = Math.min(maxConcurrentBrowsers, 5);
   }
@@ -67,26 +115,54 @@ class AutonomousCrawler {
 
   /**
    * Start crawling from base URL using breadth-first approach
+   * @param {object} options
+   * @param {boolean} options.resume - Continue from page_discovery_queue instead of the base URL
    */
-  async start() {
+  async start({ resume = false } = {}) {
     try {
-      logger.info(`Starting autonomous crawl for test run ${this.testRunId}`);
+      logger.info(`${resume ? 'Resuming' : 'Starting'} autonomous crawl for test run ${this.testRunId}`);
       logger.info(`Target URL: ${this.testConfig.target_url}`);
       logger.info(`Max Depth: ${this.testConfig.max_depth}, Max Pages: ${this.testConfig.max_pages}`);
       logger.info(`🔄 Using BREADTH-FIRST crawling strategy`);
 
       this.shouldStop = false;
 
-      const baseStep = PathNavigator.createGotoStep(this.testConfig.target_url);
-      await this.enqueueUrl(this.testConfig.target_url, 0, null, null, 'high', [baseStep]);
+      if (this.safetyMode === 'approval') {
+        try {
+          this.approvedActions = await loadApprovedActionKeys(this.testConfig.id);
+        } catch (error) {
+          logger.warn(`Could not load approved actions, blocking every destructive action: ${error.message}`);
+        }
+      }
+      logger.info(`🛡️ Safety mode: ${this.safetyMode}, ${this.approvedActions.size} approved actions`);
 
-      await this.processBreadthFirstQueue();
+      if (this.testConfig.base_test_run_id) {
+        try {
+          this.baseline = await loadCrawlBaseline(this.testConfig.base_test_run_id);
+          logger.info(`♻️ Incremental crawl based on test run ${this.testConfig.base_test_run_id}`);
+        } catch (error) {
+          logger.warn(`Could not load the base run, crawling every page from scratch: ${error.message}`);
+        }
+      }
+
+      let startDepth = 0;
+      if (resume) {
+        startDepth = await this.rehydrateFromQueue();
+      } else {
+        const baseStep = PathNavigator.createGotoStep(this.testConfig.target_url);
+        await this.enqueueUrl(this.testConfig.target_url, 0, null, null, 'high', [baseStep]);
+      }
+
+      await this.processBreadthFirstQueue(startDepth);
 
       if (this.shouldStop) {
         logger.info(`Crawl stopped by user. Discovered ${this.pagesDiscovered} pages`);
       } else {
         logger.info(`Crawl completed. Discovered ${this.pagesDiscovered} pages`);
       }
+      if (this.baseline) {
+        logger.info(`♻️ Reused ${this.pagesReused} unchanged pages from test run ${this.baseline.testRunId}`);
+      }
 
       // Emit test generation phase
       if (this.io) {
@@ -144,19 +220,13 @@ class AutonomousCrawler {
    * Initialize browser instance
    */
   async initializeBrowser() {
-    this.browser = await chromium.launch({
-      headless: false,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage'
-      ]
-    });
+    this.browser = await chromium.launch(getLaunchOptions(this.launchProfile, [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage'
+    ]));
 
-    this.context = await this.browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    });
+    this.context = await this.browser.newContext(getContextOptions(this.launchProfile));
 
     this.page = await this.context.newPage();
 
@@ -417,12 +487,33 @@ class AutonomousCrawler {
       const screenshotBase64 = screenshot.toString('base64');
       const pageSource = await page.content();
       const title = await page.title();
-
-      const analysis = await this.visionIdentifier.identifyInteractiveElements(
-        screenshotBase64,
-        pageSource,
-        url
-      );
+      const domHash = hashPageSource(pageSource);
+
+      // Incremental crawls reuse the base run's analysis of pages that did not change
+      const baselinePage = findBaselinePage(this.baseline, url);
+      const reusedPage = isPageUnchanged(baselinePage, { domHash, screenshotHash: hashScreenshot(screenshot) })
+        ? baselinePage
+        : null;
+
+      let analysis;
+      if (reusedPage) {
+        logger.info(`♻️ Page unchanged since test run ${this.baseline.testRunId}, reusing its analysis`);
+        this.pagesReused++;
+        analysis = {
+          screenName: reusedPage.screen_name,
+          pageType: reusedPage.page_type,
+          interactiveElements: reusedPage.elements
+        };
+      } else {
+        if (baselinePage) {
+          logger.info(`🔄 Page changed since test run ${this.baseline.testRunId}, analyzing it again`);
+        }
+        analysis = await this.visionIdentifier.identifyInteractiveElements(
+          screenshotBase64,
+          pageSource,
+          url
+        );
+      }
 
       // Ensure interactiveElements is always an array
       if (!analysis.interactiveElements || !Array.isArray(analysis.interactiveElements)) {
@@ -446,11 +537,21 @@ class AutonomousCrawler {
         screenshotBase64,
         pageSource,
         analysis.interactiveElements.length,
-        depth
+        depth,
+        { domHash, reusedFromPageId: reusedPage ? reusedPage.id : null }
       );
 
       await this.saveInteractiveElements(pageId, analysis.interactiveElements);
 
+      if (this.performanceMonitor) {
+        await this.performanceMonitor.capture(page, { pageId });
+      }
+
+      // Audit the page as the crawler found it, before login or other interactions change it
+      const accessibilityViolations = this.testConfig.include_accessibility
+        ? await auditAndSave(page, { testRunId: this.testRunId, pageId, pageUrl: url })
+        : null;
+
       if (fromPageId) {
         await this.saveCrawlPathWithSteps(fromPageId, pageId, interactionElementId, depth, parentSteps);
       }
@@ -480,28 +581,38 @@ class AutonomousCrawler {
         }
       }
 
-      const scenarios = await this.interactionPlanner.generateScenarios(
-        pageId,
-        this.testRunId,
-        url,
-        title,
-        analysis.screenName,
-        analysis.pageType,
-        screenshotBase64,
-        pageSource,
-        analysis.interactiveElements
-      );
+      if (reusedPage) {
+        await this.carryForwardPageTests(pageId, reusedPage, parentSteps);
+        await this.updateRunningStats();
+      } else {
+        const scenarios = await this.interactionPlanner.generateScenarios(
+          pageId,
+          this.testRunId,
+          url,
+          title,
+          analysis.screenName,
+          analysis.pageType,
+          screenshotBase64,
+          pageSource,
+          analysis.interactiveElements
+        );
 
-      logger.info(`🎯 Generated ${scenarios.length} meaningful interaction scenarios`);
+        logger.info(`🎯 Generated ${scenarios.length} meaningful interaction scenarios`);
 
-      await this.generatePageTestsWithPrerequisites(pageId, url, analysis, analysis.interactiveElements, parentSteps);
+        await this.generatePageTestsWithPrerequisites(pageId, url, analysis, analysis.interactiveElements, parentSteps, accessibilityViolations);
 
-      await this.updateRunningStats();
+        await this.updateRunningStats();
 
-      logger.info(`  ✅ Generated ${scenarios.length} scenarios for flow-level tests (will be processed after crawl)`)
+        logger.info(`  ✅ Generated ${scenarios.length} scenarios for flow-level tests (will be processed after crawl)`)
+      }
 
       try {
-        await this.discoverAndEnqueueLinks(browser.page, pageId, url, analysis, depth, parentSteps);
+        // An unchanged page has the same links, so the base run's paths from it are followed without clicking
+        if (reusedPage && reusedPage.outgoingPaths.length > 0) {
+          await this.enqueueBaselinePaths(reusedPage, pageId, depth);
+        } else {
+          await this.discoverAndEnqueueLinks(browser.page, pageId, url, analysis, depth, parentSteps);
+        }
       } catch (linkDiscoveryError) {
         logger.error(`Link discovery failed for ${url}: ${linkDiscoveryError.message}`);
         logger.warn(`Continuing with crawl despite link discovery failure`);
@@ -542,6 +653,17 @@ class AutonomousCrawler {
 
       // Perform interaction based on element type
       if (element.element_type === 'link' || element.element_type === 'button') {
+        const allowed = await this.guardAction(this.page, {
+          selector,
+          text: element.text_content,
+          elementType: element.element_type,
+          source: 'link_discovery',
+          pageId: currentPageId
+        });
+        if (!allowed) {
+          return false;
+        }
+
         // Click element
         await Promise.all([
           this.page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {}),
@@ -616,6 +738,22 @@ class AutonomousCrawler {
         const step = scenario.steps[i];
         logger.info(`  Step ${i + 1}: ${step.action} on ${step.elementType} - "${step.textContent || step.selector}"`);
 
+        if (step.action === 'click' || step.action === 'check') {
+          const allowed = await this.guardAction(this.page, {
+            selector: step.selector,
+            text: step.textContent,
+            elementType: step.elementType,
+            source: 'scenario',
+            pageId: currentPageId
+          });
+          if (!allowed) {
+            logger.warn(`  🚫 Step ${i + 1} blocked - stopping scenario`);
+            lastStepError = 'Blocked as a destructive action';
+            scenarioSuccess = false;
+            break;
+          }
+        }
+
         try {
           await this.executeScenarioStep(step);
           await this.stateDetector.waitForStateSettlement(this.page);
@@ -732,7 +870,23 @@ class AutonomousCrawler {
               logger.info(`  💡 LLM diagnosis: ${analysis.diagnosis}`);
               logger.info(`  🔄 Trying ${analysis.alternativeSteps.length} alternative steps...`);
 
-              await this.testAdapter.executeAlternativeSteps(this.page, analysis.alternativeSteps, this);
+              // The LLM's alternatives are guarded like the planned steps
+              const alternativeSteps = [];
+              for (const alternative of analysis.alternativeSteps) {
+                if (alternative.action === 'click' || alternative.action === 'check') {
+                  const allowed = await this.guardAction(this.page, {
+                    selector: alternative.selector,
+                    text: alternative.textContent,
+                    elementType: step.elementType,
+                    source: 'scenario',
+                    pageId: currentPageId
+                  });
+                  if (!allowed) continue;
+                }
+                alternativeSteps.push(alternative);
+              }
+
+              await this.testAdapter.executeAlternativeSteps(this.page, alternativeSteps, this);
               await this.stateDetector.waitForStateSettlement(this.page);
 
               // Verify if intent was achieved
@@ -1035,10 +1189,17 @@ class AutonomousCrawler {
         return;
       }
 
+      url = removeQueryParams(url, this.crawlScope.ignoreQueryParams);
+
       if (this.visitedUrls.has(url)) {
         return;
       }
 
+      if (!this.crawlStrategy.shouldCrawlUrl(url, depth)) {
+        logger.info(`⏭️ Skipping enqueue of ${url} - outside the crawl scope`);
+        return;
+      }
+
       const existing = await pool.query(
         'SELECT id FROM page_discovery_queue WHERE test_run_id = $1 AND url = $2',
         [this.testRunId, url]
@@ -1061,11 +1222,77 @@ class AutonomousCrawler {
     }
   }
 
+  /**
+   * Restore in-memory crawl state from the database after a server restart.
+   * Items left in `processing` are requeued unless their page was already saved,
+   * in which case they are marked completed so the page is not crawled twice.
+   * @returns {Promise<number>} - Depth level the breadth-first queue should continue from
+   */
+  async rehydrateFromQueue() {
+    const pagesResult = await pool.query(
+      'SELECT id, url FROM discovered_pages WHERE test_run_id = $1',
+      [this.testRunId]
+    );
+    const pageIdsByUrl = new Map(pagesResult.rows.map(page => [page.url, page.id]));
+
+    this.visitedUrls = new Set(pageIdsByUrl.keys());
+    this.pagesDiscovered = this.visitedUrls.size;
+
+    const interrupted = await pool.query(
+      `SELECT id, url FROM page_discovery_queue
+       WHERE test_run_id = $1 AND status = 'processing'`,
+      [this.testRunId]
+    );
+
+    for (const item of interrupted.rows) {
+      if (pageIdsByUrl.has(item.url)) {
+        logger.warn(`Page ${item.url} was saved before the restart; links discovered after that may be missing`);
+        await pool.query(
+          `UPDATE page_discovery_queue
+           SET status = 'completed', completed_at = CURRENT_TIMESTAMP, discovered_page_id = $2
+           WHERE id = $1`,
+          [item.id, pageIdsByUrl.get(item.url)]
+        );
+      } else {
+        await pool.query(
+          `UPDATE page_discovery_queue
+           SET status = 'queued', started_at = NULL
+           WHERE id = $1`,
+          [item.id]
+        );
+      }
+    }
+
+    const depthResult = await pool.query(
+      `SELECT MIN(depth_level) as depth, COUNT(*) as count
+       FROM page_discovery_queue
+       WHERE test_run_id = $1 AND status = 'queued'`,
+      [this.testRunId]
+    );
+    const { depth, count } = depthResult.rows[0];
+
+    logger.info(`♻️ Rehydrated test run ${this.testRunId}: ${this.pagesDiscovered} pages visited, ${interrupted.rows.length} interrupted items, ${count} queued`);
+
+    if (this.io) {
+      this.io.emit('crawlerProgress', {
+        testRunId: this.testRunId,
+        phase: 'crawling',
+        discoveredPagesCount: this.pagesDiscovered,
+        message: `Crawl resumed with ${count} queued pages`,
+        percentage: Math.min((this.pagesDiscovered / this.testConfig.max_pages) * 100, 100),
+        canStopCrawling: true
+      });
+    }
+
+    return depth === null ? this.testConfig.max_depth + 1 : parseInt(depth);
+  }
+
   /**
    * Process the queue using breadth-first strategy with parallel crawling
+   * @param {number} startDepth - Depth level to start from (non-zero when resuming)
    */
-  async processBreadthFirstQueue() {
-    let currentDepth = 0;
+  async processBreadthFirstQueue(startDepth = 0) {
+    let currentDepth = startDepth;
     let processedCount = 0;
 
     while (currentDepth <= this.testConfig.max_depth && this.pagesDiscovered < this.testConfig.max_pages && !this.shouldStop) {
@@ -1097,7 +1324,7 @@ class AutonomousCrawler {
       const browsersNeeded = Math.min(queueItems.rows.length, this.maxParallelCrawls);
       logger.info(`🚀 Launching ${browsersNeeded} browser(s) for ${queueItems.rows.length} page(s)`);
 
-      this.browserPool = new BrowserPoolManager(browsersNeeded);
+      this.browserPool = new BrowserPoolManager(browsersNeeded, this.launchProfile);
       await this.browserPool.initialize();
 
       try {
@@ -1178,25 +1405,18 @@ class AutonomousCrawler {
         : [];
       logger.info(`  Required steps from base URL: ${requiredSteps.length}`);
 
-      // Pass credentials to PathNavigator for auth placeholder substitution
-      const credentials = this.testConfig.credentials ? (() => {
-        try {
-          const decrypted = decrypt(this.testConfig.credentials);
-          const parsed = JSON.parse(decrypted);
-          return {
-            username: parsed.username || parsed.email || this.testConfig.auth_username,
-            password: parsed.password || this.testConfig.auth_password
-          };
-        } catch (error) {
-          logger.warn(`Failed to decrypt credentials for PathNavigator: ${error.message}`);
-          return null;
-        }
-      })() : null;
+      // Pass the crawl role's credentials (and every profile, for {auth.<role>.*}) to PathNavigator
+      const credentials = this.testConfig.auth_username
+        ? { username: this.testConfig.auth_username, password: this.testConfig.auth_password }
+        : null;
 
-      const navigator = new PathNavigator(browser.page, credentials);
+      const navigator = new PathNavigator(browser.page, credentials, this.testConfig.credential_profiles || []);
 
       if (requiredSteps.length > 0) {
-        await navigator.executeSteps(requiredSteps);
+        // Steps may come from a base run or a resumed run crawled under another safety mode
+        await navigator.executeSteps(requiredSteps, {
+          beforeStep: step => this.guardReplayedStep(browser.page, step, item.from_page_id)
+        });
       } else {
         await navigator.executeStep(PathNavigator.createGotoStep(item.url));
       }
@@ -1258,12 +1478,13 @@ class AutonomousCrawler {
       const pageSource = await this.page.content();
       const imageSize = screenshot ? screenshot.length : 0;
       const imageFormat = 'png';
+      const screenshotHash = await saveScreenshot(screenshot, imageFormat);
 
       const result = await pool.query(
         `INSERT INTO discovered_pages
-         (test_run_id, url, title, screen_name, page_type, elements_count, screenshot_path, screenshot_data, image_size, image_format, page_source, crawl_depth,
-          is_virtual, state_identifier, triggered_by_action, parent_page_id, state_metadata)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+         (test_run_id, url, title, screen_name, page_type, elements_count, screenshot_path, screenshot_hash, image_size, image_format, page_source, crawl_depth,
+          is_virtual, state_identifier, triggered_by_action, parent_page_id, state_metadata, role)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
          RETURNING id`,
         [
           this.testRunId,
@@ -1273,7 +1494,7 @@ class AutonomousCrawler {
           virtualPage.changeType,
           0,
           `virtual_${this.virtualPageCounter}.png`,
-          screenshot,
+          screenshotHash,
           imageSize,
           imageFormat,
           pageSource,
@@ -1282,7 +1503,8 @@ class AutonomousCrawler {
           virtualPage.stateIdentifier,
           virtualPage.triggeredBy,
           parentPageId,
-          JSON.stringify(virtualPage.changes)
+          JSON.stringify(virtualPage.changes),
+          this.testConfig.role || null
         ]
       );
 
@@ -1310,11 +1532,13 @@ class AutonomousCrawler {
 
   /**
    * Save discovered page to database
+   * @param {object} fingerprint - { domHash, reusedFromPageId } for incremental crawls
    */
-  async saveDiscoveredPage(url, title, screenName, pageType, screenshot, pageSource, elementsCount, depth) {
+  async saveDiscoveredPage(url, title, screenName, pageType, screenshot, pageSource, elementsCount, depth, { domHash = null, reusedFromPageId = null } = {}) {
     const screenshotPath = `screenshots/${this.testRunId}_${Date.now()}.png`;
-    const imageSize = screenshot ? screenshot.length : 0;
     const imageFormat = 'png';
+    const screenshotHash = await saveScreenshot(screenshot, imageFormat);
+    const imageSize = screenshot ? Buffer.byteLength(screenshot, 'base64') : 0;
 
     // Generate a friendly page name if screenName is not provided or is generic
     let finalScreenName = screenName;
@@ -1324,10 +1548,12 @@ class AutonomousCrawler {
     }
 
     const result = await pool.query(
-      `INSERT INTO discovered_pages (test_run_id, url, title, screen_name, page_type, elements_count, screenshot_path, screenshot_data, image_size, image_format, page_source, crawl_depth)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      `INSERT INTO discovered_pages (test_run_id, url, title, screen_name, page_type, elements_count, screenshot_path, screenshot_hash, image_size, image_format, page_source, crawl_depth, role,
+                                     dom_hash, reused_from_page_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
        RETURNING id`,
-      [this.testRunId, url, title, finalScreenName, pageType, elementsCount, screenshotPath, screenshot, imageSize, imageFormat, pageSource, depth]
+      [this.testRunId, url, title, finalScreenName, pageType, elementsCount, screenshotPath, screenshotHash, imageSize, imageFormat, pageSource, depth, this.testConfig.role || null,
+        domHash, reusedFromPageId]
     );
 
     return result.rows[0].id;
@@ -1437,7 +1663,7 @@ class AutonomousCrawler {
     );
   }
 
-  async generatePageTestsWithPrerequisites(pageId, url, analysis, interactiveElements, prerequisiteSteps) {
+  async generatePageTestsWithPrerequisites(pageId, url, analysis, interactiveElements, prerequisiteSteps, accessibilityViolations = null) {
     logger.info(`Generating page-level tests with prerequisites for: ${analysis.screenName}`);
     logger.info(`  Prerequisite steps: ${prerequisiteSteps.length}`);
 
@@ -1446,10 +1672,27 @@ class AutonomousCrawler {
       pageId,
       url,
       analysis,
-      interactiveElements
+      interactiveElements,
+      { includeAccessibility: !!this.testConfig.include_accessibility, accessibilityViolations }
     );
 
+    await this.savePrerequisiteSteps(pageId, prerequisiteSteps);
+  }
+
+  /**
+   * Carry an unchanged page's scenarios and test cases forward from the base run,
+   * with the steps that reach the page in this run as prerequisites
+   */
+  async carryForwardPageTests(pageId, baselinePage, prerequisiteSteps) {
+    const count = await carryForwardPage(baselinePage.id, this.testRunId, pageId);
+    logger.info(`  ♻️ Carried ${count} test cases forward from page ${baselinePage.id}`);
+
+    await this.savePrerequisiteSteps(pageId, prerequisiteSteps);
+  }
+
+  async savePrerequisiteSteps(pageId, prerequisiteSteps) {
     const cleanupSteps = [PathNavigator.createClearBrowserDataStep()];
+    validateSteps(prerequisiteSteps, 'Prerequisite steps');
 
     await pool.query(
       `UPDATE test_cases
@@ -1461,6 +1704,23 @@ class AutonomousCrawler {
     logger.info(`  ✅ Added prerequisite and cleanup steps to test cases`);
   }
 
+  /**
+   * Enqueue the pages the base run reached from an unchanged page, with the steps it reached them by.
+   * Their clicks are guarded when the steps are replayed (see guardReplayedStep).
+   */
+  async enqueueBaselinePaths(baselinePage, pageId, depth) {
+    if (!this.canDiscoverFromDepth(depth)) {
+      logger.info(`  ⏭️ Skipping link discovery - page at depth ${depth} (max_depth: ${this.testConfig.max_depth})`);
+      return;
+    }
+
+    logger.info(`  ♻️ Following ${baselinePage.outgoingPaths.length} paths of test run ${this.baseline.testRunId}`);
+    for (const path of baselinePage.outgoingPaths) {
+      if (this.pagesDiscovered >= this.testConfig.max_pages) break;
+      await this.enqueueUrl(path.url, depth + 1, pageId, null, 'medium', path.steps);
+    }
+  }
+
   async discoverAndEnqueueLinks(page, pageId, currentUrl, analysis, depth, parentSteps) {
     // Check if current page is at a depth that can discover new pages
     if (!this.canDiscoverFromDepth(depth)) {
@@ -1516,6 +1776,17 @@ class AutonomousCrawler {
           continue;
         }
 
+        const allowed = await this.guardAction(page, {
+          selector,
+          text,
+          elementType: element.element_type,
+          source: 'link_discovery',
+          pageId
+        });
+        if (!allowed) {
+          continue;
+        }
+
         logger.info(`  👆 Clicking: ${text.substring(0, 50)} (${selector})`);
 
         const startUrl = page.url();
@@ -1698,6 +1969,133 @@ class AutonomousCrawler {
     logger.info(`  ✅ Link discovery complete`);
   }
 
+  /**
+   * Read what the page says about an element the crawler is about to click: its
+   * text, link target, input type and form method, and the never-click selector
+   * rule (if any) it or one of its ancestors matches
+   * @returns {Promise<object|null>} - null if the element can't be found
+   */
+  async inspectElement(page, selector) {
+    const selectorRules = this.crawlScope.neverClick.filter(neverClick => neverClick.selector).map(neverClick => neverClick.selector);
+    try {
+      return await page.locator(selector).first().evaluate((el, selectors) => {
+        const link = el.closest('a');
+        const form = el.form || el.closest('form');
+        return {
+          text: (el.innerText || el.value || el.getAttribute('aria-label') || '').trim(),
+          href: link ? link.getAttribute('href') : null,
+          inputType: el.form ? el.type : el.getAttribute('type'),
+          formMethod: form ? (form.getAttribute('method') || 'get') : null,
+          matchedSelector: selectors.find(candidate => {
+            try {
+              return !!el.closest(candidate);
+            } catch (error) {
+              return false;
+            }
+          }) || null
+        };
+      }, selectorRules, { timeout: 2000 });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Guard a click or check of a replayed path step like one made in this run
+   * @returns {Promise<boolean>} - Whether the step may be performed
+   */
+  async guardReplayedStep(page, step, pageId) {
+    if (step.action !== 'click' && step.action !== 'check') {
+      return true;
+    }
+
+    return this.guardAction(page, {
+      selector: step.selector,
+      text: step.elementText || step.textContent,
+      elementType: step.elementType,
+      source: 'link_discovery',
+      pageId
+    });
+  }
+
+  /**
+   * Decide whether the crawler may click an element. Never-click rules always
+   * block; destructive and irreversible actions are blocked too unless the
+   * configuration runs in sandbox mode or the action was approved in an earlier
+   * run. Blocked actions are logged to the test run.
+   * @param {object} action - { selector, text, elementType, source, pageId }, source
+   *   being link_discovery or scenario
+   * @returns {Promise<boolean>} - Whether the action may be performed
+   */
+  async guardAction(page, { selector, text, elementType, source, pageId = null }) {
+    const pageUrl = page.url();
+    const element = selector ? await this.inspectElement(page, selector) : null;
+    const elementText = text || (element && element.text) || '';
+    const blocked = { pageUrl, pageId, selector, text: elementText, elementType, source };
+
+    const rule = matchNeverClickRule(this.crawlScope, { selector, text })
+      || (element && element.matchedSelector ? { selector: element.matchedSelector } : null)
+      || (element ? matchNeverClickRule(this.crawlScope, { text: element.text }) : null);
+    if (rule) {
+      await this.logBlockedAction({
+        ...blocked,
+        classification: 'never_click',
+        reason: `never-click ${describeNeverClickRule(rule)}`,
+        classifiedBy: 'rule',
+        status: 'skipped'
+      });
+      return false;
+    }
+
+    if (this.safetyMode === 'sandbox') {
+      return true;
+    }
+
+    const verdict = await this.safetyClassifier.classify({
+      pageUrl,
+      text: [...new Set([text, element && element.text].filter(Boolean))].join(' '),
+      selector,
+      elementType,
+      href: element && element.href,
+      inputType: element && element.inputType,
+      formMethod: element && element.formMethod
+    });
+    if (verdict.classification === 'safe') {
+      return true;
+    }
+
+    if (this.approvedActions.has(actionKey(pageUrl, selector, elementText))) {
+      logger.info(`  ✅ Performing approved ${verdict.classification} action "${elementText.substring(0, 50)}"`);
+      return true;
+    }
+
+    await this.logBlockedAction({
+      ...blocked,
+      classification: verdict.classification,
+      reason: verdict.reason,
+      classifiedBy: verdict.classifiedBy,
+      status: this.safetyMode === 'approval' ? 'pending_approval' : 'skipped'
+    });
+    return false;
+  }
+
+  /**
+   * Log an action the crawler did not perform, once per run
+   */
+  async logBlockedAction(action) {
+    logger.info(`  🚫 Not clicking "${action.text.substring(0, 50)}" - ${action.classification}: ${action.reason}`);
+
+    const key = `${action.source}|${actionKey(action.pageUrl, action.selector, action.text)}`;
+    if (this.blockedActions.has(key)) return;
+    this.blockedActions.add(key);
+
+    try {
+      await recordBlockedAction(this.testRunId, action);
+    } catch (error) {
+      logger.warn(`Failed to record blocked action: ${error.message}`);
+    }
+  }
+
   /**
    * Detect if this is a login/authentication page
    * Works language-independently by focusing on input types and form structure
@@ -1791,8 +2189,11 @@ class AutonomousCrawler {
    */
   async handleLoginForm(page, elements) {
     try {
-      // Decrypt and parse credentials
-      const credentials = JSON.parse(decrypt(this.testConfig.credentials));
+      // Credentials of the profile this crawl signs in as
+      const credentials = {
+        username: this.testConfig.auth_username,
+        password: this.testConfig.auth_password
+      };
 
       // Safety check: ensure elements is an array
       if (!elements || !Array.isArray(elements)) {
@@ -1864,13 +2265,13 @@ class AutonomousCrawler {
 
       // Fill username
       logger.info(`  📝 Filling username field with configured credentials`);
-      await this.smartFill(page, usernameField.selector, credentials.username || credentials.email || this.testConfig.auth_username);
+      await this.smartFill(page, usernameField.selector, credentials.username);
 
       await page.waitForTimeout(800);
 
       // Fill password
       logger.info(`  📝 Filling password field with configured credentials`);
-      await this.smartFill(page, passwordField.selector, credentials.password || this.testConfig.auth_password);
+      await this.smartFill(page, passwordField.selector, credentials.password);
 
       await page.waitForTimeout(800);
 
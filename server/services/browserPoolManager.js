@@ -1,10 +1,12 @@
 const { chromium } = require('playwright');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
+const { getLaunchOptions, getContextOptions } = require('../utils/launchProfile');
 
 class BrowserPoolManager {
-  constructor(poolSize = 3) {
+  constructor(poolSize = 3, launchProfile = null) {
     this.poolSize = poolSize;
+    this.launchProfile = launchProfile;
     this.browsers = [];
     this.availableBrowsers = [];
     this.busyBrowsers = new Set();
@@ -24,19 +26,13 @@ class BrowserPoolManager {
   }
 
   async launchBrowser() {
-    const browser = await chromium.launch({
-      headless: false,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage'
-      ]
-    });
-
-    const context = await browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    });
+    const browser = await chromium.launch(getLaunchOptions(this.launchProfile, [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage'
+    ]));
+
+    const context = await browser.newContext(getContextOptions(this.launchProfile));
 
     const page = await context.newPage();
 
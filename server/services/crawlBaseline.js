@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { normalizePageUrl } = require('../utils/urlNormalization');
+const logger = require('../utils/logger');
+
+/**
+ * Knowledge of a previous crawl that an incremental crawl is seeded from: the base
+ * run's pages with their fingerprints, interactive elements and outgoing crawl
+ * paths. A page whose DOM fingerprint or screenshot is unchanged keeps the base
+ * run's analysis, interaction scenarios and page-level test cases.
+ */
+
+/**
+ * Fingerprint a page's source. Scripts, styles, comments and whitespace are left
+ * out, so bundle hashes or inline state don't make an unchanged page look changed.
+ * @param {string} pageSource - HTML of the page
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashPageSource(pageSource) {
+  const normalized = (pageSource || '')
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, '')
+    .replace(/<noscript\b[^>]*>[\s\S]*?<\/noscript>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Fingerprint a screenshot the way the artifact store keys it
+ * @param {Buffer|string} screenshot - PNG buffer, or its base64 encoding
+ * @returns {string|null} - SHA-256 hex digest, or null without a screenshot
+ */
+function hashScreenshot(screenshot) {
+  if (!screenshot || screenshot.length === 0) return null;
+  const buffer = Buffer.isBuffer(screenshot) ? screenshot : Buffer.from(screenshot, 'base64');
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Latest finished crawl of a test configuration as a role
+ * @param {string|null} role - Credential profile the crawl signed in as
+ * @returns {Promise<number|null>} - Test run ID, or null if the configuration was never crawled
+ */
+async function findBaseTestRun(testConfigId, role = null) {
+  const result = await pool.query(`
+    SELECT id FROM test_runs
+    WHERE test_config_id = $1
+      AND role IS NOT DISTINCT FROM $2
+      AND status IN ('ready_for_execution', 'completed')
+    ORDER BY start_time DESC, id DESC
+    LIMIT 1
+  `, [testConfigId, role]);
+
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+/**
+ * Load a finished run's pages, keyed by normalized URL. Virtual pages (SPA states)
+ * are left out; they are found again while crawling their page.
+ * @returns {Promise<object>} - { testRunId, pagesByKey }, each page with
+ *   `elements` and `outgoingPaths` (target URL and the steps that reached it)
+ */
+async function loadCrawlBaseline(testRunId) {
+  const [pagesResult, elementsResult, pathsResult] = await Promise.all([
+    pool.query(`
+      SELECT id, url, title, screen_name, page_type, dom_hash, screenshot_hash
+      FROM discovered_pages
+      WHERE test_run_id = $1 AND COALESCE(is_virtual, false) = false
+      ORDER BY id
+    `, [testRunId]),
+    pool.query(`
+      SELECT pie.page_id, pie.element_type, pie.selector, pie.text_content, pie.attributes,
+             pie.interaction_priority, pie.identified_by, pie.metadata
+      FROM page_interactive_elements pie
+      JOIN discovered_pages dp ON dp.id = pie.page_id
+      WHERE dp.test_run_id = $1
+      ORDER BY pie.id
+    `, [testRunId]),
+    pool.query(`
+      SELECT cp.from_page_id, cp.complete_step_sequence, dp.url AS to_url
+      FROM crawl_paths cp
+      JOIN discovered_pages dp ON dp.id = cp.to_page_id
+      WHERE cp.test_run_id = $1 AND COALESCE(dp.is_virtual, false) = false
+      ORDER BY cp.path_sequence
+    `, [testRunId])
+  ]);
+
+  const pagesById = new Map();
+  const pagesByKey = new Map();
+  pagesResult.rows.forEach(row => {
+    const page = { ...row, elements: [], outgoingPaths: [] };
+    pagesById.set(page.id, page);
+    const key = normalizePageUrl(page.url);
+    if (!pagesByKey.has(key)) pagesByKey.set(key, page);
+  });
+
+  elementsResult.rows.forEach(element => {
+    const page = pagesById.get(element.page_id);
+    if (page) page.elements.push(element);
+  });
+
+  pathsResult.rows.forEach(path => {
+    const page = pagesById.get(path.from_page_id);
+    if (!page) return;
+    const steps = typeof path.complete_step_sequence === 'string'
+      ? JSON.parse(path.complete_step_sequence)
+      : path.complete_step_sequence || [];
+    page.outgoingPaths.push({ url: path.to_url, steps });
+  });
+
+  logger.info(`Loaded crawl baseline from test run ${testRunId}: ${pagesByKey.size} pages`);
+  return { testRunId, pagesByKey };
+}
+
+/**
+ * Find the base run's page for a URL
+ * @returns {object|null}
+ */
+function findBaselinePage(baseline, url) {
+  if (!baseline) return null;
+  return baseline.pagesByKey.get(normalizePageUrl(url)) || null;
+}
+
+/**
+ * Whether a re-visited page is unchanged since the base run: the same DOM
+ * fingerprint, or a pixel-identical screenshot
+ */
+function isPageUnchanged(baselinePage, { domHash, screenshotHash }) {
+  if (!baselinePage) return false;
+  if (baselinePage.dom_hash && baselinePage.dom_hash === domHash) return true;
+  return !!baselinePage.screenshot_hash && baselinePage.screenshot_hash === screenshotHash;
+}
+
+/**
+ * Copy an unchanged page's interaction scenarios and page-level test cases (with
+ * their datasets) from the base run to the current run
+ * @param {number} baselinePageId - Page of the base run
+ * @param {number} testRunId - Current run
+ * @param {number} pageId - The page in the current run
+ * @returns {Promise<number>} - Number of test cases carried forward
+ */
+async function carryForwardPage(baselinePageId, testRunId, pageId) {
+  await pool.query(`
+    INSERT INTO interaction_scenarios (
+      page_id, test_run_id, scenario_name, scenario_description,
+      priority, steps, expected_final_outcome, is_testable, leads_to_new_page
+    )
+    SELECT $1, $2, scenario_name, scenario_description,
+           priority, steps, expected_final_outcome, is_testable, leads_to_new_page
+    FROM interaction_scenarios
+    WHERE page_id = $3
+    ORDER BY id
+  `, [pageId, testRunId, baselinePageId]);
+
+  const testCases = await pool.query(`
+    SELECT id FROM test_cases
+    WHERE page_id = $1 AND COALESCE(test_level, 'page') = 'page'
+    ORDER BY id
+  `, [baselinePageId]);
+
+  for (const testCase of testCases.rows) {
+    const copy = await pool.query(`
+      INSERT INTO test_cases (test_run_id, page_id, test_type, test_name, test_description, test_steps,
+                              expected_result, test_level, playwright_code, cleanup_steps, status, role)
+      SELECT $1, $2, test_type, test_name, test_description, test_steps,
+             expected_result, test_level, playwright_code, cleanup_steps, 'pending',
+             (SELECT role FROM test_runs WHERE id = $1)
+      FROM test_cases
+      WHERE id = $3
+      RETURNING id
+    `, [testRunId, pageId, testCase.id]);
+
+    await pool.query(`
+      INSERT INTO test_datasets (test_case_id, name, source_format, columns, rows, created_by)
+      SELECT $1, name, source_format, columns, rows, created_by
+      FROM test_datasets
+      WHERE test_case_id = $2
+    `, [copy.rows[0].id, testCase.id]);
+  }
+
+  return testCases.rows.length;
+}
+
+module.exports = {
+  hashPageSource,
+  hashScreenshot,
+  findBaseTestRun,
+  loadCrawlBaseline,
+  findBaselinePage,
+  isPageUnchanged,
+  carryForwardPage
+};
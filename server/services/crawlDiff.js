@@ -0,0 +1,212 @@
+const { pool } = require('../config/database');
+const { normalizePageUrl } = require('../utils/urlNormalization');
+
+/**
+ * Structural comparison of two crawls of the same test configuration: pages added or
+ * removed, screen names that changed, interactive elements that appeared or
+ * disappeared, and crawl paths that are new or no longer work.
+ *
+ * Pages are matched by normalized URL plus state_identifier (virtual pages share
+ * their page's URL), elements by type, selector and text, and crawl paths by the
+ * pages they connect and the element that was clicked.
+ */
+
+const START_KEY = '(start)';
+
+function pageKey(page) {
+  return `${normalizePageUrl(page.url)}|${page.state_identifier || ''}`;
+}
+
+function elementKey(element) {
+  return `${element.element_type}|${element.selector}|${(element.text_content || '').trim()}`;
+}
+
+function describePage(page) {
+  return {
+    pageId: page.id,
+    url: page.url,
+    title: page.title,
+    screenName: page.screen_name,
+    stateIdentifier: page.state_identifier || null,
+    isVirtual: !!page.is_virtual
+  };
+}
+
+function describeElement(element) {
+  return {
+    elementType: element.element_type,
+    selector: element.selector,
+    text: element.text_content
+  };
+}
+
+/**
+ * Index one run's crawl by page key
+ */
+function indexCrawl({ pages, elements, paths }) {
+  const pagesByKey = new Map();
+  const keysById = new Map();
+  pages.forEach(page => {
+    const key = pageKey(page);
+    keysById.set(page.id, key);
+    if (!pagesByKey.has(key)) pagesByKey.set(key, page);
+  });
+
+  const elementsByPage = new Map();
+  elements.forEach(element => {
+    const key = keysById.get(element.page_id);
+    if (!key) return;
+    if (!elementsByPage.has(key)) elementsByPage.set(key, new Map());
+    elementsByPage.get(key).set(elementKey(element), element);
+  });
+
+  const pathsByKey = new Map();
+  paths.forEach(path => {
+    const toKey = keysById.get(path.to_page_id);
+    if (!toKey) return;
+    const fromKey = path.from_page_id ? keysById.get(path.from_page_id) : START_KEY;
+    const interaction = path.element_type ? elementKey(path) : path.interaction_type;
+    const key = `${fromKey} -> ${toKey} via ${interaction}`;
+    if (!pathsByKey.has(key)) {
+      pathsByKey.set(key, { fromKey, toKey, interactionKey: path.element_type ? interaction : null, path });
+    }
+  });
+
+  return { pagesByKey, elementsByPage, pathsByKey };
+}
+
+function describePath({ fromKey, toKey, path }, pagesByKey) {
+  const fromPage = pagesByKey.get(fromKey);
+  const toPage = pagesByKey.get(toKey);
+  return {
+    from: fromPage ? { url: fromPage.url, screenName: fromPage.screen_name } : null,
+    to: { url: toPage.url, screenName: toPage.screen_name },
+    interaction: path.element_type
+      ? { type: path.interaction_type, ...describeElement(path) }
+      : { type: path.interaction_type }
+  };
+}
+
+/**
+ * Compare two crawls
+ * @param {object} base - { pages, elements, paths } of the earlier run
+ * @param {object} compare - { pages, elements, paths } of the later run
+ * @returns {object} - { summary, pages: { added, removed, renamed }, elements, paths: { added, broken } }
+ */
+function compareCrawls(base, compare) {
+  const before = indexCrawl(base);
+  const after = indexCrawl(compare);
+
+  const added = [];
+  const removed = [];
+  const renamed = [];
+  const elements = [];
+  let unchanged = 0;
+
+  for (const [key, page] of after.pagesByKey) {
+    if (!before.pagesByKey.has(key)) added.push(describePage(page));
+  }
+
+  for (const [key, basePage] of before.pagesByKey) {
+    const page = after.pagesByKey.get(key);
+    if (!page) {
+      removed.push(describePage(basePage));
+      continue;
+    }
+
+    let changed = false;
+    if ((basePage.screen_name || '') !== (page.screen_name || '')) {
+      renamed.push({ ...describePage(page), previousScreenName: basePage.screen_name });
+      changed = true;
+    }
+
+    const baseElements = before.elementsByPage.get(key) || new Map();
+    const pageElements = after.elementsByPage.get(key) || new Map();
+    const appeared = [...pageElements].filter(([signature]) => !baseElements.has(signature)).map(([, element]) => describeElement(element));
+    const disappeared = [...baseElements].filter(([signature]) => !pageElements.has(signature)).map(([, element]) => describeElement(element));
+    if (appeared.length > 0 || disappeared.length > 0) {
+      elements.push({ ...describePage(page), appeared, disappeared });
+      changed = true;
+    }
+
+    if (!changed) unchanged++;
+  }
+
+  const addedPaths = [...after.pathsByKey]
+    .filter(([key]) => !before.pathsByKey.has(key))
+    .map(([, entry]) => describePath(entry, after.pagesByKey));
+
+  const brokenPaths = [...before.pathsByKey]
+    .filter(([key]) => !after.pathsByKey.has(key))
+    .map(([, entry]) => {
+      let reason = 'no longer leads to this page';
+      if (!after.pagesByKey.has(entry.toKey)) {
+        reason = 'target page no longer discovered';
+      } else if (entry.fromKey !== START_KEY && !after.pagesByKey.has(entry.fromKey)) {
+        reason = 'source page no longer discovered';
+      } else if (entry.interactionKey && !(after.elementsByPage.get(entry.fromKey) || new Map()).has(entry.interactionKey)) {
+        reason = 'interaction element disappeared';
+      }
+      return { ...describePath(entry, before.pagesByKey), reason };
+    });
+
+  return {
+    summary: {
+      pagesAdded: added.length,
+      pagesRemoved: removed.length,
+      screenNamesChanged: renamed.length,
+      pagesWithElementChanges: elements.length,
+      elementsAppeared: elements.reduce((sum, page) => sum + page.appeared.length, 0),
+      elementsDisappeared: elements.reduce((sum, page) => sum + page.disappeared.length, 0),
+      pathsAdded: addedPaths.length,
+      pathsBroken: brokenPaths.length,
+      pagesUnchanged: unchanged
+    },
+    pages: { added, removed, renamed },
+    elements,
+    paths: { added: addedPaths, broken: brokenPaths }
+  };
+}
+
+/**
+ * Load the pages, interactive elements and crawl paths of a test run
+ */
+async function loadCrawl(testRunId) {
+  const [pagesResult, elementsResult, pathsResult] = await Promise.all([
+    pool.query(`
+      SELECT id, url, title, screen_name, state_identifier, is_virtual
+      FROM discovered_pages
+      WHERE test_run_id = $1
+      ORDER BY id
+    `, [testRunId]),
+    pool.query(`
+      SELECT pie.page_id, pie.element_type, pie.selector, pie.text_content
+      FROM page_interactive_elements pie
+      JOIN discovered_pages dp ON dp.id = pie.page_id
+      WHERE dp.test_run_id = $1
+      ORDER BY pie.id
+    `, [testRunId]),
+    pool.query(`
+      SELECT cp.from_page_id, cp.to_page_id, cp.interaction_type,
+             elem.element_type, elem.selector, elem.text_content
+      FROM crawl_paths cp
+      LEFT JOIN page_interactive_elements elem ON elem.id = cp.interaction_element_id
+      WHERE cp.test_run_id = $1
+      ORDER BY cp.path_sequence
+    `, [testRunId])
+  ]);
+
+  return { pages: pagesResult.rows, elements: elementsResult.rows, paths: pathsResult.rows };
+}
+
+/**
+ * Compare the crawls of two test runs
+ * @param {number} baseRunId - Earlier run
+ * @param {number} compareRunId - Later run
+ */
+async function diffTestRuns(baseRunId, compareRunId) {
+  const [base, compare] = await Promise.all([loadCrawl(baseRunId), loadCrawl(compareRunId)]);
+  return compareCrawls(base, compare);
+}
+
+module.exports = { compareCrawls, diffTestRuns };
@@ -1,11 +1,12 @@
 const { chromium } = require('playwright');
 const { pool } = require('../config/database');
-const { decrypt } = require('../utils/encryption');
+const { decryptCredentialProfiles, getCredentialProfile } = require('../utils/credentialProfiles');
 const { AITestGenerator } = require('./aiTestGenerator');
 const { IntelligentPageAnalyzer } = require('./intelligentPageAnalyzer');
 const { SmartCrawlingStrategy } = require('./smartCrawlingStrategy');
 const { IntelligentInteractionHandler } = require('./intelligentInteractionHandler');
 const logger = require('../utils/logger');
+const { saveScreenshot } = require('./artifactStore');
 
 class PlaywrightCrawler {
   constructor(config, testRunId, io) {
@@ -123,8 +124,8 @@ class PlaywrightCrawler {
 
     if (this.config.credentials) {
       try {
-        const credentials = JSON.parse(decrypt(this.config.credentials));
-        if (credentials.username && credentials.password) {
+        const credentials = getCredentialProfile(decryptCredentialProfiles(this.config.credentials), this.config.role);
+        if (credentials && credentials.username && credentials.password) {
           await context.setHTTPCredentials({
             username: credentials.username,
             password: credentials.password
@@ -224,7 +225,7 @@ class PlaywrightCrawler {
       const pageElements = await this.pageAnalyzer.extractPageContext(page);
       const elementsCount = pageElements ? pageElements.buttons.length + pageElements.inputs.length + pageElements.links.length : 0;
 
-      let screenshotData = null;
+      let screenshotHash = null;
       let imageSize = 0;
       let imageFormat = 'png';
 
@@ -243,7 +244,7 @@ class PlaywrightCrawler {
           });
 
           if (screenshotBuffer && screenshotBuffer.length > 0) {
-            screenshotData = screenshotBuffer.toString('base64');
+            screenshotHash = await saveScreenshot(screenshotBuffer, imageFormat);
             imageSize = screenshotBuffer.length;
             logger.info(`Screenshot captured: ${imageSize} bytes`);
           }
@@ -255,7 +256,7 @@ class PlaywrightCrawler {
       const pageResult = await pool.query(`
         INSERT INTO discovered_pages (
           test_run_id, url, title, elements_count,
-          screenshot_path, screenshot_data, image_size, image_format, crawl_depth
+          screenshot_path, screenshot_hash, image_size, image_format, crawl_depth
         )
         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING id
@@ -265,7 +266,7 @@ class PlaywrightCrawler {
         title,
         elementsCount,
         null,
-        screenshotData,
+        screenshotHash,
         imageSize,
         imageFormat,
         task.depth
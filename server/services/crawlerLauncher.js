@@ -0,0 +1,205 @@
+const { pool } = require('../config/database');
+const { AutonomousCrawler } = require('./autonomousCrawler');
+const { findBaseTestRun } = require('./crawlBaseline');
+const { decryptCredentialProfiles, getCredentialProfile } = require('../utils/credentialProfiles');
+const logger = require('../utils/logger');
+
+/**
+ * Load the crawler and LLM settings for a test configuration
+ * @param {number} testConfigId - Test configuration ID
+ * @param {number|null} userId - Restrict to configurations owned by this user
+ * @param {string|null} role - Credential profile to sign in with; the first profile when not set
+ * @returns {Promise<object|null>} - { testConfig, llmConfig, roles } or null if not found
+ * @throws {Error} - If the configuration has no credential profile for the role
+ */
+async function loadCrawlerSettings(testConfigId, userId = null, role = null) {
+  const params = [testConfigId];
+  let ownerClause = '';
+  if (userId !== null) {
+    params.push(userId);
+    ownerClause = 'AND tc.created_by = $2';
+  }
+
+  const configResult = await pool.query(`
+    SELECT tc.*, lc.api_key, lc.api_url, lc.provider, lc.model_name, lc.max_tokens, lc.temperature
+    FROM test_configs tc
+    LEFT JOIN llm_configs lc ON tc.llm_config_id = lc.id
+    WHERE tc.id = $1 ${ownerClause}
+  `, params);
+
+  if (configResult.rows.length === 0) {
+    return null;
+  }
+
+  const config = configResult.rows[0];
+  let credentialProfiles = [];
+
+  if (config.credentials) {
+    try {
+      credentialProfiles = decryptCredentialProfiles(config.credentials);
+    } catch (error) {
+      console.error('Error decrypting credentials:', error);
+    }
+  }
+
+  const profile = getCredentialProfile(credentialProfiles, role);
+  if (role && !profile) {
+    throw new Error(`Test configuration has no credential profile "${role}"`);
+  }
+
+  return {
+    testConfig: {
+      id: config.id,
+      target_url: config.target_url,
+      max_depth: config.max_depth || 3,
+      max_pages: config.max_pages || 50,
+      credentials: config.credentials,
+      launch_profile: config.launch_profile,
+      include_accessibility: config.include_accessibility,
+      include_performance: config.include_performance,
+      performance_budgets: config.performance_budgets,
+      incremental_crawl: !!config.incremental_crawl,
+      crawl_scope: config.crawl_scope,
+      safety_mode: config.safety_mode,
+      role: profile ? profile.name : null,
+      credential_profiles: credentialProfiles,
+      auth_username: profile ? profile.username : null,
+      auth_password: profile ? profile.password : null
+    },
+    llmConfig: {
+      provider: config.provider,
+      api_key: config.api_key,
+      api_url: config.api_url,
+      model_name: config.model_name,
+      max_tokens: config.max_tokens,
+      temperature: config.temperature
+    },
+    roles: credentialProfiles.map(credentialProfile => credentialProfile.name)
+  };
+}
+
+/**
+ * Create a crawler, register it in global.activeCrawlers and run it in the background
+ * @param {object} options - Passed to AutonomousCrawler.start (e.g. { resume: true })
+ * @returns {AutonomousCrawler}
+ */
+function launchCrawler(testRunId, testConfig, llmConfig, io, options = {}) {
+  const crawler = new AutonomousCrawler(testRunId, testConfig, llmConfig, io);
+  global.activeCrawlers.set(testRunId, crawler);
+
+  crawler.start(options).catch(error => {
+    console.error(`Crawler error for test run ${testRunId}:`, error);
+    pool.query(`
+      UPDATE test_runs
+      SET status = 'failed', error_message = $1, end_time = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [error.message, testRunId]);
+    global.activeCrawlers.delete(testRunId);
+  });
+
+  return crawler;
+}
+
+/**
+ * Start crawls of a test configuration, one test run per role. Pages and test cases
+ * of each run are tagged with its role, and executions sign in with its credentials.
+ * Configurations with incremental_crawl are seeded from the role's previous finished run.
+ * @param {object} options
+ * @param {number} options.createdBy - Owner of the test runs
+ * @param {number|null} options.ownerId - Restrict to configurations owned by this user
+ * @param {Array<string>} options.roles - Credential profiles to crawl as; every profile when empty
+ * @returns {Promise<Array|null>} - [{ testRunId, role }], or null if the configuration was not found
+ * @throws {Error} - If a role has no credential profile
+ */
+async function startCrawls(testConfigId, { createdBy, ownerId = null, roles = [] }, io) {
+  const settings = await loadCrawlerSettings(testConfigId, ownerId);
+  if (!settings) {
+    return null;
+  }
+
+  // Check every role before starting any crawl
+  const crawlRoles = roles.length > 0 ? roles : settings.roles;
+  const roleSettings = crawlRoles.length > 0
+    ? await Promise.all(crawlRoles.map(role => loadCrawlerSettings(testConfigId, ownerId, role)))
+    : [settings];
+
+  const runs = [];
+  for (const { testConfig, llmConfig } of roleSettings) {
+    const baseTestRunId = testConfig.incremental_crawl
+      ? await findBaseTestRun(testConfigId, testConfig.role)
+      : null;
+
+    const runResult = await pool.query(`
+      INSERT INTO test_runs (test_config_id, status, created_by, role, base_test_run_id)
+      VALUES ($1, 'running', $2, $3, $4)
+      RETURNING id
+    `, [testConfigId, createdBy, testConfig.role, baseTestRunId]);
+
+    const testRunId = runResult.rows[0].id;
+    launchCrawler(testRunId, { ...testConfig, base_test_run_id: baseTestRunId }, llmConfig, io);
+    runs.push({ testRunId, role: testConfig.role });
+  }
+
+  return runs;
+}
+
+/**
+ * Rehydrate a crawl from page_discovery_queue and continue it
+ * @param {string|null} role - Role the crawl signs in as
+ * @param {number|null} baseTestRunId - Run an incremental crawl is seeded from
+ * @returns {Promise<AutonomousCrawler|null>} - The crawler, or null if the configuration no longer exists
+ */
+async function resumeCrawl(testRunId, testConfigId, io, role = null, baseTestRunId = null) {
+  const settings = await loadCrawlerSettings(testConfigId, null, role);
+  if (!settings) {
+    return null;
+  }
+
+  await pool.query(
+    `UPDATE test_runs SET status = 'running' WHERE id = $1`,
+    [testRunId]
+  );
+
+  const testConfig = { ...settings.testConfig, base_test_run_id: baseTestRunId };
+  return launchCrawler(testRunId, testConfig, settings.llmConfig, io, { resume: true });
+}
+
+/**
+ * Resume crawls left in `running` by a previous server process.
+ * Paused runs stay paused and are rehydrated when the user resumes them.
+ */
+async function resumeInterruptedCrawls(io) {
+  const result = await pool.query(`
+    SELECT id, test_config_id, role, base_test_run_id FROM test_runs
+    WHERE status = 'running'
+    ORDER BY id
+  `);
+
+  for (const run of result.rows) {
+    if (global.activeCrawlers.has(run.id)) continue;
+
+    try {
+      const crawler = await resumeCrawl(run.id, run.test_config_id, io, run.role, run.base_test_run_id);
+      if (crawler) {
+        logger.info(`Resumed interrupted crawl for test run ${run.id}`);
+      } else {
+        await pool.query(`
+          UPDATE test_runs
+          SET status = 'failed', error_message = $1, end_time = CURRENT_TIMESTAMP
+          WHERE id = $2
+        `, ['Test configuration no longer exists; crawl could not be resumed', run.id]);
+      }
+    } catch (error) {
+      logger.error(`Failed to resume crawl for test run ${run.id}: ${error.message}`);
+      await pool.query(`
+        UPDATE test_runs
+        SET status = 'failed', error_message = $1, end_time = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [`Crawl could not be resumed: ${error.message}`, run.id]);
+    }
+  }
+
+  return result.rows.length;
+}
+
+module.exports = { loadCrawlerSettings, launchCrawler, startCrawls, resumeCrawl, resumeInterruptedCrawls };
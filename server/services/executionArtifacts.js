@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const { getArtifactStore } = require('./artifactStore');
+
+// Playwright writes recordings to local files; kept ones are moved to the artifact store
+const RECORDINGS_TMP_DIR = path.join(os.tmpdir(), 'sensuq-recordings');
+
+const ARTIFACT_TYPES = {
+  trace: { extension: 'zip', contentType: 'application/zip' },
+  video: { extension: 'webm', contentType: 'video/webm' }
+};
+
+const toFileSafe = text => String(text || '').replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'default';
+
+/**
+ * Directory for recordings of an execution that are still being written
+ */
+function getTemporaryDirectory(executionId) {
+  const directory = path.join(RECORDINGS_TMP_DIR, `execution-${executionId}`);
+  fs.mkdirSync(directory, { recursive: true });
+  return directory;
+}
+
+/**
+ * Remove recordings an execution left unsaved (e.g. when a browser crashed)
+ */
+function removeTemporaryDirectory(executionId) {
+  fs.rmSync(path.join(RECORDINGS_TMP_DIR, `execution-${executionId}`), { recursive: true, force: true });
+}
+
+/**
+ * Move a recorded file into the artifact store and record it
+ * @param {string} sourcePath - Trace zip or video file written by Playwright
+ * @param {object} artifact
+ * @param {number} artifact.executionId
+ * @param {number} artifact.testCaseId
+ * @param {number} artifact.iteration - Dataset row number, 0 without a dataset
+ * @param {string} artifact.browser - Browser matrix label
+ * @param {string} artifact.type - 'trace' or 'video'
+ * @returns {Promise<object|null>} - The execution_artifacts row, or null if it could not be stored
+ */
+async function saveArtifact(sourcePath, { executionId, testCaseId, iteration = 0, browser, type }) {
+  const { extension, contentType } = ARTIFACT_TYPES[type];
+  const fileName = `${type}-test-case-${testCaseId}${iteration ? `-row-${iteration}` : ''}-${toFileSafe(browser)}.${extension}`;
+  const storagePath = `executions/${executionId}/${fileName}`;
+
+  try {
+    const { size } = fs.statSync(sourcePath);
+    await getArtifactStore().putFile(storagePath, sourcePath, { contentType });
+    discardRecording(sourcePath);
+
+    const result = await pool.query(`
+      INSERT INTO execution_artifacts (test_execution_id, test_case_id, iteration, browser, artifact_type, storage_path,
+                                       file_name, content_type, size_bytes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [executionId, testCaseId, iteration, browser, type, storagePath, fileName, contentType, size]);
+
+    logger.info(`  🎞️ Saved ${type} of test case ${testCaseId} [${browser}] (${Math.round(size / 1024)} KB)`);
+    return result.rows[0];
+  } catch (error) {
+    logger.error(`Failed to save ${type} of test case ${testCaseId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Delete a recording that is not kept
+ */
+function discardRecording(filePath) {
+  fs.rm(filePath, { force: true }, error => {
+    if (error) logger.warn(`Failed to delete recording ${filePath}: ${error.message}`);
+  });
+}
+
+/**
+ * Stream a stored recording
+ * @param {object} artifact - execution_artifacts row
+ * @returns {Promise<object|null>} - { stream, size }, or null if the file is missing from the store
+ */
+function openArtifact(artifact) {
+  return getArtifactStore().getStream(artifact.storage_path);
+}
+
+module.exports = {
+  ARTIFACT_TYPES,
+  getTemporaryDirectory,
+  removeTemporaryDirectory,
+  saveArtifact,
+  discardRecording,
+  openArtifact
+};
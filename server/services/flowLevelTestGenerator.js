@@ -1,9 +1,12 @@
 const logger = require('../utils/logger');
 const { AITestGenerator } = require('./aiTestGenerator');
+const { isLLMConfigured } = require('./llmClient');
 const { pool } = require('../config/database');
 const { extractJSON } = require('../utils/jsonExtractor');
+const { toPlaywrightAssertion } = require('../utils/stepAssertions');
+const { validateSteps, StepValidationError } = require('../utils/stepActions');
 const FlowPatternRecognizer = require('./flowPatternRecognizer');
-const JourneyMapper = require('./journeyMapper');
+const { buildJourneyGraph, saveJourneyGraph } = require('./journeyGraph');
 
 /**
  * Generate flow-level tests by analyzing crawl paths and user journeys
@@ -13,9 +16,8 @@ class FlowLevelTestGenerator {
     this.config = llmConfig;
     this.testGenerator = null;
     this.patternRecognizer = new FlowPatternRecognizer();
-    this.journeyMapper = new JourneyMapper();
 
-    if (llmConfig && llmConfig.api_key) {
+    if (isLLMConfigured(llmConfig)) {
       this.testGenerator = new AITestGenerator(llmConfig);
     }
   }
@@ -29,23 +31,19 @@ class FlowLevelTestGenerator {
 
       // Get all crawl paths for this test run
       const crawlPaths = await this.getCrawlPaths(testRunId);
+      const pages = await this.getDiscoveredPages(testRunId);
+
+      await this.saveJourneyGraph(testRunId, crawlPaths, pages);
 
       if (crawlPaths.length === 0) {
         logger.warn('No crawl paths found, skipping flow generation');
         return [];
       }
 
-      const pages = await this.getDiscoveredPages(testRunId);
-
       const flowSequences = this.buildFlowSequences(crawlPaths, pages);
 
       logger.info(`Built ${flowSequences.length} potential flow sequences`);
 
-      logger.info(`🗺️  Building journey graph...`);
-      const journeyGraph = this.journeyMapper.buildJourneyGraph(crawlPaths);
-      logger.info(`   Graph: ${journeyGraph.nodes.length} nodes, ${journeyGraph.edges.length} edges`);
-      logger.info(`   Entry points: ${journeyGraph.entryPoints.length}, Goals: ${journeyGraph.goalPages.length}`);
-
       logger.info(`🔍 Analyzing flow patterns...`);
       const analyzedFlows = flowSequences.map(flow => {
         const patternAnalysis = this.patternRecognizer.analyzeFlow(flow);
@@ -63,7 +61,12 @@ class FlowLevelTestGenerator {
         const flowId = await this.saveUserFlow(testRunId, flow);
         savedFlows.push({ ...flow, id: flowId });
 
-        await this.generateFlowTestCase(testRunId, flowId, flow);
+        try {
+          await this.generateFlowTestCase(testRunId, flowId, flow);
+        } catch (error) {
+          if (!(error instanceof StepValidationError)) throw error;
+          logger.error(`Rejected test for flow "${flow.flow_name}": ${error.message}`);
+        }
       }
 
       logger.info(`Generated ${savedFlows.length} meaningful user flows`);
@@ -76,6 +79,22 @@ class FlowLevelTestGenerator {
     }
   }
 
+  /**
+   * Build and persist the journey graph shown in the test run's graph view.
+   * A failure is logged and does not stop flow generation.
+   */
+  async saveJourneyGraph(testRunId, crawlPaths, pages) {
+    try {
+      logger.info(`🗺️  Building journey graph...`);
+      const journeyGraph = buildJourneyGraph(crawlPaths, pages);
+      logger.info(`   Graph: ${journeyGraph.nodes.length} nodes, ${journeyGraph.edges.length} edges`);
+      logger.info(`   Entry points: ${journeyGraph.entryPoints.length}, Goals: ${journeyGraph.goalPages.length}, Cycles: ${journeyGraph.cycles.length}`);
+      await saveJourneyGraph(testRunId, journeyGraph);
+    } catch (error) {
+      logger.error(`Failed to save journey graph: ${error.message}`);
+    }
+  }
+
   /**
    * Get crawl paths from database
    */
@@ -230,7 +249,8 @@ RESPOND ONLY WITH VALID JSON:
           page_sequence: sequence.map(path => ({
             from_page_id: path.from_page_id,
             to_page_id: path.to_page_id,
-            screen_name: path.to_screen_name || path.to_url
+            screen_name: path.to_screen_name || path.to_url,
+            url: path.to_url
           })),
           interaction_sequence: sequence.map(path => ({
             element_type: path.element_type,
@@ -264,7 +284,8 @@ RESPOND ONLY WITH VALID JSON:
         page_sequence: sequence.map(path => ({
           from_page_id: path.from_page_id,
           to_page_id: path.to_page_id,
-          screen_name: path.to_screen_name || path.to_url
+          screen_name: path.to_screen_name || path.to_url,
+          url: path.to_url
         })),
         interaction_sequence: sequence.map(path => ({
           element_type: path.element_type,
@@ -333,25 +354,41 @@ RESPOND ONLY WITH VALID JSON:
 
   /**
    * Generate test case for a flow
+   * @throws {StepValidationError} - If the flow's steps do not match the step action registry
    */
   async generateFlowTestCase(testRunId, flowId, flow) {
-    const testSteps = flow.interaction_sequence.map((interaction, idx) => {
+    const testSteps = [];
+
+    flow.interaction_sequence.forEach((interaction, idx) => {
       const page = flow.page_sequence[idx];
-      return {
-        step: idx + 1,
+      testSteps.push({
+        step: testSteps.length + 1,
         action: interaction.action,
         selector: interaction.selector,
         value: interaction.action === 'fill' ? 'test data' : undefined,
         description: `${interaction.action} ${interaction.element_type}: "${interaction.text_content}"`,
         expectedOutcome: `Navigate to ${page.screen_name}`
-      };
+      });
+
+      // Verify each transition actually lands on the expected page
+      if (page?.url) {
+        testSteps.push({
+          step: testSteps.length + 1,
+          action: 'assertUrl',
+          value: page.url,
+          description: `Verify navigation to ${page.screen_name}`,
+          expectedOutcome: `URL contains ${page.url}`
+        });
+      }
     });
 
+    validateSteps(testSteps, `Steps of flow "${flow.flow_name}"`);
+
     const playwrightCode = this.generateFlowPlaywrightCode(flow);
 
     await pool.query(
-      `INSERT INTO test_cases (test_run_id, flow_id, test_type, test_name, test_description, test_steps, expected_result, test_level, playwright_code, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')`,
+      `INSERT INTO test_cases (test_run_id, flow_id, test_type, test_name, test_description, test_steps, expected_result, test_level, playwright_code, status, role)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', (SELECT role FROM test_runs WHERE id = $1))`,
       [
         testRunId,
         flowId,
@@ -361,8 +398,7 @@ RESPOND ONLY WITH VALID JSON:
         JSON.stringify(testSteps),
         `Complete ${flow.flow_name} successfully`,
         'flow',
-        playwrightCode,
-        'pending'
+        playwrightCode
       ]
     );
   }
@@ -397,6 +433,10 @@ RESPOND ONLY WITH VALID JSON:
           code += `  await page.click('${interaction.selector}');`;
       }
 
+      if (page?.url) {
+        code += `\n  ${toPlaywrightAssertion({ action: 'assertUrl', value: page.url })}`;
+      }
+
       return code;
     }).join('\n');
 
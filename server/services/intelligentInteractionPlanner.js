@@ -1,36 +1,24 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
 const promptLoader = require('../utils/promptLoader');
 const { pool } = require('../config/database');
-const { decrypt } = require('../utils/encryption');
 const { extractJSON } = require('../utils/jsonExtractor');
+const { LLMClient } = require('./llmClient');
 
 class IntelligentInteractionPlanner {
   constructor(llmConfig) {
     this.config = llmConfig;
 
-    if (llmConfig.api_key) {
-      this.apiKey = decrypt(llmConfig.api_key);
-      if (!this.apiKey) {
-        logger.error('Failed to decrypt LLM API key');
-      }
-    } else {
-      this.apiKey = null;
-      logger.warn('No LLM API key provided');
-    }
-
-    this.apiUrl = llmConfig.api_url || 'https://api.openai.com/v1/chat/completions';
-    this.modelName = llmConfig.model_name || 'gpt-4o';
+    this.llm = new LLMClient(llmConfig);
 
-    logger.info(`IntelligentInteractionPlanner initialized: model=${this.modelName}`);
+    logger.info(`IntelligentInteractionPlanner initialized: ${this.llm.describe()}`);
   }
 
   async generateScenarios(pageId, testRunId, url, title, screenName, pageType, screenshotBase64, pageSource, interactiveElements) {
     try {
       logger.info(`🧠 Generating interaction scenarios for: ${screenName}`);
 
-      if (!this.apiKey) {
-        logger.warn('No API key available for interaction scenario generation');
+      if (!this.llm.isConfigured()) {
+        logger.warn(`Skipping interaction scenario generation: ${this.llm.getConfigurationError()}`);
         return [];
       }
 
@@ -42,42 +30,14 @@ class IntelligentInteractionPlanner {
         interactiveElements
       );
 
-      const messages = [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:image/png;base64,${screenshotBase64}`
-              }
-            },
-            {
-              type: 'text',
-              text: prompt
-            }
-          ]
-        }
-      ];
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.modelName,
-          messages: messages,
-          max_tokens: 4000,
-          temperature: 0.7
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          timeout: 180000
-        }
-      );
+      const response = await this.llm.chat({
+        prompt,
+        images: [screenshotBase64],
+        maxTokens: 4000,
+        temperature: 0.7
+      });
 
-      const responseText = response.data.choices[0].message.content.trim();
+      const responseText = response.trim();
       logger.info('LLM response received for scenario generation');
 
       const scenarios = extractJSON(responseText);
@@ -330,7 +330,7 @@ class IntelligentPageAnalyzer {
   }
 
   async getLLMPageAnalysis(screenshotBase64, pageContext, url) {
-    if (!this.testGenerator || !this.config.api_key) {
+    if (!this.testGenerator || !this.testGenerator.llm.isConfigured()) {
       logger.error('No LLM configured for page analysis');
       throw new Error('LLM configuration required for page analysis');
     }
@@ -1,7 +1,7 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
-const { decrypt } = require('../utils/encryption');
 const { extractJSON } = require('../utils/jsonExtractor');
+const { LLMClient } = require('./llmClient');
+const { executeStep, StepValidationError } = require('../utils/stepActions');
 
 /**
  * Intelligent Test Adapter - Uses LLM to analyze test failures and suggest fixes
@@ -11,26 +11,15 @@ class IntelligentTestAdapter {
   constructor(llmConfig) {
     this.config = llmConfig;
 
-    if (llmConfig.api_key) {
-      this.apiKey = decrypt(llmConfig.api_key);
-      if (!this.apiKey) {
-        logger.error('Failed to decrypt LLM API key');
-      }
-    } else {
-      this.apiKey = null;
-      logger.warn('No LLM API key provided for intelligent adaptation');
-    }
-
-    this.apiUrl = llmConfig.api_url || 'https://api.openai.com/v1/chat/completions';
-    this.modelName = llmConfig.model_name || 'gpt-4o';
+    this.llm = new LLMClient(llmConfig);
   }
 
   /**
    * Analyze a test failure and suggest alternative approaches
    */
   async analyzeFailureAndSuggestFix(failedStep, errorMessage, screenshotBase64, pageSource, intent) {
-    if (!this.apiKey) {
-      logger.warn('No API key available for intelligent failure analysis');
+    if (!this.llm.isConfigured()) {
+      logger.warn(`Skipping intelligent failure analysis: ${this.llm.getConfigurationError()}`);
       return null;
     }
 
@@ -42,46 +31,15 @@ class IntelligentTestAdapter {
 
       const prompt = this.buildFailureAnalysisPrompt(failedStep, errorMessage, intent);
 
-      const messages = [
-        {
-          role: 'system',
-          content: 'You are an expert QA automation engineer who specializes in debugging and fixing failed test steps. You analyze screenshots and HTML to understand what went wrong and suggest working alternatives.'
-        },
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:image/png;base64,${screenshotBase64}`
-              }
-            },
-            {
-              type: 'text',
-              text: prompt
-            }
-          ]
-        }
-      ];
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.modelName,
-          messages: messages,
-          max_tokens: 2000,
-          temperature: 0.3
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          timeout: 180000
-        }
-      );
+      const response = await this.llm.chat({
+        system: 'You are an expert QA automation engineer who specializes in debugging and fixing failed test steps. You analyze screenshots and HTML to understand what went wrong and suggest working alternatives.',
+        prompt,
+        images: [screenshotBase64],
+        maxTokens: 2000,
+        temperature: 0.3
+      });
 
-      let responseText = response.data.choices[0].message.content.trim();
+      let responseText = response.trim();
       logger.info('LLM failure analysis received');
 
       // Remove markdown code blocks if present
@@ -254,55 +212,31 @@ Now analyze the provided screenshot and failure details.`;
         logger.info(`  ✅ Step ${i + 1} succeeded`);
         await page.waitForTimeout(1000);
       } catch (error) {
-        logger.warn(`  ⚠️ Step ${i + 1} failed: ${error.message}`);
+        if (error instanceof StepValidationError) {
+          logger.error(`  ❌ Step ${i + 1} rejected: ${error.message}`);
+        } else {
+          logger.warn(`  ⚠️ Step ${i + 1} failed: ${error.message}`);
+        }
         // Continue with next step anyway - LLM might have provided multiple attempts
       }
     }
   }
 
   async executeAlternativeStep(page, step, smartInteractionHandler) {
-    switch (step.action) {
-      case 'click':
-        if (smartInteractionHandler) {
-          const element = page.locator(step.selector).first();
-          await smartInteractionHandler.smartClick(page, element, step.selector);
-        } else {
-          await page.click(step.selector, { timeout: 5000 });
-        }
-        break;
+    const handlers = smartInteractionHandler ? {
+      click: (page, step) => smartInteractionHandler.smartClick(page, page.locator(step.selector).first(), step.selector),
+      fill: (page, step, { resolveValue }) => smartInteractionHandler.smartFill(page, page.locator(step.selector).first(), step.selector, resolveValue(step.value), {}),
+      select: (page, step) => smartInteractionHandler.smartSelect(page, page.locator(step.selector).first(), step.selector, step.value)
+    } : {};
 
-      case 'fill':
-        if (smartInteractionHandler) {
-          const element = page.locator(step.selector).first();
-          await smartInteractionHandler.smartFill(page, element, step.selector, step.value, {});
-        } else {
-          await page.fill(step.selector, step.value, { timeout: 5000 });
-        }
-        break;
-
-      case 'select':
-        if (smartInteractionHandler) {
-          const element = page.locator(step.selector).first();
-          await smartInteractionHandler.smartSelect(page, element, step.selector, step.value);
-        } else {
-          await page.selectOption(step.selector, step.value, { timeout: 5000 });
-        }
-        break;
-
-      case 'wait':
-        await page.waitForSelector(step.selector, { timeout: 5000 });
-        break;
-
-      default:
-        logger.warn(`Unknown alternative action: ${step.action}`);
-    }
+    await executeStep(page, step, { timeout: 5000, handlers });
   }
 
   /**
    * Verify if the intent was achieved after executing alternatives
    */
   async verifyIntentAchieved(page, intent, screenshotBase64) {
-    if (!this.apiKey) {
+    if (!this.llm.isConfigured()) {
       return { achieved: false, confidence: 'unknown' };
     }
 
@@ -324,42 +258,14 @@ Respond with JSON:
   "recommendation": "If not achieved, what should we try next"
 }`;
 
-      const messages = [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:image/png;base64,${screenshotBase64}`
-              }
-            },
-            {
-              type: 'text',
-              text: prompt
-            }
-          ]
-        }
-      ];
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.modelName,
-          messages: messages,
-          max_tokens: 500,
-          temperature: 0.3
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          timeout: 180000
-        }
-      );
+      const response = await this.llm.chat({
+        prompt,
+        images: [screenshotBase64],
+        maxTokens: 500,
+        temperature: 0.3
+      });
 
-      let responseText = response.data.choices[0].message.content.trim();
+      let responseText = response.trim();
 
       if (responseText.startsWith('```')) {
         responseText = responseText.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '').trim();
@@ -0,0 +1,154 @@
+const { pool } = require('../config/database');
+const JourneyMapper = require('./journeyMapper');
+const logger = require('../utils/logger');
+
+/**
+ * Journey graph (site map) of a test run: discovered pages, real and virtual, as nodes
+ * and the interactions that led from one page to another as edges. Built by
+ * JourneyMapper when a crawl finishes and persisted in journey_graphs.
+ */
+
+function parseSteps(value) {
+  if (!value) return [];
+  try {
+    const steps = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(steps) ? steps : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Turn crawl_paths rows into the page sequences JourneyMapper reads. Pages no path
+ * reaches (e.g. the start page of a one-page crawl) become one-page paths.
+ */
+function toJourneyPaths(crawlPaths, pages) {
+  const pagesById = new Map(pages.map(page => [page.id, page]));
+  const linkedPageIds = new Set();
+  const journeyPaths = [];
+
+  for (const crawlPath of crawlPaths) {
+    const fromPage = pagesById.get(crawlPath.from_page_id);
+    const toPage = pagesById.get(crawlPath.to_page_id);
+    if (!toPage) continue;
+
+    linkedPageIds.add(toPage.id);
+    if (!fromPage) {
+      journeyPaths.push({ pages: [toPage] });
+      continue;
+    }
+
+    linkedPageIds.add(fromPage.id);
+    journeyPaths.push({
+      pages: [fromPage, toPage],
+      interactions: [{
+        type: crawlPath.interaction_type,
+        description: crawlPath.text_content
+          ? `${crawlPath.element_type || crawlPath.interaction_type}: "${crawlPath.text_content}"`
+          : crawlPath.selector || crawlPath.interaction_type
+      }]
+    });
+  }
+
+  pages
+    .filter(page => !linkedPageIds.has(page.id))
+    .forEach(page => journeyPaths.push({ pages: [page] }));
+
+  return journeyPaths;
+}
+
+/**
+ * Build the journey graph of a test run
+ * @param {Array} crawlPaths - crawl_paths rows, with the interaction element's type, text and selector
+ * @param {Array} pages - discovered_pages rows
+ * @returns {object} - { nodes, edges, entryPoints, goalPages, cycles, statistics }; each node
+ *   has the steps that reach its page from the base URL as `stepPath`
+ */
+function buildJourneyGraph(crawlPaths, pages) {
+  const graph = new JourneyMapper().buildJourneyGraph(toJourneyPaths(crawlPaths, pages));
+
+  // Shortest recorded step sequence from the base URL to each page
+  const stepPaths = new Map();
+  for (const crawlPath of crawlPaths) {
+    const steps = parseSteps(crawlPath.complete_step_sequence);
+    const known = stepPaths.get(crawlPath.to_page_id);
+    if (steps.length > 0 && (!known || steps.length < known.length)) {
+      stepPaths.set(crawlPath.to_page_id, steps);
+    }
+  }
+
+  return {
+    ...graph,
+    nodes: graph.nodes.map(node => ({ ...node, stepPath: stepPaths.get(node.pageId) || [] }))
+  };
+}
+
+/**
+ * Build a test run's journey graph from the crawl data in the database
+ */
+async function buildJourneyGraphForRun(testRunId) {
+  const [pathsResult, pagesResult] = await Promise.all([
+    pool.query(`
+      SELECT cp.from_page_id, cp.to_page_id, cp.interaction_type, cp.complete_step_sequence,
+             elem.element_type, elem.text_content, elem.selector
+      FROM crawl_paths cp
+      LEFT JOIN page_interactive_elements elem ON elem.id = cp.interaction_element_id
+      WHERE cp.test_run_id = $1
+      ORDER BY cp.path_sequence
+    `, [testRunId]),
+    pool.query(`
+      SELECT id, url, title, page_type, is_virtual, crawl_depth
+      FROM discovered_pages
+      WHERE test_run_id = $1
+      ORDER BY id
+    `, [testRunId])
+  ]);
+
+  return buildJourneyGraph(pathsResult.rows, pagesResult.rows);
+}
+
+/**
+ * Persist a test run's journey graph, replacing an earlier one
+ */
+async function saveJourneyGraph(testRunId, graph) {
+  await pool.query(`
+    INSERT INTO journey_graphs (test_run_id, nodes, edges, entry_points, goal_pages, cycles, statistics)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (test_run_id) DO UPDATE
+    SET nodes = EXCLUDED.nodes, edges = EXCLUDED.edges, entry_points = EXCLUDED.entry_points,
+        goal_pages = EXCLUDED.goal_pages, cycles = EXCLUDED.cycles, statistics = EXCLUDED.statistics,
+        built_at = CURRENT_TIMESTAMP
+  `, [
+    testRunId,
+    JSON.stringify(graph.nodes),
+    JSON.stringify(graph.edges),
+    JSON.stringify(graph.entryPoints),
+    JSON.stringify(graph.goalPages),
+    JSON.stringify(graph.cycles),
+    JSON.stringify(graph.statistics)
+  ]);
+
+  logger.info(`🗺️  Saved journey graph of test run ${testRunId}: ${graph.nodes.length} nodes, ${graph.edges.length} edges`);
+}
+
+/**
+ * Get a test run's persisted journey graph
+ * @returns {Promise<object|null>} - The graph with `builtAt`, or null if none was saved
+ */
+async function loadJourneyGraph(testRunId) {
+  const result = await pool.query('SELECT * FROM journey_graphs WHERE test_run_id = $1', [testRunId]);
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    nodes: row.nodes,
+    edges: row.edges,
+    entryPoints: row.entry_points,
+    goalPages: row.goal_pages,
+    cycles: row.cycles,
+    statistics: row.statistics,
+    builtAt: row.built_at
+  };
+}
+
+module.exports = { buildJourneyGraph, buildJourneyGraphForRun, saveJourneyGraph, loadJourneyGraph };
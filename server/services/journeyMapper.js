@@ -25,6 +25,7 @@ class JourneyMapper {
       edges: this.getGraphEdges(),
       entryPoints: Array.from(this.entryPoints),
       goalPages: Array.from(this.goalPages),
+      cycles: this.detectCircularDependencies(),
       statistics: this.calculateGraphStatistics()
     };
   }
@@ -39,6 +40,7 @@ class JourneyMapper {
       if (!this.journeyGraph.has(currentUrl)) {
         this.journeyGraph.set(currentUrl, {
           url: currentUrl,
+          pageId: currentPage.id || null,
           title: currentPage.title,
           pageType: currentPage.page_type,
           isVirtual: currentPage.is_virtual || false,
@@ -79,6 +81,7 @@ class JourneyMapper {
         if (!this.journeyGraph.has(nextUrl)) {
           this.journeyGraph.set(nextUrl, {
             url: nextUrl,
+            pageId: nextPage.id || null,
             title: nextPage.title,
             pageType: nextPage.page_type,
             isVirtual: nextPage.is_virtual || false,
@@ -104,7 +107,9 @@ class JourneyMapper {
   normalizeUrl(url) {
     try {
       const urlObj = new URL(url);
-      return `${urlObj.origin}${urlObj.pathname}`;
+      // Virtual pages (modals, tabs) share their page's URL and are told apart by a #virtual-N fragment
+      const virtualFragment = urlObj.hash.startsWith('#virtual-') ? urlObj.hash : '';
+      return `${urlObj.origin}${urlObj.pathname}${virtualFragment}`;
     } catch {
       return url;
     }
@@ -127,6 +132,7 @@ class JourneyMapper {
   getGraphNodes() {
     return Array.from(this.journeyGraph.values()).map(node => ({
       url: node.url,
+      pageId: node.pageId,
       title: node.title,
       pageType: node.pageType,
       isVirtual: node.isVirtual,
@@ -321,19 +327,25 @@ class JourneyMapper {
   }
 
   detectCircularDependencies() {
-    const circular = [];
+    const circular = new Map();
 
-    for (const [url, node] of this.journeyGraph.entries()) {
+    for (const url of this.journeyGraph.keys()) {
       const cycles = this.findCyclesFromNode(url);
       cycles.forEach(cycle => {
-        circular.push({
-          cycle,
-          length: cycle.length
-        });
+        // A cycle is found once from each of its pages; key it by its rotation starting at the smallest URL
+        const pages = cycle.slice(0, -1);
+        const start = pages.indexOf([...pages].sort()[0]);
+        const key = [...pages.slice(start), ...pages.slice(0, start)].join(' -> ');
+        if (!circular.has(key)) {
+          circular.set(key, {
+            cycle,
+            length: cycle.length
+          });
+        }
       });
     }
 
-    return circular;
+    return Array.from(circular.values());
   }
 
   findCyclesFromNode(startUrl, maxDepth = 10) {
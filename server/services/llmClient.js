@@ -0,0 +1,313 @@
+const axios = require('axios');
+const { decrypt } = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+const DEFAULT_TIMEOUT_MS = 180000;
+const AZURE_API_VERSION = '2024-06-01';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+function imageDataUrl(image) {
+  return `data:image/png;base64,${image}`;
+}
+
+/**
+ * OpenAI chat completions, also used by any server that speaks the same protocol
+ * (vLLM, LM Studio, LiteLLM, Bedrock's OpenAI-compatible endpoint, ...)
+ */
+const openAICompatible = {
+  defaultUrl: 'https://api.openai.com/v1/chat/completions',
+  defaultModel: 'gpt-4o',
+  requiresApiKey: true,
+
+  buildRequest(client, { system, prompt, images, maxTokens, temperature }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (client.apiKey) {
+      headers.Authorization = `Bearer ${client.apiKey}`;
+    }
+
+    return {
+      url: client.apiUrl || this.defaultUrl,
+      headers,
+      body: {
+        model: client.modelName,
+        messages: buildOpenAIMessages(system, prompt, images),
+        max_tokens: maxTokens,
+        temperature
+      }
+    };
+  },
+
+  parseResponse(data) {
+    return data.choices[0].message.content;
+  }
+};
+
+function buildOpenAIMessages(system, prompt, images) {
+  const messages = [];
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  const content = images.length === 0
+    ? prompt
+    : [
+      ...images.map(image => ({ type: 'image_url', image_url: { url: imageDataUrl(image) } })),
+      { type: 'text', text: prompt }
+    ];
+
+  messages.push({ role: 'user', content });
+  return messages;
+}
+
+const PROVIDERS = {
+  openai: openAICompatible,
+  local: { ...openAICompatible, defaultUrl: null, defaultModel: null, requiresApiKey: false },
+  bedrock: { ...openAICompatible, defaultUrl: null, defaultModel: null },
+
+  /**
+   * Azure OpenAI: api_url is either the full deployment URL or the resource endpoint,
+   * in which case model_name is used as the deployment name
+   */
+  azure: {
+    defaultUrl: null,
+    defaultModel: null,
+    requiresApiKey: true,
+
+    buildRequest(client, { system, prompt, images, maxTokens, temperature }) {
+      let url = client.apiUrl;
+      if (!url.includes('/deployments/')) {
+        url = `${url.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(client.modelName)}/chat/completions?api-version=${AZURE_API_VERSION}`;
+      } else if (!url.includes('api-version=')) {
+        url += `${url.includes('?') ? '&' : '?'}api-version=${AZURE_API_VERSION}`;
+      }
+
+      return {
+        url,
+        headers: { 'Content-Type': 'application/json', 'api-key': client.apiKey },
+        body: {
+          messages: buildOpenAIMessages(system, prompt, images),
+          max_tokens: maxTokens,
+          temperature
+        }
+      };
+    },
+
+    parseResponse: openAICompatible.parseResponse
+  },
+
+  anthropic: {
+    defaultUrl: 'https://api.anthropic.com/v1/messages',
+    defaultModel: 'claude-sonnet-4-5',
+    requiresApiKey: true,
+
+    buildRequest(client, { system, prompt, images, maxTokens, temperature }) {
+      const body = {
+        model: client.modelName,
+        max_tokens: maxTokens,
+        // Anthropic accepts temperatures between 0 and 1
+        temperature: Math.min(temperature, 1),
+        messages: [{
+          role: 'user',
+          content: [
+            ...images.map(image => ({
+              type: 'image',
+              source: { type: 'base64', media_type: 'image/png', data: image }
+            })),
+            { type: 'text', text: prompt }
+          ]
+        }]
+      };
+      if (system) {
+        body.system = system;
+      }
+
+      return {
+        url: client.apiUrl || this.defaultUrl,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': client.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body
+      };
+    },
+
+    parseResponse(data) {
+      return data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    }
+  },
+
+  ollama: {
+    defaultUrl: 'http://localhost:11434/api/chat',
+    defaultModel: 'llama3.2-vision',
+    requiresApiKey: false,
+
+    buildRequest(client, { system, prompt, images, maxTokens, temperature }) {
+      const headers = { 'Content-Type': 'application/json' };
+      // Ollama itself has no auth; a key is only sent when it sits behind a proxy
+      if (client.apiKey) {
+        headers.Authorization = `Bearer ${client.apiKey}`;
+      }
+
+      const messages = [];
+      if (system) {
+        messages.push({ role: 'system', content: system });
+      }
+      const userMessage = { role: 'user', content: prompt };
+      if (images.length > 0) {
+        userMessage.images = images;
+      }
+      messages.push(userMessage);
+
+      return {
+        url: client.apiUrl || this.defaultUrl,
+        headers,
+        body: {
+          model: client.modelName,
+          messages,
+          stream: false,
+          options: { num_predict: maxTokens, temperature }
+        }
+      };
+    },
+
+    parseResponse(data) {
+      return data.message.content;
+    }
+  },
+
+  gemini: {
+    defaultUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    defaultModel: 'gemini-2.0-flash',
+    requiresApiKey: true,
+
+    buildRequest(client, { system, prompt, images, maxTokens, temperature }) {
+      const base = (client.apiUrl || this.defaultUrl).replace(/\/+$/, '');
+      const url = base.includes(':generateContent')
+        ? base
+        : `${base}/models/${encodeURIComponent(client.modelName)}:generateContent`;
+
+      const body = {
+        contents: [{
+          role: 'user',
+          parts: [
+            ...images.map(image => ({ inline_data: { mime_type: 'image/png', data: image } })),
+            { text: prompt }
+          ]
+        }],
+        generationConfig: { maxOutputTokens: maxTokens, temperature }
+      };
+      if (system) {
+        body.systemInstruction = { parts: [{ text: system }] };
+      }
+
+      return {
+        url,
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': client.apiKey },
+        body
+      };
+    },
+
+    parseResponse(data) {
+      const candidate = data.candidates && data.candidates[0];
+      if (!candidate || !candidate.content) {
+        throw new Error(`Gemini returned no content (finish reason: ${candidate?.finishReason || data.promptFeedback?.blockReason || 'unknown'})`);
+      }
+      return candidate.content.parts.map(part => part.text || '').join('');
+    }
+  }
+};
+
+/**
+ * Provider-agnostic chat client built from an llm_configs row.
+ * Maps a single prompt (plus optional screenshots) to each vendor's native API.
+ */
+class LLMClient {
+  constructor(config = {}) {
+    this.config = config;
+    this.provider = (config.provider || 'openai').toLowerCase();
+    this.adapter = PROVIDERS[this.provider];
+
+    if (!this.adapter) {
+      logger.warn(`Unknown LLM provider "${config.provider}", using the OpenAI-compatible adapter`);
+      this.adapter = openAICompatible;
+    }
+
+    this.apiKey = config.api_key ? decrypt(config.api_key) : null;
+    if (config.api_key && !this.apiKey) {
+      logger.error('Failed to decrypt LLM API key - decryption returned null');
+    }
+
+    this.apiUrl = config.api_url || this.adapter.defaultUrl;
+    this.modelName = config.model_name || this.adapter.defaultModel;
+    this.maxTokens = parseInt(config.max_tokens) || 4000;
+    this.temperature = config.temperature !== undefined && config.temperature !== null
+      ? parseFloat(config.temperature)
+      : 0.7;
+  }
+
+  /**
+   * Whether the configuration has everything needed to call the provider
+   */
+  isConfigured() {
+    return this.getConfigurationError() === null;
+  }
+
+  /**
+   * Explain why isConfigured() is false
+   */
+  getConfigurationError() {
+    if (this.adapter.requiresApiKey && !this.apiKey) return 'LLM API key not configured';
+    if (!this.apiUrl) return `LLM API URL is required for provider "${this.provider}"`;
+    if (!this.modelName) return `LLM model name is required for provider "${this.provider}"`;
+    return null;
+  }
+
+  /**
+   * Send a prompt and return the model's text reply
+   * @param {object} options
+   * @param {string} options.prompt - User prompt
+   * @param {string} options.system - Optional system prompt
+   * @param {string[]} options.images - Base64-encoded PNG screenshots
+   * @param {number} options.maxTokens - Defaults to the configuration's max_tokens
+   * @param {number} options.temperature - Defaults to the configuration's temperature
+   * @returns {Promise<string>}
+   */
+  async chat({ prompt, system = null, images = [], maxTokens = this.maxTokens, temperature = this.temperature, timeout = DEFAULT_TIMEOUT_MS }) {
+    const configurationError = this.getConfigurationError();
+    if (configurationError) {
+      throw new Error(configurationError);
+    }
+
+    const request = this.adapter.buildRequest(this, {
+      system,
+      prompt,
+      images: images.filter(Boolean),
+      maxTokens,
+      temperature
+    });
+
+    const response = await axios.post(request.url, request.body, {
+      headers: request.headers,
+      timeout
+    });
+
+    return this.adapter.parseResponse(response.data);
+  }
+
+  describe() {
+    return `provider=${this.provider}, model=${this.modelName}, apiUrl=${this.apiUrl}, hasApiKey=${!!this.apiKey}`;
+  }
+}
+
+/**
+ * Whether an llm_configs row can be used to call its provider
+ */
+function isLLMConfigured(config) {
+  return !!config && new LLMClient(config).isConfigured();
+}
+
+module.exports = { LLMClient, PROVIDERS, isLLMConfigured };
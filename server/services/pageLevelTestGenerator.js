@@ -1,7 +1,11 @@
 const logger = require('../utils/logger');
 const { AITestGenerator } = require('./aiTestGenerator');
+const { isLLMConfigured } = require('./llmClient');
 const { pool } = require('../config/database');
 const { extractJSON } = require('../utils/jsonExtractor');
+const { isAssertionAction, toPlaywrightAssertion } = require('../utils/stepAssertions');
+const { validateSteps, StepValidationError } = require('../utils/stepActions');
+const { WCAG_TAGS, DEFAULT_FAIL_IMPACT, getFailingViolations } = require('../utils/accessibilityAudit');
 
 /**
  * Generate page-level tests for discovered pages
@@ -11,15 +15,18 @@ class PageLevelTestGenerator {
     this.config = llmConfig;
     this.testGenerator = null;
 
-    if (llmConfig && llmConfig.api_key) {
+    if (isLLMConfigured(llmConfig)) {
       this.testGenerator = new AITestGenerator(llmConfig);
     }
   }
 
   /**
    * Generate tests for a specific page
+   * @param {object} options
+   * @param {boolean} options.includeAccessibility - Add an accessibility audit test
+   * @param {Array|null} options.accessibilityViolations - Violations the crawl found on the page, if audited
    */
-  async generateTests(testRunId, pageId, url, analysis, interactiveElements) {
+  async generateTests(testRunId, pageId, url, analysis, interactiveElements, options = {}) {
     try {
       logger.info(`Generating page-level tests for: ${analysis.screenName}`);
 
@@ -31,24 +38,36 @@ class PageLevelTestGenerator {
       // 2. Visual regression test
       tests.push(await this.generateVisualTest(pageId, url, analysis.screenName));
 
-      // 3. Interactive element tests
+      // 3. Accessibility audit test
+      if (options.includeAccessibility) {
+        tests.push(this.generateAccessibilityTest(pageId, url, analysis.screenName, options.accessibilityViolations));
+      }
+
+      // 4. Interactive element tests
       const elementTests = await this.generateElementTests(pageId, url, analysis.screenName, interactiveElements);
       tests.push(...elementTests);
 
-      // 4. Use LLM to generate additional meaningful tests
+      // 5. Use LLM to generate additional meaningful tests
       if (this.testGenerator) {
         const llmTests = await this.generateLLMTests(pageId, url, analysis, interactiveElements);
         tests.push(...llmTests);
       }
 
-      // Save all tests to database
+      // Save all tests to database; tests with unknown or malformed steps are rejected
+      const savedTests = [];
       for (const test of tests) {
-        await this.saveTestCase(testRunId, pageId, test);
+        try {
+          await this.saveTestCase(testRunId, pageId, test);
+          savedTests.push(test);
+        } catch (error) {
+          if (!(error instanceof StepValidationError)) throw error;
+          logger.error(`Rejected test "${test.test_name}": ${error.message}`);
+        }
       }
 
-      logger.info(`Generated ${tests.length} page-level tests for ${analysis.screenName}`);
+      logger.info(`Generated ${savedTests.length} page-level tests for ${analysis.screenName}`);
 
-      return tests;
+      return savedTests;
 
     } catch (error) {
       logger.error(`Failed to generate page-level tests: ${error.message}`);
@@ -67,7 +86,8 @@ class PageLevelTestGenerator {
       test_level: 'page',
       test_steps: [
         { action: 'navigate', value: url },
-        { action: 'waitForLoadState', state: 'networkidle' }
+        { action: 'waitForLoadState', state: 'networkidle' },
+        { action: 'assertUrl', value: url, description: `Verify ${screenName} URL` }
       ],
       expected_result: 'Page loads without errors',
       playwright_code: this.generatePlaywrightCode('page-load', url, screenName, [])
@@ -93,6 +113,33 @@ class PageLevelTestGenerator {
     };
   }
 
+  /**
+   * Generate accessibility audit test, described with the violations found during the crawl
+   */
+  generateAccessibilityTest(pageId, url, screenName, violations) {
+    let description = `Audit ${screenName} against WCAG 2.x level A and AA rules`;
+    if (violations) {
+      const failing = getFailingViolations(violations);
+      description += violations.length === 0
+        ? '. The crawl found no violations.'
+        : `. The crawl found ${violations.length} violation(s), ${failing.length} serious or critical: ${violations.map(violation => `${violation.rule} (${violation.impact})`).join(', ')}`;
+    }
+
+    return {
+      test_type: 'accessibility',
+      test_name: `${screenName} - Accessibility`,
+      test_description: description,
+      test_level: 'page',
+      test_steps: [
+        { action: 'navigate', value: url },
+        { action: 'waitForLoadState', state: 'networkidle' },
+        { action: 'auditAccessibility', impact: DEFAULT_FAIL_IMPACT, description: 'Run WCAG 2.x A/AA audit' }
+      ],
+      expected_result: `No WCAG violations with ${DEFAULT_FAIL_IMPACT} impact or higher`,
+      playwright_code: this.generatePlaywrightCode('accessibility', url, screenName, [])
+    };
+  }
+
   /**
    * Generate tests for interactive elements
    */
@@ -111,6 +158,9 @@ class PageLevelTestGenerator {
           { action: 'navigate', value: url },
           { action: 'waitForSelector', selector: element.selector },
           { action: 'assertVisible', selector: element.selector },
+          ...(['button', 'input', 'select', 'checkbox', 'radio'].includes(element.element_type)
+            ? [{ action: 'assertEnabled', selector: element.selector }]
+            : []),
           this.getInteractionStep(element)
         ],
         expected_result: `${element.element_type} interaction completes successfully`,
@@ -192,6 +242,15 @@ Generate 3-5 meaningful test cases that go beyond basic element testing. Conside
 
 ⚠️  IMPORTANT: If you see navigation/menu items and form fields, the forms are likely HIDDEN. Include a click step for the menu item FIRST!
 
+Every test MUST end with assertion steps that check real page state. Assertion actions ("value" is the expected value):
+- assertText / assertTextContains / assertTextMatches ("/regex/"): element text
+- assertCount: number of elements matching the selector
+- assertVisible / assertHidden / assertEnabled / assertDisabled: element state
+- assertAttribute: attribute equals value (add "attribute": "name")
+- assertValue: input field value
+- assertUrl / assertTitle: current URL or page title contains value (or matches "/regex/")
+- assertNotPresent: no element matches the selector (e.g. error messages)
+
 RESPOND ONLY WITH VALID JSON in this format:
 {
   "tests": [
@@ -201,9 +260,9 @@ RESPOND ONLY WITH VALID JSON in this format:
       "testType": "functional|validation|accessibility|performance|security",
       "steps": [
         {
-          "action": "navigate|click|fill|select|check|wait|assert",
+          "action": "navigate|click|fill|select|check|wait|assertText|assertTextContains|assertTextMatches|assertCount|assertVisible|assertHidden|assertEnabled|assertDisabled|assertAttribute|assertValue|assertUrl|assertTitle|assertNotPresent",
           "selector": "CSS selector if applicable",
-          "value": "value if applicable",
+          "value": "value if applicable (expected value for assertions)",
           "description": "What this step does"
         }
       ],
@@ -250,12 +309,27 @@ test('${screenName} - Page Load', async ({ page }) => {
   await page.waitForLoadState('networkidle');
 
   // Verify page loaded successfully
-  await expect(page).toHaveURL('${url}');
+  ${toPlaywrightAssertion({ action: 'assertUrl', value: url })}
   const title = await page.title();
   expect(title).toBeTruthy();
 });`;
     }
 
+    if (testType === 'accessibility') {
+      return `import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+
+test('${screenName} - Accessibility', async ({ page }) => {
+  // Navigate to page
+  await page.goto('${url}');
+  await page.waitForLoadState('networkidle');
+
+  // Run WCAG 2.x A/AA audit
+  const { violations } = await new AxeBuilder({ page }).withTags(${JSON.stringify(WCAG_TAGS)}).analyze();
+  expect(violations.filter(v => ['serious', 'critical'].includes(v.impact)).map(v => v.id)).toEqual([]);
+});`;
+    }
+
     if (testType === 'visual-regression') {
       return `import { test, expect } from '@playwright/test';
 
@@ -336,10 +410,10 @@ test('${screenName} - ${element.element_type} "${element.text_content || ''}"',
         case 'wait':
         case 'waitForSelector':
           return `  await page.waitForSelector('${step.selector}', { state: 'visible' });`;
-        case 'assert':
-        case 'assertVisible':
-          return `  await expect(page.locator('${step.selector}')).toBeVisible();`;
         default:
+          if (isAssertionAction(step.action)) {
+            return `  ${toPlaywrightAssertion(step)}`;
+          }
           return `  // ${step.action}: ${step.description || ''}`;
       }
     }).join('\n');
@@ -353,11 +427,14 @@ ${stepsCode}
 
   /**
    * Save test case to database
+   * @throws {StepValidationError} - If a step has an unknown action or does not match its schema
    */
   async saveTestCase(testRunId, pageId, test) {
+    validateSteps(test.test_steps, `Steps of "${test.test_name}"`);
+
     await pool.query(
-      `INSERT INTO test_cases (test_run_id, page_id, test_type, test_name, test_description, test_steps, expected_result, test_level, playwright_code, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')`,
+      `INSERT INTO test_cases (test_run_id, page_id, test_type, test_name, test_description, test_steps, expected_result, test_level, playwright_code, status, role)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', (SELECT role FROM test_runs WHERE id = $1))`,
       [
         testRunId,
         pageId,
@@ -1,9 +1,27 @@
 const logger = require('../utils/logger');
+const { executeStep, resolveAction } = require('../utils/stepActions');
+const { resolveAuthPlaceholder, isAuthPlaceholder } = require('../utils/credentialProfiles');
+
+/** Time to let the page settle after each kind of step */
+const SETTLE_TIMES = {
+  navigate: 2000,
+  click: 1500,
+  fill: 500,
+  type: 500,
+  select: 500,
+  check: 500,
+  uncheck: 500
+};
 
 class PathNavigator {
-  constructor(page, credentials = null) {
+  /**
+   * @param {object|null} credentials - { username, password } for {auth_username}/{auth_password}
+   * @param {Array} credentialProfiles - Named profiles for {auth.<role>.username}/{auth.<role>.password}
+   */
+  constructor(page, credentials = null, credentialProfiles = []) {
     this.page = page;
     this.credentials = credentials; // Store credentials for auth placeholder substitution
+    this.credentialProfiles = credentialProfiles;
 
     if (credentials) {
       logger.info(`🔑 PathNavigator initialized with credentials: username=${credentials.username || credentials.email || 'NOT SET'}, password=${credentials.password ? '***SET***' : 'NOT SET'}`);
@@ -12,18 +30,26 @@ class PathNavigator {
     }
   }
 
-  async executeSteps(steps) {
+  /**
+   * @param {object} options - { beforeStep }, an async check run before each step;
+   *   returning false stops navigation
+   */
+  async executeSteps(steps, { beforeStep = null } = {}) {
     logger.info(`📋 Executing ${steps.length} navigation steps`);
 
     for (let i = 0; i < steps.length; i++) {
       const step = steps[i];
       logger.info(`  Step ${i + 1}/${steps.length}: ${step.action} ${step.selector || step.url || ''}`);
 
+      if (beforeStep && !(await beforeStep(step))) {
+        throw new Error(`Navigation blocked at step ${i + 1}: ${step.action} ${step.elementText || step.selector || ''}`.trim());
+      }
+
       try {
         await this.executeStep(step);
       } catch (error) {
         logger.error(`Failed to execute step ${i + 1}: ${error.message}`);
-        throw new Error(`Navigation failed at step ${i + 1}: ${step.action}`);
+        throw new Error(`Navigation failed at step ${i + 1}: ${step.action} (${error.message})`);
       }
     }
 
@@ -31,106 +57,47 @@ class PathNavigator {
   }
 
   async executeStep(step) {
-    switch (step.action) {
-      case 'goto':
-        await this.page.goto(step.url, {
-          waitUntil: 'domcontentloaded',
-          timeout: 45000
-        });
-        await this.page.waitForTimeout(2000);
-        break;
-
-      case 'click':
-        await this.page.click(step.selector, { timeout: 10000 });
-        await this.page.waitForTimeout(1500);
-        break;
-
-      case 'fill':
-        // Substitute auth placeholders if credentials are available
-        let fillValue = step.value || '';
-        if (this.credentials) {
-          if (fillValue === '{auth_username}') {
-            fillValue = this.credentials.username || this.credentials.email;
-            logger.info(`  🔑 Substituting {auth_username} with: ${fillValue}`);
-          } else if (fillValue === '{auth_password}') {
-            fillValue = this.credentials.password;
-            logger.info(`  🔑 Substituting {auth_password} with configured password`);
-          }
-        } else if (fillValue.includes('{auth_')) {
-          logger.warn(`  ⚠️ Found placeholder "${fillValue}" but no credentials available for substitution!`);
-        }
-        await this.page.fill(step.selector, fillValue, { timeout: 10000 });
-        await this.page.waitForTimeout(500);
-        break;
-
-      case 'type':
-        // Substitute auth placeholders if credentials are available
-        let typeValue = step.value || '';
-        if (this.credentials) {
-          if (typeValue === '{auth_username}') {
-            typeValue = this.credentials.username || this.credentials.email;
-            logger.info(`  🔑 Substituting {auth_username} with: ${typeValue}`);
-          } else if (typeValue === '{auth_password}') {
-            typeValue = this.credentials.password;
-            logger.info(`  🔑 Substituting {auth_password} with configured password`);
-          }
-        } else if (typeValue.includes('{auth_')) {
-          logger.warn(`  ⚠️ Found placeholder "${typeValue}" but no credentials available for substitution!`);
-        }
-        await this.page.type(step.selector, typeValue, { delay: 50, timeout: 10000 });
-        await this.page.waitForTimeout(500);
-        break;
-
-      case 'select':
-        await this.page.selectOption(step.selector, step.value, { timeout: 10000 });
-        await this.page.waitForTimeout(500);
-        break;
-
-      case 'check':
-        await this.page.check(step.selector, { timeout: 10000 });
-        await this.page.waitForTimeout(500);
-        break;
-
-      case 'uncheck':
-        await this.page.uncheck(step.selector, { timeout: 10000 });
-        await this.page.waitForTimeout(500);
-        break;
-
-      case 'wait':
-        await this.page.waitForTimeout(step.duration || 1000);
-        break;
-
-      case 'waitForSelector':
-        await this.page.waitForSelector(step.selector, { timeout: step.timeout || 10000 });
-        break;
-
-      case 'clearBrowserData':
-        await this.clearBrowserData();
-        break;
-
-      default:
-        logger.warn(`Unknown step action: ${step.action}`);
+    await executeStep(this.page, step, {
+      timeout: 10000,
+      navigationTimeout: 45000,
+      resolveValue: value => this.resolveValue(value)
+    });
+
+    const settleTime = SETTLE_TIMES[resolveAction(step.action)];
+    if (settleTime) {
+      await this.page.waitForTimeout(settleTime);
     }
   }
 
-  async clearBrowserData() {
-    const context = this.page.context();
-    await context.clearCookies();
-
-    try {
-      await this.page.evaluate(() => {
-        try {
-          localStorage.clear();
-          sessionStorage.clear();
-        } catch (e) {
-          console.log('Could not clear storage:', e.message);
-        }
-      });
-      logger.info('🧹 Cleared browser data (cookies, localStorage, sessionStorage)');
-    } catch (error) {
-      logger.warn(`Could not clear storage: ${error.message}`);
-      logger.info('🧹 Cleared cookies (storage access denied)');
+  /**
+   * Substitute auth placeholders if credentials are available
+   */
+  resolveValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+
+    if (this.credentials) {
+      if (text === '{auth_username}') {
+        const username = this.credentials.username || this.credentials.email;
+        logger.info(`  🔑 Substituting {auth_username} with: ${username}`);
+        return username;
+      }
+      if (text === '{auth_password}') {
+        logger.info(`  🔑 Substituting {auth_password} with configured password`);
+        return this.credentials.password;
+      }
     }
+
+    const roleCredential = resolveAuthPlaceholder(text, this.credentialProfiles);
+    if (text.startsWith('{auth.') && roleCredential !== undefined) {
+      logger.info(`  🔑 Substituting ${text} with configured credentials`);
+      return roleCredential;
+    }
+
+    if (isAuthPlaceholder(text)) {
+      logger.warn(`  ⚠️ Found placeholder "${text}" but no credentials available for substitution!`);
+    }
+
+    return text;
   }
 
   static buildStepSequence(parentSteps, newStep) {
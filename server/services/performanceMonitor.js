@@ -0,0 +1,61 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const { collectPerformanceMetrics } = require('../utils/performanceMetrics');
+const { checkPerformanceBudgets, DEFAULT_PERFORMANCE_BUDGETS } = require('../utils/performanceBudgets');
+const { getPageKey } = require('./visualRegression');
+
+/**
+ * Records performance metrics of crawled pages and executed test cases and
+ * checks them against the test configuration's budgets
+ */
+class PerformanceMonitor {
+  constructor(testRunId, testConfigId, budgets = DEFAULT_PERFORMANCE_BUDGETS) {
+    this.testRunId = testRunId;
+    this.testConfigId = testConfigId;
+    this.budgets = budgets;
+  }
+
+  /**
+   * Capture the current document's metrics and record them in performance_metrics
+   * @param {import('playwright').Page} page - Playwright page
+   * @param {object} target
+   * @param {number} target.pageId - Discovered page
+   * @param {number} target.executionId - Test execution (execution captures)
+   * @param {number} target.testCaseId
+   * @param {string} target.browser - Browser matrix label
+   * @returns {Promise<object|null>} - { metrics, exceeded }, or null if the metrics could not be read
+   */
+  async capture(page, { pageId = null, executionId = null, testCaseId = null, browser = '' } = {}) {
+    const pageUrl = page.url();
+
+    let metrics;
+    try {
+      metrics = await collectPerformanceMetrics(page);
+    } catch (error) {
+      logger.warn(`Could not collect performance metrics for ${pageUrl}: ${error.message}`);
+      return null;
+    }
+
+    const exceeded = checkPerformanceBudgets(metrics, this.budgets);
+
+    try {
+      await pool.query(`
+        INSERT INTO performance_metrics (test_run_id, test_config_id, page_id, test_execution_id, test_case_id, browser,
+                                         page_url, page_key, ttfb, dom_content_loaded, load_time, fcp, lcp, cls, tbt, inp,
+                                         request_count, transfer_size, resource_counts, budget_violations)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      `, [this.testRunId, this.testConfigId, pageId, executionId, testCaseId, browser,
+          pageUrl, getPageKey(pageUrl), metrics.ttfb, metrics.domContentLoaded, metrics.loadTime, metrics.fcp,
+          metrics.lcp, metrics.cls, metrics.tbt, metrics.inp, metrics.requestCount, metrics.transferSize,
+          JSON.stringify(metrics.resourceCounts), JSON.stringify(exceeded)]);
+    } catch (error) {
+      logger.error(`Failed to save performance metrics for ${pageUrl}: ${error.message}`);
+    }
+
+    logger.info(`⏱️ ${pageUrl}: load ${metrics.loadTime ?? '-'}ms, LCP ${metrics.lcp ?? '-'}ms, CLS ${metrics.cls ?? '-'}, ${metrics.requestCount} requests${exceeded.length > 0 ? `, ${exceeded.length} budget(s) exceeded` : ''}`);
+
+    return { metrics, exceeded };
+  }
+}
+
+module.exports = { PerformanceMonitor };
@@ -0,0 +1,441 @@
+const { toPlaywrightAssertion } = require('../utils/stepAssertions');
+const { getStepErrors, resolveAction } = require('../utils/stepActions');
+const { IMPACT_LEVELS, DEFAULT_FAIL_IMPACT, WCAG_TAGS } = require('../utils/accessibilityAudit');
+const { normalizeBrowserMatrix, getMatrixLabel } = require('../utils/browserMatrix');
+const { normalizeLaunchProfile } = require('../utils/launchProfile');
+const { applyDatasetRow } = require('../utils/testDatasets');
+
+const AUTH_PLACEHOLDER_PATTERN = /\{auth_(username|password)\}|\{auth\.([a-zA-Z0-9_-]+)\.(username|password)\}/g;
+
+const PLAYWRIGHT_VERSION = '^1.56.0';
+
+function parseJSONField(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function slugify(text, fallback) {
+  const slug = String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60);
+  return slug || fallback;
+}
+
+/**
+ * Make same-origin URLs relative so the suite follows `baseURL`
+ */
+function toSpecUrl(url, targetUrl) {
+  if (!url) return '/';
+  try {
+    const parsed = new URL(url);
+    const target = new URL(targetUrl);
+    if (parsed.origin === target.origin) {
+      return `${parsed.pathname}${parsed.search}${parsed.hash}`;
+    }
+  } catch (error) {
+    // Not an absolute URL, keep as is
+  }
+  return url;
+}
+
+/**
+ * Env var of an auth placeholder: {auth_username} -> SENSUQ_AUTH_USERNAME,
+ * {auth.admin.username} -> SENSUQ_AUTH_ADMIN_USERNAME
+ */
+function authEnvVar(placeholder) {
+  const [, field, role, roleField] = new RegExp(AUTH_PLACEHOLDER_PATTERN.source).exec(placeholder);
+  return role
+    ? `SENSUQ_AUTH_${role.toUpperCase().replace(/-/g, '_')}_${roleField.toUpperCase()}`
+    : `SENSUQ_AUTH_${field.toUpperCase()}`;
+}
+
+/**
+ * Render a step value as a TypeScript expression, mapping auth placeholders to env vars
+ */
+function valueExpression(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  const placeholders = text.match(AUTH_PLACEHOLDER_PATTERN);
+
+  if (!placeholders) {
+    return JSON.stringify(text);
+  }
+
+  if (placeholders[0] === text) {
+    return `process.env.${authEnvVar(text)} ?? ''`;
+  }
+
+  const template = text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')
+    .replace(AUTH_PLACEHOLDER_PATTERN, placeholder => `\${process.env.${authEnvVar(placeholder)} ?? ''}`);
+  return `\`${template}\``;
+}
+
+/**
+ * Convert a stored test step into Playwright Test statements
+ */
+function stepToCode(step, targetUrl) {
+  const selector = JSON.stringify(step.selector || '');
+  const comment = step.description ? `// ${String(step.description).replace(/\n/g, ' ')}` : null;
+  const lines = [];
+
+  // An invalid step fails the exported test instead of being skipped
+  const problems = getStepErrors(step);
+  if (problems.length > 0) {
+    return [comment, `throw new Error(${JSON.stringify(`Invalid step "${step?.action}": ${problems.join('; ')}`)});`].filter(Boolean);
+  }
+
+  switch (resolveAction(step.action)) {
+    case 'navigate':
+      lines.push(`await page.goto(${JSON.stringify(toSpecUrl(step.url || step.value, targetUrl))});`);
+      break;
+    case 'click':
+      lines.push(`await page.locator(${selector}).first().click();`);
+      break;
+    case 'fill':
+      lines.push(`await page.locator(${selector}).first().fill(${valueExpression(step.value)});`);
+      break;
+    case 'type':
+      lines.push(`await page.locator(${selector}).first().pressSequentially(${valueExpression(step.value)}, { delay: 50 });`);
+      break;
+    case 'select':
+      lines.push(`await page.locator(${selector}).first().selectOption(${valueExpression(step.value)});`);
+      break;
+    case 'check':
+      lines.push(`await page.locator(${selector}).first().check();`);
+      break;
+    case 'uncheck':
+      lines.push(`await page.locator(${selector}).first().uncheck();`);
+      break;
+    case 'hover':
+      lines.push(`await page.locator(${selector}).first().hover();`);
+      break;
+    case 'wait':
+      if (step.selector) {
+        lines.push(`await page.locator(${selector}).first().waitFor({ state: 'visible' });`);
+      } else {
+        lines.push(`await page.waitForTimeout(${parseInt(step.duration || step.value, 10) || 1000});`);
+      }
+      break;
+    case 'waitForSelector':
+      lines.push(`await page.locator(${selector}).first().waitFor({ state: 'visible' });`);
+      break;
+    case 'waitForLoadState':
+      lines.push(`await page.waitForLoadState(${JSON.stringify(step.state || 'load')});`);
+      break;
+    case 'screenshot':
+      lines.push('// Screenshot captured by SensuQ during execution');
+      break;
+    case 'compareScreenshot':
+      lines.push(`await expect(page).toHaveScreenshot({ fullPage: true });`);
+      break;
+    case 'auditAccessibility': {
+      const impacts = IMPACT_LEVELS.slice(IMPACT_LEVELS.indexOf(step.impact || DEFAULT_FAIL_IMPACT));
+      lines.push('{');
+      lines.push(`  const { violations } = await new AxeBuilder({ page }).withTags(${JSON.stringify(WCAG_TAGS)}).analyze();`);
+      lines.push(`  expect(violations.filter(v => ${JSON.stringify(impacts)}.includes(v.impact)).map(v => v.id)).toEqual([]);`);
+      lines.push('}');
+      break;
+    }
+    case 'clearBrowserData':
+      lines.push('await page.context().clearCookies();');
+      lines.push('await page.evaluate(() => { localStorage.clear(); sessionStorage.clear(); }).catch(() => {});');
+      break;
+    default:
+      lines.push(toPlaywrightAssertion(step));
+  }
+
+  return comment ? [comment, ...lines] : lines;
+}
+
+function indent(lines, depth) {
+  const pad = '  '.repeat(depth);
+  return lines
+    .join('\n')
+    .split('\n')
+    .map(line => (line ? `${pad}${line}` : line))
+    .join('\n');
+}
+
+/**
+ * Render one spec file: tests grouped by their prerequisite steps, each group
+ * getting its own beforeEach/afterEach hooks
+ */
+function renderSpec(title, entryUrl, testCases, targetUrl) {
+  const groups = new Map();
+
+  for (const testCase of testCases) {
+    const prerequisites = parseJSONField(testCase.prerequisite_steps, []);
+    const cleanup = parseJSONField(testCase.cleanup_steps, []);
+    const key = JSON.stringify([prerequisites, cleanup]);
+    if (!groups.has(key)) {
+      groups.set(key, { prerequisites, cleanup, tests: [] });
+    }
+    groups.get(key).tests.push(testCase);
+  }
+
+  const blocks = [...groups.values()].map((group, groupIndex) => {
+    const body = [];
+
+    body.push('test.beforeEach(async ({ page }) => {');
+    if (group.prerequisites.length > 0) {
+      body.push(indent(group.prerequisites.flatMap(step => stepToCode(step, targetUrl)), 1));
+    } else if (entryUrl) {
+      body.push(indent([`await page.goto(${JSON.stringify(toSpecUrl(entryUrl, targetUrl))});`], 1));
+    }
+    body.push('});');
+
+    if (group.cleanup.length > 0) {
+      body.push('');
+      body.push('test.afterEach(async ({ page }) => {');
+      body.push(indent(group.cleanup.flatMap(step => stepToCode(step, targetUrl)), 1));
+      body.push('});');
+    }
+
+    const usedNames = new Set();
+    for (const testCase of group.tests) {
+      let name = testCase.test_name || `Test case ${testCase.id}`;
+      if (usedNames.has(name)) name = `${name} (#${testCase.id})`;
+      usedNames.add(name);
+
+      const steps = parseJSONField(testCase.test_steps, []);
+      const datasetRows = parseJSONField(testCase.dataset_rows, []);
+      body.push('');
+      if (testCase.test_description) {
+        body.push(`// ${String(testCase.test_description).replace(/\n/g, ' ')}`);
+      }
+      if (testCase.expected_result) {
+        body.push(`// Expected: ${String(testCase.expected_result).replace(/\n/g, ' ')}`);
+      }
+
+      // Data-driven test cases become one test per dataset row, named like the iterations in reports
+      const iterations = datasetRows.length > 0
+        ? datasetRows.map((row, index) => ({ title: `${name} [row ${index + 1}]`, steps: applyDatasetRow(steps, row) }))
+        : [{ title: name, steps }];
+      for (const iteration of iterations) {
+        body.push(`test(${JSON.stringify(iteration.title)}, async ({ page }) => {`);
+        body.push(indent(iteration.steps.flatMap(step => stepToCode(step, targetUrl)), 1));
+        body.push('});');
+      }
+    }
+
+    const describeTitle = groups.size > 1 ? `${title} (setup ${groupIndex + 1})` : title;
+    return [
+      `test.describe(${JSON.stringify(describeTitle)}, () => {`,
+      indent(body, 1),
+      '});'
+    ].join('\n');
+  });
+
+  const source = blocks.join('\n\n');
+  return [
+    `import { test, expect } from '@playwright/test';`,
+    ...(source.includes('new AxeBuilder') ? [`import AxeBuilder from '@axe-core/playwright';`] : []),
+    '',
+    `// Generated by SensuQ`,
+    '',
+    source,
+    ''
+  ].join('\n');
+}
+
+function renderPlaywrightConfig(testRun) {
+  let matrix;
+  let profile;
+  try {
+    matrix = normalizeBrowserMatrix(testRun.browser_matrix);
+  } catch (error) {
+    matrix = normalizeBrowserMatrix(null);
+  }
+  try {
+    profile = normalizeLaunchProfile(testRun.launch_profile);
+  } catch (error) {
+    profile = normalizeLaunchProfile(null);
+  }
+
+  const use = {
+    viewport: profile.viewport,
+    userAgent: profile.userAgent
+  };
+  if (profile.locale) use.locale = profile.locale;
+  if (profile.timezoneId) use.timezoneId = profile.timezoneId;
+  if (profile.colorScheme) use.colorScheme = profile.colorScheme;
+  if (Object.keys(profile.extraHTTPHeaders).length > 0) use.extraHTTPHeaders = profile.extraHTTPHeaders;
+
+  const useLines = Object.entries(use).map(([key, value]) => `    ${key}: ${JSON.stringify(value)},`);
+
+  // Desktop entries inherit the launch profile from the shared `use` block;
+  // device entries take the Playwright device descriptor instead
+  const projects = matrix.map(entry => {
+    let projectUse = `{ browserName: ${JSON.stringify(entry.browser)} }`;
+    if (entry.device) {
+      const mobileOverride = entry.browser === 'firefox' ? ', isMobile: false' : '';
+      projectUse = `{ ...devices[${JSON.stringify(entry.device)}], browserName: ${JSON.stringify(entry.browser)}${mobileOverride} }`;
+    }
+    return `    {\n      name: ${JSON.stringify(getMatrixLabel(entry))},\n      use: ${projectUse},\n    },`;
+  });
+
+  return `import 'dotenv/config';
+import { defineConfig, devices } from '@playwright/test';
+
+/**
+ * Playwright configuration exported from SensuQ test run #${testRun.id} (${testRun.config_name}).
+ * Variables are read from .env (see .env.example) or the environment.
+ * Set SENSUQ_BASE_URL to run the suite against another environment.
+ */
+export default defineConfig({
+  testDir: './tests',
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  retries: process.env.CI ? 2 : 0,
+  reporter: [['list'], ['html', { open: 'never' }], ['junit', { outputFile: 'results/junit.xml' }]],
+  use: {
+    baseURL: process.env.SENSUQ_BASE_URL || ${JSON.stringify(testRun.target_url)},
+    headless: ${profile.headless ? 'true' : '!!process.env.CI'},
+${useLines.join('\n')}
+    trace: 'on-first-retry',
+    screenshot: 'only-on-failure',
+  },
+  projects: [
+${projects.join('\n')}
+  ],
+});
+`;
+}
+
+function renderReadme(testRun, specCount) {
+  return `# ${testRun.config_name} - Playwright Test Suite
+
+Exported from SensuQ test run #${testRun.id} against ${testRun.target_url}.
+Contains ${specCount} spec file(s): one per discovered page and one per user flow.
+
+## Running
+
+\`\`\`bash
+npm install
+npx playwright install
+cp .env.example .env   # fill in credentials
+npx playwright test
+\`\`\`
+
+## Environment variables
+
+- \`SENSUQ_BASE_URL\` - application under test (defaults to ${testRun.target_url})
+- \`SENSUQ_AUTH_USERNAME\` / \`SENSUQ_AUTH_PASSWORD\` - replace the \`{auth_username}\` / \`{auth_password}\` placeholders used by login steps
+- \`SENSUQ_AUTH_<ROLE>_USERNAME\` / \`SENSUQ_AUTH_<ROLE>_PASSWORD\` - replace the \`{auth.<role>.username}\` / \`{auth.<role>.password}\` placeholders of a named credential profile
+
+Prerequisite navigation recorded during crawling runs in \`test.beforeEach\`, cleanup steps in \`test.afterEach\`.
+Data-driven test cases are exported as one test per dataset row, with the row's values in place of the \`{{column}}\` placeholders.
+`;
+}
+
+/**
+ * Build the files of a runnable @playwright/test project for a test run
+ * @param {object} testRun - Test run joined with its configuration
+ * @param {Array} pages - Discovered pages
+ * @param {Array} testCases - Generated test cases
+ * @param {Array} flows - User flows
+ * @returns {Array<{path: string, content: string}>} - Project files
+ */
+function generatePlaywrightProject(testRun, pages, testCases, flows) {
+  const files = [];
+  const usedPaths = new Set();
+  const uniquePath = (base) => {
+    let candidate = `${base}.spec.ts`;
+    let counter = 2;
+    while (usedPaths.has(candidate)) {
+      candidate = `${base}-${counter++}.spec.ts`;
+    }
+    usedPaths.add(candidate);
+    return candidate;
+  };
+
+  const pagesById = new Map(pages.map(page => [page.id, page]));
+  const flowsById = new Map(flows.map(flow => [flow.id, flow]));
+  const byPage = new Map();
+  const byFlow = new Map();
+  const ungrouped = [];
+
+  for (const testCase of testCases) {
+    if (testCase.flow_id && flowsById.has(testCase.flow_id)) {
+      if (!byFlow.has(testCase.flow_id)) byFlow.set(testCase.flow_id, []);
+      byFlow.get(testCase.flow_id).push(testCase);
+    } else if (testCase.page_id && pagesById.has(testCase.page_id)) {
+      if (!byPage.has(testCase.page_id)) byPage.set(testCase.page_id, []);
+      byPage.get(testCase.page_id).push(testCase);
+    } else {
+      ungrouped.push(testCase);
+    }
+  }
+
+  for (const [pageId, cases] of byPage) {
+    const page = pagesById.get(pageId);
+    const title = page.screen_name || page.title || page.url;
+    files.push({
+      path: uniquePath(`tests/pages/${slugify(title, `page-${pageId}`)}`),
+      content: renderSpec(title, page.url, cases, testRun.target_url)
+    });
+  }
+
+  for (const [flowId, cases] of byFlow) {
+    const flow = flowsById.get(flowId);
+    files.push({
+      path: uniquePath(`tests/flows/${slugify(flow.flow_name, `flow-${flowId}`)}`),
+      content: renderSpec(flow.flow_name, flow.entry_page_url || testRun.target_url, cases, testRun.target_url)
+    });
+  }
+
+  if (ungrouped.length > 0) {
+    files.push({
+      path: uniquePath('tests/other'),
+      content: renderSpec('Other tests', testRun.target_url, ungrouped, testRun.target_url)
+    });
+  }
+
+  const specCount = files.length;
+
+  // Role credentials referenced by the specs, besides the default SENSUQ_AUTH_USERNAME/PASSWORD
+  const roleEnvVars = new Set();
+  files.forEach(file => {
+    for (const match of file.content.matchAll(/process\.env\.(SENSUQ_AUTH_\w+_(?:USERNAME|PASSWORD))\b/g)) {
+      roleEnvVars.add(match[1]);
+    }
+  });
+
+  files.push({ path: 'playwright.config.ts', content: renderPlaywrightConfig(testRun) });
+  files.push({
+    path: 'package.json',
+    content: JSON.stringify({
+      name: slugify(testRun.config_name, 'sensuq-suite'),
+      version: '1.0.0',
+      private: true,
+      scripts: {
+        test: 'playwright test',
+        'test:headed': 'playwright test --headed',
+        report: 'playwright show-report'
+      },
+      devDependencies: {
+        '@playwright/test': PLAYWRIGHT_VERSION,
+        '@axe-core/playwright': '^4.10.0',
+        '@types/node': '^20.0.0',
+        dotenv: '^16.4.0'
+      }
+    }, null, 2) + '\n'
+  });
+  files.push({
+    path: '.env.example',
+    content: `SENSUQ_BASE_URL=${testRun.target_url}\nSENSUQ_AUTH_USERNAME=\nSENSUQ_AUTH_PASSWORD=\n`
+      + [...roleEnvVars].sort().map(envVar => `${envVar}=\n`).join('')
+  });
+  files.push({ path: '.gitignore', content: 'node_modules/\ntest-results/\nplaywright-report/\nresults/\n.env\n' });
+  files.push({ path: 'README.md', content: renderReadme(testRun, specCount) });
+
+  return files;
+}
+
+module.exports = { generatePlaywrightProject, stepToCode };
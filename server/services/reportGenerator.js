@@ -1,7 +1,29 @@
 const PDFLib = require('pdf-lib');
 const fs = require('fs').promises;
 
-async function generatePDFReport(testRun, testCases) {
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+function parseJSONValue(value, fallback) {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Count accessibility_violations rows per impact, most severe first
+ */
+function countViolationsByImpact(violations) {
+  const counts = {};
+  for (const impact of IMPACT_ORDER) {
+    counts[impact] = violations.filter(violation => violation.impact === impact).length;
+  }
+  return counts;
+}
+
+async function generatePDFReport(testRun, testCases, accessibilityViolations = []) {
   try {
     const pdfDoc = await PDFLib.PDFDocument.create();
     const timesRomanFont = await pdfDoc.embedFont(PDFLib.StandardFonts.TimesRoman);
@@ -283,6 +305,47 @@ async function generatePDFReport(testRun, testCases) {
       
       yPosition -= 15; // Space between test types
     }
+
+    // Accessibility violations found while crawling, per page
+    if (accessibilityViolations.length > 0) {
+      checkPageSpace(60);
+      currentPage.drawText('Accessibility Violations', {
+        x: margin,
+        y: yPosition,
+        size: headerFontSize,
+        font: timesRomanBoldFont,
+      });
+      yPosition -= 25;
+
+      const counts = countViolationsByImpact(accessibilityViolations);
+      yPosition = drawWrappedText(
+        IMPACT_ORDER.map(impact => `${impact}: ${counts[impact]}`).join('   '),
+        margin,
+        yPosition,
+        contentWidth,
+        timesRomanFont,
+        fontSize
+      );
+      yPosition -= 10;
+
+      const pageUrls = [...new Set(accessibilityViolations.map(violation => violation.page_url))];
+      for (const pageUrl of pageUrls) {
+        checkPageSpace(40);
+        yPosition = drawWrappedText(pageUrl, margin + 10, yPosition, contentWidth - 10, timesRomanBoldFont, fontSize);
+        for (const violation of accessibilityViolations.filter(v => v.page_url === pageUrl)) {
+          const nodes = parseJSONValue(violation.nodes, []);
+          yPosition = drawWrappedText(
+            `• [${violation.impact}] ${violation.rule_id}: ${violation.help} (${nodes.length} element(s): ${nodes.slice(0, 3).map(node => node.selector).join(', ')}${nodes.length > 3 ? ', ...' : ''})`,
+            margin + 20,
+            yPosition,
+            contentWidth - 20,
+            timesRomanFont,
+            fontSize - 1
+          );
+        }
+        yPosition -= 10;
+      }
+    }
     
     // Footer on last page
     checkPageSpace(50);
@@ -312,7 +375,7 @@ async function generatePDFReport(testRun, testCases) {
   }
 }
 
-function generateJSONReport(testRun, discoveredPages, testCases) {
+function generateJSONReport(testRun, discoveredPages, testCases, accessibilityViolations = []) {
   return {
     reportMetadata: {
       generatedAt: new Date().toISOString(),
@@ -388,6 +451,25 @@ function generateJSONReport(testRun, discoveredPages, testCases) {
         pageId: testCase.page_id
       };
     }),
+    accessibility: {
+      violationsByImpact: countViolationsByImpact(accessibilityViolations),
+      pages: [...new Set(accessibilityViolations.map(violation => violation.page_id))].map(pageId => {
+        const pageViolations = accessibilityViolations.filter(violation => violation.page_id === pageId);
+        return {
+          pageId,
+          url: pageViolations[0].page_url,
+          violations: pageViolations.map(violation => ({
+            rule: violation.rule_id,
+            impact: violation.impact,
+            description: violation.description,
+            help: violation.help,
+            helpUrl: violation.help_url,
+            wcagTags: parseJSONValue(violation.wcag_tags, []),
+            nodes: parseJSONValue(violation.nodes, [])
+          }))
+        };
+      })
+    },
     summary: {
       testCasesByType: testCases.reduce((acc, testCase) => {
         const type = testCase.test_type || 'unknown';
@@ -413,4 +495,495 @@ function generateJSONReport(testRun, discoveredPages, testCases) {
   };
 }
 
-module.exports = { generatePDFReport, generateJSONReport };
\ No newline at end of file
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    // Strip control characters that are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toSeconds(milliseconds) {
+  return ((parseInt(milliseconds) || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Split a test case execution into one entry per browser in the matrix,
+ * attaching the step results recorded for that browser (and dataset iteration)
+ */
+function expandBrowserResults(result, stepResults) {
+  let browserResults = result.browser_results;
+  if (typeof browserResults === 'string') {
+    try {
+      browserResults = JSON.parse(browserResults);
+    } catch (e) {
+      browserResults = [];
+    }
+  }
+  if (!Array.isArray(browserResults) || browserResults.length === 0) {
+    browserResults = [{
+      browser: '',
+      status: result.status === 'flaky' ? 'passed' : result.status,
+      executionTime: result.execution_time,
+      errorDetails: result.error_details,
+      selfHealed: result.self_healed
+    }];
+  }
+
+  const caseSteps = stepResults.filter(step => (
+    step.test_case_id === result.test_case_id && (step.iteration || 0) === (result.iteration || 0)
+  ));
+
+  return browserResults.map(browserResult => {
+    const browser = browserResult.browser && browserResult.browser !== 'unknown' ? browserResult.browser : '';
+    const matching = caseSteps.filter(step => step.browser === browser);
+    const steps = (matching.length > 0 || browserResults.length > 1 ? matching : caseSteps)
+      .sort((a, b) => a.step_index - b.step_index);
+
+    return {
+      browser,
+      engine: browserResult.engine || null,
+      device: browserResult.device || null,
+      status: browserResult.status === 'passed' ? 'passed' : 'failed',
+      duration: parseInt(browserResult.executionTime) || 0,
+      errorDetails: browserResult.errorDetails || null,
+      selfHealed: !!browserResult.selfHealed,
+      steps
+    };
+  });
+}
+
+function describeStep(step) {
+  const description = step.step_description || `${step.step_action} ${step.step_selector || ''}`.trim();
+  return `${step.step_index + 1}. ${description}`;
+}
+
+function formatStepLine(step) {
+  let line = `[${step.status.toUpperCase()}] ${describeStep(step)} (${step.execution_time || 0}ms)`;
+  if (step.self_healed) line += ' [self-healed]';
+  if (step.error_message) line += `\n    Error: ${step.error_message}`;
+  if (step.expected_value !== null && step.expected_value !== undefined) {
+    line += `\n    Expected: ${step.expected_value}\n    Actual: ${step.actual_value}`;
+  }
+  return line;
+}
+
+function getSuiteName(result) {
+  return result.page_name || result.page_url || result.test_type || 'SensuQ';
+}
+
+/**
+ * Generate a JUnit XML report for a test execution. Each browser in the matrix
+ * becomes its own <testcase>; step results are written to <system-out>.
+ * @param {object} execution - Test execution joined with its configuration
+ * @param {Array} testCaseResults - test_case_executions rows joined with test cases
+ * @param {Array} stepResults - test_step_results rows for the execution
+ * @returns {string} - JUnit XML document
+ */
+function generateJUnitReport(execution, testCaseResults, stepResults = []) {
+  const suites = new Map();
+
+  for (const result of testCaseResults) {
+    const suiteName = getSuiteName(result);
+    if (!suites.has(suiteName)) suites.set(suiteName, []);
+    const browserResults = expandBrowserResults(result, stepResults);
+    for (const browserResult of browserResults) {
+      suites.get(suiteName).push({ result, browserResult, multiBrowser: browserResults.length > 1 });
+    }
+  }
+
+  const timestamp = new Date(execution.start_time || Date.now()).toISOString();
+  let totalTests = 0;
+  let totalFailures = 0;
+  let totalTime = 0;
+
+  const suiteXml = [...suites.entries()].map(([suiteName, entries], index) => {
+    const failures = entries.filter(entry => entry.browserResult.status === 'failed').length;
+    const suiteTime = entries.reduce((sum, entry) => sum + entry.browserResult.duration, 0);
+    totalTests += entries.length;
+    totalFailures += failures;
+    totalTime += suiteTime;
+
+    const cases = entries.map(({ result, browserResult, multiBrowser }) => {
+      const name = multiBrowser ? `${result.test_name} [${browserResult.browser}]` : result.test_name;
+      const lines = [`    <testcase name="${escapeXml(name)}" classname="${escapeXml(suiteName)}" time="${toSeconds(browserResult.duration)}">`];
+
+      lines.push('      <properties>');
+      lines.push(`        <property name="test_case_id" value="${result.test_case_id}"/>`);
+      if (result.iteration) lines.push(`        <property name="dataset_row" value="${result.iteration}"/>`);
+      if (browserResult.browser) lines.push(`        <property name="browser" value="${escapeXml(browserResult.browser)}"/>`);
+      lines.push(`        <property name="self_healed" value="${browserResult.selfHealed}"/>`);
+      lines.push('      </properties>');
+
+      if (browserResult.status === 'failed') {
+        const failedStep = browserResult.steps.find(step => step.status === 'failed');
+        const message = failedStep
+          ? `Step ${describeStep(failedStep)} failed: ${failedStep.error_message || ''}`
+          : (browserResult.errorDetails || 'Test failed').split('\n')[0];
+        lines.push(`      <failure message="${escapeXml(message)}" type="AssertionError">${escapeXml(browserResult.errorDetails || message)}</failure>`);
+      }
+
+      if (browserResult.steps.length > 0) {
+        lines.push(`      <system-out>${escapeXml(browserResult.steps.map(formatStepLine).join('\n'))}</system-out>`);
+      }
+
+      lines.push('    </testcase>');
+      return lines.join('\n');
+    });
+
+    return [
+      `  <testsuite id="${index}" name="${escapeXml(suiteName)}" tests="${entries.length}" failures="${failures}" errors="0" skipped="0" time="${toSeconds(suiteTime)}" timestamp="${timestamp}">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  const name = [execution.config_name, execution.execution_name].filter(Boolean).join(' - ') || 'SensuQ';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${totalTests}" failures="${totalFailures}" errors="0" skipped="0" time="${toSeconds(totalTime)}">`,
+    ...suiteXml,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate a CTRF (Common Test Report Format) JSON report for a test execution.
+ * Each browser in the matrix becomes its own test entry with its steps.
+ * @param {object} execution - Test execution joined with its configuration
+ * @param {Array} testCaseResults - test_case_executions rows joined with test cases
+ * @param {Array} stepResults - test_step_results rows for the execution
+ * @returns {object} - CTRF report
+ */
+function generateCTRFReport(execution, testCaseResults, stepResults = []) {
+  const tests = testCaseResults.flatMap(result => {
+    const browserResults = expandBrowserResults(result, stepResults);
+    const start = result.start_time ? new Date(result.start_time).getTime() : 0;
+
+    return browserResults.map(browserResult => {
+      const failedStep = browserResult.steps.find(step => step.status === 'failed');
+      const test = {
+        name: browserResults.length > 1 ? `${result.test_name} [${browserResult.browser}]` : result.test_name,
+        status: browserResult.status,
+        duration: browserResult.duration,
+        start,
+        stop: start ? start + browserResult.duration : 0,
+        suite: getSuiteName(result),
+        type: result.test_type,
+        flaky: browserResult.selfHealed,
+        steps: browserResult.steps.map(step => ({
+          name: describeStep(step),
+          status: step.status === 'passed' ? 'passed' : step.status === 'failed' ? 'failed' : 'skipped',
+          extra: {
+            action: step.step_action,
+            selector: step.step_selector,
+            duration: step.execution_time,
+            selfHealed: step.self_healed,
+            error: step.error_message,
+            expected: step.expected_value,
+            actual: step.actual_value
+          }
+        })),
+        extra: {
+          testCaseId: result.test_case_id,
+          datasetRow: result.iteration || null,
+          datasetValues: result.iteration_data || null,
+          selfHealed: browserResult.selfHealed,
+          engine: browserResult.engine,
+          device: browserResult.device,
+          pageUrl: result.page_url || null
+        }
+      };
+
+      if (browserResult.browser) test.browser = browserResult.browser;
+      if (browserResult.status === 'failed') {
+        test.message = failedStep
+          ? `Step ${describeStep(failedStep)} failed: ${failedStep.error_message || ''}`
+          : (browserResult.errorDetails || 'Test failed').split('\n')[0];
+        test.trace = browserResult.errorDetails || test.message;
+      }
+
+      return test;
+    });
+  });
+
+  const start = execution.start_time ? new Date(execution.start_time).getTime() : 0;
+  const stop = execution.end_time ? new Date(execution.end_time).getTime() : Date.now();
+
+  return {
+    reportFormat: 'CTRF',
+    specVersion: '0.0.0',
+    generatedBy: 'SensuQ Autonomous Testing Engine',
+    timestamp: new Date().toISOString(),
+    results: {
+      tool: { name: 'SensuQ' },
+      summary: {
+        tests: tests.length,
+        passed: tests.filter(test => test.status === 'passed').length,
+        failed: tests.filter(test => test.status === 'failed').length,
+        pending: 0,
+        skipped: 0,
+        other: 0,
+        flaky: tests.filter(test => test.flaky).length,
+        start,
+        stop
+      },
+      tests,
+      environment: {
+        appName: execution.config_name,
+        appUrl: execution.target_url,
+        buildName: execution.execution_name,
+        extra: {
+          executionId: execution.id,
+          testRunId: execution.test_run_id
+        }
+      }
+    }
+  };
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDuration(milliseconds) {
+  const ms = parseInt(milliseconds) || 0;
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+const HTML_REPORT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f9fafb; color: #111827; }
+  header { background: #1e40af; color: #fff; padding: 24px 32px; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header p { margin: 0; opacity: 0.85; font-size: 14px; }
+  main { padding: 24px 32px; max-width: 1200px; margin: 0 auto; }
+  .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 12px; margin-bottom: 24px; }
+  .stat { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px; }
+  .stat .value { font-size: 26px; font-weight: 600; }
+  .stat .label { font-size: 12px; color: #6b7280; text-transform: uppercase; }
+  .filters { margin-bottom: 16px; display: flex; gap: 8px; flex-wrap: wrap; }
+  .filters button { border: 1px solid #d1d5db; background: #fff; border-radius: 16px; padding: 6px 14px; cursor: pointer; font-size: 13px; }
+  .filters button.active { background: #1e40af; border-color: #1e40af; color: #fff; }
+  details.test { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 8px; }
+  details.test > summary { padding: 12px 16px; cursor: pointer; display: flex; align-items: center; gap: 12px; }
+  details.test > summary .name { flex: 1; font-weight: 500; }
+  details.test > summary .meta { font-size: 12px; color: #6b7280; }
+  .badge { display: inline-block; font-size: 11px; font-weight: 600; padding: 2px 8px; border-radius: 10px; text-transform: uppercase; }
+  .badge.passed { background: #d1fae5; color: #065f46; }
+  .badge.failed { background: #fee2e2; color: #991b1b; }
+  .badge.flaky { background: #fef3c7; color: #92400e; }
+  .badge.skipped, .badge.pending { background: #f3f4f6; color: #374151; }
+  .badge.healed { background: #ede9fe; color: #5b21b6; }
+  .body { padding: 0 16px 16px; border-top: 1px solid #f3f4f6; }
+  .browser h4 { margin: 16px 0 8px; font-size: 14px; }
+  .error { background: #fef2f2; border: 1px solid #fecaca; color: #991b1b; padding: 8px 12px; border-radius: 6px; font-size: 13px; white-space: pre-wrap; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+  th { color: #6b7280; font-weight: 500; font-size: 12px; text-transform: uppercase; }
+  code { background: #f3f4f6; padding: 1px 4px; border-radius: 4px; font-size: 12px; word-break: break-all; }
+  td img { max-width: 280px; border: 1px solid #e5e7eb; border-radius: 4px; cursor: zoom-in; }
+  td img.zoomed { max-width: 100%; cursor: zoom-out; }
+  .badge.critical, .badge.serious { background: #fee2e2; color: #991b1b; }
+  .badge.moderate { background: #fef3c7; color: #92400e; }
+  .badge.minor { background: #f3f4f6; color: #374151; }
+  .accessibility h4 { margin: 16px 0 8px; font-size: 14px; }
+  .screenshots { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 12px; }
+  .screenshots figure { margin: 0; font-size: 12px; color: #6b7280; max-width: 280px; }
+  .screenshots img { max-width: 280px; border: 1px solid #e5e7eb; border-radius: 4px; }
+  footer { text-align: center; font-size: 12px; color: #9ca3af; padding: 24px; }
+`;
+
+const HTML_REPORT_SCRIPT = `
+  document.querySelectorAll('.filters button').forEach(function (button) {
+    button.addEventListener('click', function () {
+      var status = button.getAttribute('data-status');
+      document.querySelectorAll('.filters button').forEach(function (b) { b.classList.toggle('active', b === button); });
+      document.querySelectorAll('details.test').forEach(function (test) {
+        test.style.display = status === 'all' || test.getAttribute('data-status') === status ? '' : 'none';
+      });
+    });
+  });
+  document.querySelectorAll('td img').forEach(function (img) {
+    img.addEventListener('click', function () { img.classList.toggle('zoomed'); });
+  });
+`;
+
+function parseScreenshots(value) {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return [];
+    }
+  }
+  return Array.isArray(value) ? value : [];
+}
+
+function renderScreenshot(screenshot) {
+  if (!screenshot || !screenshot.data) return '';
+  return `<img src="data:image/png;base64,${screenshot.data}" alt="${escapeHtml(screenshot.description)}" loading="lazy">`;
+}
+
+function renderBrowserSection(browserResult, screenshots, showHeading) {
+  const browserScreenshots = screenshots.filter(screenshot =>
+    !browserResult.browser || !screenshot.browser || screenshot.browser === browserResult.browser
+  );
+  const stepScreenshot = index => {
+    const matches = browserScreenshots.filter(screenshot => screenshot.step === index + 1);
+    return matches[matches.length - 1];
+  };
+
+  const parts = [];
+
+  if (showHeading) {
+    parts.push(`<h4>${escapeHtml(browserResult.browser)} <span class="badge ${browserResult.status}">${browserResult.status}</span>${browserResult.selfHealed ? ' <span class="badge healed">self-healed</span>' : ''} <span class="meta">${formatDuration(browserResult.duration)}</span></h4>`);
+  }
+
+  if (browserResult.errorDetails) {
+    parts.push(`<div class="error">${escapeHtml(browserResult.errorDetails)}</div>`);
+  }
+
+  if (browserResult.steps.length > 0) {
+    const rows = browserResult.steps.map(step => {
+      const details = [];
+      if (step.error_message) details.push(`<div class="error">${escapeHtml(step.error_message)}</div>`);
+      if (step.expected_value !== null && step.expected_value !== undefined) {
+        details.push(`<div>Expected: <code>${escapeHtml(step.expected_value)}</code></div><div>Actual: <code>${escapeHtml(step.actual_value)}</code></div>`);
+      }
+      return `<tr>
+          <td>${step.step_index + 1}</td>
+          <td><code>${escapeHtml(step.step_action)}</code></td>
+          <td>${step.step_selector ? `<code>${escapeHtml(step.step_selector)}</code>` : ''}${step.step_value ? `<div>Value: <code>${escapeHtml(step.step_value)}</code></div>` : ''}</td>
+          <td>${escapeHtml(step.step_description)}${details.join('')}</td>
+          <td><span class="badge ${step.status}">${step.status}</span>${step.self_healed ? ' <span class="badge healed">healed</span>' : ''}</td>
+          <td>${formatDuration(step.execution_time)}</td>
+          <td>${renderScreenshot(stepScreenshot(step.step_index))}</td>
+        </tr>`;
+    });
+
+    parts.push(`<table>
+        <thead><tr><th>#</th><th>Action</th><th>Selector</th><th>Description</th><th>Status</th><th>Time</th><th>Screenshot</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>`);
+  }
+
+  // Screenshots that do not belong to a numbered step (initial page, prerequisites, errors)
+  const otherScreenshots = browserScreenshots.filter(screenshot =>
+    typeof screenshot.step !== 'number' || !browserResult.steps.some(step => step.step_index + 1 === screenshot.step)
+  );
+  if (otherScreenshots.length > 0) {
+    parts.push(`<div class="screenshots">${otherScreenshots.map(screenshot =>
+      `<figure>${renderScreenshot(screenshot)}<figcaption>${escapeHtml(screenshot.description || screenshot.step)}</figcaption></figure>`
+    ).join('')}</div>`);
+  }
+
+  return `<div class="browser">${parts.join('\n')}</div>`;
+}
+
+function renderAccessibilitySection(violations) {
+  if (violations.length === 0) return '';
+
+  const rows = violations.map(violation => {
+    const nodes = parseJSONValue(violation.nodes, []);
+    return `<tr>
+        <td><span class="badge ${escapeHtml(violation.impact)}">${escapeHtml(violation.impact)}</span></td>
+        <td><a href="${escapeHtml(violation.help_url)}" target="_blank" rel="noreferrer"><code>${escapeHtml(violation.rule_id)}</code></a><div>${escapeHtml(violation.help)}</div></td>
+        <td>${nodes.map(node => `<div><code>${escapeHtml(node.selector)}</code></div>`).join('')}</td>
+        <td>${escapeHtml(violation.browser)}</td>
+      </tr>`;
+  });
+
+  return `<div class="accessibility">
+      <h4>Accessibility violations (${violations.length})</h4>
+      <table>
+        <thead><tr><th>Impact</th><th>Rule</th><th>Elements</th><th>Browser</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * Generate a single-file HTML report for a test execution. Screenshots are
+ * embedded as data URIs so the report works offline.
+ * @param {object} execution - Test execution joined with its configuration
+ * @param {Array} testCaseResults - test_case_executions rows (with screenshots) joined with test cases
+ * @param {Array} stepResults - test_step_results rows for the execution
+ * @param {Array} accessibilityViolations - accessibility_violations rows for the execution
+ * @returns {string} - HTML document
+ */
+function generateHTMLReport(execution, testCaseResults, stepResults = [], accessibilityViolations = []) {
+  const count = status => testCaseResults.filter(result => result.status === status).length;
+  const totalTime = testCaseResults.reduce((sum, result) => sum + (parseInt(result.execution_time) || 0), 0);
+  const passRate = testCaseResults.length > 0 ? Math.round((count('passed') / testCaseResults.length) * 100) : 0;
+
+  const tests = testCaseResults.map(result => {
+    const browserResults = expandBrowserResults(result, stepResults);
+    const screenshots = parseScreenshots(result.screenshots);
+    const healed = browserResults.some(browserResult => browserResult.selfHealed);
+
+    return `<details class="test" data-status="${escapeHtml(result.status)}">
+      <summary>
+        <span class="badge ${escapeHtml(result.status)}">${escapeHtml(result.status)}</span>
+        <span class="name">${escapeHtml(result.test_name)}</span>
+        ${healed ? '<span class="badge healed">self-healed</span>' : ''}
+        <span class="meta">${escapeHtml(getSuiteName(result))} &middot; ${formatDuration(result.execution_time)}</span>
+      </summary>
+      <div class="body">
+        ${result.test_description ? `<p>${escapeHtml(result.test_description)}</p>` : ''}
+        ${result.expected_result ? `<p><strong>Expected:</strong> ${escapeHtml(result.expected_result)}</p>` : ''}
+        ${browserResults.map(browserResult => renderBrowserSection(browserResult, screenshots, browserResults.length > 1 || !!browserResult.browser)).join('\n')}
+        ${renderAccessibilitySection(accessibilityViolations.filter(violation => violation.test_case_id === result.test_case_id))}
+      </div>
+    </details>`;
+  });
+
+  const statuses = ['passed', 'failed', 'flaky', 'skipped'].filter(status => count(status) > 0);
+  const title = `${execution.config_name || 'SensuQ'} - ${execution.execution_name || `Execution #${execution.id}`}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(execution.target_url)} &middot; ${execution.start_time ? new Date(execution.start_time).toLocaleString() : ''}${execution.end_time ? ` - ${new Date(execution.end_time).toLocaleString()}` : ''} &middot; status: ${escapeHtml(execution.status)}</p>
+</header>
+<main>
+  <section class="summary">
+    <div class="stat"><div class="value">${testCaseResults.length}</div><div class="label">Tests</div></div>
+    <div class="stat"><div class="value" style="color:#059669">${count('passed')}</div><div class="label">Passed</div></div>
+    <div class="stat"><div class="value" style="color:#dc2626">${count('failed')}</div><div class="label">Failed</div></div>
+    <div class="stat"><div class="value" style="color:#d97706">${count('flaky')}</div><div class="label">Flaky</div></div>
+    <div class="stat"><div class="value">${passRate}%</div><div class="label">Pass rate</div></div>
+    <div class="stat"><div class="value">${formatDuration(totalTime)}</div><div class="label">Total time</div></div>
+    ${accessibilityViolations.length > 0 ? `<div class="stat"><div class="value" style="color:#7c3aed">${accessibilityViolations.length}</div><div class="label">A11y violations</div></div>` : ''}
+  </section>
+  <div class="filters">
+    <button class="active" data-status="all">All (${testCaseResults.length})</button>
+    ${statuses.map(status => `<button data-status="${status}">${status.charAt(0).toUpperCase() + status.slice(1)} (${count(status)})</button>`).join('\n    ')}
+  </div>
+  ${tests.join('\n  ')}
+</main>
+<footer>Generated by SensuQ Autonomous Testing Engine on ${new Date().toLocaleString()}</footer>
+<script>${HTML_REPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { generatePDFReport, generateJSONReport, generateJUnitReport, generateCTRFReport, generateHTMLReport };
\ No newline at end of file
@@ -0,0 +1,196 @@
+const { pool } = require('../config/database');
+const { getNextRun } = require('../utils/cronExpression');
+const { startCrawls } = require('./crawlerLauncher');
+const { TestExecutor } = require('./testExecutor');
+const logger = require('../utils/logger');
+
+const TICK_INTERVAL_MS = 30000;
+
+/**
+ * Fires cron schedules (test_schedules) that start crawls or test executions
+ */
+class Scheduler {
+  constructor(io = null) {
+    this.io = io;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    logger.info('⏰ Scheduler started');
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Fire every enabled schedule whose next_run_at has passed
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const due = await pool.query(`
+        SELECT * FROM test_schedules
+        WHERE enabled = true AND next_run_at <= CURRENT_TIMESTAMP
+        ORDER BY next_run_at
+      `);
+
+      for (const schedule of due.rows) {
+        // Advance next_run_at first so a slow or failing fire is not retried every tick
+        await this.advance(schedule);
+        await this.fire(schedule);
+      }
+    } catch (error) {
+      logger.error(`Scheduler tick failed: ${error.message}`);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async advance(schedule) {
+    let nextRunAt = null;
+    try {
+      nextRunAt = getNextRun(schedule.cron_expression);
+    } catch (error) {
+      logger.error(`Schedule ${schedule.id} has an invalid cron expression: ${error.message}`);
+    }
+
+    await pool.query(`
+      UPDATE test_schedules
+      SET last_run_at = CURRENT_TIMESTAMP, next_run_at = $2, enabled = enabled AND $2 IS NOT NULL
+      WHERE id = $1
+    `, [schedule.id, nextRunAt]);
+  }
+
+  /**
+   * Start the crawl or execution for a schedule and record it in schedule_runs
+   * @returns {Promise<object>} - The schedule_runs row
+   */
+  async fire(schedule) {
+    try {
+      const result = schedule.schedule_type === 'crawl'
+        ? await this.fireCrawl(schedule)
+        : await this.fireExecution(schedule);
+
+      if (result.status === 'skipped') {
+        logger.info(`⏭️ Schedule "${schedule.name}" skipped: ${result.message}`);
+      } else {
+        logger.info(`⏰ Schedule "${schedule.name}" fired: ${result.message}`);
+      }
+
+      return await this.recordRun(schedule.id, result);
+    } catch (error) {
+      logger.error(`Schedule "${schedule.name}" failed: ${error.message}`);
+      return this.recordRun(schedule.id, { status: 'failed', message: error.message });
+    }
+  }
+
+  async fireCrawl(schedule) {
+    const active = await pool.query(`
+      SELECT id FROM test_runs
+      WHERE test_config_id = $1 AND status IN ('running', 'paused')
+      LIMIT 1
+    `, [schedule.test_config_id]);
+
+    if (active.rows.length > 0) {
+      return {
+        status: 'skipped',
+        testRunId: active.rows[0].id,
+        message: `Test run ${active.rows[0].id} for this configuration is still running`
+      };
+    }
+
+    // Crawls as every credential profile of the configuration
+    const runs = await startCrawls(schedule.test_config_id, { createdBy: schedule.created_by }, this.io);
+    if (!runs) {
+      throw new Error('Test configuration not found');
+    }
+
+    const testRunId = runs[0].testRunId;
+    const message = runs.length > 1
+      ? `Started crawls as test runs ${runs.map(run => `${run.testRunId} (${run.role})`).join(', ')}`
+      : `Started crawl as test run ${testRunId}`;
+
+    return { status: 'started', testRunId, message };
+  }
+
+  async fireExecution(schedule) {
+    const runResult = await pool.query('SELECT status FROM test_runs WHERE id = $1', [schedule.test_run_id]);
+    if (runResult.rows.length === 0) {
+      throw new Error('Test run not found');
+    }
+
+    const runStatus = runResult.rows[0].status;
+    if (runStatus === 'running' || runStatus === 'paused') {
+      return { status: 'skipped', testRunId: schedule.test_run_id, message: 'Test run is still crawling' };
+    }
+    if (runStatus !== 'ready_for_execution' && runStatus !== 'completed') {
+      throw new Error(`Test run has status "${runStatus}"`);
+    }
+
+    const active = await pool.query(`
+      SELECT id FROM test_executions
+      WHERE test_run_id = $1 AND status IN ('pending', 'running')
+      LIMIT 1
+    `, [schedule.test_run_id]);
+
+    if (active.rows.length > 0) {
+      return {
+        status: 'skipped',
+        testRunId: schedule.test_run_id,
+        testExecutionId: active.rows[0].id,
+        message: `Execution ${active.rows[0].id} for this test run is still running`
+      };
+    }
+
+    const savedIds = Array.isArray(schedule.test_case_ids) ? schedule.test_case_ids : [];
+    const casesResult = savedIds.length > 0
+      ? await pool.query('SELECT id FROM test_cases WHERE test_run_id = $1 AND id = ANY($2) ORDER BY id', [schedule.test_run_id, savedIds])
+      : await pool.query('SELECT id FROM test_cases WHERE test_run_id = $1 ORDER BY id', [schedule.test_run_id]);
+
+    const testCaseIds = casesResult.rows.map(row => row.id);
+    if (testCaseIds.length === 0) {
+      throw new Error('No test cases to execute');
+    }
+
+    const executionName = `Scheduled: ${schedule.name} - ${new Date().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`;
+    const executionResult = await pool.query(`
+      INSERT INTO test_executions (test_run_id, execution_name, status, executed_by, total_test_cases)
+      VALUES ($1, $2, 'running', $3, $4)
+      RETURNING id
+    `, [schedule.test_run_id, executionName, schedule.created_by, testCaseIds.length]);
+
+    const executionId = executionResult.rows[0].id;
+    const executor = new TestExecutor(schedule.test_run_id, testCaseIds, executionId, this.io);
+    executor.start();
+
+    return {
+      status: 'started',
+      testRunId: schedule.test_run_id,
+      testExecutionId: executionId,
+      message: `Started execution ${executionId} with ${testCaseIds.length} test cases`
+    };
+  }
+
+  async recordRun(scheduleId, { status, testRunId = null, testExecutionId = null, message = null }) {
+    const result = await pool.query(`
+      INSERT INTO schedule_runs (schedule_id, status, test_run_id, test_execution_id, message)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [scheduleId, status, testRunId, testExecutionId, message]);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = { Scheduler };
@@ -1,4 +1,6 @@
 const logger = require('../utils/logger');
+const { normalizePageUrl } = require('../utils/urlNormalization');
+const { normalizeCrawlScope, checkUrlScope, DEFAULT_CRAWL_SCOPE } = require('../utils/crawlScope');
 
 class CrawlTask {
   constructor(url, priority, depth, source, reason) {
@@ -22,6 +24,13 @@ class SmartCrawlingStrategy {
     this.maxPages = config.max_pages || 50;
     this.crawledCount = 0;
 
+    try {
+      this.scope = normalizeCrawlScope(config.crawl_scope);
+    } catch (error) {
+      logger.warn(`Invalid crawl scope, using defaults: ${error.message}`);
+      this.scope = DEFAULT_CRAWL_SCOPE;
+    }
+
     logger.info(`SmartCrawlingStrategy initialized: startUrl=${startUrl}, domain=${this.domainWhitelist}, maxDepth=${this.maxDepth}, maxPages=${this.maxPages}`);
   }
 
@@ -57,8 +66,9 @@ class SmartCrawlingStrategy {
       return false;
     }
 
-    if (!this.isSameDomain(url)) {
-      logger.info(`Rejecting URL (external domain): ${url} - Expected domain: ${this.domainWhitelist}`);
+    const scopeCheck = checkUrlScope(url, this.scope, this.startUrl);
+    if (!scopeCheck.allowed) {
+      logger.info(`Rejecting URL (out of scope, ${scopeCheck.reason}): ${url}`);
       return false;
     }
 
@@ -72,22 +82,6 @@ class SmartCrawlingStrategy {
       return false;
     }
 
-    const urlLower = url.toLowerCase();
-    const excludePatterns = [
-      /\.(pdf|jpg|jpeg|png|gif|svg|zip|rar|tar|gz|exe|dmg)$/i,
-      /logout/i,
-      /signout/i,
-      /delete/i,
-      /remove/i
-    ];
-
-    for (const pattern of excludePatterns) {
-      if (pattern.test(urlLower)) {
-        logger.info(`Rejecting URL (pattern ${pattern}): ${url}`);
-        return false;
-      }
-    }
-
     logger.info(`Accepting URL for crawl: ${url}`);
     return true;
   }
@@ -122,20 +116,7 @@ class SmartCrawlingStrategy {
   }
 
   normalizeUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      urlObj.hash = '';
-
-      const searchParams = new URLSearchParams(urlObj.search);
-      const excludeParams = ['utm_source', 'utm_medium', 'utm_campaign', 'fbclid', 'gclid'];
-      excludeParams.forEach(param => searchParams.delete(param));
-
-      urlObj.search = searchParams.toString();
-
-      return urlObj.toString().replace(/\/$/, '');
-    } catch (error) {
-      return url;
-    }
+    return normalizePageUrl(url, { ignoreQueryParams: this.scope.ignoreQueryParams });
   }
 
   sortQueue() {
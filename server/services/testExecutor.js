@@ -1,8 +1,26 @@
+const path = require('path');
 const { chromium, firefox, webkit } = require('playwright');
 const { pool } = require('../config/database');
-const { decrypt } = require('../utils/encryption');
+const { decryptCredentialProfiles, getCredentialProfile, resolveAuthPlaceholder } = require('../utils/credentialProfiles');
 const logger = require('../utils/logger');
 const PathNavigator = require('./pathNavigator');
+const { executeStep, resolveAction, StepValidationError } = require('../utils/stepActions');
+const { normalizeBrowserMatrix, getMatrixLabel, getDeviceOptions, DEFAULT_BROWSER_MATRIX } = require('../utils/browserMatrix');
+const { normalizeLaunchProfile, getLaunchOptions, getContextOptions, DEFAULT_LAUNCH_PROFILE } = require('../utils/launchProfile');
+const { normalizeVisualSettings, DEFAULT_VISUAL_SETTINGS } = require('../utils/visualSettings');
+const { VisualRegression } = require('./visualRegression');
+const { saveAccessibilityViolations, auditAndSave } = require('./accessibilityAuditor');
+const { runAccessibilityAudit, assertAccessible } = require('../utils/accessibilityAudit');
+const { PerformanceMonitor } = require('./performanceMonitor');
+const { normalizePerformanceBudgets, DEFAULT_PERFORMANCE_BUDGETS } = require('../utils/performanceBudgets');
+const { PageDiagnostics, normalizeDiagnosticRules, checkDiagnosticRules, DEFAULT_DIAGNOSTIC_RULES } = require('../utils/pageDiagnostics');
+const { normalizeRecordingSettings, shouldKeepRecording, DEFAULT_RECORDING_SETTINGS } = require('../utils/recordingSettings');
+const { getTemporaryDirectory, removeTemporaryDirectory, saveArtifact, discardRecording } = require('./executionArtifacts');
+const { saveScreenshot } = require('./artifactStore');
+const { applyDatasetRow } = require('../utils/testDatasets');
+const { AssertionFailedError } = require('../utils/stepAssertions');
+
+const BROWSER_TYPES = { chromium, firefox, webkit };
 
 class TestExecutor {
   constructor(testRunId, selectedTestCaseIds, executionId, io) {
@@ -21,6 +39,9 @@ class TestExecutor {
       
       this.emitProgress('Starting test execution...', 0, 'executing');
 
+      // Load credentials and browser matrix from the test configuration
+      await this.loadTestConfig();
+
       // Launch browsers
       await this.launchBrowsers();
 
@@ -43,46 +64,138 @@ class TestExecutor {
     }
   }
 
-  async launchBrowsers() {
-    const browserConfigs = [
-      {
-        type: chromium,
-        name: 'chromium',
-        options: {
-          headless: false,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu',
-            '--disable-web-security',
-            '--disable-features=VizDisplayCompositor'
-          ]
-        }
+  /** Load credentials, browser matrix, launch profile, visual, accessibility, performance, diagnostic and recording settings for the test run's configuration */
+  async loadTestConfig() {
+    const testConfigResult = await pool.query(`
+      SELECT tc.id, tc.credentials, tc.browser_matrix, tc.launch_profile, tc.visual_settings, tc.include_accessibility,
+             tc.include_performance, tc.performance_budgets, tc.diagnostic_rules,
+             tc.recording_settings, tr.role
+      FROM test_runs tr
+      JOIN test_configs tc ON tr.test_config_id = tc.id
+      WHERE tr.id = $1
+    `, [this.testRunId]);
+
+    this.credentialProfiles = [];
+    this.runRole = null;
+    this.browserMatrix = DEFAULT_BROWSER_MATRIX;
+    this.launchProfile = DEFAULT_LAUNCH_PROFILE;
+    this.visualRegression = null;
+    this.includeAccessibility = false;
+    this.performanceMonitor = null;
+    this.diagnosticRules = DEFAULT_DIAGNOSTIC_RULES;
+    this.recordingSettings = DEFAULT_RECORDING_SETTINGS;
+
+    if (testConfigResult.rows.length === 0) {
+      logger.warn('No test configuration found for test execution');
+      return;
+    }
+
+    const row = testConfigResult.rows[0];
+
+    try {
+      this.browserMatrix = normalizeBrowserMatrix(row.browser_matrix);
+    } catch (error) {
+      logger.error(`Invalid browser matrix, falling back to Chromium: ${error.message}`);
+    }
+
+    try {
+      this.launchProfile = normalizeLaunchProfile(row.launch_profile);
+    } catch (error) {
+      logger.error(`Invalid launch profile, using defaults: ${error.message}`);
+    }
+
+    let visualSettings = DEFAULT_VISUAL_SETTINGS;
+    try {
+      visualSettings = normalizeVisualSettings(row.visual_settings);
+    } catch (error) {
+      logger.error(`Invalid visual settings, using defaults: ${error.message}`);
+    }
+    this.visualRegression = new VisualRegression(row.id, this.executionId, visualSettings);
+    this.includeAccessibility = !!row.include_accessibility;
+
+    if (row.include_performance) {
+      let performanceBudgets = DEFAULT_PERFORMANCE_BUDGETS;
+      try {
+        performanceBudgets = normalizePerformanceBudgets(row.performance_budgets);
+      } catch (error) {
+        logger.warn(`Invalid performance budgets, recording metrics without budgets: ${error.message}`);
       }
-    ];
+      this.performanceMonitor = new PerformanceMonitor(this.testRunId, row.id, performanceBudgets);
+    }
+
+    try {
+      this.diagnosticRules = normalizeDiagnosticRules(row.diagnostic_rules);
+    } catch (error) {
+      logger.warn(`Invalid diagnostic rules, recording diagnostics without rules: ${error.message}`);
+    }
+
+    try {
+      this.recordingSettings = normalizeRecordingSettings(row.recording_settings);
+    } catch (error) {
+      logger.warn(`Invalid recording settings, not recording traces or videos: ${error.message}`);
+    }
 
-    for (const config of browserConfigs) {
+    // Test cases sign in with the profile of the role they were crawled as
+    this.runRole = row.role;
+    if (row.credentials) {
       try {
-        logger.info(`Launching ${config.name} for test execution...`);
-        const browser = await config.type.launch(config.options);
-        this.browsers.push({ type: config.name, browser });
-        logger.info(`Successfully launched ${config.name}`);
+        this.credentialProfiles = decryptCredentialProfiles(row.credentials);
+        logger.info(`Test executor loaded credential profiles: ${this.credentialProfiles.map(profile => profile.name).join(', ')}`);
       } catch (error) {
-        logger.error(`Failed to launch ${config.name}: ${error.message}`);
-        
+        logger.error(`Error decrypting credentials in test executor: ${error.message}`);
+      }
+    } else {
+      logger.warn('No credentials found for test execution');
+    }
+  }
+
+  /**
+   * Credentials of a role for PathNavigator
+   * @param {string|null} role - Credential profile name; the test run's role (or first profile) when not set
+   * @returns {object|null} - { username, password }
+   */
+  getCredentials(role) {
+    const profile = getCredentialProfile(this.credentialProfiles, role || this.runRole);
+    return profile ? { username: profile.username, password: profile.password } : null;
+  }
+
+  /** Launch one browser per engine in the matrix and register a target per matrix entry */
+  async launchBrowsers() {
+    const launchOptions = {
+      chromium: getLaunchOptions(this.launchProfile, [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor'
+      ]),
+      firefox: getLaunchOptions(this.launchProfile),
+      webkit: getLaunchOptions(this.launchProfile)
+    };
+
+    const matrix = this.browserMatrix || DEFAULT_BROWSER_MATRIX;
+    const engines = [...new Set(matrix.map(entry => entry.browser))];
+    const launched = {};
+
+    for (const engine of engines) {
+      try {
+        logger.info(`Launching ${engine} for test execution...`);
+        launched[engine] = await BROWSER_TYPES[engine].launch(launchOptions[engine]);
+        logger.info(`Successfully launched ${engine}`);
+      } catch (error) {
+        logger.error(`Failed to launch ${engine}: ${error.message}`);
+
         // Try with minimal options for Chromium
-        if (config.name === 'chromium') {
+        if (engine === 'chromium') {
           try {
             logger.info('Retrying Chromium with minimal options...');
-            const browser = await config.type.launch({ 
-              headless: false,
-              args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-            this.browsers.push({ type: config.name, browser });
+            launched[engine] = await chromium.launch(
+              getLaunchOptions(this.launchProfile, ['--no-sandbox', '--disable-setuid-sandbox'])
+            );
             logger.info('Successfully launched Chromium with minimal options');
           } catch (retryError) {
             logger.error(`Chromium retry failed: ${retryError.message}`);
@@ -91,36 +204,27 @@ class TestExecutor {
       }
     }
 
-    logger.info(`Successfully launched ${this.browsers.length} browser(s) for test execution`);
-  }
-
-  async executeSelectedTests() {
-    // Get test config with auth credentials
-    const testConfigResult = await pool.query(`
-      SELECT tc.credentials
-      FROM test_runs tr
-      JOIN test_configs tc ON tr.test_config_id = tc.id
-      WHERE tr.id = $1
-    `, [this.testRunId]);
-
-    this.testConfig = {};
-
-    if (testConfigResult.rows.length > 0 && testConfigResult.rows[0].credentials) {
-      try {
-        const decryptedCreds = decrypt(testConfigResult.rows[0].credentials);
-        if (decryptedCreds) {
-          const creds = JSON.parse(decryptedCreds);
-          this.testConfig.auth_username = creds.username || creds.email;
-          this.testConfig.auth_password = creds.password;
-          logger.info(`Test executor loaded credentials: username=${this.testConfig.auth_username}, password=${this.testConfig.auth_password ? '***' : 'null'}`);
-        }
-      } catch (error) {
-        logger.error(`Error decrypting credentials in test executor: ${error.message}`);
+    for (const entry of matrix) {
+      const browser = launched[entry.browser];
+      if (!browser) {
+        logger.warn(`Skipping ${getMatrixLabel(entry)}: ${entry.browser} is not available`);
+        continue;
       }
-    } else {
-      logger.warn('No credentials found for test execution');
+
+      this.browsers.push({
+        type: getMatrixLabel(entry),
+        engine: entry.browser,
+        device: entry.device || null,
+        browser,
+        // Device emulation settings take precedence over the launch profile
+        contextOptions: getContextOptions(this.launchProfile, getDeviceOptions(entry))
+      });
     }
 
+    logger.info(`Successfully launched ${engines.filter(engine => launched[engine]).length} browser(s) for ${this.browsers.length} matrix target(s)`);
+  }
+
+  async executeSelectedTests() {
     // Get selected test cases or all if none specified
     let whereClause = 'tc.test_run_id = $1';
     let params = [this.testRunId];
@@ -131,9 +235,10 @@ class TestExecutor {
     }
 
     const testCasesResult = await pool.query(`
-      SELECT tc.*, dp.url, dp.title
+      SELECT tc.*, dp.url, dp.title, td.rows as dataset_rows
       FROM test_cases tc
       LEFT JOIN discovered_pages dp ON tc.page_id = dp.id
+      LEFT JOIN test_datasets td ON td.test_case_id = tc.id
       WHERE ${whereClause}
       ORDER BY tc.id
     `, params);
@@ -145,9 +250,16 @@ class TestExecutor {
     let flakyTests = 0;
     let skippedTests = 0;
 
-    this.emitProgress(`Executing ${testCases.length} selected test cases...`, 5, 'executing');
+    // Data-driven test cases run once per dataset row; each iteration is reported separately
+    const testRuns = testCases.flatMap(testCase => (
+      testCase.dataset_rows && testCase.dataset_rows.length > 0
+        ? testCase.dataset_rows.map((row, index) => ({ testCase, iteration: index + 1, row }))
+        : [{ testCase, iteration: 0, row: null }]
+    ));
+
+    this.emitProgress(`Executing ${testCases.length} selected test cases (${testRuns.length} iterations)...`, 5, 'executing');
 
-    for (const testCase of testCases) {
+    for (const { testCase, iteration, row } of testRuns) {
       try {
         totalTests++;
         
@@ -166,10 +278,15 @@ class TestExecutor {
           // Execute test case across all browsers
           results = await this.executeTestCase({
             id: testCase.id,
-            name: testCase.test_name,
+            name: iteration ? `${testCase.test_name} [row ${iteration}]` : testCase.test_name,
+            iteration,
             description: testCase.test_description,
-            steps: testSteps,
-            expectedResult: testCase.expected_result
+            // {{column}} placeholders take the values of the iteration's dataset row
+            steps: row ? applyDatasetRow(testSteps, row) : testSteps,
+            expectedResult: testCase.expected_result,
+            pageUrl: testCase.url,
+            pageId: testCase.page_id,
+            role: testCase.role
           }, { url: testCase.url, title: testCase.title });
           
           // Determine final status based on cross-browser results
@@ -196,7 +313,10 @@ class TestExecutor {
 
           executionTime = results.reduce((sum, r) => sum + r.executionTime, 0) / results.length;
           actualResult = JSON.stringify(results);
-          errorDetails = results.find(r => r.errorDetails)?.errorDetails || null;
+          errorDetails = results
+            .filter(r => r.errorDetails)
+            .map(r => results.length > 1 ? `[${r.browser}] ${r.errorDetails}` : r.errorDetails)
+            .join('\n') || null;
           
         } catch (error) {
           finalStatus = 'failed';
@@ -207,28 +327,31 @@ class TestExecutor {
         }
 
         // Extract screenshots from results
-        const allScreenshots = results.flatMap(r => r.screenshots || []);
+        const allScreenshots = results.flatMap(r => (r.screenshots || []).map(screenshot => ({ ...screenshot, browser: r.browser })));
+        const allDiagnostics = results.flatMap(r => (r.diagnostics || []).map(entry => ({ ...entry, browser: r.browser })));
 
         // Save test case execution result
         await pool.query(`
           INSERT INTO test_case_executions (test_execution_id, test_case_id, status, execution_time,
-                                          browser_results, actual_result, error_details, self_healed, screenshots, end_time)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+                                          browser_results, actual_result, error_details, self_healed, screenshots, diagnostics,
+                                          iteration, iteration_data, end_time)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
         `, [this.executionId, testCase.id, finalStatus, Math.round(executionTime),
-            JSON.stringify(results), actualResult, errorDetails, isFlaky, JSON.stringify(allScreenshots)]);
+            JSON.stringify(results), actualResult, errorDetails, isFlaky, JSON.stringify(allScreenshots),
+            JSON.stringify(allDiagnostics), iteration, row ? JSON.stringify(row) : null]);
 
         // Update progress and counts in real-time
-        const executionProgress = 5 + (totalTests / testCases.length) * 90;
+        const executionProgress = 5 + (totalTests / testRuns.length) * 90;
         await pool.query(`
           UPDATE test_executions 
           SET passed_tests = $1, failed_tests = $2, flaky_tests = $3, skipped_tests = $4
           WHERE id = $5
         `, [passedTests, failedTests, flakyTests, skippedTests, this.executionId]);
         
-        this.emitProgress(`Executed ${totalTests}/${testCases.length} tests (${passedTests} passed, ${failedTests} failed, ${flakyTests} flaky)`, Math.min(executionProgress, 95), 'executing');
+        this.emitProgress(`Executed ${totalTests}/${testRuns.length} tests (${passedTests} passed, ${failedTests} failed, ${flakyTests} flaky)`, Math.min(executionProgress, 95), 'executing');
         
       } catch (error) {
-        logger.error(`Error executing test case ${testCase.id}: ${error.message}`);
+        logger.error(`Error executing test case ${testCase.id}${iteration ? ` (row ${iteration})` : ''}: ${error.message}`);
         skippedTests++;
       }
     }
@@ -248,8 +371,12 @@ class TestExecutor {
 
     for (const browserInfo of this.browsers) {
       try {
-        const context = await browserInfo.browser.newContext();
+        const context = await browserInfo.browser.newContext(this.getRecordingContextOptions(browserInfo.contextOptions));
+        if (this.recordingSettings.trace !== 'off') {
+          await context.tracing.start({ title: `${testCase.name} [${browserInfo.type}]`, screenshots: true, snapshots: true, sources: true });
+        }
         const page = await context.newPage();
+        const diagnostics = new PageDiagnostics(page, this.diagnosticRules);
 
         const startTime = Date.now();
         const screenshots = [];
@@ -261,11 +388,7 @@ class TestExecutor {
 
         try {
           // Pass credentials to PathNavigator for auth placeholder substitution
-          const credentials = this.testConfig.auth_username ? {
-            username: this.testConfig.auth_username,
-            password: this.testConfig.auth_password
-          } : null;
-          const navigator = new PathNavigator(page, credentials);
+          const navigator = new PathNavigator(page, this.getCredentials(testCase.role), this.credentialProfiles);
 
           if (testCase.prerequisite_steps && testCase.prerequisite_steps.length > 0) {
             logger.info(`  🔧 Executing ${testCase.prerequisite_steps.length} prerequisite steps...`);
@@ -275,7 +398,7 @@ class TestExecutor {
               step: 'prerequisites',
               description: `Executed ${testCase.prerequisite_steps.length} prerequisite steps`,
               timestamp: new Date().toISOString(),
-              data: (await page.screenshot({ fullPage: false })).toString('base64')
+              hash: await saveScreenshot(await page.screenshot({ fullPage: false }))
             });
           } else {
             await page.goto(pageData.url, { waitUntil: 'domcontentloaded', timeout: 10000 });
@@ -287,20 +410,24 @@ class TestExecutor {
             step: 'initial',
             description: 'Page ready for testing',
             timestamp: new Date().toISOString(),
-            data: initialScreenshot.toString('base64')
+            hash: await saveScreenshot(initialScreenshot)
           });
 
           // Handle popups before executing test steps
           await this.handlePopupsAndModals(page);
 
+          const stepContext = this.createStepContext(testCase, browserInfo.type);
+
           for (let i = 0; i < testCase.steps.length; i++) {
             const step = testCase.steps[i];
             const stepStartTime = Date.now();
             let stepStatus = 'passed';
             let stepError = null;
+            let stepOutcome = null;
+            diagnostics.setStep(i);
 
             try {
-              await this.executeTestStep(page, step);
+              stepOutcome = await this.executeTestStep(page, step, { ...stepContext, stepIndex: i });
 
               // Capture screenshot after each step
               const stepScreenshot = await page.screenshot({ fullPage: false });
@@ -309,7 +436,7 @@ class TestExecutor {
                 action: step.action,
                 description: step.description || `${step.action} ${step.selector || ''}`,
                 timestamp: new Date().toISOString(),
-                data: stepScreenshot.toString('base64')
+                hash: await saveScreenshot(stepScreenshot)
               });
 
               // Small delay to let animations complete
@@ -327,21 +454,21 @@ class TestExecutor {
                   action: step.action,
                   description: `FAILED: ${step.description || step.action} - ${stepError}`,
                   timestamp: new Date().toISOString(),
-                  data: errorScreenshot.toString('base64')
+                  hash: await saveScreenshot(errorScreenshot)
                 });
               } catch (screenshotError) {
                 logger.warn(`Failed to capture screenshot for step ${i + 1}`);
               }
 
               // Record step result
-              await this.recordStepResult(testCase.id, i, step, stepStatus, stepError, Date.now() - stepStartTime);
+              await this.recordStepResult(testCase.id, i, step, stepStatus, stepError, Date.now() - stepStartTime, false, stepExecutionError, browserInfo.type, testCase.iteration);
 
               // Rethrow to fail the test
               throw stepExecutionError;
             }
 
             // Record successful step result
-            await this.recordStepResult(testCase.id, i, step, stepStatus, null, Date.now() - stepStartTime);
+            await this.recordStepResult(testCase.id, i, step, stepStatus, null, Date.now() - stepStartTime, false, stepOutcome, browserInfo.type, testCase.iteration);
           }
 
         } catch (error) {
@@ -355,17 +482,19 @@ class TestExecutor {
               step: 'error',
               description: `Error: ${error.message}`,
               timestamp: new Date().toISOString(),
-              data: errorScreenshot.toString('base64')
+              hash: await saveScreenshot(errorScreenshot)
             });
           } catch (screenshotError) {
             logger.warn('Failed to capture error screenshot');
           }
 
-          // Attempt self-healing
+          // Attempt self-healing; a failed assertion or a screenshot that differs from its baseline
+          // is a verdict, and an invalid step cannot be healed by finding another element
           try {
             // DO NOT call handlePopupsAndModals here - it would close modals opened by the test!
             // Self-healing should work with the current page state, including open modals
-            const healingSucceeded = await this.attemptSelfHealing(page, testCase);
+            diagnostics.setStep('self-healing');
+            const healingSucceeded = !error.failedAssertion && !error.visualComparison && !error.invalidStep && await this.attemptSelfHealing(page, testCase, browserInfo.type);
             if (healingSucceeded) {
               // Self-healing succeeded - mark test as passed with self_healed flag
               status = 'passed';
@@ -381,15 +510,38 @@ class TestExecutor {
           }
         }
 
+        // Exceptions, console errors and failing requests matching the configuration's rules fail an otherwise passing test
+        const diagnosticFailures = checkDiagnosticRules(diagnostics.entries, this.diagnosticRules);
+        if (diagnosticFailures.length > 0 && status === 'passed') {
+          status = 'failed';
+          errorDetails = diagnosticFailures.join('; ');
+        }
+
+        // Record the performance of the page the test ended on; an exceeded budget fails an otherwise passing test
+        if (this.performanceMonitor) {
+          const performance = await this.performanceMonitor.capture(page, {
+            pageId: testCase.pageId || null,
+            executionId: this.executionId,
+            testCaseId: testCase.id,
+            browser: browserInfo.type
+          });
+          if (performance && performance.exceeded.length > 0 && status === 'passed') {
+            status = 'failed';
+            errorDetails = `Performance budget exceeded: ${performance.exceeded.map(violation => violation.message).join('; ')}`;
+          }
+        }
+
+        // Audit the state the test left the page in; auditAccessibility steps record their own audit
+        if (this.includeAccessibility && !testCase.steps.some(step => step.action === 'auditAccessibility')) {
+          await auditAndSave(page, this.getAccessibilityTarget(testCase, browserInfo.type));
+        }
+
         if (testCase.cleanup_steps && testCase.cleanup_steps.length > 0) {
+          diagnostics.setStep('cleanup');
           logger.info(`  🧹 Executing ${testCase.cleanup_steps.length} cleanup steps...`);
           try {
             // Pass credentials to cleanup navigator as well
-            const credentials = this.testConfig.auth_username ? {
-              username: this.testConfig.auth_username,
-              password: this.testConfig.auth_password
-            } : null;
-            const cleanupNavigator = new PathNavigator(page, credentials);
+            const cleanupNavigator = new PathNavigator(page, this.getCredentials(testCase.role), this.credentialProfiles);
             await cleanupNavigator.executeSteps(testCase.cleanup_steps);
             logger.info(`  ✅ Cleanup completed`);
           } catch (cleanupError) {
@@ -399,20 +551,32 @@ class TestExecutor {
 
         const executionTime = Date.now() - startTime;
 
+        await this.saveTrace(context, testCase, browserInfo.type, status);
+
         results.push({
           browser: browserInfo.type,
+          engine: browserInfo.engine,
+          device: browserInfo.device,
           status,
           executionTime,
           errorDetails,
           screenshots,
+          diagnostics: diagnostics.entries,
           selfHealed
         });
 
+        if (diagnostics.dropped > 0) {
+          logger.warn(`Dropped ${diagnostics.dropped} diagnostics of test case ${testCase.id} beyond the limit`);
+        }
+
         await context.close();
+        await this.saveVideo(page, testCase, browserInfo.type, status);
 
       } catch (error) {
         results.push({
           browser: browserInfo.type,
+          engine: browserInfo.engine,
+          device: browserInfo.device,
           status: 'failed',
           executionTime: 0,
           errorDetails: error.message,
@@ -425,66 +589,186 @@ class TestExecutor {
     return results;
   }
 
-  async executeTestStep(page, step) {
-    const timeout = 10000; // 10 second timeout for all operations
+  /** Record videos into the execution's temporary directory when videos are on */
+  getRecordingContextOptions(contextOptions) {
+    if (this.recordingSettings.video === 'off') {
+      return contextOptions;
+    }
+    return { ...contextOptions, recordVideo: { dir: getTemporaryDirectory(this.executionId) } };
+  }
+
+  /**
+   * Stop the context's trace and keep it according to the trace mode
+   * @param {string} status - Test case status in this browser
+   */
+  async saveTrace(context, testCase, browser, status) {
+    if (this.recordingSettings.trace === 'off') return;
 
     try {
-      switch (step.action) {
-        case 'navigate':
-          if (!step.value) {
-            throw new Error(`Navigate action requires a URL value, got: ${step.value}`);
-          }
-          await page.goto(step.value, { waitUntil: 'domcontentloaded', timeout });
-          break;
-        case 'click':
-          await this.smartClickWithRetry(page, step.selector, timeout);
-          break;
-        case 'fill':
-          if (!step.value) {
-            logger.warn(`Fill action has no value, using empty string for selector: ${step.selector}`);
-          }
-          let fillValue = step.value || '';
-
-          // Substitute auth placeholders
-          if (fillValue === '{auth_username}' && this.testConfig?.auth_username) {
-            fillValue = this.testConfig.auth_username;
-            logger.info(`Substituting {auth_username} with configured username`);
-          } else if (fillValue === '{auth_password}' && this.testConfig?.auth_password) {
-            fillValue = this.testConfig.auth_password;
-            logger.info(`Substituting {auth_password} with configured password`);
-          }
+      if (!shouldKeepRecording(this.recordingSettings.trace, status)) {
+        await context.tracing.stop();
+        return;
+      }
+      const tracePath = path.join(getTemporaryDirectory(this.executionId), `trace-${testCase.id}-${Date.now()}.zip`);
+      await context.tracing.stop({ path: tracePath });
+      await saveArtifact(tracePath, { executionId: this.executionId, testCaseId: testCase.id, iteration: testCase.iteration, browser, type: 'trace' });
+    } catch (error) {
+      logger.warn(`Failed to save trace of test case ${testCase.id}: ${error.message}`);
+    }
+  }
 
-          await this.smartFillWithRetry(page, step.selector, fillValue, timeout);
-          break;
-        case 'select':
-          await this.smartSelectWithRetry(page, step.selector, step.value, timeout);
-          break;
-        case 'wait':
-          await page.waitForSelector(step.selector, { timeout, state: 'visible' });
-          break;
-        case 'check':
-        case 'uncheck':
-          await this.smartClickWithRetry(page, step.selector, timeout);
-          break;
-        case 'assert':
-        case 'verify':
-          const element = await page.waitForSelector(step.selector, { timeout: 5000, state: 'attached' }).catch(() => null);
-          if (!element) {
-            throw new Error(`Element not found: ${step.selector}`);
-          }
-          break;
-        default:
-          logger.warn(`Unknown test step action: ${step.action}`);
+  /**
+   * Keep or discard the page's video according to the video mode; the video is complete once its context is closed
+   * @param {string} status - Test case status in this browser
+   */
+  async saveVideo(page, testCase, browser, status) {
+    const video = page.video();
+    if (!video) return;
+
+    try {
+      const videoPath = await video.path();
+      if (shouldKeepRecording(this.recordingSettings.video, status)) {
+        await saveArtifact(videoPath, { executionId: this.executionId, testCaseId: testCase.id, iteration: testCase.iteration, browser, type: 'video' });
+      } else {
+        discardRecording(videoPath);
       }
+    } catch (error) {
+      logger.warn(`Failed to save video of test case ${testCase.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Where an execution audit's violations are recorded
+   * @param {object} testCase - Test case, or a step context
+   */
+  getAccessibilityTarget(testCase, browser) {
+    return {
+      testRunId: this.testRunId,
+      pageId: testCase.pageId || null,
+      executionId: this.executionId,
+      testCaseId: testCase.testCaseId || testCase.id,
+      browser
+    };
+  }
+
+  /**
+   * Per-browser state for the steps of one test case run
+   */
+  createStepContext(testCase, browser) {
+    return {
+      testCaseId: testCase.id,
+      pageId: testCase.pageId,
+      pageUrl: testCase.pageUrl,
+      role: testCase.role,
+      browser,
+      stepIndex: 0,
+      visual: { screenshot: null }
+    };
+  }
+
+  /**
+   * Execute a single test step. Assertion, compareScreenshot and auditAccessibility steps resolve to { expected, actual }.
+   * @param {object} context - From createStepContext, with the step's index
+   */
+  async executeTestStep(page, step, context = {}) {
+    const timeout = 10000; // 10 second timeout for all operations
+
+    try {
+      return await executeStep(page, step, {
+        timeout,
+        assertionTimeout: 5000,
+        resolveValue: value => this.resolveValue(value, context.role),
+        handlers: {
+          click: (page, step) => this.smartClickWithRetry(page, step.selector, timeout),
+          fill: (page, step, { resolveValue }) => {
+            if (!step.value) {
+              logger.warn(`Fill action has no value, using empty string for selector: ${step.selector}`);
+            }
+            return this.smartFillWithRetry(page, step.selector, resolveValue(step.value), timeout);
+          },
+          select: (page, step) => this.smartSelectWithRetry(page, step.selector, step.value, timeout),
+          check: (page, step) => this.smartClickWithRetry(page, step.selector, timeout),
+          uncheck: (page, step) => this.smartClickWithRetry(page, step.selector, timeout),
+          screenshot: async (page, step) => {
+            if (this.visualRegression && context.visual) {
+              context.visual.screenshot = await this.visualRegression.capture(page, step);
+            }
+          },
+          compareScreenshot: (page, step) => this.compareScreenshot(page, step, context),
+          auditAccessibility: async (page, step) => {
+            const violations = await runAccessibilityAudit(page);
+            await saveAccessibilityViolations({ ...this.getAccessibilityTarget(context, context.browser), pageUrl: page.url(), violations });
+            return assertAccessible(violations, step.impact);
+          }
+        }
+      });
     } catch (error) {
       // Add more context to the error with proper field based on action
-      const context = step.action === 'navigate'
-        ? `URL "${step.value}"`
-        : `selector "${step.selector}"`;
-      throw new Error(`Failed to ${step.action} using ${context}: ${error.message}`);
+      const target = resolveAction(step.action) === 'navigate'
+        ? `URL "${step.url || step.value}"`
+        : step.selector ? `selector "${step.selector}"` : null;
+      const wrappedError = new Error(target
+        ? `Failed to ${step.action} using ${target}: ${error.message}`
+        : `Failed to ${step.action}: ${error.message}`);
+      wrappedError.expected = error.expected;
+      wrappedError.actual = error.actual;
+      wrappedError.visualComparison = error.visualComparison;
+      wrappedError.invalidStep = error instanceof StepValidationError;
+      wrappedError.failedAssertion = error instanceof AssertionFailedError;
+      throw wrappedError;
     }
   }
 
+  /**
+   * Substitute auth placeholders in fill/type values: {auth_username}/{auth_password} use the
+   * test case's role, {auth.<role>.username}/{auth.<role>.password} a named credential profile
+   */
+  resolveValue(value, role = null) {
+    const text = value === undefined || value === null ? '' : String(value);
+
+    const credential = resolveAuthPlaceholder(text, this.credentialProfiles, role || this.runRole);
+    if (credential !== undefined) {
+      logger.info(`Substituting ${text} with configured credentials`);
+      return credential;
+    }
+
+    return text;
+  }
+
+  /**
+   * Compare the last `screenshot` step's capture (or a fresh one) with the baseline
+   */
+  async compareScreenshot(page, step, context) {
+    if (!this.visualRegression) {
+      throw new Error('Visual comparison needs a test configuration');
+    }
+
+    const screenshot = context.visual?.screenshot || await this.visualRegression.capture(page, step);
+    if (context.visual) {
+      context.visual.screenshot = null;
+    }
+
+    const result = await this.visualRegression.compare({
+      testCaseId: context.testCaseId,
+      stepIndex: context.stepIndex,
+      pageUrl: context.pageUrl || page.url(),
+      browser: context.browser || '',
+      screenshot,
+      step
+    });
+    const outcome = VisualRegression.describe(result);
+
+    if (result.status === 'failed') {
+      const error = new Error(`Screenshot differs from baseline: ${outcome.actual}`);
+      error.expected = outcome.expected;
+      error.actual = outcome.actual;
+      error.visualComparison = result.comparisonId;
+      throw error;
+    }
+
+    return outcome;
+  }
+
   async smartClickWithRetry(page, selector, timeout) {
     const alternativeSelectors = await this.generateAlternativeSelectors(page, selector);
 
@@ -833,17 +1117,19 @@ class TestExecutor {
     }
   }
 
-  async attemptSelfHealing(page, testCase) {
+  async attemptSelfHealing(page, testCase, browser) {
     logger.info(`Attempting self-healing for test case: ${testCase.name}`);
 
     try {
+      const stepContext = this.createStepContext(testCase, browser);
+
       // Re-execute all steps with self-healing
       for (let i = 0; i < testCase.steps.length; i++) {
         const step = testCase.steps[i];
         const stepStartTime = Date.now();
 
         try {
-          await this.executeTestStep(page, step);
+          const stepOutcome = await this.executeTestStep(page, step, { ...stepContext, stepIndex: i });
 
           // Update step result to passed (overwrites any previous failed status)
           // Mark as self-healed since we're in the self-healing flow
@@ -854,7 +1140,10 @@ class TestExecutor {
             'passed',
             null,
             Date.now() - stepStartTime,
-            true // self-healed
+            true, // self-healed
+            stepOutcome,
+            browser,
+            testCase.iteration
           );
 
           // Small delay between steps
@@ -870,7 +1159,10 @@ class TestExecutor {
             'failed',
             error.message,
             Date.now() - stepStartTime,
-            false // not self-healed
+            false, // not self-healed
+            error,
+            browser,
+            testCase.iteration
           );
 
           return false; // Self-healing failed
@@ -886,19 +1178,28 @@ class TestExecutor {
   }
 
 
-  async recordStepResult(testCaseId, stepIndex, step, status, errorMessage, executionTime, selfHealed = false) {
+  /**
+   * Upsert a step result for this execution, browser and dataset iteration; `assertion` carries expected/actual values for assertion steps
+   */
+  async recordStepResult(testCaseId, stepIndex, step, status, errorMessage, executionTime, selfHealed = false, assertion = null, browser = '', iteration = 0) {
+    const expectedValue = assertion?.expected !== undefined ? String(assertion.expected) : null;
+    const actualValue = assertion?.actual !== undefined ? String(assertion.actual) : null;
+
     try {
       await pool.query(`
         INSERT INTO test_step_results (
           test_case_id, step_index, step_action, step_selector, step_value,
-          step_description, status, error_message, execution_time, self_healed
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        ON CONFLICT (test_case_id, step_index)
+          step_description, status, error_message, execution_time, self_healed,
+          expected_value, actual_value, test_execution_id, browser, iteration
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        ON CONFLICT (test_case_id, test_execution_id, browser, iteration, step_index)
         DO UPDATE SET
           status = EXCLUDED.status,
           error_message = EXCLUDED.error_message,
           execution_time = EXCLUDED.execution_time,
           self_healed = EXCLUDED.self_healed,
+          expected_value = EXCLUDED.expected_value,
+          actual_value = EXCLUDED.actual_value,
           executed_at = CURRENT_TIMESTAMP
       `, [
         testCaseId,
@@ -910,10 +1211,15 @@ class TestExecutor {
         status,
         errorMessage,
         executionTime,
-        selfHealed
+        selfHealed,
+        expectedValue,
+        actualValue,
+        this.executionId,
+        browser || '',
+        iteration || 0
       ]);
 
-      logger.info(`Step ${stepIndex + 1} for test case ${testCaseId}: ${status}${selfHealed ? ' (self-healed)' : ''}`);
+      logger.info(`Step ${stepIndex + 1} for test case ${testCaseId}${iteration ? ` (row ${iteration})` : ''}${browser ? ` [${browser}]` : ''}: ${status}${selfHealed ? ' (self-healed)' : ''}`);
     } catch (error) {
       logger.error(`Failed to record step result: ${error.message}`);
     }
@@ -943,15 +1249,24 @@ class TestExecutor {
   async cleanup() {
     this.isRunning = false;
     
-    for (const browserInfo of this.browsers) {
+    // Matrix entries on the same engine share one browser instance
+    const uniqueBrowsers = new Set(this.browsers.map(browserInfo => browserInfo.browser));
+
+    for (const browser of uniqueBrowsers) {
       try {
-        await browserInfo.browser.close();
+        await browser.close();
       } catch (error) {
         logger.error(`Error closing browser: ${error.message}`);
       }
     }
     
     this.browsers = [];
+
+    try {
+      removeTemporaryDirectory(this.executionId);
+    } catch (error) {
+      logger.warn(`Failed to remove temporary recordings: ${error.message}`);
+    }
   }
 }
 
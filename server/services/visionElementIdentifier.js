@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const { AITestGenerator } = require('./aiTestGenerator');
+const { isLLMConfigured } = require('./llmClient');
 const { extractJSON } = require('../utils/jsonExtractor');
 
 /**
@@ -11,7 +12,7 @@ class VisionElementIdentifier {
     this.config = llmConfig;
     this.testGenerator = null;
 
-    if (llmConfig && llmConfig.api_key) {
+    if (isLLMConfigured(llmConfig)) {
       this.testGenerator = new AITestGenerator(llmConfig);
     }
   }
@@ -20,7 +21,7 @@ class VisionElementIdentifier {
    * Identify interactive elements using vision LLM
    */
   async identifyInteractiveElements(screenshotBase64, pageSource, url) {
-    if (!this.testGenerator || !this.config.api_key) {
+    if (!this.testGenerator) {
       logger.error('No LLM configured - cannot identify interactive elements');
       return {
         screenName: this.generateScreenNameFromUrl(url),
@@ -0,0 +1,221 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const { compareImages, getImageSize } = require('../utils/imageDiff');
+const { DEFAULT_VISUAL_SETTINGS, resolveStepVisualSettings } = require('../utils/visualSettings');
+const { putBlob, readBlobBase64 } = require('./artifactStore');
+
+/**
+ * Baselines are keyed by path and query so they survive re-crawls and a changed host
+ */
+function getPageKey(url) {
+  if (!url) return '/';
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Read an image stored in the artifact store, or inline as base64 by earlier versions
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadImage(hash, base64) {
+  const data = hash ? await readBlobBase64(hash) : base64;
+  return data ? Buffer.from(data, 'base64') : null;
+}
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(3).replace(/\.?0+$/, '')}%`;
+}
+
+/**
+ * Insert or replace the baseline for a test configuration, page, browser and name
+ * @returns {Promise<object>} - The visual_baselines row (without image data)
+ */
+async function saveBaseline({ testConfigId, pageKey, browser, name, image, executionId = null, approvedBy = null }) {
+  const { width, height } = getImageSize(image);
+  const imageHash = await putBlob(image, 'image/png');
+
+  const result = await pool.query(`
+    INSERT INTO visual_baselines (test_config_id, page_key, browser, name, image_hash, width, height,
+                                  source_execution_id, approved_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (test_config_id, page_key, browser, name)
+    DO UPDATE SET image_hash = EXCLUDED.image_hash, image_data = NULL, width = EXCLUDED.width, height = EXCLUDED.height,
+                  source_execution_id = EXCLUDED.source_execution_id, approved_by = EXCLUDED.approved_by,
+                  updated_at = CURRENT_TIMESTAMP
+    RETURNING id, test_config_id, page_key, browser, name, width, height, source_execution_id, approved_by, created_at, updated_at
+  `, [testConfigId, pageKey, browser, name, imageHash, width, height, executionId, approvedBy]);
+
+  return result.rows[0];
+}
+
+/**
+ * Approve the actual screenshot of a comparison as the new baseline
+ * @returns {Promise<object|null>} - The baseline row, or null if the comparison is not found for this user
+ */
+async function approveComparison(comparisonId, userId) {
+  const comparisonResult = await pool.query(`
+    SELECT vc.*, tr.test_config_id
+    FROM visual_comparisons vc
+    JOIN test_executions te ON vc.test_execution_id = te.id
+    JOIN test_runs tr ON te.test_run_id = tr.id
+    JOIN test_configs tc ON tr.test_config_id = tc.id
+    WHERE vc.id = $1 AND tc.created_by = $2
+  `, [comparisonId, userId]);
+
+  if (comparisonResult.rows.length === 0) {
+    return null;
+  }
+
+  const comparison = comparisonResult.rows[0];
+  const image = await loadImage(comparison.actual_image_hash, comparison.actual_image);
+  if (!image) {
+    throw new Error(`Actual image of visual comparison ${comparisonId} is missing from the artifact store`);
+  }
+
+  const baseline = await saveBaseline({
+    testConfigId: comparison.test_config_id,
+    pageKey: comparison.page_key,
+    browser: comparison.browser,
+    name: comparison.name,
+    image,
+    executionId: comparison.test_execution_id,
+    approvedBy: userId
+  });
+
+  await pool.query(
+    `UPDATE visual_comparisons SET status = 'approved', baseline_id = $1 WHERE id = $2`,
+    [baseline.id, comparisonId]
+  );
+
+  return baseline;
+}
+
+/**
+ * Runs the `screenshot` and `compareScreenshot` steps of an execution against
+ * the test configuration's baselines
+ */
+class VisualRegression {
+  constructor(testConfigId, executionId, settings = DEFAULT_VISUAL_SETTINGS) {
+    this.testConfigId = testConfigId;
+    this.executionId = executionId;
+    this.settings = settings;
+  }
+
+  /**
+   * Take a screenshot for comparison. Selector ignore regions are masked by Playwright,
+   * so the masked area looks the same in the baseline and in later screenshots.
+   * @returns {Promise<Buffer>} - PNG
+   */
+  async capture(page, step = {}) {
+    const { ignoreRegions } = resolveStepVisualSettings(this.settings, step);
+    const mask = ignoreRegions
+      .filter(region => region.selector)
+      .map(region => page.locator(region.selector));
+
+    return page.screenshot({
+      fullPage: step.fullPage !== false,
+      animations: 'disabled',
+      caret: 'hide',
+      mask
+    });
+  }
+
+  /**
+   * Compare a screenshot with the baseline and record the result in visual_comparisons.
+   * Without a baseline the screenshot becomes the baseline and the comparison is `new`.
+   * @param {object} options
+   * @param {number} options.testCaseId
+   * @param {number} options.stepIndex
+   * @param {string} options.pageUrl - Page the screenshot belongs to
+   * @param {string} options.browser - Browser matrix label
+   * @param {Buffer} options.screenshot - PNG
+   * @param {object} options.step - compareScreenshot step (name, threshold, maxDiffRatio, ignoreRegions)
+   * @returns {Promise<object>} - { status, diffPixels, diffRatio, maxDiffRatio, sizeMismatch, comparisonId }
+   */
+  async compare({ testCaseId, stepIndex, pageUrl, browser, screenshot, step = {} }) {
+    const settings = resolveStepVisualSettings(this.settings, step);
+    const pageKey = getPageKey(pageUrl);
+    const name = step.name || step.baseline || 'default';
+
+    const baselineResult = await pool.query(`
+      SELECT id, image_hash, image_data FROM visual_baselines
+      WHERE test_config_id = $1 AND page_key = $2 AND browser = $3 AND name = $4
+    `, [this.testConfigId, pageKey, browser, name]);
+
+    let baselineId;
+    let outcome;
+
+    const baselineImage = baselineResult.rows.length > 0
+      ? await loadImage(baselineResult.rows[0].image_hash, baselineResult.rows[0].image_data)
+      : null;
+
+    if (!baselineImage) {
+      const baseline = await saveBaseline({
+        testConfigId: this.testConfigId,
+        pageKey,
+        browser,
+        name,
+        image: screenshot,
+        executionId: this.executionId
+      });
+      baselineId = baseline.id;
+      outcome = { status: 'new', diffPixels: 0, diffRatio: 0, sizeMismatch: false, diffImage: null };
+      logger.info(`📸 Created visual baseline for ${pageKey} [${browser}] "${name}"`);
+    } else {
+      baselineId = baselineResult.rows[0].id;
+      const rectangles = settings.ignoreRegions.filter(region => !region.selector);
+      const diff = compareImages(baselineImage, screenshot, {
+        threshold: settings.threshold,
+        ignoreRegions: rectangles
+      });
+
+      outcome = {
+        status: diff.diffRatio <= settings.maxDiffRatio ? 'passed' : 'failed',
+        diffPixels: diff.diffPixels,
+        diffRatio: diff.diffRatio,
+        sizeMismatch: diff.sizeMismatch,
+        diffImage: diff.diffPixels > 0 ? diff.diffImage : null
+      };
+    }
+
+    const actualImageHash = await putBlob(screenshot, 'image/png');
+    const diffImageHash = outcome.diffImage ? await putBlob(outcome.diffImage, 'image/png') : null;
+
+    const comparisonResult = await pool.query(`
+      INSERT INTO visual_comparisons (test_execution_id, test_case_id, baseline_id, step_index, page_key, browser, name,
+                                      status, diff_pixels, diff_ratio, threshold, max_diff_ratio, size_mismatch,
+                                      actual_image_hash, diff_image_hash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING id
+    `, [this.executionId, testCaseId, baselineId, stepIndex, pageKey, browser, name,
+        outcome.status, outcome.diffPixels, outcome.diffRatio, settings.threshold, settings.maxDiffRatio,
+        outcome.sizeMismatch, actualImageHash, diffImageHash]);
+
+    return {
+      status: outcome.status,
+      diffPixels: outcome.diffPixels,
+      diffRatio: outcome.diffRatio,
+      maxDiffRatio: settings.maxDiffRatio,
+      sizeMismatch: outcome.sizeMismatch,
+      comparisonId: comparisonResult.rows[0].id
+    };
+  }
+
+  /**
+   * Describe a comparison as expected/actual values for test_step_results
+   */
+  static describe(result) {
+    if (result.status === 'new') {
+      return { expected: 'Baseline screenshot', actual: 'No baseline yet - screenshot saved as baseline' };
+    }
+
+    const actual = `${formatPercent(result.diffRatio)} of pixels differ (${result.diffPixels} px)${result.sizeMismatch ? ', size changed' : ''}`;
+    return { expected: `At most ${formatPercent(result.maxDiffRatio)} of pixels differ`, actual };
+  }
+}
+
+module.exports = { VisualRegression, approveComparison, saveBaseline, getPageKey, loadImage };
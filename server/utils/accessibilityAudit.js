@@ -0,0 +1,105 @@
+/**
+ * WCAG audit of the current page with axe-core. The axe script is injected from
+ * node_modules, so audits work on pages without network access to a CDN.
+ */
+
+const axe = require('axe-core');
+const { AssertionFailedError } = require('./stepAssertions');
+
+/** axe-core impact levels, least to most severe */
+const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+/** Violations at or above this impact fail an auditAccessibility step by default */
+const DEFAULT_FAIL_IMPACT = 'serious';
+
+/** WCAG 2.0, 2.1 and 2.2 level A and AA rules */
+const WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa'];
+
+/**
+ * Run axe-core against the page
+ * @param {import('playwright').Page} page - Playwright page
+ * @param {object} options
+ * @param {string[]} options.tags - axe rule tags to run (default WCAG 2.x A/AA)
+ * @returns {Promise<Array>} - Violations: [{ rule, impact, description, help, helpUrl, tags, nodes: [{ selector, html, failureSummary }] }]
+ */
+async function runAccessibilityAudit(page, { tags = WCAG_TAGS } = {}) {
+  const injected = await page.evaluate(() => typeof window.axe !== 'undefined');
+  if (!injected) {
+    await page.evaluate(axe.source);
+  }
+
+  return page.evaluate(async (runOnly) => {
+    const results = await window.axe.run(document, {
+      runOnly: { type: 'tag', values: runOnly },
+      resultTypes: ['violations']
+    });
+
+    return results.violations.map(violation => ({
+      rule: violation.id,
+      impact: violation.impact,
+      description: violation.description,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      tags: violation.tags.filter(tag => tag.startsWith('wcag')),
+      nodes: violation.nodes.map(node => ({
+        // Targets inside shadow roots or frames are nested selector lists
+        selector: [].concat(...node.target).join(' '),
+        html: node.html.slice(0, 500),
+        failureSummary: node.failureSummary
+      }))
+    }));
+  }, tags);
+}
+
+/**
+ * Violations with at least the given impact
+ */
+function getFailingViolations(violations, minImpact = DEFAULT_FAIL_IMPACT) {
+  const minLevel = IMPACT_LEVELS.indexOf(minImpact);
+  return violations.filter(violation => IMPACT_LEVELS.indexOf(violation.impact) >= minLevel);
+}
+
+/**
+ * Describe violations as expected/actual values for test_step_results
+ */
+function describeAudit(violations, minImpact = DEFAULT_FAIL_IMPACT) {
+  const failing = getFailingViolations(violations, minImpact);
+  const expected = `No WCAG violations with ${minImpact} impact or higher`;
+
+  if (violations.length === 0) {
+    return { expected, actual: 'No WCAG violations' };
+  }
+
+  const rules = (failing.length > 0 ? failing : violations)
+    .map(violation => `${violation.rule} (${violation.impact}, ${violation.nodes.length} element(s))`)
+    .join(', ');
+  return {
+    expected,
+    actual: failing.length > 0
+      ? `${failing.length} of ${violations.length} violation(s) at ${minImpact} or higher: ${rules}`
+      : `${violations.length} lower-impact violation(s): ${rules}`
+  };
+}
+
+/**
+ * Fail when the audit found violations at or above the impact
+ * @returns {{expected: string, actual: string}}
+ * @throws {AssertionFailedError}
+ */
+function assertAccessible(violations, minImpact = DEFAULT_FAIL_IMPACT) {
+  const outcome = describeAudit(violations, minImpact);
+  if (getFailingViolations(violations, minImpact).length > 0) {
+    throw new AssertionFailedError(`Accessibility audit failed: ${outcome.actual}`, outcome.expected, outcome.actual);
+  }
+  return outcome;
+}
+
+module.exports = {
+  IMPACT_LEVELS,
+  DEFAULT_FAIL_IMPACT,
+  WCAG_TAGS,
+  runAccessibilityAudit,
+  getFailingViolations,
+  describeAudit,
+  assertAccessible
+};
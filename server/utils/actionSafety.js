@@ -0,0 +1,91 @@
+/**
+ * Heuristic safety classification of crawler actions (clicks during link discovery
+ * and interaction scenarios). Destructive actions delete or disable data;
+ * irreversible ones have effects outside the application under test (payments,
+ * emails, publishing). Actions the heuristics can't decide are `uncertain` and
+ * left to the LLM.
+ */
+
+// sandbox: run everything; approval: block and wait for approval; skip: block
+const SAFETY_MODES = ['approval', 'skip', 'sandbox'];
+const DEFAULT_SAFETY_MODE = 'approval';
+
+const DESTRUCTIVE_PATTERNS = [
+  /\b(delete|remove|destroy|erase|purge|wipe|trash)\b/,
+  /\b(deactivate|terminate|revoke|suspend)\b/,
+  /\bcancel (subscription|order|membership|account|booking|plan|payment)\b/,
+  /\b(close|disable|reset) (account|profile|data|all)\b/,
+  /\bempty (cart|trash|bin)\b/,
+  /\bunsubscribe\b/
+];
+
+const IRREVERSIBLE_PATTERNS = [
+  /\b(pay|purchase|buy|donate)\b/,
+  /\b(place|complete|submit|confirm) (order|purchase|payment)\b/,
+  /\b(send|resend|invite|publish|transfer|withdraw|refund|charge)\b/
+];
+
+// Words that confirm or submit something: the LLM decides what they do
+const UNCERTAIN_PATTERNS = [
+  /\b(submit|confirm|yes|ok|proceed|continue|apply|save|update|approve|reject|archive|accept|finish)\b/,
+  /\bdanger\b/
+];
+
+const DESTRUCTIVE_URL_PATTERN = /(^|[/_\-?&=.])(delete|remove|destroy|purge)([/_\-?&=.]|$)/i;
+
+/**
+ * Validate a configuration's safety mode
+ * @param {string} mode
+ * @returns {string} - The mode, or the default when not set
+ * @throws {Error} - If the mode is unknown
+ */
+function normalizeSafetyMode(mode) {
+  if (mode === undefined || mode === null || mode === '') {
+    return DEFAULT_SAFETY_MODE;
+  }
+  if (!SAFETY_MODES.includes(mode)) {
+    throw new Error(`Safety mode must be one of: ${SAFETY_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Selectors like "#delete-user" or ".btn-danger" read as words
+function selectorWords(selector) {
+  return (selector || '').replace(/[^A-Za-z0-9]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+/**
+ * Classify an action with keyword heuristics
+ * @param {object} action - { text, selector, elementType, href, inputType, formMethod }
+ * @returns {{ classification: string, reason: string }} - classification is
+ *   destructive, irreversible, uncertain or safe
+ */
+function classifyActionHeuristically({ text, selector, elementType, href, inputType, formMethod }) {
+  const label = (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const words = `${label} ${selectorWords(selector)}`;
+
+  const destructive = DESTRUCTIVE_PATTERNS.find(pattern => pattern.test(words));
+  if (destructive) {
+    return { classification: 'destructive', reason: `"${words.match(destructive)[0]}" in the element's text or selector` };
+  }
+  if (href && DESTRUCTIVE_URL_PATTERN.test(href)) {
+    return { classification: 'destructive', reason: `link target ${href} deletes data` };
+  }
+
+  const irreversible = IRREVERSIBLE_PATTERNS.find(pattern => pattern.test(words));
+  if (irreversible) {
+    return { classification: 'irreversible', reason: `"${words.match(irreversible)[0]}" in the element's text or selector` };
+  }
+
+  const uncertain = UNCERTAIN_PATTERNS.find(pattern => pattern.test(words));
+  if (uncertain) {
+    return { classification: 'uncertain', reason: `"${words.match(uncertain)[0]}" may change data` };
+  }
+  if (inputType === 'submit' || (formMethod && formMethod.toLowerCase() === 'post' && elementType !== 'link')) {
+    return { classification: 'uncertain', reason: 'submits a form' };
+  }
+
+  return { classification: 'safe', reason: 'no destructive keywords' };
+}
+
+module.exports = { SAFETY_MODES, DEFAULT_SAFETY_MODE, normalizeSafetyMode, classifyActionHeuristically };
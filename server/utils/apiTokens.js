@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+const API_TOKEN_PREFIX = 'sq_';
+
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Generate a new API token. Only the hash is persisted; the token is shown once.
+ * @returns {{token: string, prefix: string, hash: string}}
+ */
+function generateApiToken() {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    token,
+    prefix: token.substring(0, API_TOKEN_PREFIX.length + 8),
+    hash: hashApiToken(token)
+  };
+}
+
+module.exports = { API_TOKEN_PREFIX, hashApiToken, isApiToken, generateApiToken };
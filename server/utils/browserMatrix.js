@@ -0,0 +1,78 @@
+const { devices } = require('playwright');
+
+const SUPPORTED_BROWSERS = ['chromium', 'firefox', 'webkit'];
+
+const DEFAULT_BROWSER_MATRIX = [{ browser: 'chromium' }];
+
+/**
+ * Validate and normalize a browser matrix from a test configuration
+ * @param {Array|string} matrix - Array of { browser, device } entries (or its JSON string)
+ * @returns {Array} - Normalized matrix entries
+ * @throws {Error} - If an entry names an unknown browser or device profile
+ */
+function normalizeBrowserMatrix(matrix) {
+  if (typeof matrix === 'string') {
+    matrix = JSON.parse(matrix);
+  }
+
+  if (!Array.isArray(matrix) || matrix.length === 0) {
+    return DEFAULT_BROWSER_MATRIX.map(entry => ({ ...entry }));
+  }
+
+  const seen = new Set();
+  const normalized = [];
+
+  for (const entry of matrix) {
+    const browser = typeof entry === 'string' ? entry : entry?.browser;
+    const device = typeof entry === 'object' && entry?.device ? entry.device : null;
+
+    if (!SUPPORTED_BROWSERS.includes(browser)) {
+      throw new Error(`Unsupported browser "${browser}". Expected one of: ${SUPPORTED_BROWSERS.join(', ')}`);
+    }
+
+    if (device && !devices[device]) {
+      throw new Error(`Unknown device profile "${device}"`);
+    }
+
+    const key = `${browser}|${device || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    normalized.push(device ? { browser, device } : { browser });
+  }
+
+  return normalized;
+}
+
+/**
+ * Human-readable label for a matrix entry, e.g. "webkit (iPhone 13)"
+ */
+function getMatrixLabel(entry) {
+  return entry.device ? `${entry.browser} (${entry.device})` : entry.browser;
+}
+
+/**
+ * Build Playwright context options for a matrix entry using the device descriptor
+ */
+function getDeviceOptions(entry) {
+  if (!entry.device) {
+    return {};
+  }
+
+  const { defaultBrowserType, ...options } = devices[entry.device];
+
+  // Firefox does not support mobile emulation; keep viewport and UA only
+  if (entry.browser === 'firefox') {
+    delete options.isMobile;
+  }
+
+  return options;
+}
+
+module.exports = {
+  SUPPORTED_BROWSERS,
+  DEFAULT_BROWSER_MATRIX,
+  normalizeBrowserMatrix,
+  getMatrixLabel,
+  getDeviceOptions
+};
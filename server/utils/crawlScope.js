@@ -0,0 +1,225 @@
+const { globToRegExp, normalizePageUrl } = require('./urlNormalization');
+
+/**
+ * Crawl scope of a test configuration: which URLs the crawler may visit and which
+ * elements it must never click while discovering links or executing scenarios.
+ *
+ * URL patterns are globs (`*` any characters, `?` one character) or regular
+ * expressions written as `/source/flags`. Globs starting with `/` match the URL's
+ * path and query, other globs and regular expressions the full URL.
+ */
+
+const DEFAULT_NEVER_CLICK = [
+  { text: 'log out' },
+  { text: 'logout' },
+  { text: 'sign out' },
+  { text: 'delete account' }
+];
+
+// Downloads, and URLs that sign out or delete something
+const DEFAULT_EXCLUDE_PATTERNS = [
+  '/\\.(pdf|jpg|jpeg|png|gif|svg|zip|rar|tar|gz|exe|dmg)$/i',
+  '/logout/i',
+  '/signout/i',
+  '/delete/i',
+  '/remove/i'
+];
+
+const DEFAULT_CRAWL_SCOPE = {
+  includePatterns: [],
+  excludePatterns: DEFAULT_EXCLUDE_PATTERNS,
+  allowedDomains: [],
+  allowSubdomains: false,
+  ignoreQueryParams: [],
+  neverClick: DEFAULT_NEVER_CLICK
+};
+
+/**
+ * Compile a URL pattern
+ * @param {string} pattern - Glob, or `/source/flags` for a regular expression
+ * @returns {{ regex: RegExp, pathOnly: boolean }}
+ * @throws {Error} - If the regular expression is invalid
+ */
+function compilePattern(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      return { regex: new RegExp(regexMatch[1], regexMatch[2]), pathOnly: false };
+    } catch (error) {
+      throw new Error(`Invalid crawl scope pattern "${pattern}": ${error.message}`);
+    }
+  }
+  return { regex: globToRegExp(pattern), pathOnly: pattern.startsWith('/') };
+}
+
+function normalizeList(value, name) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (typeof value === 'string') {
+    value = value.split('\n');
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error(`${name} must be a list of strings`);
+  }
+  return [...new Set(value.map(item => item.trim()).filter(Boolean))];
+}
+
+function normalizeDomain(domain) {
+  const wildcard = domain.startsWith('*.');
+  let host = (wildcard ? domain.slice(2) : domain).toLowerCase();
+  try {
+    host = new URL(host.includes('://') ? host : `http://${host}`).hostname;
+  } catch (error) {
+    throw new Error(`Invalid allowed domain "${domain}"`);
+  }
+  return wildcard ? `*.${host}` : host;
+}
+
+/**
+ * Validate never-click rules
+ * @param {Array} rules - [{ selector }] or [{ text }]; plain strings are text
+ * @returns {Array} - Normalized rules
+ * @throws {Error} - If a rule has neither
+ */
+function normalizeNeverClick(rules) {
+  if (rules === undefined || rules === null) {
+    return DEFAULT_NEVER_CLICK;
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('Never-click rules must be a list');
+  }
+
+  return rules.map(rule => {
+    if (typeof rule === 'string') {
+      rule = { text: rule };
+    }
+    if (rule && typeof rule.selector === 'string' && rule.selector.trim()) {
+      return { selector: rule.selector.trim() };
+    }
+    if (rule && typeof rule.text === 'string' && rule.text.trim()) {
+      return { text: rule.text.trim().toLowerCase() };
+    }
+    throw new Error('Never-click rules need a selector or a text');
+  });
+}
+
+/**
+ * Validate and normalize the crawl scope of a test configuration
+ * @param {object|string} settings - Partial scope (or its JSON string)
+ * @returns {object} - Complete scope with defaults applied
+ * @throws {Error} - If a pattern, domain or rule is invalid
+ */
+function normalizeCrawlScope(settings) {
+  if (typeof settings === 'string') {
+    settings = JSON.parse(settings);
+  }
+
+  settings = settings || {};
+  const normalized = {
+    includePatterns: normalizeList(settings.includePatterns, 'Include patterns'),
+    excludePatterns: settings.excludePatterns === undefined || settings.excludePatterns === null
+      ? DEFAULT_EXCLUDE_PATTERNS
+      : normalizeList(settings.excludePatterns, 'Exclude patterns'),
+    allowedDomains: normalizeList(settings.allowedDomains, 'Allowed domains').map(normalizeDomain),
+    allowSubdomains: !!settings.allowSubdomains,
+    ignoreQueryParams: normalizeList(settings.ignoreQueryParams, 'Ignored query parameters'),
+    neverClick: normalizeNeverClick(settings.neverClick)
+  };
+
+  [...normalized.includePatterns, ...normalized.excludePatterns].forEach(compilePattern);
+
+  return normalized;
+}
+
+function matchesPattern(urlObj, pattern) {
+  const { regex, pathOnly } = compilePattern(pattern);
+  return regex.test(pathOnly ? `${urlObj.pathname}${urlObj.search}` : urlObj.toString());
+}
+
+/**
+ * Whether a host is one of the scope's domains. Without allowed domains only the
+ * start URL's host is.
+ */
+function isAllowedHost(hostname, scope, startUrl) {
+  const host = hostname.toLowerCase();
+  const domains = scope.allowedDomains.length > 0 ? scope.allowedDomains : [new URL(startUrl).hostname.toLowerCase()];
+
+  return domains.some(domain => {
+    const wildcard = domain.startsWith('*.');
+    const base = wildcard ? domain.slice(2) : domain;
+    if (host === base) return true;
+    return (wildcard || scope.allowSubdomains) && host.endsWith(`.${base}`);
+  });
+}
+
+/**
+ * Check a URL against a crawl scope
+ * @param {string} url
+ * @param {object} scope - Normalized crawl scope
+ * @param {string} startUrl - Target URL of the configuration; never rejected by the patterns,
+ *   however its ignored query parameters, fragment or trailing slash differ
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+function checkUrlScope(url, scope, startUrl) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return { allowed: false, reason: 'invalid URL' };
+  }
+
+  if (!isAllowedHost(urlObj.hostname, scope, startUrl)) {
+    return { allowed: false, reason: `domain ${urlObj.hostname} is not allowed` };
+  }
+
+  const normalizeOptions = { ignoreQueryParams: scope.ignoreQueryParams };
+  if (normalizePageUrl(url, normalizeOptions) === normalizePageUrl(startUrl, normalizeOptions)) {
+    return { allowed: true, reason: null };
+  }
+
+  const excluded = scope.excludePatterns.find(pattern => matchesPattern(urlObj, pattern));
+  if (excluded) {
+    return { allowed: false, reason: `matches exclude pattern ${excluded}` };
+  }
+
+  if (scope.includePatterns.length > 0 && !scope.includePatterns.some(pattern => matchesPattern(urlObj, pattern))) {
+    return { allowed: false, reason: 'matches no include pattern' };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Find the never-click rule an element is denied by. Text rules match whole words
+ * of the element's text, case-insensitively; selector rules the element's selector.
+ * @param {object} scope - Normalized crawl scope
+ * @param {object} element - { selector, text }
+ * @returns {object|null} - The rule, or null if the element may be clicked
+ */
+function matchNeverClickRule(scope, { selector, text }) {
+  const elementText = (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+  return scope.neverClick.find(rule => {
+    if (rule.selector) {
+      return !!selector && selector.trim() === rule.selector;
+    }
+    if (!elementText) return false;
+    const phrase = rule.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(^|[^a-z0-9])${phrase}([^a-z0-9]|$)`).test(elementText);
+  }) || null;
+}
+
+function describeNeverClickRule(rule) {
+  return rule.selector ? `selector "${rule.selector}"` : `text "${rule.text}"`;
+}
+
+module.exports = {
+  DEFAULT_CRAWL_SCOPE,
+  DEFAULT_EXCLUDE_PATTERNS,
+  DEFAULT_NEVER_CLICK,
+  normalizeCrawlScope,
+  checkUrlScope,
+  matchNeverClickRule,
+  describeNeverClickRule
+};
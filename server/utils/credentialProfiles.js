@@ -0,0 +1,127 @@
+const { decrypt } = require('./encryption');
+
+/**
+ * Named credential profiles of a test configuration, one per role of the
+ * application under test (e.g. admin, editor, viewer). Stored encrypted in
+ * test_configs.credentials as { profiles: [{ name, username, password }] }.
+ * Configurations saved before profiles existed hold a single { username, password },
+ * which reads as one profile named "default".
+ *
+ * Steps reference them with placeholders:
+ * - {auth_username} / {auth_password} - the profile of the crawl's role (or the first profile)
+ * - {auth.<name>.username} / {auth.<name>.password} - a specific profile
+ */
+const DEFAULT_PROFILE_NAME = 'default';
+const PROFILE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+const ROLE_PLACEHOLDER_PATTERN = /^\{auth\.([a-zA-Z0-9_-]+)\.(username|password)\}$/;
+
+/**
+ * Validate and normalize credential profiles
+ * @param {object|Array|string} credentials - { profiles }, a profile list, a legacy { username, password } (or their JSON string)
+ * @returns {Array<{name: string, username: string, password: string}>}
+ * @throws {Error} - If a profile has no name or username, or names repeat
+ */
+function normalizeCredentialProfiles(credentials) {
+  if (typeof credentials === 'string') {
+    credentials = JSON.parse(credentials);
+  }
+  if (!credentials) return [];
+
+  let profiles;
+  if (Array.isArray(credentials)) {
+    profiles = credentials;
+  } else if (Array.isArray(credentials.profiles)) {
+    profiles = credentials.profiles;
+  } else {
+    profiles = [{ name: DEFAULT_PROFILE_NAME, ...credentials }];
+  }
+
+  const normalized = profiles
+    .map(profile => ({
+      name: String(profile.name || '').trim(),
+      username: String(profile.username || profile.email || '').trim(),
+      password: profile.password === undefined || profile.password === null ? '' : String(profile.password)
+    }))
+    // Blank rows left in the form are not profiles
+    .filter(profile => profile.name || profile.username || profile.password);
+
+  normalized.forEach(profile => {
+    if (!PROFILE_NAME_PATTERN.test(profile.name)) {
+      throw new Error(`Credential profile name "${profile.name}" must be 1-50 letters, digits, "-" or "_"`);
+    }
+    if (!profile.username) {
+      throw new Error(`Credential profile "${profile.name}" needs a username`);
+    }
+  });
+
+  const duplicate = normalized.find((profile, index) => normalized.findIndex(other => other.name === profile.name) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate credential profile: ${duplicate.name}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Decrypt a configuration's credential profiles
+ * @param {string|null} encrypted - test_configs.credentials
+ * @returns {Array} - Profiles; empty if there are none or they cannot be read
+ */
+function decryptCredentialProfiles(encrypted) {
+  if (!encrypted) return [];
+  const decrypted = decrypt(encrypted);
+  return decrypted ? normalizeCredentialProfiles(decrypted) : [];
+}
+
+/**
+ * The profile a crawl or execution signs in with
+ * @param {Array} profiles
+ * @param {string|null} role - Profile name; null for the first profile
+ * @returns {object|null}
+ */
+function getCredentialProfile(profiles, role = null) {
+  if (!role) return profiles[0] || null;
+  return profiles.find(profile => profile.name === role) || null;
+}
+
+/**
+ * Resolve an auth placeholder
+ * @param {string} text - Step value
+ * @param {Array} profiles - Credential profiles
+ * @param {string|null} role - Role of {auth_username}/{auth_password}
+ * @returns {string|undefined} - The credential, or undefined if the text is not a placeholder
+ *   of an available credential
+ */
+function resolveAuthPlaceholder(text, profiles, role = null) {
+  let profile = null;
+  let field = null;
+
+  if (text === '{auth_username}' || text === '{auth_password}') {
+    profile = getCredentialProfile(profiles, role);
+    field = text === '{auth_username}' ? 'username' : 'password';
+  } else {
+    const match = ROLE_PLACEHOLDER_PATTERN.exec(text);
+    if (match) {
+      profile = getCredentialProfile(profiles, match[1]);
+      field = match[2];
+    }
+  }
+
+  return profile ? profile[field] : undefined;
+}
+
+/**
+ * Whether a value looks like an auth placeholder
+ */
+function isAuthPlaceholder(text) {
+  return text.includes('{auth_') || text.includes('{auth.');
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  normalizeCredentialProfiles,
+  decryptCredentialProfiles,
+  getCredentialProfile,
+  resolveAuthPlaceholder,
+  isAuthPlaceholder
+};
@@ -0,0 +1,156 @@
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Searching further ahead than this means the expression can never match (e.g. Feb 30)
+const MAX_SEARCH_MINUTES = 366 * 24 * 60 * 5;
+
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} is out of range ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!step || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [from, to] = rangeText.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range "${rangeText}" in ${field.name}`);
+      }
+    } else {
+      start = parseValue(rangeText, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - e.g. "0 6 * * 1-5" or a macro such as "@daily"
+ * @returns {object} - Sets of allowed values per field
+ * @throws {Error} - If the expression is invalid
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is an alias for Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  // Standard cron: when both day fields are restricted, either may match
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Compute the next time a cron expression fires after a given date (server local time)
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start searching after this time
+ * @returns {Date} - Next matching minute
+ */
+function getNextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${expression}" never matches`);
+}
+
+module.exports = { parseCron, getNextRun };
@@ -0,0 +1,112 @@
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+/**
+ * Copy a PNG onto a transparent canvas of the given size
+ */
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image.data;
+  }
+
+  const padded = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < image.height; y++) {
+    image.data.copy(padded, y * width * 4, y * image.width * 4, (y + 1) * image.width * 4);
+  }
+  return padded;
+}
+
+/**
+ * Paint the same opaque color over a rectangle so both images match there
+ */
+function maskRegion(data, width, height, region) {
+  const x0 = Math.max(0, Math.floor(region.x));
+  const y0 = Math.max(0, Math.floor(region.y));
+  const x1 = Math.min(width, Math.ceil(region.x + region.width));
+  const y1 = Math.min(height, Math.ceil(region.y + region.height));
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const offset = (y * width + x) * 4;
+      data[offset] = 255;
+      data[offset + 1] = 0;
+      data[offset + 2] = 255;
+      data[offset + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Perceptual pixel diff of two PNG screenshots (YIQ color distance with anti-aliasing detection).
+ * Images of different sizes are compared on the larger canvas; the missing area counts as changed.
+ * @param {Buffer} baselinePng - Approved baseline
+ * @param {Buffer} actualPng - Screenshot from this execution
+ * @param {object} options
+ * @param {number} options.threshold - Per-pixel color distance (0-1) treated as equal
+ * @param {Array} options.ignoreRegions - Pixel rectangles { x, y, width, height } to exclude
+ * @returns {object} - { diffPixels, totalPixels, diffRatio, width, height, sizeMismatch, diffImage }
+ */
+function compareImages(baselinePng, actualPng, { threshold = 0.1, ignoreRegions = [] } = {}) {
+  const baseline = PNG.sync.read(baselinePng);
+  const actual = PNG.sync.read(actualPng);
+
+  const width = Math.max(baseline.width, actual.width);
+  const height = Math.max(baseline.height, actual.height);
+  const sizeMismatch = baseline.width !== actual.width || baseline.height !== actual.height;
+
+  const baselineData = Buffer.from(padImage(baseline, width, height));
+  const actualData = Buffer.from(padImage(actual, width, height));
+
+  for (const region of ignoreRegions) {
+    maskRegion(baselineData, width, height, region);
+    maskRegion(actualData, width, height, region);
+  }
+
+  const diff = new PNG({ width, height });
+  let diffPixels = pixelmatch(baselineData, actualData, diff.data, width, height, {
+    threshold,
+    includeAA: false,
+    alpha: 0.3,
+    diffColor: [255, 0, 0]
+  });
+
+  // Area covered by only one of the images is changed, whatever its color
+  if (sizeMismatch) {
+    const overlapWidth = Math.min(baseline.width, actual.width);
+    const overlapHeight = Math.min(baseline.height, actual.height);
+    for (let y = 0; y < height; y++) {
+      for (let x = y < overlapHeight ? overlapWidth : 0; x < width; x++) {
+        const offset = (y * width + x) * 4;
+        const alreadyMarked = diff.data[offset] === 255 && diff.data[offset + 1] === 0 && diff.data[offset + 2] === 0;
+        if (!alreadyMarked) {
+          diffPixels++;
+          diff.data[offset] = 255;
+          diff.data[offset + 1] = 0;
+          diff.data[offset + 2] = 0;
+          diff.data[offset + 3] = 255;
+        }
+      }
+    }
+  }
+
+  const totalPixels = width * height;
+
+  return {
+    diffPixels,
+    totalPixels,
+    diffRatio: totalPixels > 0 ? diffPixels / totalPixels : 0,
+    width,
+    height,
+    sizeMismatch,
+    diffImage: PNG.sync.write(diff)
+  };
+}
+
+/**
+ * Read the dimensions of a PNG without decoding its pixels
+ */
+function getImageSize(png) {
+  return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+module.exports = { compareImages, getImageSize };
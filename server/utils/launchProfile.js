@@ -0,0 +1,138 @@
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Default launch profile. BROWSER_HEADLESS=true switches the default to headless
+ * so servers without a display work without editing every configuration.
+ */
+const DEFAULT_LAUNCH_PROFILE = {
+  headless: process.env.BROWSER_HEADLESS === 'true',
+  viewport: { width: 1920, height: 1080 },
+  locale: null,
+  timezoneId: null,
+  userAgent: DEFAULT_USER_AGENT,
+  colorScheme: null,
+  extraHTTPHeaders: {}
+};
+
+function isValidTimezone(timezoneId) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezoneId });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate and normalize a launch profile from a test configuration
+ * @param {object|string} profile - Partial launch profile (or its JSON string)
+ * @returns {object} - Complete launch profile with defaults applied
+ * @throws {Error} - If a field has an invalid value
+ */
+function normalizeLaunchProfile(profile) {
+  if (typeof profile === 'string') {
+    profile = JSON.parse(profile);
+  }
+
+  profile = profile || {};
+  const normalized = {
+    ...DEFAULT_LAUNCH_PROFILE,
+    viewport: { ...DEFAULT_LAUNCH_PROFILE.viewport },
+    extraHTTPHeaders: {}
+  };
+
+  if (profile.headless !== undefined && profile.headless !== null) {
+    normalized.headless = profile.headless === true || profile.headless === 'true';
+  }
+
+  if (profile.viewport) {
+    const width = parseInt(profile.viewport.width);
+    const height = parseInt(profile.viewport.height);
+    if (!width || !height || width < 200 || height < 200 || width > 7680 || height > 4320) {
+      throw new Error('Viewport width and height must be between 200x200 and 7680x4320');
+    }
+    normalized.viewport = { width, height };
+  }
+
+  if (profile.locale) {
+    if (typeof profile.locale !== 'string' || !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(profile.locale)) {
+      throw new Error(`Invalid locale "${profile.locale}"`);
+    }
+    normalized.locale = profile.locale;
+  }
+
+  if (profile.timezoneId) {
+    if (!isValidTimezone(profile.timezoneId)) {
+      throw new Error(`Invalid timezone "${profile.timezoneId}"`);
+    }
+    normalized.timezoneId = profile.timezoneId;
+  }
+
+  if (profile.userAgent) {
+    normalized.userAgent = String(profile.userAgent);
+  }
+
+  if (profile.colorScheme) {
+    if (!COLOR_SCHEMES.includes(profile.colorScheme)) {
+      throw new Error(`Color scheme must be one of: ${COLOR_SCHEMES.join(', ')}`);
+    }
+    normalized.colorScheme = profile.colorScheme;
+  }
+
+  if (profile.extraHTTPHeaders) {
+    if (typeof profile.extraHTTPHeaders !== 'object' || Array.isArray(profile.extraHTTPHeaders)) {
+      throw new Error('Extra HTTP headers must be an object of header names to values');
+    }
+    for (const [name, value] of Object.entries(profile.extraHTTPHeaders)) {
+      if (!name.trim()) continue;
+      normalized.extraHTTPHeaders[name.trim()] = String(value);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Build browser launch options from a profile
+ * @param {object} profile - Normalized launch profile
+ * @param {string[]} args - Browser command-line arguments
+ */
+function getLaunchOptions(profile, args = []) {
+  const options = { headless: (profile || DEFAULT_LAUNCH_PROFILE).headless };
+  if (args.length > 0) {
+    options.args = args;
+  }
+  return options;
+}
+
+/**
+ * Build browser context options from a profile
+ * @param {object} profile - Normalized launch profile
+ * @param {object} overrides - Options that take precedence (e.g. device emulation)
+ */
+function getContextOptions(profile, overrides = {}) {
+  profile = profile || DEFAULT_LAUNCH_PROFILE;
+  const options = {
+    viewport: profile.viewport,
+    userAgent: profile.userAgent
+  };
+
+  if (profile.locale) options.locale = profile.locale;
+  if (profile.timezoneId) options.timezoneId = profile.timezoneId;
+  if (profile.colorScheme) options.colorScheme = profile.colorScheme;
+  if (profile.extraHTTPHeaders && Object.keys(profile.extraHTTPHeaders).length > 0) {
+    options.extraHTTPHeaders = profile.extraHTTPHeaders;
+  }
+
+  return { ...options, ...overrides };
+}
+
+module.exports = {
+  COLOR_SCHEMES,
+  DEFAULT_LAUNCH_PROFILE,
+  normalizeLaunchProfile,
+  getLaunchOptions,
+  getContextOptions
+};
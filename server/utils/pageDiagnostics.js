@@ -0,0 +1,171 @@
+/**
+ * Console errors, uncaught exceptions and failed network requests of a page,
+ * attributed to the test step that was running when they happened
+ */
+
+const DEFAULT_DIAGNOSTIC_RULES = {
+  failOnPageError: false,
+  failOnConsoleError: false,
+  failingRequests: []
+};
+
+const MAX_ENTRIES = 200;
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Requests the browser cancelled itself (navigation away, superseded fetches) are not failures
+const CANCELLED_REQUEST_ERRORS = ['net::ERR_ABORTED', 'NS_BINDING_ABORTED', 'cancelled'];
+
+const truncate = text => (text && text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text);
+
+class PageDiagnostics {
+  /**
+   * Start listening to a page's console, exceptions and responses
+   * @param {import('playwright').Page} page - Playwright page
+   * @param {object} rules - Normalized diagnostic rules; entries that fail the test are kept beyond the limit
+   */
+  constructor(page, rules = DEFAULT_DIAGNOSTIC_RULES) {
+    this.entries = [];
+    this.rules = rules;
+    this.dropped = 0;
+    this.step = 'setup';
+
+    page.on('pageerror', error => this.add({
+      type: 'exception',
+      message: truncate(error.message),
+      stack: truncate(error.stack || null)
+    }));
+
+    page.on('console', message => {
+      if (message.type() !== 'error') return;
+      const location = message.location();
+      this.add({
+        type: 'console',
+        message: truncate(message.text()),
+        url: location && location.url ? location.url : null
+      });
+    });
+
+    page.on('response', response => {
+      if (response.status() < 400) return;
+      this.add({
+        type: 'response',
+        method: response.request().method(),
+        url: truncate(response.url()),
+        status: response.status(),
+        message: `${response.status()} ${response.statusText()}`.trim()
+      });
+    });
+
+    page.on('requestfailed', request => {
+      const errorText = request.failure() ? request.failure().errorText : 'Request failed';
+      if (CANCELLED_REQUEST_ERRORS.includes(errorText)) return;
+      this.add({
+        type: 'requestFailed',
+        method: request.method(),
+        url: truncate(request.url()),
+        message: errorText
+      });
+    });
+  }
+
+  /**
+   * Attribute following entries to a step
+   * @param {number|string} step - Step index, or a phase such as 'setup' or 'cleanup'
+   */
+  setStep(step) {
+    this.step = step;
+  }
+
+  add(entry) {
+    const stored = { ...entry, step: this.step, timestamp: new Date().toISOString() };
+    if (this.entries.length >= MAX_ENTRIES && checkDiagnosticRules([stored], this.rules).length === 0) {
+      this.dropped++;
+      return;
+    }
+    this.entries.push(stored);
+  }
+}
+
+/**
+ * Parse a failing request rule: a URL pattern, optionally preceded by an HTTP method
+ * ("POST /api/orders"). Patterns match anywhere in the URL; `*` matches any characters.
+ */
+function parseRequestRule(rule) {
+  if (typeof rule === 'string') {
+    const match = rule.trim().match(/^([A-Za-z]+)\s+(\S+)$/);
+    rule = match ? { method: match[1], url: match[2] } : { url: rule.trim() };
+  }
+  if (!rule || typeof rule.url !== 'string' || !rule.url.trim()) {
+    throw new Error('Failing request rules need a URL pattern');
+  }
+  return {
+    url: rule.url.trim(),
+    ...(rule.method ? { method: String(rule.method).toUpperCase() } : {})
+  };
+}
+
+/**
+ * Validate and normalize diagnostic rules from a test configuration
+ * @param {object|string} rules - Partial rules (or their JSON string)
+ * @returns {object} - { failOnPageError, failOnConsoleError, failingRequests: [{ url, method? }] }
+ * @throws {Error} - If a failing request rule has no URL pattern
+ */
+function normalizeDiagnosticRules(rules) {
+  if (typeof rules === 'string') {
+    rules = JSON.parse(rules);
+  }
+
+  rules = rules || {};
+  if (rules.failingRequests !== undefined && rules.failingRequests !== null && !Array.isArray(rules.failingRequests)) {
+    throw new Error('Failing request rules must be a list');
+  }
+
+  return {
+    failOnPageError: rules.failOnPageError === true,
+    failOnConsoleError: rules.failOnConsoleError === true,
+    failingRequests: (rules.failingRequests || []).map(parseRequestRule)
+  };
+}
+
+function matchesUrl(url, pattern) {
+  if (!pattern.includes('*')) {
+    return url.includes(pattern);
+  }
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(source).test(url);
+}
+
+const formatStep = step => (typeof step === 'number' ? `step ${step + 1}` : step);
+
+/**
+ * Find the entries that fail a test under the configuration's rules
+ * @param {Array} entries - PageDiagnostics entries
+ * @param {object} rules - Normalized diagnostic rules
+ * @returns {Array<string>} - One message per failing entry
+ */
+function checkDiagnosticRules(entries, rules = DEFAULT_DIAGNOSTIC_RULES) {
+  return entries.flatMap(entry => {
+    if (entry.type === 'exception' && rules.failOnPageError) {
+      return [`Uncaught exception at ${formatStep(entry.step)}: ${entry.message}`];
+    }
+    if (entry.type === 'console' && rules.failOnConsoleError) {
+      return [`Console error at ${formatStep(entry.step)}: ${entry.message}`];
+    }
+    if (entry.type === 'response' || entry.type === 'requestFailed') {
+      const failing = rules.failingRequests.some(rule =>
+        (!rule.method || rule.method === entry.method) && matchesUrl(entry.url, rule.url)
+      );
+      if (failing) {
+        return [`${entry.method} ${entry.url} failed at ${formatStep(entry.step)}: ${entry.message}`];
+      }
+    }
+    return [];
+  });
+}
+
+module.exports = {
+  PageDiagnostics,
+  DEFAULT_DIAGNOSTIC_RULES,
+  normalizeDiagnosticRules,
+  checkDiagnosticRules
+};
@@ -0,0 +1,81 @@
+/**
+ * Performance budgets of a test configuration. Every budget is optional;
+ * a metric without a budget is recorded but never fails a test.
+ */
+const PERFORMANCE_BUDGET_METRICS = {
+  ttfb: { label: 'Time to first byte', unit: 'ms' },
+  domContentLoaded: { label: 'DOMContentLoaded', unit: 'ms' },
+  loadTime: { label: 'Load time', unit: 'ms' },
+  fcp: { label: 'First contentful paint', unit: 'ms' },
+  lcp: { label: 'Largest contentful paint', unit: 'ms' },
+  cls: { label: 'Cumulative layout shift', unit: '' },
+  tbt: { label: 'Total blocking time', unit: 'ms' },
+  inp: { label: 'Interaction to next paint', unit: 'ms' },
+  requestCount: { label: 'Requests', unit: '' },
+  transferSize: { label: 'Transfer size', unit: 'bytes' }
+};
+
+const DEFAULT_PERFORMANCE_BUDGETS = {};
+
+/**
+ * Validate and normalize performance budgets from a test configuration
+ * @param {object|string} budgets - { metric: maximum } (or its JSON string)
+ * @returns {object} - Budgets with numeric maximums, empty values removed
+ * @throws {Error} - If a metric is unknown or a maximum is not a non-negative number
+ */
+function normalizePerformanceBudgets(budgets) {
+  if (typeof budgets === 'string') {
+    budgets = JSON.parse(budgets);
+  }
+
+  budgets = budgets || {};
+  if (typeof budgets !== 'object' || Array.isArray(budgets)) {
+    throw new Error('Performance budgets must be an object');
+  }
+
+  const normalized = {};
+  for (const [metric, value] of Object.entries(budgets)) {
+    if (value === undefined || value === null || value === '') continue;
+
+    if (!PERFORMANCE_BUDGET_METRICS[metric]) {
+      throw new Error(`Unknown performance budget metric: ${metric}`);
+    }
+    const number = parseFloat(value);
+    if (Number.isNaN(number) || number < 0) {
+      throw new Error(`Performance budget for ${PERFORMANCE_BUDGET_METRICS[metric].label} must be a non-negative number`);
+    }
+    normalized[metric] = number;
+  }
+
+  return normalized;
+}
+
+function formatMetric(metric, value) {
+  const { unit } = PERFORMANCE_BUDGET_METRICS[metric];
+  if (metric === 'cls') return Number(value).toFixed(3);
+  return unit ? `${Math.round(value)} ${unit}` : String(Math.round(value));
+}
+
+/**
+ * Compare captured metrics with the budgets. Metrics the browser could not
+ * measure (e.g. LCP outside Chromium) are not counted as exceeded.
+ * @returns {Array} - [{ metric, label, value, budget, message }] for each exceeded budget
+ */
+function checkPerformanceBudgets(metrics, budgets = DEFAULT_PERFORMANCE_BUDGETS) {
+  return Object.entries(budgets)
+    .filter(([metric, budget]) => metrics[metric] !== null && metrics[metric] !== undefined && metrics[metric] > budget)
+    .map(([metric, budget]) => ({
+      metric,
+      label: PERFORMANCE_BUDGET_METRICS[metric].label,
+      value: metrics[metric],
+      budget,
+      message: `${PERFORMANCE_BUDGET_METRICS[metric].label} ${formatMetric(metric, metrics[metric])} exceeds budget of ${formatMetric(metric, budget)}`
+    }));
+}
+
+module.exports = {
+  PERFORMANCE_BUDGET_METRICS,
+  DEFAULT_PERFORMANCE_BUDGETS,
+  normalizePerformanceBudgets,
+  checkPerformanceBudgets
+};
@@ -0,0 +1,82 @@
+/**
+ * Read navigation timing, Web Vitals and resource statistics of the current document
+ * from the browser's Performance APIs. Web Vitals are approximations of what the
+ * web-vitals library reports:
+ * - LCP, CLS and FCP from buffered performance entries
+ * - TBT as the blocking part (over 50 ms) of long tasks after FCP, as in Lighthouse
+ * - INP as the longest event timing of an interaction, when the test interacted with the page
+ * Entry types a browser does not support (LCP, long tasks and event timing outside
+ * Chromium) yield null.
+ * @param {import('playwright').Page} page - Playwright page
+ * @returns {Promise<object>} - { ttfb, domContentLoaded, loadTime, fcp, lcp, cls, tbt, inp, requestCount, transferSize, resourceCounts }
+ */
+async function collectPerformanceMetrics(page) {
+  return page.evaluate(async () => {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+
+    const readBuffered = (type, options = {}) => new Promise(resolve => {
+      if (!supported.includes(type)) {
+        resolve(null);
+        return;
+      }
+      const entries = [];
+      const observer = new PerformanceObserver(list => entries.push(...list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      // Buffered entries are delivered in a later task
+      setTimeout(() => {
+        entries.push(...observer.takeRecords());
+        observer.disconnect();
+        resolve(entries);
+      }, 50);
+    });
+
+    const round = value => (value === null || value === undefined ? null : Math.round(value));
+
+    const [lcpEntries, layoutShifts, longTasks, events] = await Promise.all([
+      readBuffered('largest-contentful-paint'),
+      readBuffered('layout-shift'),
+      readBuffered('longtask'),
+      readBuffered('event', { durationThreshold: 16 })
+    ]);
+
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+    const fcp = fcpEntry ? fcpEntry.startTime : null;
+
+    const lcp = lcpEntries && lcpEntries.length > 0 ? lcpEntries[lcpEntries.length - 1].startTime : null;
+    const cls = layoutShifts
+      ? layoutShifts.filter(entry => !entry.hadRecentInput).reduce((sum, entry) => sum + entry.value, 0)
+      : null;
+    const tbt = longTasks
+      ? longTasks
+          .filter(task => fcp === null || task.startTime >= fcp)
+          .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0)
+      : null;
+    const interactions = events ? events.filter(entry => entry.interactionId) : [];
+    const inp = interactions.length > 0 ? Math.max(...interactions.map(entry => entry.duration)) : null;
+
+    const resources = performance.getEntriesByType('resource');
+    const resourceCounts = {};
+    for (const resource of resources) {
+      resourceCounts[resource.initiatorType] = (resourceCounts[resource.initiatorType] || 0) + 1;
+    }
+    // Cross-origin resources without Timing-Allow-Origin report a transfer size of 0
+    const transferSize = resources.reduce((sum, resource) => sum + (resource.transferSize || 0), navigation ? navigation.transferSize || 0 : 0);
+
+    return {
+      ttfb: navigation ? round(navigation.responseStart) : null,
+      domContentLoaded: navigation && navigation.domContentLoadedEventEnd > 0 ? round(navigation.domContentLoadedEventEnd) : null,
+      loadTime: navigation && navigation.loadEventEnd > 0 ? round(navigation.loadEventEnd) : null,
+      fcp: round(fcp),
+      lcp: round(lcp),
+      cls: cls === null ? null : Math.round(cls * 10000) / 10000,
+      tbt: round(tbt),
+      inp: round(inp),
+      requestCount: resources.length + (navigation ? 1 : 0),
+      transferSize,
+      resourceCounts
+    };
+  });
+}
+
+module.exports = { collectPerformanceMetrics };
@@ -0,0 +1,56 @@
+/**
+ * Trace and video recording of test executions, with Playwright Test's modes:
+ * - off: never record
+ * - on: keep the recording of every test case
+ * - retain-on-failure: record every test case, keep only failed ones
+ */
+const RECORDING_MODES = ['off', 'on', 'retain-on-failure'];
+
+const DEFAULT_RECORDING_SETTINGS = {
+  trace: 'off',
+  video: 'off'
+};
+
+function parseMode(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_RECORDING_SETTINGS[name];
+  }
+  if (!RECORDING_MODES.includes(value)) {
+    throw new Error(`Recording mode for ${name} must be one of: ${RECORDING_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Validate and normalize recording settings from a test configuration
+ * @param {object|string} settings - Partial settings (or their JSON string)
+ * @returns {object} - { trace, video }
+ * @throws {Error} - If a mode is unknown
+ */
+function normalizeRecordingSettings(settings) {
+  if (typeof settings === 'string') {
+    settings = JSON.parse(settings);
+  }
+
+  settings = settings || {};
+  return {
+    trace: parseMode(settings.trace, 'trace'),
+    video: parseMode(settings.video, 'video')
+  };
+}
+
+/**
+ * Whether a test case's recording should be kept
+ * @param {string} mode - Recording mode
+ * @param {string} status - Test case status in one browser
+ */
+function shouldKeepRecording(mode, status) {
+  return mode === 'on' || (mode === 'retain-on-failure' && status !== 'passed');
+}
+
+module.exports = {
+  RECORDING_MODES,
+  DEFAULT_RECORDING_SETTINGS,
+  normalizeRecordingSettings,
+  shouldKeepRecording
+};
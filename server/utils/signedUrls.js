@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+/**
+ * Time-limited signed URLs, for resources that are loaded without an
+ * Authorization header (<img> tags, links shared outside the app).
+ * URLs are paths relative to the API root, e.g. /screenshots/page/12?expires=...&signature=...
+ */
+const EMBED_EXPIRES_IN = 60 * 60;
+const SHARE_EXPIRES_IN = 24 * 60 * 60;
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60;
+
+function getSigningKey() {
+  const key = process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET;
+  if (!key) {
+    throw new Error('SIGNED_URL_SECRET or JWT_SECRET is required to sign URLs');
+  }
+  return key;
+}
+
+function sign(path, expires) {
+  return crypto.createHmac('sha256', getSigningKey()).update(`${path}:${expires}`).digest('hex');
+}
+
+/**
+ * Sign a path
+ * @param {string} path - Path relative to the API root
+ * @param {number} expires - Expiry as a Unix timestamp (seconds)
+ * @returns {{url: string, expiresAt: string}}
+ */
+function signPath(path, expires) {
+  return {
+    url: `${path}?expires=${expires}&signature=${sign(path, expires)}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Signed URL for embedding in the app. The expiry is rounded up to the hour, so a
+ * resource keeps the same URL (and stays in the browser cache) for a while.
+ */
+function signEmbedPath(path) {
+  const now = Math.floor(Date.now() / 1000);
+  return signPath(path, Math.ceil((now + EMBED_EXPIRES_IN) / EMBED_EXPIRES_IN) * EMBED_EXPIRES_IN).url;
+}
+
+/**
+ * Signed URL for sharing outside the app
+ * @param {string} path - Path relative to the API root
+ * @param {number|string} expiresIn - Lifetime in seconds (default 24 hours, at most 7 days)
+ * @throws {Error} - If the lifetime is invalid
+ */
+function signSharePath(path, expiresIn) {
+  let lifetime = SHARE_EXPIRES_IN;
+  if (expiresIn !== undefined && expiresIn !== null && expiresIn !== '') {
+    lifetime = Number(expiresIn);
+    if (!Number.isInteger(lifetime) || lifetime < 60 || lifetime > MAX_EXPIRES_IN) {
+      throw new Error(`expiresIn must be a number of seconds between 60 and ${MAX_EXPIRES_IN}`);
+    }
+  }
+  return signPath(path, Math.floor(Date.now() / 1000) + lifetime);
+}
+
+/**
+ * Check a signed URL
+ * @param {string} path - Requested path relative to the API root
+ * @param {string} expires - `expires` query parameter
+ * @param {string} signature - `signature` query parameter
+ * @returns {boolean} - Whether the signature matches and has not expired
+ */
+function verifySignedPath(path, expires, signature) {
+  if (!/^\d+$/.test(expires || '') || !/^[a-f0-9]{64}$/.test(signature || '')) return false;
+  if (Number(expires) < Date.now() / 1000) return false;
+  return crypto.timingSafeEqual(Buffer.from(sign(path, expires), 'hex'), Buffer.from(signature, 'hex'));
+}
+
+module.exports = {
+  MAX_EXPIRES_IN,
+  signEmbedPath,
+  signSharePath,
+  verifySignedPath
+};
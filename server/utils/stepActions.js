@@ -0,0 +1,367 @@
+/**
+ * Step action registry shared by every step runner (PathNavigator, TestExecutor,
+ * IntelligentTestAdapter) and by the test generators when saving test cases.
+ *
+ * Each action has a JSON schema describing its step object. Properties a schema
+ * does not list (description, expectedOutcome, reason, ...) are allowed and ignored.
+ * Runners may override how an action is performed (e.g. the executor's retrying
+ * click), but an unknown or malformed step always fails with a StepValidationError.
+ */
+
+const { ASSERTION_ACTIONS, runAssertion } = require('./stepAssertions');
+const { IMPACT_LEVELS, DEFAULT_FAIL_IMPACT, runAccessibilityAudit, assertAccessible } = require('./accessibilityAudit');
+const logger = require('./logger');
+
+const SELECTOR = { type: 'string', minLength: 1 };
+const VALUE = { type: ['string', 'number', 'boolean'] };
+const TIMEOUT = { type: 'integer', minimum: 0 };
+
+/** Older action names still emitted by generators, mapped to their registry name */
+const ACTION_ALIASES = {
+  goto: 'navigate',
+  selectOption: 'select'
+};
+
+/**
+ * Error raised for a step whose action is unknown or whose fields do not match the action's schema
+ */
+class StepValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'StepValidationError';
+    this.errors = errors;
+  }
+}
+
+async function clearBrowserData(page) {
+  await page.context().clearCookies();
+
+  try {
+    await page.evaluate(() => {
+      try {
+        localStorage.clear();
+        sessionStorage.clear();
+      } catch (e) {
+        console.log('Could not clear storage:', e.message);
+      }
+    });
+    logger.info('🧹 Cleared browser data (cookies, localStorage, sessionStorage)');
+  } catch (error) {
+    logger.warn(`Could not clear storage: ${error.message}`);
+    logger.info('🧹 Cleared cookies (storage access denied)');
+  }
+}
+
+/**
+ * Built-in actions. `run(page, step, options)` is the default implementation;
+ * actions without one must be provided by the runner through `handlers`.
+ */
+const STEP_ACTIONS = {
+  navigate: {
+    description: 'Open a URL (`url`, or `value` for generated steps)',
+    schema: {
+      type: 'object',
+      properties: { url: { type: 'string', minLength: 1 }, value: { type: 'string', minLength: 1 }, timeout: TIMEOUT },
+      anyOf: [{ required: ['url'] }, { required: ['value'] }]
+    },
+    run: (page, step, { navigationTimeout }) => page.goto(step.url || step.value, {
+      waitUntil: 'domcontentloaded',
+      timeout: step.timeout || navigationTimeout
+    })
+  },
+  click: {
+    description: 'Click an element',
+    schema: { type: 'object', required: ['selector'], properties: { selector: SELECTOR, timeout: TIMEOUT } },
+    run: (page, step, { timeout }) => page.click(step.selector, { timeout: step.timeout || timeout })
+  },
+  fill: {
+    description: 'Replace the value of an input; {auth_username}, {auth_password} and {auth.<role>.username|password} are substituted',
+    schema: { type: 'object', required: ['selector'], properties: { selector: SELECTOR, value: VALUE, timeout: TIMEOUT } },
+    run: (page, step, { timeout, resolveValue }) => page.fill(step.selector, resolveValue(step.value), { timeout: step.timeout || timeout })
+  },
+  type: {
+    description: 'Type into an input key by key; {auth_username}, {auth_password} and {auth.<role>.username|password} are substituted',
+    schema: { type: 'object', required: ['selector'], properties: { selector: SELECTOR, value: VALUE, timeout: TIMEOUT } },
+    run: (page, step, { timeout, resolveValue }) => page.type(step.selector, resolveValue(step.value), { delay: 50, timeout: step.timeout || timeout })
+  },
+  select: {
+    description: 'Choose an option of a select (the second option without a value)',
+    schema: { type: 'object', required: ['selector'], properties: { selector: SELECTOR, value: VALUE, timeout: TIMEOUT } },
+    run: (page, step, { timeout }) => page.selectOption(
+      step.selector,
+      step.value !== undefined && step.value !== null && step.value !== '' ? String(step.value) : { index: 1 },
+      { timeout: step.timeout || timeout }
+    )
+  },
+  check: {
+    description: 'Check a checkbox or radio button',
+    schema: { type: 'object', required: ['selector'], properties: { selector: SELECTOR, timeout: TIMEOUT } },
+    run: (page, step, { timeout }) => page.check(step.selector, { timeout: step.timeout || timeout })
+  },
+  uncheck: {
+    description: 'Uncheck a checkbox',
+    schema: { type: 'object', required: ['selector'], properties: { selector: SELECTOR, timeout: TIMEOUT } },
+    run: (page, step, { timeout }) => page.uncheck(step.selector, { timeout: step.timeout || timeout })
+  },
+  hover: {
+    description: 'Move the mouse over an element',
+    schema: { type: 'object', required: ['selector'], properties: { selector: SELECTOR, timeout: TIMEOUT } },
+    run: (page, step, { timeout }) => page.hover(step.selector, { timeout: step.timeout || timeout })
+  },
+  wait: {
+    description: 'Wait for an element to be visible, or pause for `duration` ms (default 1000)',
+    schema: { type: 'object', properties: { selector: SELECTOR, duration: TIMEOUT, timeout: TIMEOUT } },
+    run: (page, step, { timeout }) => step.selector
+      ? page.waitForSelector(step.selector, { state: 'visible', timeout: step.timeout || timeout })
+      : page.waitForTimeout(step.duration || 1000)
+  },
+  waitForSelector: {
+    description: 'Wait for an element to be visible',
+    schema: { type: 'object', required: ['selector'], properties: { selector: SELECTOR, timeout: TIMEOUT } },
+    run: (page, step, { timeout }) => page.waitForSelector(step.selector, { state: 'visible', timeout: step.timeout || timeout })
+  },
+  waitForLoadState: {
+    description: 'Wait for the page to reach a load state (default `load`)',
+    schema: {
+      type: 'object',
+      properties: { state: { type: 'string', enum: ['load', 'domcontentloaded', 'networkidle'] }, timeout: TIMEOUT }
+    },
+    run: (page, step, { navigationTimeout }) => page.waitForLoadState(step.state || 'load', { timeout: step.timeout || navigationTimeout })
+  },
+  screenshot: {
+    description: 'Capture the page for the next compareScreenshot step',
+    schema: {
+      type: 'object',
+      properties: { fullPage: { type: 'boolean' }, ignoreRegions: { type: 'array' } }
+    }
+  },
+  compareScreenshot: {
+    description: 'Compare the page with its visual baseline',
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        fullPage: { type: 'boolean' },
+        threshold: { type: ['number', 'string'] },
+        maxDiffRatio: { type: ['number', 'string'] },
+        ignoreRegions: { type: 'array' }
+      }
+    }
+  },
+  auditAccessibility: {
+    description: 'Run a WCAG 2.x A/AA audit; fails on violations with `impact` or higher (default serious)',
+    schema: {
+      type: 'object',
+      properties: { impact: { type: 'string', enum: IMPACT_LEVELS } }
+    },
+    run: async (page, step) => assertAccessible(await runAccessibilityAudit(page), step.impact || DEFAULT_FAIL_IMPACT)
+  },
+  clearBrowserData: {
+    description: 'Clear cookies, localStorage and sessionStorage',
+    schema: { type: 'object', properties: {} },
+    run: page => clearBrowserData(page)
+  }
+};
+
+/** Assertions that only look at the page, not at an element */
+const PAGE_ASSERTIONS = ['assertUrl', 'assertTitle'];
+/** Assertions that need an expected value */
+const VALUE_ASSERTIONS = ['assertText', 'assertTextContains', 'assertTextMatches', 'assertCount', 'assertUrl', 'assertTitle'];
+
+for (const action of [...ASSERTION_ACTIONS, 'assert', 'verify']) {
+  const required = [];
+  if (!PAGE_ASSERTIONS.includes(action)) required.push('selector');
+  if (VALUE_ASSERTIONS.includes(action)) required.push('value');
+  if (action === 'assertAttribute') required.push('attribute');
+
+  STEP_ACTIONS[action] = {
+    description: action === 'assert' || action === 'verify'
+      ? 'Legacy assertion: element is visible, or contains `value`'
+      : 'Assertion, see stepAssertions',
+    schema: {
+      type: 'object',
+      required,
+      properties: {
+        selector: SELECTOR,
+        value: action === 'assertCount' ? { type: ['integer', 'string'], pattern: '^\\d+$' } : VALUE,
+        attribute: { type: 'string', minLength: 1 }
+      }
+    },
+    run: (page, step, { assertionTimeout }) => runAssertion(page, step, assertionTimeout)
+  };
+}
+
+function resolveAction(action) {
+  return ACTION_ALIASES[action] || action;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  return [].concat(expected).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Check a step against the subset of JSON schema used by the registry
+ * (type, required, properties, enum, minLength, minimum, pattern, anyOf)
+ * @returns {string[]} - Problems found, empty when the step is valid
+ */
+function checkSchema(step, schema) {
+  const problems = [];
+
+  for (const field of schema.required || []) {
+    if (step[field] === undefined || step[field] === null || step[field] === '') {
+      problems.push(`"${field}" is required`);
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema.properties || {})) {
+    const value = step[field];
+    if (value === undefined || value === null) continue;
+
+    if (rule.type && !matchesType(value, rule.type)) {
+      problems.push(`"${field}" must be of type ${[].concat(rule.type).join(' or ')}`);
+      continue;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      problems.push(`"${field}" must be one of ${rule.enum.join(', ')}`);
+    }
+    if (rule.minLength !== undefined && typeof value === 'string' && value.trim().length < rule.minLength) {
+      problems.push(`"${field}" must not be empty`);
+    }
+    if (rule.minimum !== undefined && typeof value === 'number' && value < rule.minimum) {
+      problems.push(`"${field}" must be at least ${rule.minimum}`);
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(String(value))) {
+      problems.push(`"${field}" has an invalid format`);
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => checkSchema(step, option).length === 0)) {
+    problems.push(`one of ${schema.anyOf.map(option => option.required.map(field => `"${field}"`).join(' + ')).join(' or ')} is required`);
+  }
+
+  return problems;
+}
+
+/**
+ * List the problems of a single step without throwing
+ * @returns {string[]} - Empty when the step is valid
+ */
+function getStepErrors(step) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    return ['step must be an object'];
+  }
+  if (typeof step.action !== 'string' || !step.action) {
+    return ['"action" is required'];
+  }
+
+  const definition = STEP_ACTIONS[resolveAction(step.action)];
+  if (!definition) {
+    return [`unknown action "${step.action}"`];
+  }
+
+  return checkSchema(step, definition.schema);
+}
+
+/**
+ * Validate a step against its action's schema
+ * @returns {object} - The registry definition of the step's action
+ * @throws {StepValidationError} - If the action is unknown or the step is malformed
+ */
+function validateStep(step) {
+  const problems = getStepErrors(step);
+  if (problems.length > 0) {
+    const label = step && typeof step.action === 'string' ? step.action : 'step';
+    throw new StepValidationError(`Invalid ${label} step: ${problems.join('; ')}`, [{ index: 0, errors: problems }]);
+  }
+  return STEP_ACTIONS[resolveAction(step.action)];
+}
+
+/**
+ * Validate a list of steps, reporting every invalid one
+ * @param {Array} steps
+ * @param {string} label - What the steps belong to, for the error message
+ * @throws {StepValidationError} - `errors` holds { index, action, errors } per invalid step
+ */
+function validateSteps(steps, label = 'Test steps') {
+  if (!Array.isArray(steps)) {
+    throw new StepValidationError(`${label} must be a list`);
+  }
+
+  const invalid = steps
+    .map((step, index) => ({ index, action: step?.action, errors: getStepErrors(step) }))
+    .filter(result => result.errors.length > 0);
+
+  if (invalid.length > 0) {
+    const summary = invalid
+      .map(result => `step ${result.index + 1}${result.action ? ` (${result.action})` : ''}: ${result.errors.join('; ')}`)
+      .join(' | ');
+    throw new StepValidationError(`${label} are invalid - ${summary}`, invalid);
+  }
+}
+
+/**
+ * Validate and run a step
+ * @param {import('playwright').Page} page - Playwright page
+ * @param {object} step
+ * @param {object} options
+ * @param {object} options.handlers - Runner implementations by registry action name, called as (page, step, options)
+ * @param {number} options.timeout - Element timeout (default 10000)
+ * @param {number} options.navigationTimeout - navigate/waitForLoadState timeout (default options.timeout)
+ * @param {number} options.assertionTimeout - Time for assertions to hold (default 5000)
+ * @param {Function} options.resolveValue - Maps fill/type values, e.g. for auth placeholders
+ * @returns {Promise<object|undefined>} - { expected, actual } for steps that check something (assertions, compareScreenshot, auditAccessibility)
+ * @throws {StepValidationError} - If the step is invalid or the runner does not support its action
+ */
+async function executeStep(page, step, options = {}) {
+  validateStep(step);
+
+  const action = resolveAction(step.action);
+  const timeout = options.timeout || 10000;
+  const runOptions = {
+    ...options,
+    timeout,
+    navigationTimeout: options.navigationTimeout || timeout,
+    assertionTimeout: options.assertionTimeout || 5000,
+    resolveValue: options.resolveValue || (value => (value === undefined || value === null ? '' : String(value)))
+  };
+
+  const run = options.handlers?.[action] || STEP_ACTIONS[action].run;
+  if (!run) {
+    throw new StepValidationError(`"${step.action}" steps are not supported here`);
+  }
+
+  const outcome = await run(page, step, runOptions);
+  return outcome && outcome.expected !== undefined ? outcome : undefined;
+}
+
+/**
+ * Action names and schemas, for API clients and LLM prompts
+ */
+function describeStepActions() {
+  return Object.entries(STEP_ACTIONS).map(([action, definition]) => ({
+    action,
+    description: definition.description,
+    aliases: Object.keys(ACTION_ALIASES).filter(alias => ACTION_ALIASES[alias] === action),
+    schema: definition.schema
+  }));
+}
+
+module.exports = {
+  STEP_ACTIONS,
+  ACTION_ALIASES,
+  StepValidationError,
+  resolveAction,
+  getStepErrors,
+  validateStep,
+  validateSteps,
+  executeStep,
+  describeStepActions
+};
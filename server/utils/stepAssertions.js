@@ -0,0 +1,287 @@
+/**
+ * Assertion step actions shared by the test executor and the test generators.
+ *
+ * Every assertion step has the shape { action, selector, value, attribute, description }.
+ * `value` holds the expected value; `attribute` is only used by assertAttribute.
+ * For assertUrl and assertTitle a value wrapped in slashes (e.g. "/\/dashboard$/i")
+ * is treated as a regular expression, otherwise the actual value must contain it.
+ */
+
+const ASSERTION_ACTIONS = [
+  'assertText',
+  'assertTextContains',
+  'assertTextMatches',
+  'assertCount',
+  'assertVisible',
+  'assertHidden',
+  'assertEnabled',
+  'assertDisabled',
+  'assertAttribute',
+  'assertValue',
+  'assertUrl',
+  'assertTitle',
+  'assertNotPresent'
+];
+
+/** Legacy generic assertions kept for previously generated tests */
+const LEGACY_ASSERTION_ACTIONS = ['assert', 'verify'];
+
+/**
+ * Error raised when an assertion step does not hold
+ */
+class AssertionFailedError extends Error {
+  constructor(message, expected, actual) {
+    super(message);
+    this.name = 'AssertionFailedError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+function isAssertionAction(action) {
+  return ASSERTION_ACTIONS.includes(action) || LEGACY_ASSERTION_ACTIONS.includes(action);
+}
+
+/**
+ * Parse "/pattern/flags" into a RegExp, or return null for plain strings. The g and
+ * y flags are dropped: they make test() keep lastIndex between polling attempts.
+ */
+function parseRegex(value) {
+  const match = typeof value === 'string' ? value.match(/^\/(.+)\/([gimsuy]*)$/) : null;
+  return match ? new RegExp(match[1], match[2].replace(/[gy]/g, '')) : null;
+}
+
+/**
+ * Match an actual string against a plain (substring) or /regex/ expectation
+ */
+function matchesExpectation(actual, expected) {
+  const regex = parseRegex(expected);
+  if (regex) {
+    return regex.test(actual);
+  }
+  return actual.includes(String(expected));
+}
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function requireSelector(step) {
+  if (!step.selector) {
+    throw new Error(`${step.action} requires a selector`);
+  }
+}
+
+function requireValue(step) {
+  if (step.value === undefined || step.value === null || step.value === '') {
+    throw new Error(`${step.action} requires an expected value`);
+  }
+}
+
+/**
+ * Wait until the locator satisfies a check, returning the last observed actual value
+ */
+async function pollUntil(readActual, check, timeout) {
+  const deadline = Date.now() + timeout;
+  let actual = await readActual();
+
+  while (!check(actual) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+    actual = await readActual();
+  }
+
+  return { actual, passed: check(actual) };
+}
+
+/**
+ * Run an assertion step against the page
+ * @param {import('playwright').Page} page - Playwright page
+ * @param {object} step - Assertion step
+ * @param {number} timeout - Maximum time to wait for the assertion to hold
+ * @returns {Promise<{expected: string, actual: string}>} - Expected and observed values
+ * @throws {AssertionFailedError} - When the assertion does not hold
+ */
+async function runAssertion(page, step, timeout = 5000) {
+  const { action, selector } = step;
+  const locator = selector ? page.locator(selector) : null;
+
+  const assertWith = async (expected, readActual, check, describe) => {
+    const { actual, passed } = await pollUntil(readActual, check, timeout);
+    if (!passed) {
+      throw new AssertionFailedError(describe(expected, actual), String(expected), String(actual));
+    }
+    return { expected: String(expected), actual: String(actual) };
+  };
+
+  const readText = async () => normalizeText(await locator.first().textContent({ timeout: 1000 }).catch(() => ''));
+
+  switch (action) {
+    case 'assert':
+    case 'verify': {
+      requireSelector(step);
+      if (step.value) {
+        return assertWith(step.value, readText, actual => actual.includes(normalizeText(step.value)),
+          (expected, actual) => `Expected text to contain "${expected}" but was "${actual}"`);
+      }
+      return assertWith('visible', async () => (await locator.first().isVisible().catch(() => false)) ? 'visible' : 'not visible',
+        actual => actual === 'visible',
+        (expected, actual) => `Expected element to be ${expected} but was ${actual}`);
+    }
+
+    case 'assertText':
+      requireSelector(step);
+      requireValue(step);
+      return assertWith(normalizeText(step.value), readText, actual => actual === normalizeText(step.value),
+        (expected, actual) => `Expected text "${expected}" but was "${actual}"`);
+
+    case 'assertTextContains':
+      requireSelector(step);
+      requireValue(step);
+      return assertWith(normalizeText(step.value), readText, actual => actual.includes(normalizeText(step.value)),
+        (expected, actual) => `Expected text to contain "${expected}" but was "${actual}"`);
+
+    case 'assertTextMatches': {
+      requireSelector(step);
+      requireValue(step);
+      const regex = parseRegex(step.value) || new RegExp(step.value);
+      return assertWith(String(regex), readText, actual => regex.test(actual),
+        (expected, actual) => `Expected text to match ${expected} but was "${actual}"`);
+    }
+
+    case 'assertCount': {
+      requireSelector(step);
+      requireValue(step);
+      const expectedCount = parseInt(step.value, 10);
+      if (Number.isNaN(expectedCount)) {
+        throw new Error(`assertCount requires a numeric value, got: ${step.value}`);
+      }
+      return assertWith(expectedCount, () => locator.count(), actual => actual === expectedCount,
+        (expected, actual) => `Expected ${expected} matching element(s) but found ${actual}`);
+    }
+
+    case 'assertVisible':
+      requireSelector(step);
+      return assertWith('visible', async () => (await locator.first().isVisible().catch(() => false)) ? 'visible' : 'not visible',
+        actual => actual === 'visible',
+        (expected, actual) => `Expected element to be ${expected} but was ${actual}`);
+
+    case 'assertHidden':
+      requireSelector(step);
+      return assertWith('hidden', async () => (await locator.first().isVisible().catch(() => false)) ? 'visible' : 'hidden',
+        actual => actual === 'hidden',
+        (expected, actual) => `Expected element to be ${expected} but was ${actual}`);
+
+    case 'assertEnabled':
+    case 'assertDisabled': {
+      requireSelector(step);
+      const expectedState = action === 'assertEnabled' ? 'enabled' : 'disabled';
+      const readState = async () => {
+        if (await locator.count() === 0) return 'not present';
+        return (await locator.first().isEnabled({ timeout: 1000 }).catch(() => false)) ? 'enabled' : 'disabled';
+      };
+      return assertWith(expectedState, readState, actual => actual === expectedState,
+        (expected, actual) => `Expected element to be ${expected} but was ${actual}`);
+    }
+
+    case 'assertAttribute': {
+      requireSelector(step);
+      if (!step.attribute) {
+        throw new Error('assertAttribute requires an attribute name');
+      }
+      const readAttribute = async () => {
+        const attributeValue = await locator.first().getAttribute(step.attribute, { timeout: 1000 }).catch(() => null);
+        return attributeValue === null ? '(missing)' : attributeValue;
+      };
+      const expected = step.value === undefined || step.value === null ? '' : String(step.value);
+      return assertWith(expected, readAttribute,
+        actual => expected === '' ? actual !== '(missing)' : actual === expected,
+        (exp, actual) => `Expected attribute "${step.attribute}" to be "${exp}" but was "${actual}"`);
+    }
+
+    case 'assertValue': {
+      requireSelector(step);
+      const expected = step.value === undefined || step.value === null ? '' : String(step.value);
+      return assertWith(expected, () => locator.first().inputValue({ timeout: 1000 }).catch(() => '(no value)'),
+        actual => actual === expected,
+        (exp, actual) => `Expected input value "${exp}" but was "${actual}"`);
+    }
+
+    case 'assertUrl':
+      requireValue(step);
+      return assertWith(step.value, async () => page.url(), actual => matchesExpectation(actual, step.value),
+        (expected, actual) => `Expected URL to match "${expected}" but was "${actual}"`);
+
+    case 'assertTitle':
+      requireValue(step);
+      return assertWith(step.value, () => page.title(), actual => matchesExpectation(actual, step.value),
+        (expected, actual) => `Expected title to match "${expected}" but was "${actual}"`);
+
+    case 'assertNotPresent':
+      requireSelector(step);
+      return assertWith(0, () => locator.count(), actual => actual === 0,
+        (expected, actual) => `Expected no matching elements but found ${actual}`);
+
+    default:
+      throw new Error(`Unknown assertion action: ${action}`);
+  }
+}
+
+/**
+ * Render an assertion step as a Playwright Test `expect` statement
+ */
+function toPlaywrightAssertion(step) {
+  const selector = JSON.stringify(step.selector || '');
+  const value = JSON.stringify(step.value === undefined || step.value === null ? '' : String(step.value));
+  const locator = `page.locator(${selector})`;
+  const pattern = (expected) => parseRegex(expected) ? String(parseRegex(expected)) : null;
+
+  switch (step.action) {
+    case 'assert':
+    case 'verify':
+      return step.value
+        ? `await expect(${locator}.first()).toContainText(${value});`
+        : `await expect(${locator}.first()).toBeVisible();`;
+    case 'assertText':
+      return `await expect(${locator}.first()).toHaveText(${value});`;
+    case 'assertTextContains':
+      return `await expect(${locator}.first()).toContainText(${value});`;
+    case 'assertTextMatches':
+      return `await expect(${locator}.first()).toHaveText(${pattern(step.value) || `new RegExp(${value})`});`;
+    case 'assertCount':
+      return `await expect(${locator}).toHaveCount(${parseInt(step.value, 10) || 0});`;
+    case 'assertVisible':
+      return `await expect(${locator}.first()).toBeVisible();`;
+    case 'assertHidden':
+      return `await expect(${locator}.first()).toBeHidden();`;
+    case 'assertEnabled':
+      return `await expect(${locator}.first()).toBeEnabled();`;
+    case 'assertDisabled':
+      return `await expect(${locator}.first()).toBeDisabled();`;
+    case 'assertAttribute':
+      return step.value
+        ? `await expect(${locator}.first()).toHaveAttribute(${JSON.stringify(step.attribute || '')}, ${value});`
+        : `await expect(${locator}.first()).toHaveAttribute(${JSON.stringify(step.attribute || '')});`;
+    case 'assertValue':
+      return `await expect(${locator}.first()).toHaveValue(${value});`;
+    case 'assertUrl':
+      return `await expect(page).toHaveURL(${pattern(step.value) || `new RegExp(${JSON.stringify(escapeRegex(String(step.value)))})`});`;
+    case 'assertTitle':
+      return `await expect(page).toHaveTitle(${pattern(step.value) || `new RegExp(${JSON.stringify(escapeRegex(String(step.value)))})`});`;
+    case 'assertNotPresent':
+      return `await expect(${locator}).toHaveCount(0);`;
+    default:
+      return `// ${step.action}: ${step.description || ''}`;
+  }
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  ASSERTION_ACTIONS,
+  AssertionFailedError,
+  isAssertionAction,
+  runAssertion,
+  toPlaywrightAssertion
+};
@@ -0,0 +1,205 @@
+/**
+ * Parameter datasets of data-driven test cases. A dataset is a table (CSV or a
+ * JSON array of objects); test steps reference its columns with `{{column}}`
+ * placeholders, and executions run the test case once per row.
+ */
+const DATASET_FORMATS = ['csv', 'json'];
+const MAX_DATASET_ROWS = 500;
+const MAX_DATASET_COLUMNS = 100;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Split CSV text into records of fields (RFC 4180: quoted fields, "" escapes, CRLF)
+ * @returns {Array<{line: number, fields: string[]}>}
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  endRecord();
+  return records;
+}
+
+function checkColumns(columns) {
+  if (columns.length === 0) {
+    throw new Error('Dataset has no columns');
+  }
+  if (columns.length > MAX_DATASET_COLUMNS) {
+    throw new Error(`Dataset has more than ${MAX_DATASET_COLUMNS} columns`);
+  }
+  columns.forEach(column => {
+    if (!column || /[{}]/.test(column)) {
+      throw new Error(`Invalid column name: "${column}"`);
+    }
+  });
+  const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate column: "${duplicate}"`);
+  }
+}
+
+function parseCsv(content) {
+  const records = parseCsvRecords(content.replace(/^\uFEFF/, ''));
+  if (records.length === 0) {
+    throw new Error('Dataset is empty');
+  }
+
+  const columns = records[0].fields.map(column => column.trim());
+  checkColumns(columns);
+
+  const rows = records.slice(1).map(({ line, fields }) => {
+    if (fields.length !== columns.length) {
+      throw new Error(`Line ${line} has ${fields.length} values, expected ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((column, index) => [column, fields[index]]));
+  });
+
+  return { columns, rows };
+}
+
+function parseJson(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  if (!Array.isArray(data)) {
+    throw new Error('JSON dataset must be an array of objects');
+  }
+
+  const columns = [];
+  data.forEach((row, index) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`Row ${index + 1} is not an object`);
+    }
+    Object.keys(row).forEach(column => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+  });
+  checkColumns(columns);
+
+  const rows = data.map((row, index) => Object.fromEntries(columns.map(column => {
+    const value = row[column];
+    if (value !== null && typeof value === 'object') {
+      throw new Error(`Row ${index + 1}: value of "${column}" must be a string, number or boolean`);
+    }
+    return [column, value === undefined || value === null ? '' : String(value)];
+  })));
+
+  return { columns, rows };
+}
+
+/**
+ * Parse an uploaded dataset
+ * @param {string} content - CSV text or JSON array of objects
+ * @param {string} format - 'csv' or 'json'
+ * @returns {{columns: string[], rows: object[]}} - Rows map every column to a string value
+ * @throws {Error} - If the content is malformed or too large
+ */
+function parseDataset(content, format) {
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new Error(`Dataset format must be one of: ${DATASET_FORMATS.join(', ')}`);
+  }
+  if (content === undefined || content === null || content === '') {
+    throw new Error('Dataset content is required');
+  }
+
+  const dataset = format === 'csv' ? parseCsv(String(content)) : parseJson(content);
+  if (dataset.rows.length === 0) {
+    throw new Error('Dataset has no rows');
+  }
+  if (dataset.rows.length > MAX_DATASET_ROWS) {
+    throw new Error(`Dataset has more than ${MAX_DATASET_ROWS} rows`);
+  }
+  return dataset;
+}
+
+/**
+ * Names of the `{{column}}` placeholders used in test steps
+ */
+function findPlaceholders(steps) {
+  const names = new Set();
+  const visit = value => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) names.add(match[1]);
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(steps);
+  return [...names];
+}
+
+/**
+ * Fill `{{column}}` placeholders in every string of the test steps with a row's values.
+ * Placeholders of columns the row does not have are left as they are.
+ * @param {Array} steps - Test steps
+ * @param {object} row - Dataset row
+ * @returns {Array} - New steps
+ */
+function applyDatasetRow(steps, row) {
+  const fill = value => {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, (placeholder, column) => (
+        Object.prototype.hasOwnProperty.call(row, column) ? row[column] : placeholder
+      ));
+    }
+    if (Array.isArray(value)) return value.map(fill);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+    }
+    return value;
+  };
+  return fill(steps);
+}
+
+module.exports = {
+  DATASET_FORMATS,
+  MAX_DATASET_ROWS,
+  parseDataset,
+  findPlaceholders,
+  applyDatasetRow
+};
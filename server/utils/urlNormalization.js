@@ -0,0 +1,73 @@
+/**
+ * URL normalization shared by crawl scheduling and crawl comparison, so the same
+ * page reached through different links (tracking parameters, fragments, parameter
+ * order, trailing slash) gets the same URL.
+ */
+const TRACKING_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'fbclid', 'gclid'];
+
+/**
+ * Turn a glob into an anchored regular expression: `*` matches any run of
+ * characters, `?` a single character
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Remove query parameters from a URL, keeping everything else (including the fragment)
+ * @param {string} url
+ * @param {Array<string>} params - Parameter names or globs (e.g. `sessionid`, `filter_*`)
+ * @returns {string} - The URL without those parameters; the input if it is not a valid URL
+ */
+function removeQueryParams(url, params = []) {
+  if (params.length === 0) return url;
+
+  try {
+    const urlObj = new URL(url);
+    const patterns = params.map(globToRegExp);
+    const names = [...new Set(urlObj.searchParams.keys())];
+    const removed = names.filter(name => patterns.some(pattern => pattern.test(name)));
+    if (removed.length === 0) return url;
+
+    removed.forEach(name => urlObj.searchParams.delete(name));
+    return urlObj.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Normalize a page URL
+ * @param {string} url
+ * @param {object} options
+ * @param {Array<string>} options.ignoreQueryParams - Further parameters to drop, names or globs
+ * @returns {string} - The URL without fragment and tracking parameters, with sorted
+ *   query parameters and no trailing slash; the input if it is not a valid URL
+ */
+function normalizePageUrl(url, { ignoreQueryParams = [] } = {}) {
+  try {
+    const urlObj = new URL(removeQueryParams(url, ignoreQueryParams));
+    urlObj.hash = '';
+
+    const searchParams = new URLSearchParams(urlObj.search);
+    TRACKING_PARAMS.forEach(param => searchParams.delete(param));
+    searchParams.sort();
+    urlObj.search = searchParams.toString();
+
+    return urlObj.toString().replace(/\/$/, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+module.exports = { TRACKING_PARAMS, globToRegExp, removeQueryParams, normalizePageUrl };
@@ -0,0 +1,89 @@
+const DEFAULT_VISUAL_SETTINGS = {
+  threshold: 0.1,
+  maxDiffRatio: 0.001,
+  ignoreRegions: []
+};
+
+function parseRatio(value, name) {
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || number < 0 || number > 1) {
+    throw new Error(`${name} must be a number between 0 and 1`);
+  }
+  return number;
+}
+
+/**
+ * Validate ignore regions: CSS selectors or pixel rectangles in page coordinates
+ * @param {Array} regions - [{ selector }] or [{ x, y, width, height }]
+ * @returns {Array} - Normalized regions
+ * @throws {Error} - If a region is neither
+ */
+function normalizeIgnoreRegions(regions) {
+  if (regions === undefined || regions === null) {
+    return [];
+  }
+  if (!Array.isArray(regions)) {
+    throw new Error('Ignore regions must be a list');
+  }
+
+  return regions.map(region => {
+    if (typeof region === 'string') {
+      region = { selector: region };
+    }
+    if (region && typeof region.selector === 'string' && region.selector.trim()) {
+      return { selector: region.selector.trim() };
+    }
+
+    const rect = ['x', 'y', 'width', 'height'].map(key => parseInt(region?.[key]));
+    if (rect.some(Number.isNaN) || rect[0] < 0 || rect[1] < 0 || rect[2] <= 0 || rect[3] <= 0) {
+      throw new Error('Ignore regions need a selector or a non-negative x, y and positive width, height');
+    }
+    const [x, y, width, height] = rect;
+    return { x, y, width, height };
+  });
+}
+
+/**
+ * Validate and normalize visual regression settings from a test configuration
+ * @param {object|string} settings - Partial settings (or their JSON string)
+ * @returns {object} - Complete settings with defaults applied
+ * @throws {Error} - If a field has an invalid value
+ */
+function normalizeVisualSettings(settings) {
+  if (typeof settings === 'string') {
+    settings = JSON.parse(settings);
+  }
+
+  settings = settings || {};
+  const normalized = { ...DEFAULT_VISUAL_SETTINGS };
+
+  if (settings.threshold !== undefined && settings.threshold !== null && settings.threshold !== '') {
+    normalized.threshold = parseRatio(settings.threshold, 'Visual threshold');
+  }
+  if (settings.maxDiffRatio !== undefined && settings.maxDiffRatio !== null && settings.maxDiffRatio !== '') {
+    normalized.maxDiffRatio = parseRatio(settings.maxDiffRatio, 'Maximum diff ratio');
+  }
+  normalized.ignoreRegions = normalizeIgnoreRegions(settings.ignoreRegions);
+
+  return normalized;
+}
+
+/**
+ * Apply a compareScreenshot step's overrides to the configuration's settings.
+ * Step ignore regions are added to the configuration's, not replacing them.
+ */
+function resolveStepVisualSettings(settings, step = {}) {
+  const base = settings || DEFAULT_VISUAL_SETTINGS;
+  return {
+    threshold: step.threshold !== undefined ? parseRatio(step.threshold, 'Visual threshold') : base.threshold,
+    maxDiffRatio: step.maxDiffRatio !== undefined ? parseRatio(step.maxDiffRatio, 'Maximum diff ratio') : base.maxDiffRatio,
+    ignoreRegions: [...base.ignoreRegions, ...normalizeIgnoreRegions(step.ignoreRegions)]
+  };
+}
+
+module.exports = {
+  DEFAULT_VISUAL_SETTINGS,
+  normalizeVisualSettings,
+  normalizeIgnoreRegions,
+  resolveStepVisualSettings
+};
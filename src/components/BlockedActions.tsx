@@ -0,0 +1,160 @@
+import { useCallback, useEffect, useState } from 'react';
+import { testAPI } from '../services/api';
+import { Check, Loader, ShieldAlert, X } from 'lucide-react';
+
+interface BlockedAction {
+  id: number;
+  page_url: string;
+  selector: string | null;
+  element_text: string | null;
+  element_type: string | null;
+  source: 'link_discovery' | 'scenario';
+  classification: 'destructive' | 'irreversible' | 'never_click';
+  reason: string | null;
+  classified_by: 'heuristic' | 'llm' | 'rule';
+  status: 'skipped' | 'pending_approval' | 'approved' | 'rejected';
+  created_at: string;
+  reviewed_at: string | null;
+}
+
+interface BlockedActionsProps {
+  testRunId: number;
+}
+
+const classificationStyles: Record<BlockedAction['classification'], string> = {
+  destructive: 'bg-red-100 text-red-800',
+  irreversible: 'bg-orange-100 text-orange-800',
+  never_click: 'bg-gray-100 text-gray-800'
+};
+
+const statusLabels: Record<BlockedAction['status'], string> = {
+  skipped: 'Skipped',
+  pending_approval: 'Pending approval',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+const classifiedByLabels: Record<BlockedAction['classified_by'], string> = {
+  heuristic: 'keywords',
+  llm: 'LLM',
+  rule: 'never-click rule'
+};
+
+// Actions the crawler did not perform, with approval of destructive and irreversible ones
+export default function BlockedActions({ testRunId }: BlockedActionsProps) {
+  const [actions, setActions] = useState<BlockedAction[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [reviewingId, setReviewingId] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchActions = useCallback(async () => {
+    try {
+      const response = await testAPI.getBlockedActions(testRunId);
+      setActions(response.data);
+    } catch (err) {
+      console.error('Error fetching blocked actions:', err);
+      setError('Failed to load blocked actions');
+    } finally {
+      setLoading(false);
+    }
+  }, [testRunId]);
+
+  useEffect(() => {
+    fetchActions();
+  }, [fetchActions]);
+
+  const reviewAction = async (actionId: number, status: 'approved' | 'rejected') => {
+    setReviewingId(actionId);
+    setError(null);
+    try {
+      const response = await testAPI.reviewBlockedAction(testRunId, actionId, status);
+      setActions(current => current.map(action => (action.id === actionId ? response.data : action)));
+    } catch (err) {
+      const message = (err as { response?: { data?: { error?: string } } }).response?.data?.error;
+      setError(message || 'Failed to review blocked action');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader className="h-6 w-6 animate-spin text-gray-500" />
+      </div>
+    );
+  }
+
+  if (actions.length === 0 && !error) {
+    return (
+      <div className="text-center py-12">
+        <ShieldAlert className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-500">The crawler performed every action it found</p>
+      </div>
+    );
+  }
+
+  const pendingCount = actions.filter(action => action.status === 'pending_approval').length;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {actions.length} action{actions.length === 1 ? '' : 's'} not performed while crawling.
+        {pendingCount > 0 && ` ${pendingCount} waiting for approval: approved actions are performed by the next crawl of this configuration.`}
+      </p>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="space-y-3">
+        {actions.map(action => (
+          <div key={action.id} className="border rounded p-3 text-sm">
+            <div className="flex items-start justify-between">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${classificationStyles[action.classification]}`}>
+                    {action.classification.replace('_', '-')}
+                  </span>
+                  <span className="font-medium text-gray-900 break-all">
+                    {action.element_type || 'element'} "{action.element_text || action.selector}"
+                  </span>
+                </div>
+                <p className="text-gray-500 break-all mt-1">{action.page_url}</p>
+                {action.selector && <p className="text-xs text-gray-500 font-mono break-all">{action.selector}</p>}
+                <p className="text-gray-700 mt-1">
+                  {action.reason}
+                  <span className="text-gray-500">
+                    {' '}({classifiedByLabels[action.classified_by]}, {action.source === 'scenario' ? 'interaction scenario' : 'link discovery'})
+                  </span>
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 ml-4 flex-shrink-0">
+                {action.status === 'pending_approval' ? (
+                  <>
+                    <button
+                      onClick={() => reviewAction(action.id, 'approved')}
+                      disabled={reviewingId === action.id}
+                      className="btn-secondary text-xs flex items-center"
+                    >
+                      <Check className="h-3 w-3 mr-1" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => reviewAction(action.id, 'rejected')}
+                      disabled={reviewingId === action.id}
+                      className="btn-secondary text-xs flex items-center"
+                    >
+                      <X className="h-3 w-3 mr-1" />
+                      Reject
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-xs text-gray-500">{statusLabels[action.status]}</span>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+import { useCallback, useEffect, useState } from 'react';
+import { testAPI } from '../services/api';
+import { ArrowRight, GitCompare, Loader, Minus, Plus } from 'lucide-react';
+
+interface RunSummary {
+  id: number;
+  test_config_id: number;
+  status: string;
+  role?: string | null;
+  start_time: string;
+}
+
+interface DiffPage {
+  pageId: number;
+  url: string;
+  title: string | null;
+  screenName: string | null;
+  stateIdentifier: string | null;
+  isVirtual: boolean;
+}
+
+interface DiffElement {
+  elementType: string;
+  selector: string;
+  text: string | null;
+}
+
+interface DiffPath {
+  from: { url: string; screenName: string | null } | null;
+  to: { url: string; screenName: string | null };
+  interaction: { type: string; elementType?: string; selector?: string; text?: string | null };
+  reason?: string;
+}
+
+interface CrawlDiffData {
+  summary: {
+    pagesAdded: number;
+    pagesRemoved: number;
+    screenNamesChanged: number;
+    pagesWithElementChanges: number;
+    elementsAppeared: number;
+    elementsDisappeared: number;
+    pathsAdded: number;
+    pathsBroken: number;
+    pagesUnchanged: number;
+  };
+  pages: { added: DiffPage[]; removed: DiffPage[]; renamed: (DiffPage & { previousScreenName: string | null })[] };
+  elements: (DiffPage & { appeared: DiffElement[]; disappeared: DiffElement[] })[];
+  paths: { added: DiffPath[]; broken: DiffPath[] };
+}
+
+interface CrawlDiffProps {
+  testRunId: number;
+  testConfigId: number;
+}
+
+const pageLabel = (page: { url: string; screenName: string | null }) => page.screenName || page.url;
+
+const elementLabel = (element: DiffElement) =>
+  `${element.elementType}${element.text ? ` "${element.text}"` : ''} (${element.selector})`;
+
+const pathLabel = (path: DiffPath) => {
+  const via = path.interaction.elementType
+    ? `${path.interaction.elementType}${path.interaction.text ? ` "${path.interaction.text}"` : ''}`
+    : path.interaction.type;
+  return `${path.from ? pageLabel(path.from) : 'Start'} → ${pageLabel(path.to)} via ${via}`;
+};
+
+// Structural changes between this run's crawl and an earlier crawl of the same configuration
+export default function CrawlDiff({ testRunId, testConfigId }: CrawlDiffProps) {
+  const [runs, setRuns] = useState<RunSummary[]>([]);
+  const [baseRunId, setBaseRunId] = useState<number | null>(null);
+  const [diff, setDiff] = useState<CrawlDiffData | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchRuns = async () => {
+      try {
+        const response = await testAPI.getRuns();
+        const allRuns: RunSummary[] = response.data;
+        const current = allRuns.find(run => run.id === testRunId);
+        const otherRuns = allRuns.filter(run => run.test_config_id === testConfigId && run.id !== testRunId);
+        setRuns(otherRuns);
+        // Default to the latest run that started before this one
+        const previous = otherRuns.find(run => !current || new Date(run.start_time) < new Date(current.start_time));
+        setBaseRunId(previous ? previous.id : otherRuns[0]?.id ?? null);
+      } catch (err) {
+        console.error('Error fetching test runs:', err);
+        setError('Failed to load test runs');
+      }
+    };
+    fetchRuns();
+  }, [testRunId, testConfigId]);
+
+  const fetchDiff = useCallback(async () => {
+    if (!baseRunId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await testAPI.compareRuns(testRunId, baseRunId);
+      setDiff(response.data);
+    } catch (err) {
+      const message = (err as { response?: { data?: { error?: string } } }).response?.data?.error;
+      setError(message || 'Failed to compare test runs');
+      setDiff(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [testRunId, baseRunId]);
+
+  useEffect(() => {
+    fetchDiff();
+  }, [fetchDiff]);
+
+  if (runs.length === 0 && !error) {
+    return (
+      <div className="text-center py-12">
+        <GitCompare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-500">No other test runs of this configuration to compare with</p>
+      </div>
+    );
+  }
+
+  const summaryItems = diff ? [
+    { label: 'Pages added', value: diff.summary.pagesAdded, color: 'text-green-700' },
+    { label: 'Pages removed', value: diff.summary.pagesRemoved, color: 'text-red-700' },
+    { label: 'Screen names changed', value: diff.summary.screenNamesChanged, color: 'text-yellow-700' },
+    { label: 'Elements appeared', value: diff.summary.elementsAppeared, color: 'text-green-700' },
+    { label: 'Elements disappeared', value: diff.summary.elementsDisappeared, color: 'text-red-700' },
+    { label: 'New paths', value: diff.summary.pathsAdded, color: 'text-green-700' },
+    { label: 'Broken paths', value: diff.summary.pathsBroken, color: 'text-red-700' },
+    { label: 'Unchanged pages', value: diff.summary.pagesUnchanged, color: 'text-gray-700' }
+  ] : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3 text-sm">
+        <span className="text-gray-700">Compare with</span>
+        <select
+          className="form-select"
+          value={baseRunId ?? ''}
+          onChange={(e) => setBaseRunId(e.target.value ? Number(e.target.value) : null)}
+        >
+          {runs.map(run => (
+            <option key={run.id} value={run.id}>
+              Run #{run.id}{run.role ? ` (${run.role})` : ''} - {new Date(run.start_time).toLocaleString()} - {run.status}
+            </option>
+          ))}
+        </select>
+        {loading && <Loader className="h-4 w-4 animate-spin text-gray-500" />}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {diff && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {summaryItems.map(item => (
+              <div key={item.label} className="bg-gray-50 rounded p-3">
+                <p className={`text-lg font-semibold ${item.color}`}>{item.value}</p>
+                <p className="text-xs text-gray-500">{item.label}</p>
+              </div>
+            ))}
+          </div>
+
+          {(diff.pages.added.length > 0 || diff.pages.removed.length > 0 || diff.pages.renamed.length > 0) && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-2">Pages</h4>
+              <ul className="text-sm space-y-1">
+                {diff.pages.added.map(page => (
+                  <li key={`added-${page.pageId}`} className="flex items-start text-green-700">
+                    <Plus className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                    <span className="break-all">{pageLabel(page)} <span className="text-gray-500">{page.url}</span></span>
+                  </li>
+                ))}
+                {diff.pages.removed.map(page => (
+                  <li key={`removed-${page.pageId}`} className="flex items-start text-red-700">
+                    <Minus className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                    <span className="break-all">{pageLabel(page)} <span className="text-gray-500">{page.url}</span></span>
+                  </li>
+                ))}
+                {diff.pages.renamed.map(page => (
+                  <li key={`renamed-${page.pageId}`} className="flex items-start text-yellow-700">
+                    <ArrowRight className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                    <span className="break-all">
+                      {page.previousScreenName || '(unnamed)'} → {page.screenName || '(unnamed)'} <span className="text-gray-500">{page.url}</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {diff.elements.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-2">Interactive elements</h4>
+              <div className="space-y-3">
+                {diff.elements.map(page => (
+                  <div key={page.pageId} className="border rounded p-3 text-sm">
+                    <p className="font-medium text-gray-900 break-all">{pageLabel(page)}</p>
+                    <ul className="mt-1 space-y-0.5">
+                      {page.appeared.map((element, index) => (
+                        <li key={`appeared-${index}`} className="text-green-700 break-all">+ {elementLabel(element)}</li>
+                      ))}
+                      {page.disappeared.map((element, index) => (
+                        <li key={`disappeared-${index}`} className="text-red-700 break-all">- {elementLabel(element)}</li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {(diff.paths.added.length > 0 || diff.paths.broken.length > 0) && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-2">Crawl paths</h4>
+              <ul className="text-sm space-y-1">
+                {diff.paths.added.map((path, index) => (
+                  <li key={`path-added-${index}`} className="text-green-700 break-all">+ {pathLabel(path)}</li>
+                ))}
+                {diff.paths.broken.map((path, index) => (
+                  <li key={`path-broken-${index}`} className="text-red-700 break-all">
+                    - {pathLabel(path)} <span className="text-gray-500">({path.reason})</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {summaryItems.every(item => item.label === 'Unchanged pages' || item.value === 0) && (
+            <p className="text-sm text-gray-500">No structural changes between the two crawls.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
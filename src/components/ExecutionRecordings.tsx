@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import { artifactsAPI } from '../services/api';
+import { Download, Film, Loader } from 'lucide-react';
+
+export interface ExecutionArtifact {
+  id: number;
+  test_case_id: number;
+  iteration: number;
+  browser: string;
+  artifact_type: 'trace' | 'video';
+  file_name: string;
+  size_bytes: string | number | null;
+}
+
+const formatSize = (bytes: string | number | null) => {
+  const size = Number(bytes || 0);
+  return size >= 1024 * 1024 ? `${(size / 1024 / 1024).toFixed(1)} MB` : `${Math.round(size / 1024)} KB`;
+};
+
+export default function ExecutionRecordings({ artifacts }: { artifacts: ExecutionArtifact[] }) {
+  const [downloading, setDownloading] = useState<number | null>(null);
+
+  const download = async (artifact: ExecutionArtifact) => {
+    setDownloading(artifact.id);
+    try {
+      const response = await artifactsAPI.download(artifact.id);
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = artifact.file_name;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error('Error downloading recording:', error);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      <p className="text-sm font-medium text-gray-700 mb-2">Recordings:</p>
+      <div className="flex flex-wrap gap-2">
+        {artifacts.map(artifact => (
+          <button
+            key={artifact.id}
+            onClick={() => download(artifact)}
+            disabled={downloading === artifact.id}
+            className="btn-secondary flex items-center space-x-1 text-sm py-1 px-3"
+          >
+            {downloading === artifact.id ? (
+              <Loader className="h-3 w-3 animate-spin" />
+            ) : artifact.artifact_type === 'video' ? (
+              <Film className="h-3 w-3" />
+            ) : (
+              <Download className="h-3 w-3" />
+            )}
+            <span>
+              {artifact.artifact_type === 'trace' ? 'Trace' : 'Video'}
+              {artifact.browser && ` [${artifact.browser}]`}
+              {' '}({formatSize(artifact.size_bytes)})
+            </span>
+          </button>
+        ))}
+      </div>
+      {artifacts.some(artifact => artifact.artifact_type === 'trace') && (
+        <p className="mt-1 text-xs text-gray-500">
+          Open traces at <code>trace.playwright.dev</code> or with <code>npx playwright show-trace &lt;file&gt;</code>.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { testAPI, screenshotsAPI } from '../services/api';
+import { Globe, Loader, RefreshCw, X } from 'lucide-react';
+
+interface GraphStep {
+  action?: string;
+  selector?: string;
+  value?: string;
+  url?: string;
+  description?: string;
+}
+
+interface GraphNode {
+  url: string;
+  pageId: number | null;
+  title: string | null;
+  pageType: string | null;
+  isVirtual: boolean;
+  visits: number;
+  depth: number;
+  importance: number;
+  stepPath: GraphStep[];
+  screenshotUrl: string | null;
+}
+
+interface GraphEdge {
+  source: string;
+  target: string;
+  count: number;
+  interactions: { type: string; description: string }[];
+}
+
+interface JourneyGraphData {
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+  entryPoints: string[];
+  goalPages: string[];
+  cycles: { cycle: string[]; length: number }[];
+  live: boolean;
+}
+
+export interface JourneyTestCase {
+  id: number;
+  page_id: number | null;
+  test_name: string;
+  test_type?: string;
+  status?: string;
+}
+
+interface JourneyGraphProps {
+  testRunId: number;
+  testCases: JourneyTestCase[];
+}
+
+const NODE_WIDTH = 160;
+const NODE_HEIGHT = 120;
+const THUMB_HEIGHT = 80;
+const COLUMN_GAP = 90;
+const ROW_GAP = 30;
+const PADDING = 20;
+
+const truncate = (text: string, length: number) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const describeStep = (step: GraphStep) =>
+  step.description || [step.action, step.selector || step.url, step.value && `"${step.value}"`].filter(Boolean).join(' ');
+
+// Site map of a test run: one column per crawl depth, pages ordered by importance
+export default function JourneyGraph({ testRunId, testCases }: JourneyGraphProps) {
+  const [graph, setGraph] = useState<JourneyGraphData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [selectedUrl, setSelectedUrl] = useState<string | null>(null);
+
+  const fetchGraph = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await testAPI.getJourneyGraph(testRunId);
+      setGraph(response.data);
+    } catch (err) {
+      console.error('Error fetching journey graph:', err);
+      setError('Failed to load journey graph');
+    } finally {
+      setLoading(false);
+    }
+  }, [testRunId]);
+
+  useEffect(() => {
+    fetchGraph();
+  }, [fetchGraph]);
+
+  const layout = useMemo(() => {
+    const positions = new Map<string, { x: number; y: number }>();
+    if (!graph) return { positions, width: 0, height: 0 };
+
+    const columns = new Map<number, GraphNode[]>();
+    graph.nodes.forEach(node => {
+      const depth = Math.max(0, node.depth || 0);
+      columns.set(depth, [...(columns.get(depth) || []), node]);
+    });
+
+    const depths = [...columns.keys()].sort((a, b) => a - b);
+    let height = 0;
+    depths.forEach((depth, column) => {
+      const nodes = columns.get(depth)!.sort((a, b) => b.importance - a.importance);
+      nodes.forEach((node, row) => {
+        positions.set(node.url, {
+          x: PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+          y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+        });
+      });
+      height = Math.max(height, nodes.length * (NODE_HEIGHT + ROW_GAP));
+    });
+
+    return {
+      positions,
+      width: PADDING * 2 + depths.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP,
+      height: PADDING * 2 + height - ROW_GAP
+    };
+  }, [graph]);
+
+  if (loading && !graph) {
+    return (
+      <div className="flex items-center justify-center py-12 text-gray-500">
+        <Loader className="h-5 w-5 mr-2 animate-spin" />
+        Building journey graph...
+      </div>
+    );
+  }
+
+  if (error || !graph) {
+    return <p className="text-sm text-red-600">{error || 'Failed to load journey graph'}</p>;
+  }
+
+  if (graph.nodes.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <Globe className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-500">No pages discovered yet</p>
+      </div>
+    );
+  }
+
+  const entryPoints = new Set(graph.entryPoints);
+  const goalPages = new Set(graph.goalPages);
+  const selected = graph.nodes.find(node => node.url === selectedUrl) || null;
+  const selectedTests = selected ? testCases.filter(testCase => testCase.page_id === selected.pageId) : [];
+
+  const edgePath = (edge: GraphEdge) => {
+    const from = layout.positions.get(edge.source);
+    const to = layout.positions.get(edge.target);
+    if (!from || !to) return null;
+
+    const startX = from.x + NODE_WIDTH;
+    const startY = from.y + NODE_HEIGHT / 2;
+    const endX = to.x;
+    const endY = to.y + NODE_HEIGHT / 2;
+    // Edges back to an earlier column loop around below the nodes
+    if (endX <= startX) {
+      const bottom = Math.max(from.y, to.y) + NODE_HEIGHT + ROW_GAP / 2;
+      return `M ${startX} ${startY} C ${startX + 40} ${bottom}, ${endX - 40} ${bottom}, ${endX} ${endY}`;
+    }
+    const bend = (endX - startX) / 2;
+    return `M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`;
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <div className="flex items-center space-x-4">
+          <span>{graph.nodes.length} pages</span>
+          <span>{graph.edges.length} transitions</span>
+          <span className="text-green-700">{graph.entryPoints.length} entry points</span>
+          <span className="text-purple-700">{graph.goalPages.length} goal pages</span>
+          <span className="text-orange-700">{graph.cycles.length} cycles</span>
+          {graph.live && <span className="text-blue-600">Crawl in progress</span>}
+        </div>
+        <button onClick={fetchGraph} disabled={loading} className="text-blue-600 hover:text-blue-800 flex items-center">
+          <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="overflow-auto border rounded bg-gray-50" style={{ maxHeight: '36rem' }}>
+        <svg width={layout.width} height={layout.height}>
+          <defs>
+            <marker id="journey-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#9ca3af" />
+            </marker>
+            <marker id="journey-arrow-active" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#2563eb" />
+            </marker>
+          </defs>
+
+          {graph.edges.filter(edge => edge.source !== edge.target).map(edge => {
+            const path = edgePath(edge);
+            if (!path) return null;
+            const active = selectedUrl === edge.source || selectedUrl === edge.target;
+            return (
+              <path
+                key={`${edge.source}->${edge.target}`}
+                d={path}
+                fill="none"
+                stroke={active ? '#2563eb' : '#9ca3af'}
+                strokeWidth={1 + Math.min(edge.count, 4) * 0.5}
+                markerEnd={`url(#${active ? 'journey-arrow-active' : 'journey-arrow'})`}
+              >
+                <title>{edge.interactions.map(interaction => interaction.description).join('\n') || `${edge.count} transitions`}</title>
+              </path>
+            );
+          })}
+
+          {graph.nodes.map(node => {
+            const position = layout.positions.get(node.url);
+            if (!position) return null;
+            const border = node.url === selectedUrl ? '#2563eb'
+              : entryPoints.has(node.url) ? '#16a34a'
+              : goalPages.has(node.url) ? '#9333ea'
+              : '#d1d5db';
+            return (
+              <g
+                key={node.url}
+                transform={`translate(${position.x}, ${position.y})`}
+                onClick={() => setSelectedUrl(node.url === selectedUrl ? null : node.url)}
+                className="cursor-pointer"
+              >
+                <title>{node.url}</title>
+                <rect
+                  width={NODE_WIDTH}
+                  height={NODE_HEIGHT}
+                  rx={6}
+                  fill="white"
+                  stroke={border}
+                  strokeWidth={node.url === selectedUrl ? 3 : 2}
+                  strokeDasharray={node.isVirtual ? '6 4' : undefined}
+                />
+                {node.screenshotUrl ? (
+                  <image
+                    href={screenshotsAPI.resolveUrl(node.screenshotUrl)}
+                    x={8}
+                    y={8}
+                    width={NODE_WIDTH - 16}
+                    height={THUMB_HEIGHT}
+                    preserveAspectRatio="xMidYMin slice"
+                  />
+                ) : (
+                  <rect x={8} y={8} width={NODE_WIDTH - 16} height={THUMB_HEIGHT} fill="#f3f4f6" />
+                )}
+                <text x={8} y={THUMB_HEIGHT + 24} fontSize="12" fill="#111827">
+                  {truncate(node.title || node.url, 24)}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <div className="flex items-center space-x-4 text-xs text-gray-500">
+        <span className="flex items-center"><span className="inline-block w-3 h-3 mr-1 border-2 border-green-600 rounded-sm" />Entry point</span>
+        <span className="flex items-center"><span className="inline-block w-3 h-3 mr-1 border-2 border-purple-600 rounded-sm" />Goal page</span>
+        <span className="flex items-center"><span className="inline-block w-3 h-3 mr-1 border-2 border-dashed border-gray-500 rounded-sm" />Virtual page (modal, tab)</span>
+      </div>
+
+      {selected && (
+        <div className="border rounded-lg p-4">
+          <div className="flex items-start justify-between mb-3">
+            <div>
+              <h4 className="font-medium text-gray-900">{selected.title || 'Untitled Page'}</h4>
+              <p className="text-sm text-gray-500 break-all">{selected.url}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                Depth {selected.depth} · {selected.visits} visits · importance {selected.importance}
+                {selected.pageType && ` · ${selected.pageType}`}
+              </p>
+            </div>
+            <button onClick={() => setSelectedUrl(null)} className="p-1 text-gray-400 hover:text-gray-600">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <h5 className="text-sm font-medium text-gray-700 mb-2">Path from the base URL</h5>
+              {selected.stepPath.length > 0 ? (
+                <ol className="list-decimal list-inside text-sm text-gray-600 space-y-1">
+                  {selected.stepPath.map((step, index) => (
+                    <li key={index} className="break-all">{describeStep(step)}</li>
+                  ))}
+                </ol>
+              ) : (
+                <p className="text-sm text-gray-500">Reached directly from the base URL</p>
+              )}
+            </div>
+            <div>
+              <h5 className="text-sm font-medium text-gray-700 mb-2">Test cases ({selectedTests.length})</h5>
+              {selectedTests.length > 0 ? (
+                <ul className="text-sm text-gray-600 space-y-1">
+                  {selectedTests.map(testCase => (
+                    <li key={testCase.id}>
+                      {testCase.test_name}
+                      {testCase.test_type && <span className="ml-2 text-xs text-gray-400">{testCase.test_type}</span>}
+                      {testCase.status && <span className="ml-2 text-xs text-gray-400">{testCase.status}</span>}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">No test cases for this page</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
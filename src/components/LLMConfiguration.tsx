@@ -102,13 +102,17 @@ export default function LLMConfiguration() {
   };
 
   const providers = [
-    { value: 'openai', label: 'OpenAI' },
-    { value: 'azure', label: 'Azure OpenAI' },
-    { value: 'anthropic', label: 'Anthropic' },
-    { value: 'bedrock', label: 'AWS Bedrock' },
-    { value: 'local', label: 'Local/Self-hosted' }
+    { value: 'openai', label: 'OpenAI', apiUrl: 'https://api.openai.com/v1/chat/completions', model: 'gpt-4o' },
+    { value: 'azure', label: 'Azure OpenAI', apiUrl: 'https://<resource>.openai.azure.com (required)', model: 'Deployment name' },
+    { value: 'anthropic', label: 'Anthropic', apiUrl: 'https://api.anthropic.com/v1/messages', model: 'claude-sonnet-4-5' },
+    { value: 'gemini', label: 'Google Gemini', apiUrl: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.0-flash' },
+    { value: 'ollama', label: 'Ollama', apiUrl: 'http://localhost:11434/api/chat', model: 'llama3.2-vision' },
+    { value: 'bedrock', label: 'AWS Bedrock (OpenAI-compatible)', apiUrl: 'https://bedrock-runtime.<region>.amazonaws.com/openai/v1/chat/completions (required)', model: 'Model ID' },
+    { value: 'local', label: 'Local/Self-hosted (OpenAI-compatible)', apiUrl: 'http://localhost:8000/v1/chat/completions (required)', model: 'Model name' }
   ];
 
+  const selectedProvider = providers.find((provider) => provider.value === formData.provider) || providers[0];
+
   if (loading) {
     return (
       <div className="space-y-6">
@@ -271,7 +275,7 @@ export default function LLMConfiguration() {
                   className="form-input mt-1"
                   value={formData.apiKey}
                   onChange={(e) => setFormData({ ...formData, apiKey: e.target.value })}
-                  placeholder="Enter API key"
+                  placeholder={formData.provider === 'ollama' || formData.provider === 'local' ? 'Not required' : 'Enter API key'}
                 />
               </div>
 
@@ -282,7 +286,7 @@ export default function LLMConfiguration() {
                   className="form-input mt-1"
                   value={formData.apiUrl}
                   onChange={(e) => setFormData({ ...formData, apiUrl: e.target.value })}
-                  placeholder="https://api.openai.com/v1/chat/completions"
+                  placeholder={selectedProvider.apiUrl}
                 />
               </div>
 
@@ -293,7 +297,7 @@ export default function LLMConfiguration() {
                   className="form-input mt-1"
                   value={formData.modelName}
                   onChange={(e) => setFormData({ ...formData, modelName: e.target.value })}
-                  placeholder="gpt-4, claude-3-sonnet, etc."
+                  placeholder={selectedProvider.model}
                 />
               </div>
 
@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import { performanceAPI } from '../services/api';
+
+export type PerformanceBudgetMetric =
+  'ttfb' | 'domContentLoaded' | 'loadTime' | 'fcp' | 'lcp' | 'cls' | 'tbt' | 'inp' | 'requestCount' | 'transferSize';
+
+export type PerformanceBudgets = Partial<Record<PerformanceBudgetMetric, number>>;
+
+interface ConfigOption {
+  id: number;
+  name: string;
+  include_performance?: boolean;
+  performance_budgets?: PerformanceBudgets | null;
+}
+
+interface PerformancePage {
+  page_key: string;
+  samples: number;
+  over_budget: number;
+  last_measured_at: string;
+}
+
+interface BudgetViolation {
+  metric: PerformanceBudgetMetric;
+  message: string;
+}
+
+interface PerformanceSample {
+  id: number;
+  test_run_id: number;
+  test_execution_id: number | null;
+  browser: string;
+  page_url: string;
+  created_at: string;
+  ttfb: number | null;
+  dom_content_loaded: number | null;
+  load_time: number | null;
+  fcp: number | null;
+  lcp: number | null;
+  cls: string | null;
+  tbt: number | null;
+  inp: number | null;
+  request_count: number | null;
+  transfer_size: string | null;
+  budget_violations: BudgetViolation[] | null;
+}
+
+const METRICS: { key: PerformanceBudgetMetric; column: keyof PerformanceSample; label: string; unit: string }[] = [
+  { key: 'lcp', column: 'lcp', label: 'Largest contentful paint', unit: 'ms' },
+  { key: 'fcp', column: 'fcp', label: 'First contentful paint', unit: 'ms' },
+  { key: 'cls', column: 'cls', label: 'Cumulative layout shift', unit: '' },
+  { key: 'tbt', column: 'tbt', label: 'Total blocking time', unit: 'ms' },
+  { key: 'inp', column: 'inp', label: 'Interaction to next paint', unit: 'ms' },
+  { key: 'ttfb', column: 'ttfb', label: 'Time to first byte', unit: 'ms' },
+  { key: 'domContentLoaded', column: 'dom_content_loaded', label: 'DOMContentLoaded', unit: 'ms' },
+  { key: 'loadTime', column: 'load_time', label: 'Load time', unit: 'ms' },
+  { key: 'requestCount', column: 'request_count', label: 'Requests', unit: '' },
+  { key: 'transferSize', column: 'transfer_size', label: 'Transfer size', unit: 'KB' }
+];
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 200;
+const PADDING = 40;
+
+// DECIMAL and BIGINT columns arrive as strings; transfer size is charted in KB
+const readMetric = (sample: PerformanceSample, metric: typeof METRICS[number]) => {
+  const raw = sample[metric.column];
+  if (raw === null || raw === undefined) return null;
+  const value = Number(raw);
+  return metric.key === 'transferSize' ? Math.round(value / 1024) : value;
+};
+
+const formatValue = (value: number, metric: typeof METRICS[number]) =>
+  metric.key === 'cls' ? value.toFixed(3) : `${Math.round(value)}${metric.unit ? ` ${metric.unit}` : ''}`;
+
+export default function PerformanceTrends({ configs }: { configs: ConfigOption[] }) {
+  const performanceConfigs = configs.filter(config => config.include_performance);
+  const [configId, setConfigId] = useState<number>(0);
+  const [pages, setPages] = useState<PerformancePage[]>([]);
+  const [pageKey, setPageKey] = useState('');
+  const [browser, setBrowser] = useState('');
+  const [metricKey, setMetricKey] = useState<PerformanceBudgetMetric>('lcp');
+  const [samples, setSamples] = useState<PerformanceSample[]>([]);
+
+  useEffect(() => {
+    if (!configId && performanceConfigs.length > 0) {
+      setConfigId(performanceConfigs[0].id);
+    }
+  }, [configId, performanceConfigs]);
+
+  useEffect(() => {
+    if (!configId) return;
+    const fetchPages = async () => {
+      try {
+        const response = await performanceAPI.getPages(configId);
+        setPages(response.data);
+        setPageKey(response.data[0]?.page_key || '');
+        setBrowser('');
+      } catch (error) {
+        console.error('Error fetching performance pages:', error);
+      }
+    };
+    fetchPages();
+  }, [configId]);
+
+  useEffect(() => {
+    if (!configId || !pageKey) {
+      setSamples([]);
+      return;
+    }
+    const fetchTrend = async () => {
+      try {
+        const response = await performanceAPI.getTrend(configId, pageKey);
+        setSamples(response.data);
+      } catch (error) {
+        console.error('Error fetching performance trend:', error);
+      }
+    };
+    fetchTrend();
+  }, [configId, pageKey]);
+
+  if (performanceConfigs.length === 0) return null;
+
+  const metric = METRICS.find(m => m.key === metricKey) || METRICS[0];
+  const browsers = Array.from(new Set(samples.map(sample => sample.browser)));
+  const points = samples
+    .filter(sample => !browser || sample.browser === browser)
+    .map(sample => ({ sample, value: readMetric(sample, metric) }))
+    .filter((point): point is { sample: PerformanceSample; value: number } => point.value !== null);
+
+  const config = performanceConfigs.find(c => c.id === configId);
+  const rawBudget = config?.performance_budgets?.[metric.key];
+  const budget = rawBudget === undefined ? null : metric.key === 'transferSize' ? rawBudget / 1024 : rawBudget;
+
+  const maxValue = Math.max(...points.map(point => point.value), budget ?? 0) || 1;
+  const x = (index: number) =>
+    PADDING + (points.length > 1 ? (index / (points.length - 1)) * (CHART_WIDTH - 2 * PADDING) : (CHART_WIDTH - 2 * PADDING) / 2);
+  const y = (value: number) => CHART_HEIGHT - PADDING - (value / (maxValue * 1.1)) * (CHART_HEIGHT - 2 * PADDING);
+
+  return (
+    <div className="card">
+      <div className="card-body">
+        <div className="mb-4">
+          <h2 className="text-lg font-medium text-gray-900">Performance Trends</h2>
+          <p className="text-sm text-gray-500">Metrics per page across crawls and test executions</p>
+        </div>
+
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-4 mb-4">
+          <div>
+            <label className="block text-xs text-gray-500">Configuration</label>
+            <select
+              className="form-input mt-1"
+              value={configId}
+              onChange={(e) => setConfigId(parseInt(e.target.value))}
+            >
+              {performanceConfigs.map(c => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500">Page</label>
+            <select
+              className="form-input mt-1"
+              value={pageKey}
+              onChange={(e) => setPageKey(e.target.value)}
+              disabled={pages.length === 0}
+            >
+              {pages.map(page => (
+                <option key={page.page_key} value={page.page_key}>
+                  {page.page_key} ({page.samples}{page.over_budget > 0 ? `, ${page.over_budget} over budget` : ''})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500">Metric</label>
+            <select
+              className="form-input mt-1"
+              value={metricKey}
+              onChange={(e) => setMetricKey(e.target.value as PerformanceBudgetMetric)}
+            >
+              {METRICS.map(m => (
+                <option key={m.key} value={m.key}>{m.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500">Browser</label>
+            <select
+              className="form-input mt-1"
+              value={browser}
+              onChange={(e) => setBrowser(e.target.value)}
+            >
+              <option value="">All</option>
+              {browsers.map(name => (
+                <option key={name} value={name}>{name || 'Crawl'}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {points.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">
+            {pages.length === 0 ? 'No metrics recorded yet' : 'No measurements of this metric'}
+          </p>
+        ) : (
+          <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto">
+            <line x1={PADDING} y1={CHART_HEIGHT - PADDING} x2={CHART_WIDTH - PADDING} y2={CHART_HEIGHT - PADDING} stroke="#e5e7eb" />
+            <text x={PADDING - 4} y={y(maxValue)} textAnchor="end" fontSize="10" fill="#6b7280">
+              {formatValue(maxValue, metric)}
+            </text>
+            <text x={PADDING - 4} y={CHART_HEIGHT - PADDING} textAnchor="end" fontSize="10" fill="#6b7280">0</text>
+            {budget !== null && (
+              <g>
+                <line x1={PADDING} y1={y(budget)} x2={CHART_WIDTH - PADDING} y2={y(budget)} stroke="#dc2626" strokeDasharray="4 4" />
+                <text x={CHART_WIDTH - PADDING} y={y(budget) - 4} textAnchor="end" fontSize="10" fill="#dc2626">
+                  Budget {formatValue(budget, metric)}
+                </text>
+              </g>
+            )}
+            <polyline
+              fill="none"
+              stroke="#2563eb"
+              strokeWidth="2"
+              points={points.map((point, index) => `${x(index)},${y(point.value)}`).join(' ')}
+            />
+            {points.map((point, index) => {
+              const overBudget = point.sample.budget_violations?.some(v => v.metric === metric.key);
+              return (
+                <circle key={point.sample.id} cx={x(index)} cy={y(point.value)} r="4" fill={overBudget ? '#dc2626' : '#2563eb'}>
+                  <title>
+                    {`${formatValue(point.value, metric)} · Run #${point.sample.test_run_id}${point.sample.browser ? ` · ${point.sample.browser}` : ''} · ${new Date(point.sample.created_at).toLocaleString()}`}
+                  </title>
+                </circle>
+              );
+            })}
+          </svg>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { X, ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Maximize2 } from 'lucide-react';
+import { X, ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Maximize2, Link } from 'lucide-react';
+import { screenshotsAPI } from '../services/api';
 
 interface Screenshot {
   src: string;
@@ -7,6 +8,8 @@ interface Screenshot {
   description?: string;
   step?: string;
   action?: string;
+  // Stored screenshot that can be shared with a signed link
+  shareTarget?: { pageId?: number; hash?: string };
 }
 
 interface ScreenshotModalProps {
@@ -19,6 +22,7 @@ export default function ScreenshotModal({ screenshots, initialIndex = 0, onClose
   const [currentIndex, setCurrentIndex] = useState(initialIndex);
   const [zoom, setZoom] = useState(1);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [shareStatus, setShareStatus] = useState<string | null>(null);
 
   const currentScreenshot = screenshots[currentIndex];
 
@@ -37,6 +41,10 @@ export default function ScreenshotModal({ screenshots, initialIndex = 0, onClose
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [currentIndex, isPlaying]);
 
+  useEffect(() => {
+    setShareStatus(null);
+  }, [currentIndex]);
+
   useEffect(() => {
     let interval: NodeJS.Timeout;
     if (isPlaying && screenshots.length > 1) {
@@ -80,6 +88,18 @@ export default function ScreenshotModal({ screenshots, initialIndex = 0, onClose
     setZoom(1);
   };
 
+  const handleShare = async () => {
+    if (!currentScreenshot.shareTarget) return;
+    try {
+      const response = await screenshotsAPI.share(currentScreenshot.shareTarget);
+      await navigator.clipboard.writeText(screenshotsAPI.resolveUrl(response.data.url));
+      setShareStatus(`Link copied, valid until ${new Date(response.data.expiresAt).toLocaleString()}`);
+    } catch (error) {
+      console.error('Error sharing screenshot:', error);
+      setShareStatus('Failed to create share link');
+    }
+  };
+
   const togglePlayback = () => {
     if (screenshots.length > 1) {
       setIsPlaying(!isPlaying);
@@ -104,6 +124,16 @@ export default function ScreenshotModal({ screenshots, initialIndex = 0, onClose
             )}
           </div>
           <div className="flex items-center space-x-2">
+            {shareStatus && <span className="text-xs text-gray-300">{shareStatus}</span>}
+            {currentScreenshot.shareTarget && (
+              <button
+                onClick={handleShare}
+                className="p-2 rounded bg-white bg-opacity-20 hover:bg-opacity-30 text-white transition-colors"
+                title="Copy share link"
+              >
+                <Link className="h-4 w-4" />
+              </button>
+            )}
             <span className="text-sm text-gray-300">
               {currentIndex + 1} / {screenshots.length}
             </span>
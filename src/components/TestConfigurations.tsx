@@ -1,7 +1,50 @@
 import React, { useState, useEffect } from 'react';
 import { configAPI, crawlerAPI } from '../services/api';
+import TestSchedules from './TestSchedules';
+import PerformanceTrends, { PerformanceBudgetMetric, PerformanceBudgets } from './PerformanceTrends';
 import { Plus, Pencil as Edit, Trash2, Globe, Settings, X, Play, Loader } from 'lucide-react';
 
+interface BrowserMatrixEntry {
+  browser: string;
+  device?: string;
+}
+
+interface LaunchProfile {
+  headless: boolean;
+  viewport: { width: number; height: number };
+  locale?: string | null;
+  timezoneId?: string | null;
+  userAgent?: string | null;
+  colorScheme?: string | null;
+  extraHTTPHeaders?: Record<string, string>;
+}
+
+type IgnoreRegion = { selector: string } | { x: number; y: number; width: number; height: number };
+
+interface VisualSettings {
+  threshold: number;
+  maxDiffRatio: number;
+  ignoreRegions?: IgnoreRegion[];
+}
+
+interface FailingRequestRule {
+  url: string;
+  method?: string;
+}
+
+interface DiagnosticRules {
+  failOnPageError: boolean;
+  failOnConsoleError: boolean;
+  failingRequests?: FailingRequestRule[];
+}
+
+type RecordingMode = 'off' | 'on' | 'retain-on-failure';
+
+interface RecordingSettings {
+  trace: RecordingMode;
+  video: RecordingMode;
+}
+
 interface TestConfig {
   id: number;
   name: string;
@@ -11,19 +54,219 @@ interface TestConfig {
   max_pages: number;
   include_accessibility: boolean;
   include_performance: boolean;
+  incremental_crawl?: boolean;
+  crawl_scope?: CrawlScope | null;
+  safety_mode?: SafetyMode;
   llm_name?: string;
+  browser_matrix?: BrowserMatrixEntry[];
+  launch_profile?: LaunchProfile | null;
+  visual_settings?: VisualSettings | null;
+  performance_budgets?: PerformanceBudgets | null;
+  diagnostic_rules?: DiagnosticRules | null;
+  recording_settings?: RecordingSettings | null;
+  credentials?: { profiles: CredentialProfile[] } | null;
   created_at: string;
 }
 
+// Named credential set; crawls run once per profile and steps reference it as {auth.<name>.username}
+interface CredentialProfile {
+  name: string;
+  username: string;
+  password: string;
+}
+
+type NeverClickRule = { selector: string } | { text: string };
+
+// URLs the crawler may visit and elements it never clicks
+interface CrawlScope {
+  includePatterns: string[];
+  excludePatterns: string[];
+  allowedDomains: string[];
+  allowSubdomains: boolean;
+  ignoreQueryParams: string[];
+  neverClick: NeverClickRule[];
+}
+
+type SafetyMode = 'approval' | 'skip' | 'sandbox';
+
+const SAFETY_MODE_OPTIONS: { value: SafetyMode; label: string }[] = [
+  { value: 'approval', label: 'Block and ask for approval' },
+  { value: 'skip', label: 'Skip' },
+  { value: 'sandbox', label: 'Perform them (sandbox environment)' }
+];
+
+type CrawlScopeList = 'includePatterns' | 'excludePatterns' | 'allowedDomains' | 'ignoreQueryParams' | 'neverClick';
+
+const DEFAULT_EXCLUDE_PATTERNS = [
+  '/\\.(pdf|jpg|jpeg|png|gif|svg|zip|rar|tar|gz|exe|dmg)$/i',
+  '/logout/i',
+  '/signout/i',
+  '/delete/i',
+  '/remove/i'
+];
+
+const DEFAULT_NEVER_CLICK: NeverClickRule[] = [
+  { text: 'log out' },
+  { text: 'logout' },
+  { text: 'sign out' },
+  { text: 'delete account' }
+];
+
+const formatCrawlScope = (scope?: CrawlScope | null): Record<CrawlScopeList, string> => ({
+  includePatterns: (scope?.includePatterns || []).join('\n'),
+  excludePatterns: (scope?.excludePatterns || DEFAULT_EXCLUDE_PATTERNS).join('\n'),
+  allowedDomains: (scope?.allowedDomains || []).join('\n'),
+  ignoreQueryParams: (scope?.ignoreQueryParams || []).join('\n'),
+  neverClick: (scope?.neverClick || DEFAULT_NEVER_CLICK)
+    .map(rule => ('selector' in rule ? `selector: ${rule.selector}` : rule.text))
+    .join('\n')
+});
+
+const parseLines = (text: string) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Never-click rules, one per line: text to match, or "selector: <css selector>"
+const parseCrawlScope = (text: Record<CrawlScopeList, string>, allowSubdomains: boolean): CrawlScope => ({
+  includePatterns: parseLines(text.includePatterns),
+  excludePatterns: parseLines(text.excludePatterns),
+  allowedDomains: parseLines(text.allowedDomains),
+  allowSubdomains,
+  ignoreQueryParams: parseLines(text.ignoreQueryParams),
+  neverClick: parseLines(text.neverClick).map(line => {
+    const match = line.match(/^selector:\s*(.+)$/i);
+    return match ? { selector: match[1] } : { text: line };
+  })
+});
+
+const newCredentialProfile = (index: number): CredentialProfile => ({
+  name: index === 0 ? 'default' : '',
+  username: '',
+  password: ''
+});
+
+const DEFAULT_BROWSER_MATRIX: BrowserMatrixEntry[] = [{ browser: 'chromium' }];
+
+const formatMatrixEntry = (entry: BrowserMatrixEntry) =>
+  entry.device ? `${entry.browser} (${entry.device})` : entry.browser;
+
+const DEFAULT_LAUNCH_PROFILE: LaunchProfile = {
+  headless: false,
+  viewport: { width: 1920, height: 1080 },
+  locale: '',
+  timezoneId: '',
+  userAgent: '',
+  colorScheme: '',
+  extraHTTPHeaders: {}
+};
+
+const DEFAULT_VISUAL_SETTINGS: VisualSettings = {
+  threshold: 0.1,
+  maxDiffRatio: 0.001
+};
+
+// Transfer size is entered in KB and stored in bytes
+const PERFORMANCE_BUDGET_FIELDS: { metric: PerformanceBudgetMetric; label: string; step: string; scale?: number }[] = [
+  { metric: 'lcp', label: 'LCP (ms)', step: '100' },
+  { metric: 'cls', label: 'CLS', step: '0.01' },
+  { metric: 'tbt', label: 'Total Blocking Time (ms)', step: '50' },
+  { metric: 'loadTime', label: 'Load Time (ms)', step: '100' },
+  { metric: 'requestCount', label: 'Requests', step: '1' },
+  { metric: 'transferSize', label: 'Transfer Size (KB)', step: '100', scale: 1024 }
+];
+
+const DEFAULT_DIAGNOSTIC_RULES: DiagnosticRules = {
+  failOnPageError: false,
+  failOnConsoleError: false
+};
+
+const DEFAULT_RECORDING_SETTINGS: RecordingSettings = {
+  trace: 'off',
+  video: 'off'
+};
+
+const RECORDING_MODES: { value: RecordingMode; label: string }[] = [
+  { value: 'off', label: 'Off' },
+  { value: 'retain-on-failure', label: 'Keep failed tests' },
+  { value: 'on', label: 'Keep all tests' }
+];
+
+const formatFailingRequests = (rules?: FailingRequestRule[]) =>
+  (rules || []).map(rule => (rule.method ? `${rule.method} ${rule.url}` : rule.url)).join('\n');
+
+// One rule per line: a URL pattern, optionally preceded by an HTTP method ("POST /api/orders")
+const parseFailingRequests = (text: string): FailingRequestRule[] =>
+  text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const match = line.match(/^([A-Za-z]+)\s+(\S+)$/);
+    return match ? { method: match[1].toUpperCase(), url: match[2] } : { url: line };
+  });
+
+const formatIgnoreRegions = (regions?: IgnoreRegion[]) =>
+  (regions || []).map(region =>
+    'selector' in region ? region.selector : `${region.x},${region.y},${region.width},${region.height}`
+  ).join('\n');
+
+// One region per line: a CSS selector, or "x,y,width,height" in page pixels
+const parseIgnoreRegions = (text: string): IgnoreRegion[] =>
+  text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const rect = line.split(',').map(part => Number(part.trim()));
+    if (rect.length === 4 && rect.every(value => !Number.isNaN(value))) {
+      const [x, y, width, height] = rect;
+      return { x, y, width, height };
+    }
+    return { selector: line };
+  });
+
+const formatHeaders = (headers?: Record<string, string>) =>
+  Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+
+const parseHeaders = (text: string) =>
+  text.split('\n').reduce<Record<string, string>>((headers, line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    return headers;
+  }, {});
+
 export default function TestConfigurations() {
   const [configs, setConfigs] = useState<TestConfig[]>([]);
   const [loading, setLoading] = useState(true);
   const [startingRun, setStartingRun] = useState<number | null>(null);
+  const [runRoles, setRunRoles] = useState<Record<number, string>>({});
   const [showModal, setShowModal] = useState(false);
   const [editingConfig, setEditingConfig] = useState<TestConfig | null>(null);
   const [llmConfigs, setLlmConfigs] = useState<any[]>([]);
   const [message, setMessage] = useState('');
-  const [formData, setFormData] = useState({
+  const [browserOptions, setBrowserOptions] = useState<{ browsers: string[]; devices: string[]; colorSchemes: string[] }>({
+    browsers: ['chromium', 'firefox', 'webkit'],
+    devices: [],
+    colorSchemes: ['light', 'dark', 'no-preference']
+  });
+  const [newDevice, setNewDevice] = useState({ device: '', browser: 'chromium' });
+  const [extraHeadersText, setExtraHeadersText] = useState('');
+  const [ignoreRegionsText, setIgnoreRegionsText] = useState('');
+  const [crawlScopeText, setCrawlScopeText] = useState(formatCrawlScope(null));
+  const [failingRequestsText, setFailingRequestsText] = useState('');
+  const [formData, setFormData] = useState<{
+    name: string;
+    targetUrl: string;
+    businessContext: string;
+    maxDepth: number;
+    maxPages: number;
+    includeAccessibility: boolean;
+    includePerformance: boolean;
+    incrementalCrawl: boolean;
+    allowSubdomains: boolean;
+    safetyMode: SafetyMode;
+    llmConfigId: string;
+    testGenerationDepth: number;
+    browserMatrix: BrowserMatrixEntry[];
+    launchProfile: LaunchProfile;
+    visualSettings: VisualSettings;
+    performanceBudgets: PerformanceBudgets;
+    diagnosticRules: DiagnosticRules;
+    recordingSettings: RecordingSettings;
+    credentialProfiles: CredentialProfile[];
+  }>({
     name: '',
     targetUrl: '',
     businessContext: '',
@@ -31,17 +274,24 @@ export default function TestConfigurations() {
     maxPages: 50,
     includeAccessibility: true,
     includePerformance: true,
+    incrementalCrawl: false,
+    allowSubdomains: false,
+    safetyMode: 'approval',
     llmConfigId: '',
     testGenerationDepth: 3,
-    credentials: {
-      username: '',
-      password: ''
-    }
+    browserMatrix: DEFAULT_BROWSER_MATRIX,
+    launchProfile: DEFAULT_LAUNCH_PROFILE,
+    visualSettings: DEFAULT_VISUAL_SETTINGS,
+    performanceBudgets: {},
+    diagnosticRules: DEFAULT_DIAGNOSTIC_RULES,
+    recordingSettings: DEFAULT_RECORDING_SETTINGS,
+    credentialProfiles: []
   });
 
   useEffect(() => {
     fetchConfigurations();
     fetchLLMConfigs();
+    fetchBrowserOptions();
   }, []);
 
   const fetchConfigurations = async () => {
@@ -64,13 +314,81 @@ export default function TestConfigurations() {
     }
   };
 
+  const fetchBrowserOptions = async () => {
+    try {
+      const response = await configAPI.getBrowserOptions();
+      setBrowserOptions(prev => ({ ...prev, ...response.data }));
+    } catch (error) {
+      console.error('Error fetching browser options:', error);
+    }
+  };
+
+  const toggleDesktopBrowser = (browser: string, enabled: boolean) => {
+    const others = formData.browserMatrix.filter(entry => entry.device || entry.browser !== browser);
+    setFormData({
+      ...formData,
+      browserMatrix: enabled ? [...others, { browser }] : others
+    });
+  };
+
+  const addDeviceProfile = () => {
+    if (!newDevice.device) return;
+    const exists = formData.browserMatrix.some(
+      entry => entry.device === newDevice.device && entry.browser === newDevice.browser
+    );
+    if (!exists) {
+      setFormData({
+        ...formData,
+        browserMatrix: [...formData.browserMatrix, { browser: newDevice.browser, device: newDevice.device }]
+      });
+    }
+    setNewDevice({ ...newDevice, device: '' });
+  };
+
+  const removeMatrixEntry = (index: number) => {
+    setFormData({
+      ...formData,
+      browserMatrix: formData.browserMatrix.filter((_, i) => i !== index)
+    });
+  };
+
+  const updateLaunchProfile = (changes: Partial<LaunchProfile>) => {
+    setFormData({ ...formData, launchProfile: { ...formData.launchProfile, ...changes } });
+  };
+
+  const updatePerformanceBudget = (metric: PerformanceBudgetMetric, value: string, scale = 1) => {
+    const performanceBudgets = { ...formData.performanceBudgets };
+    if (value === '') {
+      delete performanceBudgets[metric];
+    } else {
+      performanceBudgets[metric] = parseFloat(value) * scale;
+    }
+    setFormData({ ...formData, performanceBudgets });
+  };
+
+  const updateCredentialProfile = (index: number, changes: Partial<CredentialProfile>) => {
+    setFormData({
+      ...formData,
+      credentialProfiles: formData.credentialProfiles.map((profile, i) => (i === index ? { ...profile, ...changes } : profile))
+    });
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
+    const { credentialProfiles, allowSubdomains, ...settings } = formData;
+    const payload = {
+      ...settings,
+      credentials: { profiles: credentialProfiles },
+      crawlScope: parseCrawlScope(crawlScopeText, allowSubdomains),
+      launchProfile: { ...formData.launchProfile, extraHTTPHeaders: parseHeaders(extraHeadersText) },
+      visualSettings: { ...formData.visualSettings, ignoreRegions: parseIgnoreRegions(ignoreRegionsText) },
+      diagnosticRules: { ...formData.diagnosticRules, failingRequests: parseFailingRequests(failingRequestsText) }
+    };
     try {
       if (editingConfig) {
-        await configAPI.updateTestConfig(editingConfig.id, formData);
+        await configAPI.updateTestConfig(editingConfig.id, payload);
       } else {
-        await configAPI.createTestConfig(formData);
+        await configAPI.createTestConfig(payload);
       }
       setShowModal(false);
       setEditingConfig(null);
@@ -78,6 +396,9 @@ export default function TestConfigurations() {
       fetchConfigurations();
     } catch (error) {
       console.error('Error saving test configuration:', error);
+      const errorMsg = (error as { response?: { data?: { error?: string } } }).response?.data?.error;
+      setMessage(`Error: ${errorMsg || 'Failed to save configuration'}`);
+      setTimeout(() => setMessage(''), 5000);
     }
   };
 
@@ -91,13 +412,36 @@ export default function TestConfigurations() {
       maxPages: config.max_pages,
       includeAccessibility: config.include_accessibility,
       includePerformance: config.include_performance,
+      incrementalCrawl: !!config.incremental_crawl,
+      allowSubdomains: !!config.crawl_scope?.allowSubdomains,
+      safetyMode: config.safety_mode || 'approval',
       llmConfigId: config.llm_config_id?.toString() || '',
       testGenerationDepth: config.test_generation_depth || 3,
-      credentials: {
-        username: '',
-        password: ''
-      }
+      browserMatrix: config.browser_matrix?.length ? config.browser_matrix : DEFAULT_BROWSER_MATRIX,
+      launchProfile: {
+        ...DEFAULT_LAUNCH_PROFILE,
+        ...(config.launch_profile || {}),
+        locale: config.launch_profile?.locale || '',
+        timezoneId: config.launch_profile?.timezoneId || '',
+        userAgent: config.launch_profile?.userAgent || '',
+        colorScheme: config.launch_profile?.colorScheme || ''
+      },
+      visualSettings: {
+        threshold: config.visual_settings?.threshold ?? DEFAULT_VISUAL_SETTINGS.threshold,
+        maxDiffRatio: config.visual_settings?.maxDiffRatio ?? DEFAULT_VISUAL_SETTINGS.maxDiffRatio
+      },
+      performanceBudgets: config.performance_budgets || {},
+      diagnosticRules: {
+        failOnPageError: !!config.diagnostic_rules?.failOnPageError,
+        failOnConsoleError: !!config.diagnostic_rules?.failOnConsoleError
+      },
+      recordingSettings: { ...DEFAULT_RECORDING_SETTINGS, ...(config.recording_settings || {}) },
+      credentialProfiles: config.credentials?.profiles || []
     });
+    setExtraHeadersText(formatHeaders(config.launch_profile?.extraHTTPHeaders));
+    setIgnoreRegionsText(formatIgnoreRegions(config.visual_settings?.ignoreRegions));
+    setCrawlScopeText(formatCrawlScope(config.crawl_scope));
+    setFailingRequestsText(formatFailingRequests(config.diagnostic_rules?.failingRequests));
     setShowModal(true);
   };
 
@@ -122,8 +466,12 @@ export default function TestConfigurations() {
     setMessage('');
     
     try {
-      const response = await crawlerAPI.startCrawling(configId);
-      setMessage(`Test run started successfully! Run ID: ${response.data.testRunId}`);
+      const role = runRoles[configId];
+      const response = await crawlerAPI.startCrawling(configId, role ? [role] : undefined);
+      const runs: { testRunId: number; role: string | null }[] = response.data.runs || [];
+      setMessage(runs.length > 1
+        ? `Test runs started successfully! ${runs.map(run => `${run.role}: #${run.testRunId}`).join(', ')}`
+        : `Test run started successfully! Run ID: ${response.data.testRunId}`);
       
       // Redirect to test runs page after a short delay
       setTimeout(() => {
@@ -145,13 +493,23 @@ export default function TestConfigurations() {
       maxPages: 50,
       includeAccessibility: true,
       includePerformance: true,
+      incrementalCrawl: false,
+      allowSubdomains: false,
+      safetyMode: 'approval',
       llmConfigId: '',
       testGenerationDepth: 3,
-      credentials: {
-        username: '',
-        password: ''
-      }
+      browserMatrix: DEFAULT_BROWSER_MATRIX,
+      launchProfile: DEFAULT_LAUNCH_PROFILE,
+      visualSettings: DEFAULT_VISUAL_SETTINGS,
+      performanceBudgets: {},
+      diagnosticRules: DEFAULT_DIAGNOSTIC_RULES,
+      recordingSettings: DEFAULT_RECORDING_SETTINGS,
+      credentialProfiles: []
     });
+    setExtraHeadersText('');
+    setIgnoreRegionsText('');
+    setCrawlScopeText(formatCrawlScope(null));
+    setFailingRequestsText('');
   };
 
   if (loading) {
@@ -212,7 +570,18 @@ export default function TestConfigurations() {
                     <span>Max Pages: {config.max_pages}</span>
                     {config.include_accessibility && <span>Accessibility ✓</span>}
                     {config.include_performance && <span>Performance ✓</span>}
+                    {config.incremental_crawl && <span>Incremental ✓</span>}
+                    {config.safety_mode === 'sandbox' && <span>Sandbox</span>}
+                    {config.launch_profile?.headless && <span>Headless ✓</span>}
                   </div>
+                  <div className="mt-2 text-sm text-gray-500">
+                    Browsers: {(config.browser_matrix?.length ? config.browser_matrix : DEFAULT_BROWSER_MATRIX).map(formatMatrixEntry).join(', ')}
+                  </div>
+                  {config.credentials?.profiles && config.credentials.profiles.length > 0 && (
+                    <div className="mt-2 text-sm text-gray-500">
+                      Roles: {config.credentials.profiles.map(profile => profile.name).join(', ')}
+                    </div>
+                  )}
                   {config.llm_name && (
                     <div className="mt-2 text-sm text-gray-500">
                       LLM: {config.llm_name}
@@ -226,6 +595,19 @@ export default function TestConfigurations() {
                   )}
                 </div>
                 <div className="flex items-center space-x-2">
+                  {config.credentials?.profiles && config.credentials.profiles.length > 1 && (
+                    <select
+                      className="form-select text-sm"
+                      value={runRoles[config.id] || ''}
+                      onChange={(e) => setRunRoles({ ...runRoles, [config.id]: e.target.value })}
+                      title="Role to crawl as; all roles start one test run each"
+                    >
+                      <option value="">All roles</option>
+                      {config.credentials.profiles.map(profile => (
+                        <option key={profile.name} value={profile.name}>{profile.name}</option>
+                      ))}
+                    </select>
+                  )}
                   <button
                     onClick={() => handleStartRun(config.id)}
                     disabled={startingRun === config.id}
@@ -276,6 +658,10 @@ export default function TestConfigurations() {
         </div>
       )}
 
+      {configs.length > 0 && <TestSchedules configs={configs} />}
+
+      {configs.length > 0 && <PerformanceTrends configs={configs} />}
+
       {/* Modal */}
       {showModal && (
         <div className="modal-overlay">
@@ -373,6 +759,98 @@ export default function TestConfigurations() {
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Crawl Scope</label>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs text-gray-500">Include URLs</label>
+                    <textarea
+                      rows={2}
+                      className="form-input mt-1 font-mono text-xs"
+                      value={crawlScopeText.includePatterns}
+                      onChange={(e) => setCrawlScopeText({ ...crawlScopeText, includePatterns: e.target.value })}
+                      placeholder={'/products/*\n/(cart|checkout)$/'}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500">Exclude URLs</label>
+                    <textarea
+                      rows={2}
+                      className="form-input mt-1 font-mono text-xs"
+                      value={crawlScopeText.excludePatterns}
+                      onChange={(e) => setCrawlScopeText({ ...crawlScopeText, excludePatterns: e.target.value })}
+                      placeholder={'/admin/*\n*?print=1'}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500">Allowed Domains</label>
+                    <textarea
+                      rows={2}
+                      className="form-input mt-1 font-mono text-xs"
+                      value={crawlScopeText.allowedDomains}
+                      onChange={(e) => setCrawlScopeText({ ...crawlScopeText, allowedDomains: e.target.value })}
+                      placeholder={'example.com\n*.cdn.example.com'}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500">Ignored Query Parameters</label>
+                    <textarea
+                      rows={2}
+                      className="form-input mt-1 font-mono text-xs"
+                      value={crawlScopeText.ignoreQueryParams}
+                      onChange={(e) => setCrawlScopeText({ ...crawlScopeText, ignoreQueryParams: e.target.value })}
+                      placeholder={'sessionid\nsort\nfilter_*'}
+                    />
+                  </div>
+                </div>
+                <p className="mt-1 text-sm text-gray-500">
+                  One per line. URL patterns are globs (<code>*</code> matches anything; starting with <code>/</code> they match the path) or <code>/regex/</code>.
+                  Without include patterns every URL of the allowed domains is crawled; without allowed domains only the target URL's domain is.
+                </p>
+                <div className="flex items-center mt-2">
+                  <input
+                    type="checkbox"
+                    id="allowSubdomains"
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    checked={formData.allowSubdomains}
+                    onChange={(e) => setFormData({ ...formData, allowSubdomains: e.target.checked })}
+                  />
+                  <label htmlFor="allowSubdomains" className="ml-2 block text-sm text-gray-900">
+                    Include subdomains of the allowed domains
+                  </label>
+                </div>
+                <div className="mt-3">
+                  <label className="block text-xs text-gray-500">Never Click</label>
+                  <textarea
+                    rows={3}
+                    className="form-input mt-1 font-mono text-xs"
+                    value={crawlScopeText.neverClick}
+                    onChange={(e) => setCrawlScopeText({ ...crawlScopeText, neverClick: e.target.value })}
+                    placeholder={'logout\ndelete account\npay now\nselector: [data-action="cancel-subscription"]'}
+                  />
+                  <p className="mt-1 text-sm text-gray-500">
+                    Elements the crawler never clicks, in link discovery or interaction scenarios: text to match as whole words, or <code>selector: &lt;css selector&gt;</code>.
+                  </p>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Destructive Actions</label>
+                <select
+                  className="form-select mt-1"
+                  value={formData.safetyMode}
+                  onChange={(e) => setFormData({ ...formData, safetyMode: e.target.value as SafetyMode })}
+                >
+                  {SAFETY_MODE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <p className="mt-1 text-sm text-gray-500">
+                  Actions that delete data or can't be undone (pay, send, publish) are recognized before the crawler performs them.
+                  Blocked actions are listed on the test run; approved ones are performed by the next crawl.
+                </p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700">LLM Configuration</label>
                 <select
@@ -391,32 +869,357 @@ export default function TestConfigurations() {
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">Authentication (Optional)</label>
+                <p className="text-xs text-gray-500 mb-2">
+                  One credential profile per role. Each crawl signs in as one role and tags its pages and tests with it;
+                  steps can use {'{auth.<role>.username}'} and {'{auth.<role>.password}'} to sign in as another role.
+                </p>
+                <div className="space-y-2">
+                  {formData.credentialProfiles.map((profile, index) => (
+                    <div key={index} className="grid grid-cols-3 gap-2 items-center">
+                      <input
+                        type="text"
+                        className="form-input"
+                        value={profile.name}
+                        onChange={(e) => updateCredentialProfile(index, { name: e.target.value })}
+                        placeholder="Role (e.g. admin)"
+                      />
+                      <input
+                        type="text"
+                        className="form-input"
+                        value={profile.username}
+                        onChange={(e) => updateCredentialProfile(index, { username: e.target.value })}
+                        placeholder="Username"
+                      />
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="password"
+                          className="form-input"
+                          value={profile.password}
+                          onChange={(e) => updateCredentialProfile(index, { password: e.target.value })}
+                          placeholder="Password"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setFormData({
+                            ...formData,
+                            credentialProfiles: formData.credentialProfiles.filter((_, i) => i !== index)
+                          })}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setFormData({
+                      ...formData,
+                      credentialProfiles: [...formData.credentialProfiles, newCredentialProfile(formData.credentialProfiles.length)]
+                    })}
+                    className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
+                  >
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add credential profile
+                  </button>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Browser Matrix</label>
+                <div className="flex items-center space-x-4">
+                  {browserOptions.browsers.map((browser) => (
+                    <div key={browser} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        id={`browser-${browser}`}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        checked={formData.browserMatrix.some(entry => !entry.device && entry.browser === browser)}
+                        onChange={(e) => toggleDesktopBrowser(browser, e.target.checked)}
+                      />
+                      <label htmlFor={`browser-${browser}`} className="ml-2 block text-sm text-gray-900 capitalize">
+                        {browser}
+                      </label>
+                    </div>
+                  ))}
+                </div>
+
+                {formData.browserMatrix.some(entry => entry.device) && (
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    {formData.browserMatrix.map((entry, index) => entry.device && (
+                      <span key={`${entry.browser}-${entry.device}`} className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                        {formatMatrixEntry(entry)}
+                        <button
+                          type="button"
+                          onClick={() => removeMatrixEntry(index)}
+                          className="ml-1 text-blue-600 hover:text-blue-900"
+                        >
+                          <X className="h-3 w-3" />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                <div className="mt-3 grid grid-cols-3 gap-2">
+                  <select
+                    className="form-select col-span-2"
+                    value={newDevice.device}
+                    onChange={(e) => setNewDevice({ ...newDevice, device: e.target.value })}
+                  >
+                    <option value="">Add device emulation profile...</option>
+                    {browserOptions.devices.map((device) => (
+                      <option key={device} value={device}>{device}</option>
+                    ))}
+                  </select>
+                  <div className="flex space-x-2">
+                    <select
+                      className="form-select"
+                      value={newDevice.browser}
+                      onChange={(e) => setNewDevice({ ...newDevice, browser: e.target.value })}
+                    >
+                      {browserOptions.browsers.map((browser) => (
+                        <option key={browser} value={browser}>{browser}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={addDeviceProfile}
+                      disabled={!newDevice.device}
+                      className="btn-secondary"
+                    >
+                      <Plus className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                <p className="mt-1 text-sm text-gray-500">
+                  Every selected test case runs once per entry. Tests that pass in some entries and fail in others are marked flaky.
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Browser Launch Profile</label>
+                <div className="flex items-center mb-3">
+                  <input
+                    type="checkbox"
+                    id="headless"
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    checked={formData.launchProfile.headless}
+                    onChange={(e) => updateLaunchProfile({ headless: e.target.checked })}
+                  />
+                  <label htmlFor="headless" className="ml-2 block text-sm text-gray-900">
+                    Run browsers headless (required on servers without a display)
+                  </label>
+                </div>
                 <div className="grid grid-cols-2 gap-4">
                   <div>
+                    <label className="block text-xs text-gray-500">Viewport Width</label>
+                    <input
+                      type="number"
+                      min="200"
+                      max="7680"
+                      className="form-input mt-1"
+                      value={formData.launchProfile.viewport.width}
+                      onChange={(e) => updateLaunchProfile({
+                        viewport: { ...formData.launchProfile.viewport, width: parseInt(e.target.value) }
+                      })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500">Viewport Height</label>
+                    <input
+                      type="number"
+                      min="200"
+                      max="4320"
+                      className="form-input mt-1"
+                      value={formData.launchProfile.viewport.height}
+                      onChange={(e) => updateLaunchProfile({
+                        viewport: { ...formData.launchProfile.viewport, height: parseInt(e.target.value) }
+                      })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500">Locale</label>
+                    <input
+                      type="text"
+                      className="form-input mt-1"
+                      value={formData.launchProfile.locale || ''}
+                      onChange={(e) => updateLaunchProfile({ locale: e.target.value })}
+                      placeholder="en-US"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500">Timezone</label>
                     <input
                       type="text"
-                      className="form-input"
-                      value={formData.credentials.username}
-                      onChange={(e) => setFormData({ 
-                        ...formData, 
-                        credentials: { ...formData.credentials, username: e.target.value }
+                      className="form-input mt-1"
+                      value={formData.launchProfile.timezoneId || ''}
+                      onChange={(e) => updateLaunchProfile({ timezoneId: e.target.value })}
+                      placeholder="Europe/Berlin"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500">Color Scheme</label>
+                    <select
+                      className="form-select mt-1"
+                      value={formData.launchProfile.colorScheme || ''}
+                      onChange={(e) => updateLaunchProfile({ colorScheme: e.target.value })}
+                    >
+                      <option value="">Browser default</option>
+                      {browserOptions.colorSchemes.map((scheme) => (
+                        <option key={scheme} value={scheme}>{scheme}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500">User Agent</label>
+                    <input
+                      type="text"
+                      className="form-input mt-1"
+                      value={formData.launchProfile.userAgent || ''}
+                      onChange={(e) => updateLaunchProfile({ userAgent: e.target.value })}
+                      placeholder="Default desktop Chrome"
+                    />
+                  </div>
+                </div>
+                <div className="mt-3">
+                  <label className="block text-xs text-gray-500">Extra HTTP Headers</label>
+                  <textarea
+                    rows={2}
+                    className="form-input mt-1 font-mono text-xs"
+                    value={extraHeadersText}
+                    onChange={(e) => setExtraHeadersText(e.target.value)}
+                    placeholder={'X-Test-Run: sensuq\nAuthorization: Basic ...'}
+                  />
+                  <p className="mt-1 text-sm text-gray-500">One header per line as <code>Name: value</code>.</p>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Visual Regression</label>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs text-gray-500">Pixel Color Threshold (0-1)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      className="form-input mt-1"
+                      value={formData.visualSettings.threshold}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        visualSettings: { ...formData.visualSettings, threshold: parseFloat(e.target.value) }
                       })}
-                      placeholder="Username"
                     />
                   </div>
                   <div>
+                    <label className="block text-xs text-gray-500">Allowed Changed Pixels (%)</label>
                     <input
-                      type="password"
-                      className="form-input"
-                      value={formData.credentials.password}
-                      onChange={(e) => setFormData({ 
-                        ...formData, 
-                        credentials: { ...formData.credentials, password: e.target.value }
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      className="form-input mt-1"
+                      value={Number((formData.visualSettings.maxDiffRatio * 100).toFixed(4))}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        visualSettings: { ...formData.visualSettings, maxDiffRatio: parseFloat(e.target.value) / 100 }
                       })}
-                      placeholder="Password"
                     />
                   </div>
                 </div>
+                <div className="mt-3">
+                  <label className="block text-xs text-gray-500">Ignore Regions</label>
+                  <textarea
+                    rows={2}
+                    className="form-input mt-1 font-mono text-xs"
+                    value={ignoreRegionsText}
+                    onChange={(e) => setIgnoreRegionsText(e.target.value)}
+                    placeholder={'.ad-banner\n#current-time\n0,0,1920,80'}
+                  />
+                  <p className="mt-1 text-sm text-gray-500">
+                    One per line: a CSS selector, or <code>x,y,width,height</code> in page pixels. Ignored areas never count as changed.
+                  </p>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Console &amp; Network</label>
+                <p className="text-sm text-gray-500 mb-2">
+                  Uncaught exceptions, console errors and failed requests are always recorded per step. Fail tests on:
+                </p>
+                <div className="space-y-2">
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="failOnPageError"
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      checked={formData.diagnosticRules.failOnPageError}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        diagnosticRules: { ...formData.diagnosticRules, failOnPageError: e.target.checked }
+                      })}
+                    />
+                    <label htmlFor="failOnPageError" className="ml-2 block text-sm text-gray-900">
+                      Uncaught exceptions
+                    </label>
+                  </div>
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="failOnConsoleError"
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      checked={formData.diagnosticRules.failOnConsoleError}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        diagnosticRules: { ...formData.diagnosticRules, failOnConsoleError: e.target.checked }
+                      })}
+                    />
+                    <label htmlFor="failOnConsoleError" className="ml-2 block text-sm text-gray-900">
+                      Console errors
+                    </label>
+                  </div>
+                </div>
+                <div className="mt-3">
+                  <label className="block text-xs text-gray-500">Failing Requests</label>
+                  <textarea
+                    rows={2}
+                    className="form-input mt-1 font-mono text-xs"
+                    value={failingRequestsText}
+                    onChange={(e) => setFailingRequestsText(e.target.value)}
+                    placeholder={'/api/*\nPOST /api/orders'}
+                  />
+                  <p className="mt-1 text-sm text-gray-500">
+                    One URL pattern per line, optionally preceded by a method; <code>*</code> matches anything. A matching request that fails or responds 4xx/5xx fails the test.
+                  </p>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Recordings</label>
+                <div className="grid grid-cols-2 gap-4">
+                  {(['trace', 'video'] as const).map(kind => (
+                    <div key={kind}>
+                      <label className="block text-xs text-gray-500">{kind === 'trace' ? 'Playwright Trace' : 'Video'}</label>
+                      <select
+                        className="form-input mt-1"
+                        value={formData.recordingSettings[kind]}
+                        onChange={(e) => setFormData({
+                          ...formData,
+                          recordingSettings: { ...formData.recordingSettings, [kind]: e.target.value as RecordingMode }
+                        })}
+                      >
+                        {RECORDING_MODES.map(mode => (
+                          <option key={mode.value} value={mode.value}>{mode.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+                <p className="mt-1 text-sm text-gray-500">
+                  Recorded per test case and browser during executions, and downloadable from the execution history.
+                </p>
               </div>
 
               <div className="space-y-2">
@@ -444,8 +1247,51 @@ export default function TestConfigurations() {
                     Include Performance Testing
                   </label>
                 </div>
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="incrementalCrawl"
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    checked={formData.incrementalCrawl}
+                    onChange={(e) => setFormData({ ...formData, incrementalCrawl: e.target.checked })}
+                  />
+                  <label htmlFor="incrementalCrawl" className="ml-2 block text-sm text-gray-900">
+                    Incremental Re-crawl
+                  </label>
+                </div>
+                <p className="text-sm text-gray-500">
+                  Pages unchanged since the previous run keep their analysis and test cases instead of being analyzed again.
+                </p>
               </div>
 
+              {formData.includePerformance && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Performance Budgets</label>
+                  <div className="grid grid-cols-3 gap-4">
+                    {PERFORMANCE_BUDGET_FIELDS.map(({ metric, label, step, scale = 1 }) => {
+                      const budget = formData.performanceBudgets[metric];
+                      return (
+                        <div key={metric}>
+                          <label className="block text-xs text-gray-500">{label}</label>
+                          <input
+                            type="number"
+                            min="0"
+                            step={step}
+                            className="form-input mt-1"
+                            value={budget === undefined ? '' : budget / scale}
+                            onChange={(e) => updatePerformanceBudget(metric, e.target.value, scale)}
+                            placeholder="No budget"
+                          />
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <p className="mt-1 text-sm text-gray-500">
+                    A test fails when a page exceeds one of these maximums. Leave empty to only record the metric.
+                  </p>
+                </div>
+              )}
+
               <div className="flex justify-end space-x-3 pt-4">
                 <button
                   type="button"
@@ -0,0 +1,104 @@
+import { useRef, useState } from 'react';
+import { testAPI } from '../services/api';
+import { Database, Loader, Trash2, Upload } from 'lucide-react';
+
+export interface TestDatasetSummary {
+  dataset_name: string | null;
+  dataset_columns: string[] | null;
+  dataset_row_count: number | null;
+}
+
+interface TestDatasetPanelProps {
+  testCaseId: number;
+  dataset: TestDatasetSummary;
+  onChange: (dataset: TestDatasetSummary) => void;
+}
+
+const NO_DATASET: TestDatasetSummary = { dataset_name: null, dataset_columns: null, dataset_row_count: null };
+
+// Parameter dataset of a test case: steps use {{column}} placeholders, and executions run once per row
+export default function TestDatasetPanel({ testCaseId, dataset, onChange }: TestDatasetPanelProps) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const upload = async (file: File) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+      const response = await testAPI.saveDataset(testCaseId, { name: file.name, format, content: await file.text() });
+      onChange({
+        dataset_name: response.data.name,
+        dataset_columns: response.data.columns,
+        dataset_row_count: response.data.rows.length
+      });
+    } catch (err) {
+      const message = (err as { response?: { data?: { error?: string } } }).response?.data?.error;
+      setError(message || 'Failed to upload dataset');
+    } finally {
+      setBusy(false);
+      if (fileInput.current) fileInput.current.value = '';
+    }
+  };
+
+  const remove = async () => {
+    if (!confirm('Remove this dataset? The test case will run once with its steps as they are.')) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await testAPI.deleteDataset(testCaseId);
+      onChange(NO_DATASET);
+    } catch (err) {
+      console.error('Error removing dataset:', err);
+      setError('Failed to remove dataset');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mb-3 text-xs">
+      <div className="flex items-center flex-wrap gap-2">
+        <Database className="h-3 w-3 text-gray-500" />
+        {dataset.dataset_name ? (
+          <span className="text-gray-700">
+            Dataset <strong>{dataset.dataset_name}</strong>: {dataset.dataset_row_count} rows
+            {dataset.dataset_columns && dataset.dataset_columns.length > 0 && (
+              <> ({dataset.dataset_columns.map(column => `{{${column}}}`).join(', ')})</>
+            )}
+          </span>
+        ) : (
+          <span className="text-gray-500">No dataset</span>
+        )}
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          className="hidden"
+          onChange={(e) => e.target.files?.[0] && upload(e.target.files[0])}
+        />
+        <button
+          onClick={() => fileInput.current?.click()}
+          disabled={busy}
+          className="text-blue-600 hover:text-blue-800 flex items-center"
+          title="Upload a CSV or JSON dataset; steps reference its columns as {{column}}"
+        >
+          {busy ? <Loader className="h-3 w-3 mr-1 animate-spin" /> : <Upload className="h-3 w-3 mr-1" />}
+          {dataset.dataset_name ? 'Replace' : 'Upload CSV/JSON'}
+        </button>
+        {dataset.dataset_name && (
+          <button
+            onClick={remove}
+            disabled={busy}
+            className="text-red-600 hover:text-red-800 flex items-center"
+          >
+            <Trash2 className="h-3 w-3 mr-1" />
+            Remove
+          </button>
+        )}
+      </div>
+      {error && <p className="mt-1 text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -1,8 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
-import { testAPI, reportsAPI, crawlerAPI } from '../services/api';
+import { Link, useParams } from 'react-router-dom';
+import { testAPI, reportsAPI, crawlerAPI, visualAPI, artifactsAPI } from '../services/api';
 import { useSocket } from '../contexts/SocketContext';
 import ScreenshotModal from './ScreenshotModal';
+import TestDatasetPanel, { TestDatasetSummary } from './TestDatasetPanel';
+import VisualComparisons, { VisualComparison } from './VisualComparisons';
+import ExecutionRecordings, { ExecutionArtifact } from './ExecutionRecordings';
+import JourneyGraph from './JourneyGraph';
+import CrawlDiff from './CrawlDiff';
+import BlockedActions from './BlockedActions';
 import {
   Clock,
   CheckCircle,
@@ -19,7 +25,12 @@ import {
   PlayCircle,
   Pause,
   Play,
-  ArrowLeft
+  ArrowLeft,
+  UserCheck,
+  Share2,
+  GitCompare,
+  Recycle,
+  ShieldAlert
 } from 'lucide-react';
 
 // Utility function to get API base URL
@@ -30,8 +41,49 @@ const getApiBaseUrl = () => {
   return `${window.location.protocol}//${window.location.host}/api`;
 };
 
+interface DiagnosticEntry {
+  browser?: string;
+  step: number | string;
+  type: 'exception' | 'console' | 'response' | 'requestFailed';
+  message: string;
+  url?: string | null;
+  method?: string;
+  status?: number;
+  timestamp: string;
+}
+
+const DIAGNOSTIC_LABELS: Record<DiagnosticEntry['type'], string> = {
+  exception: 'Exception',
+  console: 'Console',
+  response: 'HTTP',
+  requestFailed: 'Network'
+};
+
+// Console errors, uncaught exceptions and failed requests captured while a step ran
+function DiagnosticList({ entries }: { entries: DiagnosticEntry[] }) {
+  return (
+    <ul className="mt-2 space-y-1">
+      {entries.map((entry, idx) => (
+        <li key={idx} className="text-xs bg-orange-50 border border-orange-200 rounded p-2 break-words">
+          <span className="inline-block px-1.5 py-0.5 mr-2 rounded bg-orange-100 text-orange-800 font-semibold">
+            {DIAGNOSTIC_LABELS[entry.type] || entry.type}
+          </span>
+          {entry.browser && <span className="mr-1 text-gray-500">[{entry.browser}]</span>}
+          {(entry.type === 'response' || entry.type === 'requestFailed') ? (
+            <span className="text-gray-800">
+              <code>{entry.method} {entry.url}</code> — {entry.message}
+            </span>
+          ) : (
+            <span className="text-gray-800">{entry.message}</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
 // Component to display test step results with pass/fail status
-function TestStepResults({ testCaseId, testSteps, autoExpand = false }: { testCaseId: number; testSteps: any; autoExpand?: boolean }) {
+function TestStepResults({ testCaseId, testSteps, diagnostics = [], autoExpand = false }: { testCaseId: number; testSteps: any; diagnostics?: DiagnosticEntry[]; autoExpand?: boolean }) {
   const [stepResults, setStepResults] = useState<any[]>([]);
   const [loading, setLoading] = useState(false);
   const [expanded, setExpanded] = useState(autoExpand);
@@ -97,6 +149,7 @@ function TestStepResults({ testCaseId, testSteps, autoExpand = false }: { testCa
         ) : (
           steps.map((step: any, stepIndex: number) => {
             const stepResult = stepResults.find((r) => r.step_index === stepIndex);
+            const stepDiagnostics = diagnostics.filter((entry) => entry.step === stepIndex);
             const status = stepResult?.status || (hasStepResults ? 'pending' : null);
 
             return (
@@ -151,6 +204,18 @@ function TestStepResults({ testCaseId, testSteps, autoExpand = false }: { testCa
                       <span className="font-medium">Value:</span> <code className="bg-white px-1 rounded">{step.value}</code>
                     </div>
                   )}
+                  {(stepResult?.expected_value != null || stepResult?.actual_value != null) && (
+                    <div className="mt-1 grid grid-cols-2 gap-2 text-xs">
+                      <div className="text-gray-600">
+                        <span className="font-medium">Expected:</span>{' '}
+                        <code className="bg-white px-1 rounded break-all">{stepResult.expected_value}</code>
+                      </div>
+                      <div className={status === 'failed' ? 'text-red-700' : 'text-gray-600'}>
+                        <span className="font-medium">Actual:</span>{' '}
+                        <code className="bg-white px-1 rounded break-all">{stepResult.actual_value}</code>
+                      </div>
+                    </div>
+                  )}
                   {stepResult?.error_message && (
                     <div className="mt-2 text-xs text-red-700 bg-red-100 p-2 rounded border border-red-200">
                       <strong>Error:</strong> {stepResult.error_message}
@@ -162,6 +227,7 @@ function TestStepResults({ testCaseId, testSteps, autoExpand = false }: { testCa
                       {stepResult.execution_time}ms
                     </div>
                   )}
+                  {stepDiagnostics.length > 0 && <DiagnosticList entries={stepDiagnostics} />}
                 </div>
               </div>
             );
@@ -172,8 +238,14 @@ function TestStepResults({ testCaseId, testSteps, autoExpand = false }: { testCa
   );
 }
 
-// Component to handle screenshot loading with base64 data URLs
-function ScreenshotImage({ pageId, filename, alt, onClick }: { pageId?: number; filename?: string; alt: string; onClick?: () => void }) {
+// Stored execution screenshots come with a signed URL; older ones are inline base64
+const getScreenshotSrc = (screenshot: { url?: string; data?: string }) =>
+  screenshot.url
+    ? `${getApiBaseUrl()}${screenshot.url}`
+    : `data:image/png;base64,${screenshot.data}`;
+
+// Component to handle screenshot loading from a signed screenshot URL
+function ScreenshotImage({ src, alt, onClick }: { src?: string; alt: string; onClick?: () => void }) {
   const [imageSrc, setImageSrc] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(false);
@@ -185,21 +257,14 @@ function ScreenshotImage({ pageId, filename, alt, onClick }: { pageId?: number;
       setError(false);
       setImageSrc(null);
       
-      // Validate that we have either pageId or filename
-      if (!pageId && !filename) {
-        console.error('ScreenshotImage: No pageId or filename provided');
+      if (!src) {
         setError(true);
         setLoading(false);
         return;
       }
       
       try {
-        console.log(`🔍 Loading screenshot: pageId=${pageId}, filename=${filename}`);
-        
-        // Try database first (by pageId), then fallback to filename
-        const url = pageId
-          ? `${getApiBaseUrl()}/screenshots/page/${pageId}`
-          : `${getApiBaseUrl()}/screenshots/${filename}`;
+        const url = `${getApiBaseUrl()}${src}`;
         
         console.log(`📡 Fetching screenshot from: ${url}`);
         
@@ -208,22 +273,12 @@ function ScreenshotImage({ pageId, filename, alt, onClick }: { pageId?: number;
         console.log(`📊 Response status: ${response.status} ${response.statusText}`);
         
         if (response.ok) {
-          const data = await response.json();
-          
-          console.log(`✅ Screenshot data received:`, {
-            hasDataUrl: !!data.dataUrl,
-            dataUrlLength: data.dataUrl ? data.dataUrl.length : 0,
-            pageId: data.pageId,
-            url: data.url,
-            size: data.size,
-            format: data.format
-          });
-          
-          // Validate that dataUrl exists and is not empty
-          if (data.dataUrl && data.dataUrl.length > 0) {
-            setImageSrc(data.dataUrl);
+          const blob = await response.blob();
+
+          if (blob.size > 0) {
+            setImageSrc(URL.createObjectURL(blob));
           } else {
-            console.error('❌ No dataUrl in response or dataUrl is empty');
+            console.error('❌ Screenshot response is empty');
             setError(true);
           }
         } else {
@@ -258,7 +313,7 @@ function ScreenshotImage({ pageId, filename, alt, onClick }: { pageId?: number;
     };
 
     loadScreenshot();
-  }, [pageId, filename]);
+  }, [src]);
 
   if (loading) {
     return (
@@ -293,9 +348,12 @@ function ScreenshotImage({ pageId, filename, alt, onClick }: { pageId?: number;
 }
 interface TestRunDetails {
   id: number;
+  test_config_id: number;
   config_name: string;
   target_url: string;
   status: string;
+  role?: string | null;
+  base_test_run_id?: number | null;
   start_time: string;
   end_time?: string;
   total_pages_discovered: number;
@@ -308,6 +366,16 @@ interface TestRunDetails {
   testCases: any[];
 }
 
+interface BrowserResult {
+  browser: string;
+  engine?: string;
+  device?: string | null;
+  status: string;
+  executionTime: number;
+  errorDetails?: string | null;
+  selfHealed?: boolean;
+}
+
 const formatDuration = (ms: number): string => {
   if (ms < 1000) return `${ms}ms`;
   const seconds = Math.floor(ms / 1000);
@@ -335,6 +403,8 @@ export default function TestRunDetails() {
   const [executionName, setExecutionName] = useState('');
   const [expandedExecutions, setExpandedExecutions] = useState<Set<number>>(new Set());
   const [executionDetails, setExecutionDetails] = useState<Map<number, any>>(new Map());
+  const [visualComparisons, setVisualComparisons] = useState<Map<number, VisualComparison[]>>(new Map());
+  const [executionArtifacts, setExecutionArtifacts] = useState<Map<number, ExecutionArtifact[]>>(new Map());
   const [expandedPages, setExpandedPages] = useState<Set<string>>(new Set());
   const [showPageGrouping, setShowPageGrouping] = useState(true);
   const [selectedExecutionTests, setSelectedExecutionTests] = useState<Map<number, Set<number>>>(new Map());
@@ -453,19 +523,43 @@ export default function TestRunDetails() {
       console.error('Error fetching execution history:', error);
     }
   };
-  const downloadReport = async (format: 'pdf' | 'json') => {
+  const downloadReport = async (format: 'pdf' | 'json' | 'playwright') => {
     if (!testRun) return;
     
     try {
       const response = format === 'pdf' 
         ? await reportsAPI.downloadPDF(testRun.id)
-        : await reportsAPI.downloadJSON(testRun.id);
+        : format === 'json'
+          ? await reportsAPI.downloadJSON(testRun.id)
+          : await reportsAPI.downloadPlaywrightProject(testRun.id);
       
       const blob = new Blob([response.data]);
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `test-report-${testRun.id}.${format}`;
+      a.download = format === 'playwright'
+        ? `playwright-tests-${testRun.id}.zip`
+        : `test-report-${testRun.id}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error(`Error downloading ${format} report:`, error);
+    }
+  };
+
+  const downloadExecutionReport = async (executionId: number, format: 'junit' | 'ctrf' | 'html') => {
+    try {
+      const response = await reportsAPI.downloadExecutionReport(executionId, format);
+
+      const blob = new Blob([response.data]);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = format === 'html'
+        ? `execution-report-${executionId}.html`
+        : `${format}-execution-${executionId}.${format === 'junit' ? 'xml' : 'json'}`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
@@ -563,10 +657,16 @@ export default function TestRunDetails() {
       // Fetch execution details if not already loaded
       if (!executionDetails.has(executionId)) {
         try {
-          const response = await testAPI.getExecutionDetails(executionId);
+          const [response, comparisonsResponse, artifactsResponse] = await Promise.all([
+            testAPI.getExecutionDetails(executionId),
+            visualAPI.getExecutionComparisons(executionId),
+            artifactsAPI.getExecutionArtifacts(executionId)
+          ]);
           const newDetails = new Map(executionDetails);
           newDetails.set(executionId, response.data);
           setExecutionDetails(newDetails);
+          setVisualComparisons(prev => new Map(prev).set(executionId, comparisonsResponse.data));
+          setExecutionArtifacts(prev => new Map(prev).set(executionId, artifactsResponse.data));
         } catch (error) {
           console.error('Error fetching execution details:', error);
         }
@@ -575,6 +675,22 @@ export default function TestRunDetails() {
     setExpandedExecutions(newExpanded);
   };
 
+  const handleDatasetChange = (testCaseId: number, dataset: TestDatasetSummary) => {
+    setTestRun(prev => prev && {
+      ...prev,
+      testCases: prev.testCases.map(testCase => testCase.id === testCaseId ? { ...testCase, ...dataset } : testCase)
+    });
+  };
+
+  const handleBaselineApproved = (executionId: number, comparisonId: number) => {
+    setVisualComparisons(prev => new Map(prev).set(
+      executionId,
+      (prev.get(executionId) || []).map(comparison =>
+        comparison.id === comparisonId ? { ...comparison, status: 'approved' } : comparison
+      )
+    ));
+  };
+
   // Filter test cases based on selected type
   const getFilteredTestCases = () => {
     if (!testRun?.testCases) return [];
@@ -773,7 +889,17 @@ export default function TestRunDetails() {
       <div className="flex items-center justify-between">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">{testRun.config_name}</h1>
-          <p className="text-sm text-gray-500">Test Run #{testRun.id}</p>
+          <p className="text-sm text-gray-500">
+            Test Run #{testRun.id}
+            {testRun.role && <> &middot; crawled as <span className="font-medium text-indigo-700">{testRun.role}</span></>}
+            {testRun.base_test_run_id && (
+              <> &middot; incremental, unchanged pages reused from{' '}
+                <Link to={`/test-runs/${testRun.base_test_run_id}`} className="text-blue-600 hover:text-blue-800">
+                  Test Run #{testRun.base_test_run_id}
+                </Link>
+              </>
+            )}
+          </p>
         </div>
         <div className="flex items-center space-x-3">
           {/* Crawler Control Buttons */}
@@ -872,6 +998,14 @@ export default function TestRunDetails() {
             <Download className="h-4 w-4 mr-2" />
             JSON Report
           </button>
+          <button
+            onClick={() => downloadReport('playwright')}
+            className="btn-secondary"
+            title="Download the generated tests as a runnable Playwright Test project"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Playwright Project
+          </button>
         </div>
       </div>
 
@@ -997,6 +1131,39 @@ export default function TestRunDetails() {
                                 <span className="text-yellow-600 ml-2">{execution.flaky_tests} flaky</span>
                               )}
                             </div>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                downloadExecutionReport(execution.id, 'html');
+                              }}
+                              className="btn-secondary flex items-center space-x-1 text-sm py-1 px-3"
+                              title="Download self-contained HTML report with step screenshots"
+                            >
+                              <Download className="h-3 w-3" />
+                              <span>HTML</span>
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                downloadExecutionReport(execution.id, 'junit');
+                              }}
+                              className="btn-secondary flex items-center space-x-1 text-sm py-1 px-3"
+                              title="Download JUnit XML report"
+                            >
+                              <Download className="h-3 w-3" />
+                              <span>JUnit</span>
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                downloadExecutionReport(execution.id, 'ctrf');
+                              }}
+                              className="btn-secondary flex items-center space-x-1 text-sm py-1 px-3"
+                              title="Download CTRF JSON report"
+                            >
+                              <Download className="h-3 w-3" />
+                              <span>CTRF</span>
+                            </button>
                             <button
                               onClick={(e) => {
                                 e.stopPropagation();
@@ -1086,21 +1253,91 @@ export default function TestRunDetails() {
                                       {testResult.status}
                                     </span>
                                     <span className="font-medium text-gray-900">{testResult.test_name}</span>
+                                    {testResult.iteration > 0 && (
+                                      <span className="px-2 py-1 text-xs font-medium rounded-full bg-indigo-100 text-indigo-800">
+                                        Row {testResult.iteration}
+                                      </span>
+                                    )}
                                   </div>
                                   <p className="text-sm text-gray-600 mt-1">{testResult.test_description}</p>
+                                  {testResult.iteration_data && (
+                                    <p className="text-xs text-gray-500 mt-1 break-words">
+                                      {Object.entries(testResult.iteration_data as Record<string, string>)
+                                        .map(([column, value]) => `${column} = ${value}`)
+                                        .join(', ')}
+                                    </p>
+                                  )}
                                 </div>
                                 <div className="text-sm text-gray-500">
                                   {formatDuration(testResult.execution_time)}
                                 </div>
                               </div>
 
+                              {Array.isArray(testResult.browser_results) && testResult.browser_results.length > 0 && (
+                                <div className="mt-3">
+                                  <p className="text-sm font-medium text-gray-700 mb-2">Browser Results:</p>
+                                  <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                                    {(testResult.browser_results as BrowserResult[]).map((browserResult, bIdx) => (
+                                      <div key={bIdx} className={`rounded border p-3 text-sm ${
+                                        browserResult.status === 'passed' ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'
+                                      }`}>
+                                        <div className="flex items-center justify-between">
+                                          <span className="font-medium text-gray-900 flex items-center">
+                                            <Globe className="h-3 w-3 mr-1" />
+                                            {browserResult.browser}
+                                          </span>
+                                          {browserResult.status === 'passed' ? (
+                                            <CheckCircle className="h-4 w-4 text-green-500" />
+                                          ) : (
+                                            <XCircle className="h-4 w-4 text-red-500" />
+                                          )}
+                                        </div>
+                                        <div className="mt-1 flex items-center space-x-2 text-xs text-gray-500">
+                                          <span>{formatDuration(browserResult.executionTime)}</span>
+                                          {browserResult.selfHealed && <span className="text-blue-600">Self-healed</span>}
+                                        </div>
+                                        {browserResult.errorDetails && (
+                                          <p className="mt-1 text-xs text-red-700 break-words">{browserResult.errorDetails}</p>
+                                        )}
+                                      </div>
+                                    ))}
+                                  </div>
+                                </div>
+                              )}
+
                               {testResult.test_steps && testResult.test_steps.length > 0 && (
                                 <div className="mt-3 p-3 bg-gray-50 rounded">
                                   <p className="text-sm font-medium text-gray-700 mb-2">Test Steps:</p>
-                                  <TestStepResults testCaseId={testResult.test_case_id} testSteps={testResult.test_steps} />
+                                  <TestStepResults
+                                    testCaseId={testResult.test_case_id}
+                                    testSteps={testResult.test_steps}
+                                    diagnostics={testResult.diagnostics || []}
+                                  />
+                                </div>
+                              )}
+
+                              {(testResult.diagnostics || []).some((entry: DiagnosticEntry) => typeof entry.step !== 'number') && (
+                                <div className="mt-3">
+                                  <p className="text-sm font-medium text-gray-700">Console &amp; Network outside test steps:</p>
+                                  <DiagnosticList
+                                    entries={(testResult.diagnostics as DiagnosticEntry[]).filter(entry => typeof entry.step !== 'number')}
+                                  />
                                 </div>
                               )}
 
+                              {(visualComparisons.get(execution.id) || []).some(c => c.test_case_id === testResult.test_case_id) && (
+                                <VisualComparisons
+                                  comparisons={(visualComparisons.get(execution.id) || []).filter(c => c.test_case_id === testResult.test_case_id)}
+                                  onApproved={(comparisonId) => handleBaselineApproved(execution.id, comparisonId)}
+                                />
+                              )}
+
+                              {(executionArtifacts.get(execution.id) || []).some(a => a.test_case_id === testResult.test_case_id && a.iteration === testResult.iteration) && (
+                                <ExecutionRecordings
+                                  artifacts={(executionArtifacts.get(execution.id) || []).filter(a => a.test_case_id === testResult.test_case_id && a.iteration === testResult.iteration)}
+                                />
+                              )}
+
                               {testResult.expected_result && (
                                 <div className="mt-2 p-2 bg-blue-50 rounded text-sm">
                                   <strong className="text-blue-900">Expected Result:</strong>
@@ -1135,11 +1372,12 @@ export default function TestRunDetails() {
                                       <button
                                         onClick={() => {
                                           const screenshots = testResult.screenshots.map((s: any, idx: number) => ({
-                                            src: `data:image/png;base64,${s.data}`,
+                                            src: getScreenshotSrc(s),
                                             alt: s.description || `Screenshot ${idx + 1}`,
                                             description: s.description,
                                             step: s.step,
-                                            action: s.action
+                                            action: s.action,
+                                            shareTarget: s.hash ? { hash: s.hash } : undefined
                                           }));
                                           setScreenshotModal({ screenshots, initialIndex: 0 });
                                         }}
@@ -1155,22 +1393,26 @@ export default function TestRunDetails() {
                                       <div key={sIdx} className="border rounded p-2 cursor-pointer hover:bg-gray-50 transition-colors"
                                         onClick={() => {
                                           const screenshots = testResult.screenshots.map((s: any, idx: number) => ({
-                                            src: `data:image/png;base64,${s.data}`,
+                                            src: getScreenshotSrc(s),
                                             alt: s.description || `Screenshot ${idx + 1}`,
                                             description: s.description,
                                             step: s.step,
-                                            action: s.action
+                                            action: s.action,
+                                            shareTarget: s.hash ? { hash: s.hash } : undefined
                                           }));
                                           setScreenshotModal({ screenshots, initialIndex: sIdx });
                                         }}
                                       >
                                         <img
-                                          src={`data:image/png;base64,${screenshot.data}`}
+                                          src={getScreenshotSrc(screenshot)}
                                           alt={screenshot.description}
                                           className="w-full h-32 object-cover rounded mb-1"
                                         />
                                         <p className="text-xs text-gray-600 truncate">{screenshot.description}</p>
-                                        <p className="text-xs text-gray-400">{screenshot.action || screenshot.step}</p>
+                                        <p className="text-xs text-gray-400">
+                                          {screenshot.browser && <span className="mr-1">[{screenshot.browser}]</span>}
+                                          {screenshot.action || screenshot.step}
+                                        </p>
                                       </div>
                                     ))}
                                   </div>
@@ -1228,6 +1470,9 @@ export default function TestRunDetails() {
                 {[
                   { id: 'overview', name: 'Overview', icon: Activity },
                   { id: 'pages', name: 'Discovered Pages', icon: Globe },
+                  { id: 'graph', name: 'Journey Graph', icon: Share2 },
+                  { id: 'compare', name: 'Compare Runs', icon: GitCompare },
+                  { id: 'blocked', name: 'Blocked Actions', icon: ShieldAlert },
                   { id: 'tests', name: 'Test Cases', icon: FileText },
                 ].map((tab) => (
                   <button
@@ -1286,31 +1531,21 @@ export default function TestRunDetails() {
                       <div className="flex items-start space-x-4">
                         {/* Screenshot */}
                         <div className="flex-shrink-0">
-                          {page.id ? (
+                          {page.screenshot_url ? (
                             <ScreenshotImage
-                              pageId={page.id}
+                              src={page.screenshot_url}
                               alt={`Screenshot of ${page.title || page.url}`}
-                              onClick={async () => {
-                                try {
-                                  const url = `${getApiBaseUrl()}/screenshots/page/${page.id}`;
-                                  const response = await fetch(url);
-                                  if (response.ok) {
-                                    const data = await response.json();
-                                    if (data.dataUrl) {
-                                      setScreenshotModal({
-                                        screenshots: [{
-                                          src: data.dataUrl,
-                                          alt: `Screenshot of ${page.title || page.url}`,
-                                          description: page.title,
-                                          step: page.url
-                                        }],
-                                        initialIndex: 0
-                                      });
-                                    }
-                                  }
-                                } catch (error) {
-                                  console.error('Error loading screenshot:', error);
-                                }
+                              onClick={() => {
+                                setScreenshotModal({
+                                  screenshots: [{
+                                    src: `${getApiBaseUrl()}${page.screenshot_url}`,
+                                    alt: `Screenshot of ${page.title || page.url}`,
+                                    description: page.title,
+                                    step: page.url,
+                                    shareTarget: { pageId: page.id }
+                                  }],
+                                  initialIndex: 0
+                                });
                               }}
                             />
                           ) : (
@@ -1322,7 +1557,24 @@ export default function TestRunDetails() {
                         
                         {/* Page Details */}
                         <div className="flex-1">
-                          <h4 className="font-medium text-gray-900">{page.title || 'Untitled Page'}</h4>
+                          <h4 className="font-medium text-gray-900">
+                            {page.title || 'Untitled Page'}
+                            {page.role && (
+                              <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                                <UserCheck className="h-3 w-3 mr-1" />
+                                {page.role}
+                              </span>
+                            )}
+                            {page.reused_from_page_id && (
+                              <span
+                                className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800"
+                                title="Unchanged since the base run; its analysis and test cases were reused"
+                              >
+                                <Recycle className="h-3 w-3 mr-1" />
+                                Reused
+                              </span>
+                            )}
+                          </h4>
                           <p className="text-sm text-gray-500 break-all">{page.url}</p>
                           
                           {/* Page Statistics */}
@@ -1362,6 +1614,18 @@ export default function TestRunDetails() {
                 </div>
               )}
 
+              {activeTab === 'graph' && (
+                <JourneyGraph testRunId={testRun.id} testCases={testRun.testCases} />
+              )}
+
+              {activeTab === 'compare' && (
+                <CrawlDiff testRunId={testRun.id} testConfigId={testRun.test_config_id} />
+              )}
+
+              {activeTab === 'blocked' && (
+                <BlockedActions testRunId={testRun.id} />
+              )}
+
               {activeTab === 'tests' && (
                 <div className="space-y-4">
                   {/* Test Type Filter */}
@@ -1654,6 +1918,12 @@ export default function TestRunDetails() {
                                           {testCase.test_type === 'flow' && <Activity className="h-3 w-3 mr-1" />}
                                           {testCase.test_type?.charAt(0).toUpperCase() + testCase.test_type?.slice(1) || 'Unknown'}
                                         </span>
+                                        {testCase.role && (
+                                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                                            <UserCheck className="h-3 w-3 mr-1" />
+                                            {testCase.role}
+                                          </span>
+                                        )}
                                       </div>
 
                                       <h4 className="font-medium text-gray-900 mb-1">{testCase.test_name}</h4>
@@ -1661,6 +1931,11 @@ export default function TestRunDetails() {
 
                                       {/* Test Steps with Results */}
                                       <TestStepResults testCaseId={testCase.id} testSteps={testCase.test_steps} />
+                                      <TestDatasetPanel
+                                        testCaseId={testCase.id}
+                                        dataset={testCase}
+                                        onChange={(dataset) => handleDatasetChange(testCase.id, dataset)}
+                                      />
                                     </div>
 
                                     {/* Status and Actions */}
@@ -1748,6 +2023,12 @@ export default function TestRunDetails() {
                               {testCase.test_type === 'flow' && <Activity className="h-3 w-3 mr-1" />}
                               {testCase.test_type?.charAt(0).toUpperCase() + testCase.test_type?.slice(1) || 'Unknown'}
                             </span>
+                            {testCase.role && (
+                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                                <UserCheck className="h-3 w-3 mr-1" />
+                                {testCase.role}
+                              </span>
+                            )}
                           </div>
                           
                           <h4 className="font-medium text-gray-900 mb-1">{testCase.test_name}</h4>
@@ -1755,6 +2036,11 @@ export default function TestRunDetails() {
                           
                           {/* Test Steps with Results */}
                           <TestStepResults testCaseId={testCase.id} testSteps={testCase.test_steps} />
+                          <TestDatasetPanel
+                            testCaseId={testCase.id}
+                            dataset={testCase}
+                            onChange={(dataset) => handleDatasetChange(testCase.id, dataset)}
+                          />
                         </div>
                         
                         {/* Status and Actions */}
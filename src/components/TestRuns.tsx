@@ -8,6 +8,7 @@ interface TestRun {
   config_name: string;
   target_url: string;
   status: string;
+  role?: string | null;
   start_time: string;
   end_time?: string;
   total_pages_discovered: number;
@@ -118,7 +119,10 @@ export default function TestRuns() {
                 <tr key={run.id}>
                   <td>
                     <div className="font-medium text-gray-900">{run.config_name}</div>
-                    <div className="text-sm text-gray-500">Run #{run.id}</div>
+                    <div className="text-sm text-gray-500">
+                      Run #{run.id}
+                      {run.role && <span className="ml-2 text-indigo-700">as {run.role}</span>}
+                    </div>
                   </td>
                   <td>
                     <div className="flex items-center">
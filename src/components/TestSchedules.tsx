@@ -0,0 +1,545 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { scheduleAPI, testAPI, SchedulePayload } from '../services/api';
+import { Plus, Pencil as Edit, Trash2, X, Play, Clock, CheckCircle, XCircle, SkipForward } from 'lucide-react';
+
+interface ConfigOption {
+  id: number;
+  name: string;
+}
+
+interface Schedule {
+  id: number;
+  name: string;
+  test_config_id: number;
+  config_name: string;
+  schedule_type: 'crawl' | 'execution';
+  test_run_id: number | null;
+  test_case_ids: number[];
+  cron_expression: string;
+  enabled: boolean;
+  next_run_at: string | null;
+  last_run_at: string | null;
+  last_run_status: 'started' | 'skipped' | 'failed' | null;
+  last_run_message: string | null;
+}
+
+interface ScheduleRun {
+  id: number;
+  status: 'started' | 'skipped' | 'failed';
+  test_run_id: number | null;
+  test_execution_id: number | null;
+  message: string | null;
+  fired_at: string;
+  execution_status: string | null;
+  test_run_status: string | null;
+}
+
+interface RunOption {
+  id: number;
+  test_config_id: number;
+  status: string;
+  start_time: string;
+}
+
+interface TestCaseOption {
+  id: number;
+  test_name: string;
+  page_name?: string;
+}
+
+const CRON_PRESETS = [
+  { label: 'Every day at 06:00', value: '0 6 * * *' },
+  { label: 'Weekdays at 06:00', value: '0 6 * * 1-5' },
+  { label: 'Every hour', value: '0 * * * *' },
+  { label: 'Every Monday at 08:00', value: '0 8 * * 1' }
+];
+
+const EMPTY_FORM: SchedulePayload = {
+  name: '',
+  testConfigId: 0,
+  scheduleType: 'crawl',
+  testRunId: null,
+  testCaseIds: [],
+  cronExpression: '0 6 * * *',
+  enabled: true
+};
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { error?: string } } }).response?.data?.error || fallback;
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleString() : '—');
+
+const RunStatusIcon = ({ status }: { status: ScheduleRun['status'] | null }) => {
+  if (status === 'started') return <CheckCircle className="h-4 w-4 text-green-500" />;
+  if (status === 'skipped') return <SkipForward className="h-4 w-4 text-yellow-500" />;
+  if (status === 'failed') return <XCircle className="h-4 w-4 text-red-500" />;
+  return null;
+};
+
+export default function TestSchedules({ configs }: { configs: ConfigOption[] }) {
+  const [schedules, setSchedules] = useState<Schedule[]>([]);
+  const [runs, setRuns] = useState<RunOption[]>([]);
+  const [testCases, setTestCases] = useState<TestCaseOption[]>([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingSchedule, setEditingSchedule] = useState<Schedule | null>(null);
+  const [formData, setFormData] = useState<SchedulePayload>(EMPTY_FORM);
+  const [history, setHistory] = useState<Map<number, ScheduleRun[]>>(new Map());
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchSchedules();
+    fetchRuns();
+  }, []);
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await scheduleAPI.getSchedules();
+      setSchedules(response.data);
+    } catch (error) {
+      console.error('Error fetching schedules:', error);
+    }
+  };
+
+  const fetchRuns = async () => {
+    try {
+      const response = await testAPI.getRuns();
+      setRuns(response.data);
+    } catch (error) {
+      console.error('Error fetching test runs:', error);
+    }
+  };
+
+  const fetchTestCases = async (testRunId: number) => {
+    try {
+      const response = await testAPI.getRunDetails(testRunId);
+      setTestCases(response.data.testCases || []);
+    } catch (error) {
+      console.error('Error fetching test cases:', error);
+      setTestCases([]);
+    }
+  };
+
+  const fetchHistory = async (scheduleId: number) => {
+    try {
+      const response = await scheduleAPI.getHistory(scheduleId);
+      setHistory(prev => new Map(prev).set(scheduleId, response.data));
+    } catch (error) {
+      console.error('Error fetching schedule history:', error);
+    }
+  };
+
+  const toggleHistory = (scheduleId: number) => {
+    if (history.has(scheduleId)) {
+      setHistory(prev => {
+        const next = new Map(prev);
+        next.delete(scheduleId);
+        return next;
+      });
+    } else {
+      fetchHistory(scheduleId);
+    }
+  };
+
+  const openModal = (schedule: Schedule | null) => {
+    setEditingSchedule(schedule);
+    setMessage('');
+    if (schedule) {
+      setFormData({
+        name: schedule.name,
+        testConfigId: schedule.test_config_id,
+        scheduleType: schedule.schedule_type,
+        testRunId: schedule.test_run_id,
+        testCaseIds: schedule.test_case_ids || [],
+        cronExpression: schedule.cron_expression,
+        enabled: schedule.enabled
+      });
+      if (schedule.test_run_id) {
+        fetchTestCases(schedule.test_run_id);
+      }
+    } else {
+      setFormData({ ...EMPTY_FORM, testConfigId: configs[0]?.id || 0 });
+      setTestCases([]);
+    }
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingSchedule(null);
+    setTestCases([]);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const payload: SchedulePayload = formData.scheduleType === 'crawl'
+      ? { ...formData, testRunId: null, testCaseIds: [] }
+      : formData;
+
+    try {
+      if (editingSchedule) {
+        await scheduleAPI.updateSchedule(editingSchedule.id, payload);
+      } else {
+        await scheduleAPI.createSchedule(payload);
+      }
+      closeModal();
+      fetchSchedules();
+    } catch (error) {
+      setMessage(getErrorMessage(error, 'Failed to save schedule'));
+    }
+  };
+
+  const handleToggle = async (schedule: Schedule) => {
+    try {
+      await scheduleAPI.setEnabled(schedule.id, !schedule.enabled);
+      fetchSchedules();
+    } catch (error) {
+      console.error('Error toggling schedule:', error);
+    }
+  };
+
+  const handleRunNow = async (schedule: Schedule) => {
+    try {
+      const response = await scheduleAPI.runNow(schedule.id);
+      setMessage(`${schedule.name}: ${response.data.message}`);
+      fetchSchedules();
+      if (history.has(schedule.id)) fetchHistory(schedule.id);
+    } catch (error) {
+      setMessage(getErrorMessage(error, 'Failed to run schedule'));
+    }
+  };
+
+  const handleDelete = async (id: number) => {
+    if (!confirm('Are you sure you want to delete this schedule?')) return;
+
+    try {
+      await scheduleAPI.deleteSchedule(id);
+      fetchSchedules();
+    } catch (error) {
+      console.error('Error deleting schedule:', error);
+    }
+  };
+
+  const toggleTestCase = (testCaseId: number) => {
+    setFormData(prev => {
+      const selected = prev.testCaseIds || [];
+      return {
+        ...prev,
+        testCaseIds: selected.includes(testCaseId)
+          ? selected.filter(id => id !== testCaseId)
+          : [...selected, testCaseId]
+      };
+    });
+  };
+
+  const runsForConfig = runs.filter(run =>
+    run.test_config_id === formData.testConfigId &&
+    (run.status === 'ready_for_execution' || run.status === 'completed')
+  );
+
+  return (
+    <div className="card">
+      <div className="card-body">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-lg font-medium text-gray-900">Schedules</h2>
+            <p className="text-sm text-gray-500">Recurring crawls and test executions (cron, server time)</p>
+          </div>
+          <button
+            onClick={() => openModal(null)}
+            disabled={configs.length === 0}
+            className="btn-secondary"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New Schedule
+          </button>
+        </div>
+
+        {message && !showModal && (
+          <div className="mb-4 p-3 rounded-md bg-blue-50 text-blue-800 border border-blue-200 text-sm">
+            {message}
+          </div>
+        )}
+
+        {schedules.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No schedules yet</p>
+        ) : (
+          <div className="space-y-3">
+            {schedules.map((schedule) => (
+              <div key={schedule.id} className="border rounded-lg">
+                <div className="p-4 flex items-center justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center space-x-2">
+                      <h3 className="font-medium text-gray-900">{schedule.name}</h3>
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                        {schedule.schedule_type === 'crawl' ? 'Crawl' : 'Execution'}
+                      </span>
+                      {!schedule.enabled && (
+                        <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">Disabled</span>
+                      )}
+                    </div>
+                    <div className="mt-1 text-sm text-gray-500 flex flex-wrap gap-x-4">
+                      <span>{schedule.config_name}</span>
+                      <span className="font-mono">{schedule.cron_expression}</span>
+                      {schedule.schedule_type === 'execution' && (
+                        <span>
+                          Run #{schedule.test_run_id} ·{' '}
+                          {schedule.test_case_ids?.length ? `${schedule.test_case_ids.length} test cases` : 'all test cases'}
+                        </span>
+                      )}
+                    </div>
+                    <div className="mt-1 text-sm text-gray-500 flex items-center gap-x-4">
+                      <span>Next: {schedule.enabled ? formatDate(schedule.next_run_at) : '—'}</span>
+                      <span className="flex items-center gap-1">
+                        Last: {formatDate(schedule.last_run_at)}
+                        <RunStatusIcon status={schedule.last_run_status} />
+                      </span>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <label className="flex items-center text-sm text-gray-600 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-1"
+                        checked={schedule.enabled}
+                        onChange={() => handleToggle(schedule)}
+                      />
+                      Enabled
+                    </label>
+                    <button
+                      onClick={() => handleRunNow(schedule)}
+                      className="p-2 text-gray-400 hover:text-green-600"
+                      title="Run now"
+                    >
+                      <Play className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => toggleHistory(schedule.id)}
+                      className="p-2 text-gray-400 hover:text-gray-600"
+                      title="History"
+                    >
+                      <Clock className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => openModal(schedule)}
+                      className="p-2 text-gray-400 hover:text-gray-600"
+                    >
+                      <Edit className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(schedule.id)}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {history.has(schedule.id) && (
+                  <div className="border-t bg-gray-50 p-4">
+                    {(history.get(schedule.id) || []).length === 0 ? (
+                      <p className="text-sm text-gray-500">This schedule has not fired yet</p>
+                    ) : (
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-500">
+                            <th className="pb-2">Fired</th>
+                            <th className="pb-2">Result</th>
+                            <th className="pb-2">Run / Execution</th>
+                            <th className="pb-2">Details</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {(history.get(schedule.id) || []).map((run) => (
+                            <tr key={run.id} className="border-t border-gray-200">
+                              <td className="py-2">{formatDate(run.fired_at)}</td>
+                              <td className="py-2">
+                                <span className="flex items-center gap-1">
+                                  <RunStatusIcon status={run.status} />
+                                  {run.status}
+                                </span>
+                              </td>
+                              <td className="py-2">
+                                {run.test_run_id && (
+                                  <Link to={`/test-runs/${run.test_run_id}`} className="text-blue-600 hover:underline">
+                                    Run #{run.test_run_id}
+                                  </Link>
+                                )}
+                                {run.test_execution_id && ` · Execution #${run.test_execution_id} (${run.execution_status})`}
+                                {!run.test_execution_id && run.test_run_status && ` (${run.test_run_status})`}
+                              </td>
+                              <td className="py-2 text-gray-600">{run.message}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                {editingSchedule ? 'Edit Schedule' : 'New Schedule'}
+              </h3>
+              <button onClick={closeModal} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {message && (
+              <div className="mb-4 p-3 rounded-md bg-red-50 text-red-800 border border-red-200 text-sm">
+                {message}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  type="text"
+                  className="form-input mt-1"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  required
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Test Configuration</label>
+                  <select
+                    className="form-select mt-1"
+                    value={formData.testConfigId}
+                    onChange={(e) => setFormData({ ...formData, testConfigId: parseInt(e.target.value), testRunId: null, testCaseIds: [] })}
+                  >
+                    {configs.map((config) => (
+                      <option key={config.id} value={config.id}>{config.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Action</label>
+                  <select
+                    className="form-select mt-1"
+                    value={formData.scheduleType}
+                    onChange={(e) => setFormData({ ...formData, scheduleType: e.target.value as SchedulePayload['scheduleType'] })}
+                  >
+                    <option value="crawl">Start a new crawl</option>
+                    <option value="execution">Execute saved test cases</option>
+                  </select>
+                </div>
+              </div>
+
+              {formData.scheduleType === 'execution' && (
+                <div className="space-y-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Test Run</label>
+                    <select
+                      className="form-select mt-1"
+                      value={formData.testRunId || ''}
+                      onChange={(e) => {
+                        const testRunId = e.target.value ? parseInt(e.target.value) : null;
+                        setFormData({ ...formData, testRunId, testCaseIds: [] });
+                        if (testRunId) fetchTestCases(testRunId);
+                        else setTestCases([]);
+                      }}
+                      required
+                    >
+                      <option value="">Select a test run</option>
+                      {runsForConfig.map((run) => (
+                        <option key={run.id} value={run.id}>
+                          Run #{run.id} - {new Date(run.start_time).toLocaleString()}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {testCases.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">
+                        Test Cases ({formData.testCaseIds?.length ? `${formData.testCaseIds.length} selected` : 'all'})
+                      </label>
+                      <div className="mt-1 max-h-48 overflow-y-auto border rounded-md p-2 space-y-1">
+                        {testCases.map((testCase) => (
+                          <label key={testCase.id} className="flex items-center text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                              checked={formData.testCaseIds?.includes(testCase.id) || false}
+                              onChange={() => toggleTestCase(testCase.id)}
+                            />
+                            {testCase.test_name}
+                            {testCase.page_name && <span className="ml-1 text-gray-400">({testCase.page_name})</span>}
+                          </label>
+                        ))}
+                      </div>
+                      <p className="mt-1 text-xs text-gray-500">Leave all unchecked to run every test case of the run.</p>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Cron Expression</label>
+                <input
+                  type="text"
+                  className="form-input mt-1 font-mono"
+                  value={formData.cronExpression}
+                  onChange={(e) => setFormData({ ...formData, cronExpression: e.target.value })}
+                  placeholder="minute hour day-of-month month day-of-week"
+                  required
+                />
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {CRON_PRESETS.map((preset) => (
+                    <button
+                      key={preset.value}
+                      type="button"
+                      onClick={() => setFormData({ ...formData, cronExpression: preset.value })}
+                      className="px-2 py-1 text-xs rounded border border-gray-300 text-gray-600 hover:bg-gray-50"
+                    >
+                      {preset.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="scheduleEnabled"
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  checked={formData.enabled}
+                  onChange={(e) => setFormData({ ...formData, enabled: e.target.checked })}
+                />
+                <label htmlFor="scheduleEnabled" className="ml-2 block text-sm text-gray-900">
+                  Enabled
+                </label>
+              </div>
+
+              <p className="text-xs text-gray-500">
+                A schedule is skipped while its previous crawl or execution is still running.
+              </p>
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button type="button" onClick={closeModal} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  {editingSchedule ? 'Update' : 'Create'} Schedule
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
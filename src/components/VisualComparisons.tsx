@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import { visualAPI } from '../services/api';
+import { CheckCircle, XCircle, Image, Loader, ShieldCheck } from 'lucide-react';
+
+export interface VisualComparison {
+  id: number;
+  test_case_id: number;
+  step_index: number;
+  page_key: string;
+  browser: string;
+  name: string;
+  status: 'passed' | 'failed' | 'new' | 'approved';
+  diff_pixels: number;
+  diff_ratio: string | number;
+  max_diff_ratio: string | number;
+  size_mismatch: boolean;
+  has_diff: boolean;
+}
+
+interface ComparisonImages {
+  baseline_image: string | null;
+  actual_image: string | null;
+  diff_image: string | null;
+}
+
+interface VisualComparisonsProps {
+  comparisons: VisualComparison[];
+  onApproved: (comparisonId: number) => void;
+}
+
+const STATUS_STYLES: Record<VisualComparison['status'], string> = {
+  passed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  new: 'bg-blue-100 text-blue-800',
+  approved: 'bg-purple-100 text-purple-800'
+};
+
+const formatPercent = (ratio: string | number) => `${(Number(ratio) * 100).toFixed(3).replace(/\.?0+$/, '')}%`;
+
+export default function VisualComparisons({ comparisons, onApproved }: VisualComparisonsProps) {
+  const [images, setImages] = useState<Map<number, ComparisonImages>>(new Map());
+  const [loadingId, setLoadingId] = useState<number | null>(null);
+  const [approvingId, setApprovingId] = useState<number | null>(null);
+
+  const toggleImages = async (comparisonId: number) => {
+    if (images.has(comparisonId)) {
+      setImages(prev => {
+        const next = new Map(prev);
+        next.delete(comparisonId);
+        return next;
+      });
+      return;
+    }
+
+    setLoadingId(comparisonId);
+    try {
+      const response = await visualAPI.getComparison(comparisonId);
+      setImages(prev => new Map(prev).set(comparisonId, response.data));
+    } catch (error) {
+      console.error('Error loading visual comparison:', error);
+    } finally {
+      setLoadingId(null);
+    }
+  };
+
+  const handleApprove = async (comparison: VisualComparison) => {
+    if (!window.confirm(`Use this ${comparison.browser} screenshot as the new baseline for ${comparison.page_key}?`)) return;
+
+    setApprovingId(comparison.id);
+    try {
+      await visualAPI.approveComparison(comparison.id);
+      onApproved(comparison.id);
+    } catch (error) {
+      console.error('Error approving baseline:', error);
+      alert('Failed to approve baseline');
+    } finally {
+      setApprovingId(null);
+    }
+  };
+
+  const renderImage = (label: string, data: string | null) => (
+    <div>
+      <p className="text-xs font-medium text-gray-600 mb-1">{label}</p>
+      {data ? (
+        <a href={`data:image/png;base64,${data}`} target="_blank" rel="noreferrer">
+          <img
+            src={`data:image/png;base64,${data}`}
+            alt={label}
+            className="w-full max-h-96 object-contain object-top border rounded bg-white"
+          />
+        </a>
+      ) : (
+        <div className="h-24 flex items-center justify-center border rounded bg-white text-xs text-gray-400">
+          No differences
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="mt-3">
+      <p className="text-sm font-medium text-gray-700 mb-2">Visual Comparisons:</p>
+      <div className="space-y-2">
+        {comparisons.map((comparison) => {
+          const comparisonImages = images.get(comparison.id);
+
+          return (
+            <div key={comparison.id} className="border rounded p-3 text-sm">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                  {comparison.status === 'failed' ? (
+                    <XCircle className="h-4 w-4 text-red-500" />
+                  ) : (
+                    <CheckCircle className="h-4 w-4 text-green-500" />
+                  )}
+                  <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[comparison.status]}`}>
+                    {comparison.status}
+                  </span>
+                  <span className="font-medium text-gray-900">{comparison.page_key}</span>
+                  <span className="text-gray-500">[{comparison.browser}]</span>
+                  {comparison.name !== 'default' && <span className="text-gray-500">{comparison.name}</span>}
+                </div>
+                <div className="flex items-center space-x-3">
+                  {comparison.status !== 'new' && (
+                    <span className="text-xs text-gray-500">
+                      {formatPercent(comparison.diff_ratio)} changed (max {formatPercent(comparison.max_diff_ratio)})
+                      {comparison.size_mismatch && ', size changed'}
+                    </span>
+                  )}
+                  <button
+                    onClick={() => toggleImages(comparison.id)}
+                    className="text-xs text-blue-600 hover:text-blue-800 flex items-center"
+                  >
+                    {loadingId === comparison.id ? (
+                      <Loader className="h-3 w-3 mr-1 animate-spin" />
+                    ) : (
+                      <Image className="h-3 w-3 mr-1" />
+                    )}
+                    {comparisonImages ? 'Hide' : 'Compare'}
+                  </button>
+                  {(comparison.status === 'failed' || comparison.status === 'passed') && comparison.has_diff && (
+                    <button
+                      onClick={() => handleApprove(comparison)}
+                      disabled={approvingId === comparison.id}
+                      className="btn-secondary flex items-center space-x-1 text-xs py-1 px-2"
+                      title="Replace the baseline with this screenshot"
+                    >
+                      <ShieldCheck className="h-3 w-3" />
+                      <span>{approvingId === comparison.id ? 'Approving...' : 'Approve New Baseline'}</span>
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {comparisonImages && (
+                <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
+                  {renderImage(comparison.status === 'new' ? 'Baseline (this run)' : 'Baseline', comparisonImages.baseline_image)}
+                  {renderImage('Actual', comparisonImages.actual_image)}
+                  {renderImage('Diff', comparisonImages.diff_image)}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -71,21 +71,31 @@ export const configAPI = {
   createTestConfig: (config: any) => api.post('/config/test', config),
   updateTestConfig: (id: number, config: any) => api.put(`/config/test/${id}`, config),
   deleteTestConfig: (id: number) => api.delete(`/config/test/${id}`),
+  getBrowserOptions: () => api.get('/config/browsers'),
 };
 
 // Test Runs API
 export const testAPI = {
   getRuns: () => api.get('/tests/runs'),
   getRunDetails: (id: number) => api.get(`/tests/runs/${id}`),
+  getJourneyGraph: (id: number) => api.get(`/tests/runs/${id}/graph`),
+  compareRuns: (id: number, baseId: number) => api.get(`/tests/runs/${id}/compare/${baseId}`),
+  getBlockedActions: (id: number) => api.get(`/tests/runs/${id}/blocked-actions`),
+  reviewBlockedAction: (id: number, actionId: number, status: 'approved' | 'rejected') =>
+    api.put(`/tests/runs/${id}/blocked-actions/${actionId}`, { status }),
   getExecutionHistory: (testRunId: number) => api.get(`/tests/runs/${testRunId}/executions`),
   getExecutionDetails: (executionId: number) => api.get(`/tests/executions/${executionId}`),
   getDashboardStats: () => api.get('/tests/dashboard/stats'),
+  getDataset: (testCaseId: number) => api.get(`/tests/cases/${testCaseId}/dataset`),
+  saveDataset: (testCaseId: number, dataset: { name: string; format: 'csv' | 'json'; content: string }) =>
+    api.put(`/tests/cases/${testCaseId}/dataset`, dataset),
+  deleteDataset: (testCaseId: number) => api.delete(`/tests/cases/${testCaseId}/dataset`),
 };
 
 // Crawler API
 export const crawlerAPI = {
-  startCrawling: (testConfigId: number) => 
-    api.post('/crawler/start', { testConfigId }),
+  startCrawling: (testConfigId: number, roles?: string[]) => 
+    api.post('/crawler/start', { testConfigId, roles }),
   
   getCrawlerStatus: (testRunId: number) => 
     api.get(`/crawler/status/${testRunId}`),
@@ -106,6 +116,59 @@ export const crawlerAPI = {
     api.post(`/crawler/execute/${testRunId}`, { selectedTestCaseIds, executionName }),
 };
 
+// Schedules API
+export interface SchedulePayload {
+  name: string;
+  testConfigId: number;
+  scheduleType: 'crawl' | 'execution';
+  testRunId?: number | null;
+  testCaseIds?: number[];
+  cronExpression: string;
+  enabled: boolean;
+}
+
+export const scheduleAPI = {
+  getSchedules: () => api.get('/schedules'),
+  createSchedule: (schedule: SchedulePayload) => api.post('/schedules', schedule),
+  updateSchedule: (id: number, schedule: SchedulePayload) => api.put(`/schedules/${id}`, schedule),
+  setEnabled: (id: number, enabled: boolean) => api.patch(`/schedules/${id}/enabled`, { enabled }),
+  runNow: (id: number) => api.post(`/schedules/${id}/run`),
+  getHistory: (id: number) => api.get(`/schedules/${id}/history`),
+  deleteSchedule: (id: number) => api.delete(`/schedules/${id}`),
+};
+
+// Visual Regression API
+export const visualAPI = {
+  getExecutionComparisons: (executionId: number) => api.get(`/visual/executions/${executionId}/comparisons`),
+  getComparison: (id: number) => api.get(`/visual/comparisons/${id}`),
+  approveComparison: (id: number) => api.post(`/visual/comparisons/${id}/approve`),
+  getBaselines: (testConfigId: number) => api.get('/visual/baselines', { params: { testConfigId } }),
+  deleteBaseline: (id: number) => api.delete(`/visual/baselines/${id}`),
+};
+
+// Performance API
+export const performanceAPI = {
+  getPages: (testConfigId: number) => api.get('/performance/pages', { params: { testConfigId } }),
+  getTrend: (testConfigId: number, pageKey: string, browser?: string) =>
+    api.get('/performance/trend', { params: { testConfigId, pageKey, browser } }),
+  getRunMetrics: (testRunId: number, executionId?: number) =>
+    api.get(`/performance/runs/${testRunId}`, { params: { executionId } }),
+};
+
+// Execution artifacts API (trace and video recordings)
+export const artifactsAPI = {
+  getExecutionArtifacts: (executionId: number) => api.get(`/artifacts/executions/${executionId}`),
+  download: (id: number) => api.get(`/artifacts/${id}/download`, { responseType: 'blob' }),
+};
+
+// Screenshots API
+export const screenshotsAPI = {
+  // Signed links are relative to the API root
+  resolveUrl: (path: string) => `${API_BASE_URL}${path}`,
+  share: (target: { pageId?: number; hash?: string }, expiresIn?: number) =>
+    api.post('/screenshots/share', { ...target, expiresIn }),
+};
+
 // Reports API
 export const reportsAPI = {
   downloadPDF: (testRunId: number) => 
@@ -113,6 +176,12 @@ export const reportsAPI = {
   
   downloadJSON: (testRunId: number) => 
     api.get(`/reports/json/${testRunId}`, { responseType: 'blob' }),
+
+  downloadPlaywrightProject: (testRunId: number) =>
+    api.get(`/reports/playwright/${testRunId}`, { responseType: 'blob' }),
+
+  downloadExecutionReport: (executionId: number, format: 'junit' | 'ctrf' | 'html') =>
+    api.get(`/reports/executions/${executionId}/${format}`, { responseType: 'blob' }),
 };
 
 export default api;
\ No newline at end of file